@@ -1,4 +1,5 @@
 const postgres = require('postgres');
+const { getRequestContext } = require('../services/requestContext');
 require('dotenv').config();
 
 // Import the new database connection
@@ -109,7 +110,14 @@ const query = async (text, params = []) => {
     
     // Use tagged template for better security and performance
     let result;
-    if (params && params.length > 0) {
+    const context = getRequestContext();
+    if (context && context.impersonatorId) {
+      // Expose the real actor to the activity_logs trigger for this statement only
+      result = await sql.begin(async tx => {
+        await tx`SELECT set_config('app.impersonator_id', ${context.impersonatorId}, true)`;
+        return params && params.length > 0 ? tx.unsafe(text, params) : tx.unsafe(text);
+      });
+    } else if (params && params.length > 0) {
       // For parameterized queries, use unsafe method for backwards compatibility
       result = await sql.unsafe(text, params);
     } else {
@@ -180,11 +188,25 @@ const close = async () => {
   }
 };
 
-// Advanced query function for complex operations
+// Advanced query function for complex operations. The callback receives a query
+// function shaped like query() above that runs inside the transaction, and the raw sql.
 const transaction = async (callback) => {
   if (!sql) await initPromise;
   return await sql.begin(async sql => {
-    return await callback(sql);
+    const context = getRequestContext();
+    if (context && context.impersonatorId) {
+      await sql`SELECT set_config('app.impersonator_id', ${context.impersonatorId}, true)`;
+    }
+
+    const transactionQuery = async (text, params = []) => {
+      const result = params && params.length > 0 ? await sql.unsafe(text, params) : await sql.unsafe(text);
+      return {
+        rows: Array.isArray(result) ? result : [result],
+        rowCount: result.count ?? (Array.isArray(result) ? result.length : 1)
+      };
+    };
+
+    return await callback(transactionQuery, sql);
   });
 };
 
@@ -0,0 +1,15 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+// Shared SMTP transporter for account and notification emails
+const emailTransporter = nodemailer.createTransport({
+  host: process.env.EMAIL_HOST,
+  port: process.env.EMAIL_PORT,
+  secure: process.env.EMAIL_SECURE === 'true',
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASSWORD
+  }
+});
+
+module.exports = emailTransporter;
@@ -0,0 +1,29 @@
+-- Administrator impersonation ("act as user")
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS impersonation_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_impersonator ON user_sessions(impersonator_id) WHERE impersonator_id IS NOT NULL;
+
+-- The real actor behind rows written while impersonating
+ALTER TABLE activity_logs ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_activity_logs_impersonator ON activity_logs(impersonator_id) WHERE impersonator_id IS NOT NULL;
+
+-- The API sets app.impersonator_id for the transaction of every query made during an
+-- impersonated request, so no individual INSERT has to remember to pass it
+CREATE OR REPLACE FUNCTION set_activity_log_impersonator()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.impersonator_id IS NULL THEN
+        NEW.impersonator_id := NULLIF(current_setting('app.impersonator_id', true), '')::uuid;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_activity_log_impersonator ON activity_logs;
+CREATE TRIGGER set_activity_log_impersonator BEFORE INSERT ON activity_logs
+    FOR EACH ROW EXECUTE FUNCTION set_activity_log_impersonator();
+
+COMMENT ON COLUMN user_sessions.impersonator_id IS 'Administrator acting as this session''s user; NULL for normal logins';
+COMMENT ON COLUMN activity_logs.impersonator_id IS 'Administrator who performed the action while impersonating user_id';
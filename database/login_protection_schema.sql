@@ -0,0 +1,7 @@
+-- Per-account brute-force protection
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.failed_login_attempts IS 'Consecutive failed password or two-factor attempts within the last 24 hours';
+COMMENT ON COLUMN users.locked_until IS 'Login attempts are refused until this time (progressive delay or lockout)';
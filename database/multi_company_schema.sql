@@ -0,0 +1,41 @@
+-- Client users linked to several companies (client_users already allows it)
+
+-- Notifications about a project belong to that project's company, so a user working
+-- for several companies only sees the ones for the company they have selected
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_company ON notifications(user_id, company_id);
+
+-- Derived from the project or task named in data, so no individual INSERT has to pass it
+CREATE OR REPLACE FUNCTION set_notification_company()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.company_id IS NULL AND NEW.data IS NOT NULL THEN
+        IF NEW.data ? 'project_id' THEN
+            SELECT p.company_id INTO NEW.company_id
+            FROM projects p WHERE p.id = (NEW.data->>'project_id')::uuid;
+        ELSIF NEW.data ? 'task_id' THEN
+            SELECT p.company_id INTO NEW.company_id
+            FROM tasks t JOIN projects p ON t.project_id = p.id
+            WHERE t.id = (NEW.data->>'task_id')::uuid;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_notification_company ON notifications;
+CREATE TRIGGER set_notification_company BEFORE INSERT ON notifications
+    FOR EACH ROW EXECUTE FUNCTION set_notification_company();
+
+-- Existing notifications
+UPDATE notifications n SET company_id = p.company_id
+FROM projects p
+WHERE n.company_id IS NULL AND n.data ? 'project_id' AND p.id = (n.data->>'project_id')::uuid;
+
+UPDATE notifications n SET company_id = p.company_id
+FROM tasks t JOIN projects p ON t.project_id = p.id
+WHERE n.company_id IS NULL AND n.data ? 'task_id' AND NOT n.data ? 'project_id'
+AND t.id = (n.data->>'task_id')::uuid;
+
+COMMENT ON COLUMN notifications.company_id IS 'Company the notification is about; NULL for account-wide notifications';
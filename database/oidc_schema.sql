@@ -0,0 +1,26 @@
+-- OpenID Connect single sign-on
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_issuer VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity
+    ON users(oidc_issuer, oidc_subject) WHERE oidc_subject IS NOT NULL;
+
+-- In-flight authorization-code requests: state, nonce and PKCE verifier
+CREATE TABLE IF NOT EXISTS oidc_auth_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    state VARCHAR(64) UNIQUE NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oidc_auth_requests_expires ON oidc_auth_requests(expires_at);
+
+-- The SSO callback hands the frontend a short-lived one-time code instead of JWTs in the URL
+ALTER TABLE one_time_tokens DROP CONSTRAINT IF EXISTS one_time_tokens_purpose_check;
+ALTER TABLE one_time_tokens ADD CONSTRAINT one_time_tokens_purpose_check
+    CHECK (purpose IN ('verify-email', 'reset-password', 'invite', 'magic-link', 'sso-login'));
+
+COMMENT ON COLUMN users.oidc_subject IS 'Subject (sub claim) of the linked identity provider account';
+COMMENT ON TABLE oidc_auth_requests IS 'Pending OIDC sign-ins; rows are deleted when the callback arrives or after expiry';
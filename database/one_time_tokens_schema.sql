@@ -0,0 +1,25 @@
+-- Single-use tokens for email links, stored hashed and typed by purpose
+CREATE TABLE IF NOT EXISTS one_time_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('verify-email', 'reset-password', 'invite', 'magic-link')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_one_time_tokens_user_purpose ON one_time_tokens(user_id, purpose) WHERE used_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_one_time_tokens_expires ON one_time_tokens(expires_at);
+
+-- Invite links moved from registration_requests to this table
+ALTER TABLE registration_requests DROP COLUMN IF EXISTS invite_token_hash;
+ALTER TABLE registration_requests DROP COLUMN IF EXISTS invite_expires_at;
+
+-- Plaintext reset/verification tokens are no longer read; clear any still outstanding
+UPDATE users SET password_reset_token = NULL, password_reset_expires = NULL
+WHERE password_reset_token IS NOT NULL;
+
+COMMENT ON TABLE one_time_tokens IS 'Hashed single-use tokens for email verification, password reset, invites and magic links';
+COMMENT ON COLUMN users.password_reset_token IS 'Deprecated: superseded by one_time_tokens';
@@ -0,0 +1,60 @@
+-- Organisations (tenants). Each agency hosted on the deployment owns its users, companies,
+-- projects, chat rooms, invoices and settings; everything else belongs to one of those.
+-- Apply after the other schema files: settings they add are per organisation from here on.
+CREATE TABLE IF NOT EXISTS organisations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(100) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_organisations_updated_at ON organisations;
+CREATE TRIGGER update_organisations_updated_at BEFORE UPDATE ON organisations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Everything that exists today belongs to the default organisation, which also receives
+-- public registration requests
+INSERT INTO organisations (name, slug)
+VALUES (
+    COALESCE(
+        (SELECT setting_value FROM system_settings WHERE setting_key = 'company_name' ORDER BY created_at LIMIT 1),
+        'Default organisation'
+    ),
+    'default'
+)
+ON CONFLICT (slug) DO NOTHING;
+
+DO $$
+DECLARE
+    owned_table TEXT;
+    default_id UUID := (SELECT id FROM organisations WHERE slug = 'default');
+BEGIN
+    FOREACH owned_table IN ARRAY ARRAY[
+        'users', 'companies', 'projects', 'chat_rooms', 'invoices', 'system_settings', 'registration_requests'
+    ] LOOP
+        EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS organisation_id UUID REFERENCES organisations(id)', owned_table);
+        EXECUTE format('UPDATE %I SET organisation_id = $1 WHERE organisation_id IS NULL', owned_table) USING default_id;
+        EXECUTE format('ALTER TABLE %I ALTER COLUMN organisation_id SET NOT NULL', owned_table);
+        EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(organisation_id)', 'idx_' || owned_table || '_organisation', owned_table);
+    END LOOP;
+END $$;
+
+-- Settings and invoice numbers are unique per organisation rather than globally
+ALTER TABLE system_settings DROP CONSTRAINT IF EXISTS system_settings_setting_key_key;
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_invoice_number_key;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'system_settings_organisation_key_key') THEN
+        ALTER TABLE system_settings ADD CONSTRAINT system_settings_organisation_key_key UNIQUE (organisation_id, setting_key);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'invoices_organisation_number_key') THEN
+        ALTER TABLE invoices ADD CONSTRAINT invoices_organisation_number_key UNIQUE (organisation_id, invoice_number);
+    END IF;
+END $$;
+
+COMMENT ON TABLE organisations IS 'Tenants; every query is scoped to the caller''s organisation';
+COMMENT ON COLUMN users.organisation_id IS 'Organisation the account belongs to; email addresses stay unique across organisations';
+COMMENT ON COLUMN projects.organisation_id IS 'Always the organisation of the project''s company';
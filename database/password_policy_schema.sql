@@ -0,0 +1,47 @@
+-- Configurable password policy and password history
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- Previous password hashes, trimmed to the password_history_count setting
+CREATE TABLE IF NOT EXISTS password_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history(user_id, created_at DESC);
+
+-- The settings API reads data_type/is_active/updated_by, which older schemas lack
+ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS data_type VARCHAR(50) DEFAULT 'string';
+ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id);
+
+CREATE TEMP TABLE password_policy_defaults (setting_key, setting_value, data_type, description) AS VALUES
+('password_min_length', '8', 'number', 'Minimum password length'),
+('password_max_length', '128', 'number', 'Maximum password length'),
+('password_require_uppercase', 'true', 'boolean', 'Passwords must contain an uppercase letter'),
+('password_require_lowercase', 'true', 'boolean', 'Passwords must contain a lowercase letter'),
+('password_require_number', 'true', 'boolean', 'Passwords must contain a number'),
+('password_require_special', 'false', 'boolean', 'Passwords must contain a special character'),
+('password_block_common', 'true', 'boolean', 'Reject passwords on the common/breached password list'),
+('password_history_count', '5', 'number', 'Number of previous passwords that cannot be reused (0 disables)'),
+('password_max_age_days', '0', 'number', 'Days before a password must be changed (0 disables)');
+
+-- Settings are global until organisations_schema.sql is applied, and per organisation after
+DO $$
+BEGIN
+    IF to_regclass('organisations') IS NULL THEN
+        INSERT INTO system_settings (setting_key, setting_value, data_type, description, is_active)
+        SELECT setting_key, setting_value, data_type, description, true FROM password_policy_defaults
+        ON CONFLICT (setting_key) DO NOTHING;
+    ELSE
+        INSERT INTO system_settings (organisation_id, setting_key, setting_value, data_type, description, is_active)
+        SELECT o.id, d.setting_key, d.setting_value, d.data_type, d.description, true
+        FROM organisations o CROSS JOIN password_policy_defaults d
+        ON CONFLICT (organisation_id, setting_key) DO NOTHING;
+    END IF;
+END $$;
+
+DROP TABLE password_policy_defaults;
+
+COMMENT ON COLUMN users.password_changed_at IS 'When the password was last set; drives password_max_age_days';
@@ -0,0 +1,73 @@
+-- Project archiving: archived projects are hidden from default listings and read-only.
+-- is_active stays the flag listings filter on; archived_at/archived_by record who froze it.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id);
+
+-- Projects "deleted" before archiving existed were only marked inactive
+UPDATE projects SET archived_at = updated_at WHERE is_active = false AND archived_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_projects_archived ON projects(archived_at) WHERE archived_at IS NOT NULL;
+
+-- Whether a row (as JSON) belongs to an archived project, through its project_id or its
+-- task. The purge sets app.purging_project_id so the project's rows can be deleted.
+CREATE OR REPLACE FUNCTION row_in_archived_project(row_data JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM projects p
+        WHERE p.archived_at IS NOT NULL
+          AND p.id = COALESCE(
+              (row_data->>'project_id')::uuid,
+              (SELECT t.project_id FROM tasks t WHERE t.id = (row_data->>'task_id')::uuid)
+          )
+          AND p.id::text IS DISTINCT FROM current_setting('app.purging_project_id', true)
+    );
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION prevent_archived_project_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (TG_OP <> 'INSERT' AND row_in_archived_project(to_jsonb(OLD)))
+       OR (TG_OP <> 'DELETE' AND row_in_archived_project(to_jsonb(NEW))) THEN
+        RAISE EXCEPTION 'Project is archived' USING ERRCODE = 'MP001';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Invoices and payments are left writable so outstanding billing can be completed
+DO $$
+DECLARE
+    guarded_table TEXT;
+BEGIN
+    FOREACH guarded_table IN ARRAY ARRAY[
+        'milestones', 'tasks', 'task_dependencies', 'files', 'comments', 'time_entries', 'project_members'
+    ] LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS prevent_archived_project_changes ON %I', guarded_table);
+        EXECUTE format(
+            'CREATE TRIGGER prevent_archived_project_changes BEFORE INSERT OR UPDATE OR DELETE ON %I
+             FOR EACH ROW EXECUTE FUNCTION prevent_archived_project_changes()',
+            guarded_table
+        );
+    END LOOP;
+END $$;
+
+-- The project itself can only be changed by unarchiving it
+CREATE OR REPLACE FUNCTION prevent_archived_project_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.archived_at IS NOT NULL AND NEW.archived_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Project is archived' USING ERRCODE = 'MP001';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_archived_project_update ON projects;
+CREATE TRIGGER prevent_archived_project_update BEFORE UPDATE ON projects
+    FOR EACH ROW EXECUTE FUNCTION prevent_archived_project_update();
+
+COMMENT ON COLUMN projects.archived_at IS 'Set while the project is archived (read-only and hidden from default listings)';
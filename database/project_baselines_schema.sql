@@ -0,0 +1,42 @@
+-- Schedule baselines: snapshots of a project's planned dates and estimates that
+-- GET /api/projects/:id/variance compares the current plan against.
+-- Task and milestone ids are kept without foreign keys so deleted work still shows as removed.
+CREATE TABLE IF NOT EXISTS project_baselines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    start_date DATE,
+    end_date DATE,
+    estimated_hours INTEGER,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS project_baseline_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    baseline_id UUID NOT NULL REFERENCES project_baselines(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL,
+    milestone_id UUID,
+    title VARCHAR(255) NOT NULL,
+    due_date TIMESTAMP WITH TIME ZONE,
+    estimated_hours INTEGER,
+    UNIQUE(baseline_id, task_id)
+);
+
+CREATE TABLE IF NOT EXISTS project_baseline_milestones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    baseline_id UUID NOT NULL REFERENCES project_baselines(id) ON DELETE CASCADE,
+    milestone_id UUID NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    due_date DATE,
+    UNIQUE(baseline_id, milestone_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_baselines_project ON project_baselines(project_id, created_at DESC);
+
+-- Archived projects are read-only (see project_archive_schema.sql)
+DROP TRIGGER IF EXISTS prevent_archived_project_changes ON project_baselines;
+CREATE TRIGGER prevent_archived_project_changes BEFORE INSERT OR UPDATE OR DELETE ON project_baselines
+    FOR EACH ROW EXECUTE FUNCTION prevent_archived_project_changes();
+
+COMMENT ON TABLE project_baselines IS 'Planned schedule snapshots; the newest one is used for variance unless another is asked for';
@@ -0,0 +1,25 @@
+-- Budget burn alerts. Thresholds are percentages of the project budget consumed by
+-- logged time (hours_worked * hourly_rate); each fires once until cost drops below it again.
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'budget_alert';
+
+-- NULL uses the organisation's budget_alert_thresholds setting
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget_alert_thresholds INTEGER[];
+
+CREATE TABLE IF NOT EXISTS project_budget_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    threshold INTEGER NOT NULL,
+    consumed_cost DECIMAL(15, 2) NOT NULL,
+    budget DECIMAL(15, 2) NOT NULL,
+    notified_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(project_id, threshold)
+);
+
+INSERT INTO system_settings (organisation_id, setting_key, setting_value, data_type, description, is_active)
+SELECT id, 'budget_alert_thresholds', '[50, 80, 100]', 'json',
+       'Budget consumption percentages that notify the project manager and administrators', true
+FROM organisations
+ON CONFLICT (organisation_id, setting_key) DO NOTHING;
+
+COMMENT ON COLUMN projects.budget_alert_thresholds IS 'Budget percentages that raise alerts; NULL uses the organisation setting';
+COMMENT ON TABLE project_budget_alerts IS 'Budget thresholds already reported, so each alert is sent once';
@@ -0,0 +1,110 @@
+-- Automatic project progress. progress_percentage is computed from the project's tasks
+-- or milestones by the method chosen per project:
+--   tasks       completed tasks / tasks
+--   hours       estimated hours of completed tasks / estimated hours of all tasks
+--   milestones  weighted average of milestone completion; a completed milestone counts
+--               fully, an open one by the share of its tasks that are completed
+-- Canceled tasks are left out. hours falls back to tasks when nothing is estimated, and
+-- milestones falls back to tasks when the project has no milestones.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS progress_method VARCHAR(20) NOT NULL DEFAULT 'tasks'
+    CHECK (progress_method IN ('tasks', 'hours', 'milestones'));
+
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0);
+ALTER TABLE project_template_milestones ADD COLUMN IF NOT EXISTS weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0);
+
+CREATE OR REPLACE FUNCTION compute_project_progress(project_uuid UUID, method VARCHAR)
+RETURNS INTEGER AS $$
+DECLARE
+    task_progress NUMERIC;
+    hours_progress NUMERIC;
+    milestone_progress NUMERIC;
+BEGIN
+    SELECT COUNT(*) FILTER (WHERE status = 'completed') * 100.0 / NULLIF(COUNT(*), 0),
+           SUM(estimated_hours) FILTER (WHERE status = 'completed') * 100.0 / NULLIF(SUM(estimated_hours), 0)
+    INTO task_progress, hours_progress
+    FROM tasks
+    WHERE project_id = project_uuid AND status != 'canceled';
+
+    IF method = 'hours' AND hours_progress IS NOT NULL THEN
+        RETURN ROUND(hours_progress);
+    END IF;
+
+    IF method = 'milestones' THEN
+        SELECT SUM(m.weight * CASE
+                   WHEN m.is_completed THEN 1
+                   ELSE COALESCE(mt.completed::numeric / NULLIF(mt.total, 0), 0)
+               END) * 100.0 / NULLIF(SUM(m.weight), 0)
+        INTO milestone_progress
+        FROM milestones m
+        LEFT JOIN (
+            SELECT milestone_id,
+                   COUNT(*) as total,
+                   COUNT(*) FILTER (WHERE status = 'completed') as completed
+            FROM tasks
+            WHERE project_id = project_uuid AND status != 'canceled'
+            GROUP BY milestone_id
+        ) mt ON mt.milestone_id = m.id
+        WHERE m.project_id = project_uuid;
+
+        IF milestone_progress IS NOT NULL THEN
+            RETURN ROUND(milestone_progress);
+        END IF;
+    END IF;
+
+    RETURN COALESCE(ROUND(task_progress), 0);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Recompute after a task or milestone change that affects progress (both projects when a row moves)
+CREATE OR REPLACE FUNCTION update_project_progress()
+RETURNS TRIGGER AS $$
+DECLARE
+    affected_project UUID;
+BEGIN
+    FOR affected_project IN
+        SELECT DISTINCT changed.project_id
+        FROM unnest(ARRAY[NEW.project_id, OLD.project_id]) AS changed(project_id)
+        WHERE changed.project_id IS NOT NULL
+    LOOP
+        UPDATE projects
+        SET progress_percentage = compute_project_progress(id, progress_method)
+        WHERE id = affected_project
+          AND progress_percentage IS DISTINCT FROM compute_project_progress(id, progress_method);
+    END LOOP;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_project_progress_trigger ON tasks;
+CREATE TRIGGER update_project_progress_trigger
+    AFTER INSERT OR DELETE OR UPDATE OF status, estimated_hours, project_id, milestone_id ON tasks
+    FOR EACH ROW EXECUTE FUNCTION update_project_progress();
+
+DROP TRIGGER IF EXISTS update_project_progress_trigger ON milestones;
+CREATE TRIGGER update_project_progress_trigger
+    AFTER INSERT OR DELETE OR UPDATE OF is_completed, weight, project_id ON milestones
+    FOR EACH ROW EXECUTE FUNCTION update_project_progress();
+
+-- Switching method recomputes immediately
+CREATE OR REPLACE FUNCTION apply_project_progress_method()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.progress_percentage := compute_project_progress(NEW.id, NEW.progress_method);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS apply_project_progress_method ON projects;
+CREATE TRIGGER apply_project_progress_method
+    BEFORE UPDATE OF progress_method ON projects
+    FOR EACH ROW WHEN (OLD.progress_method IS DISTINCT FROM NEW.progress_method)
+    EXECUTE FUNCTION apply_project_progress_method();
+
+-- Replace hand-entered values (archived projects keep theirs)
+UPDATE projects
+SET progress_percentage = compute_project_progress(id, progress_method)
+WHERE is_active = true;
+
+COMMENT ON COLUMN projects.progress_method IS 'How progress_percentage is computed: tasks, hours or milestones';
+COMMENT ON COLUMN milestones.weight IS 'Relative weight of the milestone when progress_method is milestones';
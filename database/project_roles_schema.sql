@@ -0,0 +1,26 @@
+-- Defined project member roles (owner, maintainer, contributor, viewer, billing)
+
+-- Map free-text roles from before to the closest defined role
+UPDATE project_members SET role = CASE
+    WHEN LOWER(role) IN ('owner', 'project manager', 'project creator', 'manager') THEN 'owner'
+    WHEN LOWER(role) IN ('maintainer', 'lead', 'tech lead', 'team lead', 'senior developer') THEN 'maintainer'
+    WHEN LOWER(role) IN ('viewer', 'observer', 'stakeholder') THEN 'viewer'
+    WHEN LOWER(role) IN ('billing', 'accountant', 'finance') THEN 'billing'
+    ELSE 'contributor'
+END
+WHERE role IS NULL OR role NOT IN ('owner', 'maintainer', 'contributor', 'viewer', 'billing');
+
+ALTER TABLE project_members ALTER COLUMN role SET DEFAULT 'contributor';
+ALTER TABLE project_members ALTER COLUMN role SET NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'project_members_role_check') THEN
+        ALTER TABLE project_members ADD CONSTRAINT project_members_role_check
+            CHECK (role IN ('owner', 'maintainer', 'contributor', 'viewer', 'billing'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user_active ON project_members(user_id, project_id) WHERE left_at IS NULL;
+
+COMMENT ON COLUMN project_members.role IS 'Project role; permissions per role are defined in services/projectRoles.js';
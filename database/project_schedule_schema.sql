@@ -0,0 +1,7 @@
+-- Critical path scheduling (GET /api/projects/:id/schedule) turns estimated hours into
+-- days of work using this per-organisation setting.
+INSERT INTO system_settings (organisation_id, setting_key, setting_value, data_type, description, is_active)
+SELECT id, 'schedule_hours_per_day', '8', 'number',
+       'Working hours in a day when scheduling tasks from their estimates', true
+FROM organisations
+ON CONFLICT (organisation_id, setting_key) DO NOTHING;
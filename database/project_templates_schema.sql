@@ -0,0 +1,65 @@
+-- Project templates: milestones, tasks and default members that new projects start with.
+-- Due dates are stored as day offsets from the project's start date.
+CREATE TABLE IF NOT EXISTS project_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organisation_id UUID NOT NULL REFERENCES organisations(id),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_by UUID REFERENCES users(id),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_templates_organisation ON project_templates(organisation_id) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS update_project_templates_updated_at ON project_templates;
+CREATE TRIGGER update_project_templates_updated_at BEFORE UPDATE ON project_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS project_template_milestones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES project_templates(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    due_offset_days INTEGER,
+    order_index INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS project_template_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES project_templates(id) ON DELETE CASCADE,
+    template_milestone_id UUID REFERENCES project_template_milestones(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    priority task_priority DEFAULT 'medium',
+    estimated_hours INTEGER,
+    due_offset_days INTEGER,
+    order_index INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS project_template_task_dependencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_task_id UUID NOT NULL REFERENCES project_template_tasks(id) ON DELETE CASCADE,
+    depends_on_template_task_id UUID NOT NULL REFERENCES project_template_tasks(id) ON DELETE CASCADE,
+    UNIQUE(template_task_id, depends_on_template_task_id),
+    CHECK(template_task_id != depends_on_template_task_id)
+);
+
+CREATE TABLE IF NOT EXISTS project_template_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES project_templates(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(100) NOT NULL DEFAULT 'contributor'
+        CHECK (role IN ('owner', 'maintainer', 'contributor', 'viewer', 'billing')),
+    hourly_rate DECIMAL(10, 2),
+    UNIQUE(template_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_template_milestones_template ON project_template_milestones(template_id);
+CREATE INDEX IF NOT EXISTS idx_project_template_tasks_template ON project_template_tasks(template_id);
+CREATE INDEX IF NOT EXISTS idx_project_template_members_template ON project_template_members(template_id);
+
+COMMENT ON TABLE project_templates IS 'Blueprints for new projects; instantiated by POST /api/projects/from-template';
+COMMENT ON COLUMN project_template_milestones.due_offset_days IS 'Days after the project start date; NULL for no due date';
+COMMENT ON COLUMN project_template_tasks.due_offset_days IS 'Days after the project start date; NULL for no due date';
@@ -0,0 +1,30 @@
+-- Registration approval queue: self-service sign-ups wait here until an administrator reviews them
+CREATE TABLE IF NOT EXISTS registration_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20),
+    role user_role NOT NULL DEFAULT 'developer',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    invite_accepted_at TIMESTAMP WITH TIME ZONE,
+    ip_address INET,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (role != 'administrator')
+);
+
+CREATE INDEX IF NOT EXISTS idx_registration_requests_status ON registration_requests(status);
+CREATE INDEX IF NOT EXISTS idx_registration_requests_email ON registration_requests(email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_registration_requests_pending_email
+    ON registration_requests(email) WHERE status = 'pending';
+
+CREATE TRIGGER update_registration_requests_updated_at BEFORE UPDATE ON registration_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE registration_requests IS 'Pending, approved and rejected self-service registration requests';
+COMMENT ON COLUMN registration_requests.invite_accepted_at IS 'When the set-your-password invite link was used';
@@ -0,0 +1,64 @@
+-- Fine-grained permissions per role, enforced by requirePermission()
+CREATE TABLE IF NOT EXISTS role_permissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    role user_role NOT NULL,
+    permission VARCHAR(100) NOT NULL,
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(role, permission)
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_permissions_role ON role_permissions(role) WHERE is_active = true;
+
+-- Seed with the access each role had before permissions were configurable
+INSERT INTO role_permissions (role, permission)
+SELECT 'administrator', permission FROM unnest(ARRAY[
+    'users.read', 'users.write', 'users.delete', 'users.impersonate',
+    'projects.read', 'projects.write', 'projects.delete', 'projects.manage',
+    'milestones.read', 'milestones.write', 'milestones.delete', 'milestones.manage',
+    'tasks.read', 'tasks.write', 'tasks.delete', 'tasks.manage',
+    'clients.read', 'clients.write', 'clients.delete',
+    'companies.read', 'companies.write', 'companies.delete',
+    'invoices.read', 'invoices.write', 'invoices.delete',
+    'reports.read', 'reports.write', 'reports.financial',
+    'settings.read', 'settings.write',
+    'files.read', 'files.write', 'files.delete', 'files.manage',
+    'time.read', 'time.write', 'time.delete', 'time.manage',
+    'comments.read', 'comments.write', 'comments.delete', 'comments.manage',
+    'chat.read', 'chat.write', 'chat.manage',
+    'exports.read', 'exports.write', 'exports.delete', 'exports.manage',
+    'dashboard.read'
+]) AS permission
+ON CONFLICT (role, permission) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission)
+SELECT 'developer', permission FROM unnest(ARRAY[
+    'users.read', 'projects.read', 'projects.write',
+    'milestones.read', 'milestones.write', 'milestones.delete',
+    'tasks.read', 'tasks.write', 'tasks.delete',
+    'clients.read', 'clients.write', 'companies.read',
+    'invoices.read', 'invoices.write',
+    'reports.read', 'reports.write', 'reports.financial',
+    'files.read', 'files.write', 'files.delete',
+    'time.read', 'time.write', 'time.delete',
+    'comments.read', 'comments.write', 'comments.delete',
+    'chat.read', 'chat.write',
+    'exports.read', 'exports.write', 'exports.delete',
+    'dashboard.read'
+]) AS permission
+ON CONFLICT (role, permission) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission)
+SELECT 'client', permission FROM unnest(ARRAY[
+    'projects.read', 'milestones.read',
+    'tasks.read', 'tasks.write', 'tasks.delete',
+    'invoices.read', 'reports.read', 'reports.write',
+    'files.read', 'files.write', 'files.delete',
+    'time.read',
+    'comments.read', 'comments.write', 'comments.delete',
+    'chat.read', 'chat.write',
+    'exports.read', 'exports.write', 'exports.delete',
+    'dashboard.read'
+]) AS permission
+ON CONFLICT (role, permission) DO NOTHING;
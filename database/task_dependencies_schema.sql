@@ -0,0 +1,9 @@
+-- Task dependency enforcement. With enforce_dependencies on, a task cannot be started or
+-- completed while a task it depends on is still open (neither completed nor canceled).
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS enforce_dependencies BOOLEAN NOT NULL DEFAULT false;
+
+-- Dependents and cycle checks walk the graph from the prerequisite side
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_task ON task_dependencies(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies(depends_on_task_id);
+
+COMMENT ON COLUMN projects.enforce_dependencies IS 'Reject starting or completing tasks whose prerequisites are unfinished';
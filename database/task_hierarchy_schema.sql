@@ -0,0 +1,72 @@
+-- Subtasks. A task may have a parent task in the same project, to any depth.
+-- estimated_hours and actual_hours stay the task's own; the API adds up each task's
+-- subtree when reading it (services/taskHierarchy.js).
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE;
+
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_parent_not_self;
+ALTER TABLE tasks ADD CONSTRAINT tasks_parent_not_self CHECK (parent_task_id != id);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id);
+
+-- Templates and clones keep the hierarchy
+ALTER TABLE project_template_tasks ADD COLUMN IF NOT EXISTS parent_template_task_id UUID
+    REFERENCES project_template_tasks(id) ON DELETE CASCADE;
+
+-- The parent must be in the same project and must not be the task itself or one of its subtasks
+CREATE OR REPLACE FUNCTION check_task_parent()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.parent_task_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM tasks WHERE id = NEW.parent_task_id AND project_id = NEW.project_id) THEN
+        RAISE EXCEPTION 'Parent task % is not in the same project', NEW.parent_task_id
+            USING ERRCODE = 'MP002';
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND EXISTS (
+        WITH RECURSIVE ancestors(id) AS (
+            SELECT NEW.parent_task_id
+            UNION
+            SELECT t.parent_task_id FROM tasks t JOIN ancestors a ON t.id = a.id
+            WHERE t.parent_task_id IS NOT NULL
+        )
+        SELECT 1 FROM ancestors WHERE id = NEW.id
+    ) THEN
+        RAISE EXCEPTION 'Task % cannot be moved under its own subtask', NEW.id
+            USING ERRCODE = 'MP002';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_task_parent ON tasks;
+CREATE TRIGGER check_task_parent
+    BEFORE INSERT OR UPDATE OF parent_task_id, project_id ON tasks
+    FOR EACH ROW EXECUTE FUNCTION check_task_parent();
+
+-- Subtask counts and hours of a task's whole subtree, the task itself included.
+-- Canceled subtasks keep their actual hours in the totals but not their estimates.
+CREATE OR REPLACE FUNCTION task_subtree_totals(task_uuid UUID)
+RETURNS TABLE (
+    subtask_count INTEGER,
+    open_subtask_count INTEGER,
+    total_estimated_hours INTEGER,
+    total_actual_hours INTEGER
+) AS $$
+    WITH RECURSIVE subtree(id, estimated_hours, actual_hours, status, depth) AS (
+        SELECT id, estimated_hours, actual_hours, status, 0 FROM tasks WHERE id = task_uuid
+        UNION ALL
+        SELECT t.id, t.estimated_hours, t.actual_hours, t.status, s.depth + 1
+        FROM tasks t JOIN subtree s ON t.parent_task_id = s.id
+    )
+    SELECT (COUNT(*) FILTER (WHERE depth > 0))::int,
+           (COUNT(*) FILTER (WHERE depth > 0 AND status NOT IN ('completed', 'canceled')))::int,
+           (SUM(estimated_hours) FILTER (WHERE depth = 0 OR status != 'canceled'))::int,
+           COALESCE(SUM(actual_hours), 0)::int
+    FROM subtree;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON COLUMN tasks.parent_task_id IS 'Parent task; subtasks are deleted with it';
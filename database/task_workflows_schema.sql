@@ -0,0 +1,49 @@
+-- Per-project task workflows. A workflow lists custom statuses (e.g. "In review", "Blocked"),
+-- each in a category (todo, doing, done) and mapped to one of the built-in task_status
+-- values, which progress, reports and dependency checks keep using. Transitions, when any
+-- are defined, are the only status changes allowed, and may require task fields to be set.
+-- Projects without a workflow use the built-in statuses with any transition allowed.
+CREATE TABLE IF NOT EXISTS task_workflows (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id UUID NOT NULL UNIQUE REFERENCES projects(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS task_workflow_statuses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id UUID NOT NULL REFERENCES task_workflows(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    category VARCHAR(10) NOT NULL CHECK (category IN ('todo', 'doing', 'done')),
+    task_status task_status NOT NULL,
+    color VARCHAR(20),
+    order_index INTEGER DEFAULT 0,
+    UNIQUE(workflow_id, key)
+);
+
+-- from_status NULL allows the transition from any status
+CREATE TABLE IF NOT EXISTS task_workflow_transitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workflow_id UUID NOT NULL REFERENCES task_workflows(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    required_fields TEXT[] NOT NULL DEFAULT '{}'
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_workflow_transitions_unique
+    ON task_workflow_transitions(workflow_id, COALESCE(from_status, ''), to_status);
+
+-- The task's status key in its project's workflow; NULL means the built-in status
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS workflow_status VARCHAR(50);
+
+-- Archived projects are read-only (see project_archive_schema.sql)
+DROP TRIGGER IF EXISTS prevent_archived_project_changes ON task_workflows;
+CREATE TRIGGER prevent_archived_project_changes BEFORE INSERT OR UPDATE OR DELETE ON task_workflows
+    FOR EACH ROW EXECUTE FUNCTION prevent_archived_project_changes();
+
+COMMENT ON TABLE task_workflows IS 'Custom task statuses and transitions of a project';
+COMMENT ON COLUMN task_workflow_statuses.task_status IS 'Built-in status stored on tasks in this status';
+COMMENT ON COLUMN tasks.workflow_status IS 'Status key in the project workflow; NULL uses status';
@@ -0,0 +1,40 @@
+-- TOTP two-factor authentication
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE;
+
+-- One-time recovery codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+-- The settings API reads data_type/is_active/updated_by, which older schemas lack
+ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS data_type VARCHAR(50) DEFAULT 'string';
+ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE system_settings ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id);
+
+-- Roles that must enrol in two-factor authentication before they can sign in. Settings are
+-- global until organisations_schema.sql is applied, and per organisation after
+DO $$
+BEGIN
+    IF to_regclass('organisations') IS NULL THEN
+        INSERT INTO system_settings (setting_key, setting_value, data_type, description, is_active)
+        VALUES ('two_factor_required_roles', '[]', 'json', 'Roles required to use two-factor authentication', true)
+        ON CONFLICT (setting_key) DO NOTHING;
+    ELSE
+        INSERT INTO system_settings (organisation_id, setting_key, setting_value, data_type, description, is_active)
+        SELECT id, 'two_factor_required_roles', '[]', 'json', 'Roles required to use two-factor authentication', true
+        FROM organisations
+        ON CONFLICT (organisation_id, setting_key) DO NOTHING;
+    END IF;
+END $$;
+
+COMMENT ON COLUMN users.two_factor_secret IS 'AES-256-GCM encrypted base32 TOTP secret';
+COMMENT ON COLUMN users.two_factor_last_step IS 'Last accepted TOTP time step, used to block code replay';
@@ -1,5 +1,118 @@
 const jwt = require('jsonwebtoken');
+const { validate: isUUID } = require('uuid');
 const db = require('../config/database');
+const { touchSession } = require('../services/sessions');
+const { runWithRequestContext } = require('../services/requestContext');
+const { isPasswordExpired } = require('../services/passwordPolicy');
+const { hasPermission } = require('../services/permissions');
+const { getAccessScope } = require('../services/accessScope');
+const {
+  isAccessToken,
+  findAccessTokenUser,
+  requiredScope,
+  hasScope,
+  recordAccessTokenUse
+} = require('../services/accessTokens');
+
+// Load the user behind a decoded access token, provided its session is still live.
+// Impersonation sessions also need the impersonator to still be an active administrator;
+// the impersonator is returned alongside the user as user.impersonator.
+const findSessionUser = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const userQuery = `
+    SELECT u.id, u.email, u.role, u.is_active, u.first_name, u.last_name, u.organisation_id,
+           -- SSO users sign in through the IdP, so local password age does not apply
+           CASE WHEN u.oidc_subject IS NULL THEN u.password_changed_at END as password_changed_at,
+           s.impersonator_id, imp.email as impersonator_email,
+           imp.first_name as impersonator_first_name, imp.last_name as impersonator_last_name
+    FROM users u
+    JOIN organisations o ON o.id = u.organisation_id AND o.is_active = true
+    JOIN user_sessions s ON s.user_id = u.id
+    LEFT JOIN users imp ON s.impersonator_id = imp.id
+    WHERE u.id = $1 AND u.is_active = true
+    AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+    AND (s.impersonator_id IS NULL OR (
+      imp.is_active = true AND imp.role = 'administrator' AND imp.organisation_id = u.organisation_id
+    ))
+  `;
+
+  const result = await db.query(userQuery, [decoded.userId, decoded.sid]);
+  const row = result.rows[0];
+
+  // The token and the session must agree on who is impersonating
+  if (!row || (decoded.imp || null) !== (row.impersonator_id || null)) {
+    return null;
+  }
+
+  const {
+    impersonator_id, impersonator_email, impersonator_first_name, impersonator_last_name, ...user
+  } = row;
+
+  if (impersonator_id) {
+    user.impersonator = {
+      id: impersonator_id,
+      email: impersonator_email,
+      first_name: impersonator_first_name,
+      last_name: impersonator_last_name
+    };
+  }
+
+  return user;
+};
+
+// Personal access tokens: hashed lookup plus a scope check against the router being called
+const authenticateAccessToken = async (token, req, res, next) => {
+  // Tokens must not be able to mint more tokens, change passwords or manage sessions
+  if (req.baseUrl === '/api/auth') {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for account management' });
+  }
+
+  let found;
+  try {
+    found = await findAccessTokenUser(token);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!found) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked access token' });
+  }
+
+  const scope = requiredScope(req);
+  if (!hasScope(found.accessToken.scopes, scope)) {
+    return res.status(403).json({ error: `Access token is missing the ${scope} scope` });
+  }
+
+  // Tokens stop working with an expired password, like sessions; the password is changed
+  // through /api/auth, which tokens cannot call
+  const { password_changed_at, ...user } = found.user;
+  try {
+    if (await isPasswordExpired(password_changed_at, user.organisation_id)) {
+      return res.status(403).json({
+        error: 'Your password has expired and must be changed',
+        password_expired: true
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = user;
+  req.accessToken = found.accessToken;
+
+  // Usage logging must never fail the request
+  recordAccessTokenUse(found.accessToken, user, req).catch(error => {
+    console.error('Failed to record access token use:', error.message);
+  });
+
+  next();
+};
+
+// What a user with an expired password may still do
+const PASSWORD_EXPIRED_ALLOWED_PATHS = ['/api/auth/change-password', '/api/auth/logout'];
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -9,23 +122,42 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (isAccessToken(token)) {
+    return authenticateAccessToken(token, req, res, next);
+  }
+
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    
-    const userQuery = `
-      SELECT id, email, role, is_active, first_name, last_name
-      FROM users 
-      WHERE id = $1 AND is_active = true
-    `;
-    
-    const result = await db.query(userQuery, [decoded.userId]);
-    
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found or inactive' });
+
+    const user = await findSessionUser(decoded);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Session expired or user inactive' });
+    }
+
+    const { impersonator, password_changed_at, ...sessionUser } = user;
+    req.user = sessionUser;
+    req.sessionId = decoded.sid;
+
+    if (!impersonator && await isPasswordExpired(password_changed_at, sessionUser.organisation_id)
+      && !PASSWORD_EXPIRED_ALLOWED_PATHS.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({
+        error: 'Your password has expired and must be changed',
+        password_expired: true
+      });
+    }
+
+    // Last-seen bookkeeping must never fail the request
+    touchSession(decoded.sid, req).catch(error => {
+      console.error('Failed to update session activity:', error.message);
+    });
+
+    if (impersonator) {
+      req.impersonator = impersonator;
+      // Everything this request writes to activity_logs is attributed to the real actor too
+      return runWithRequestContext({ impersonatorId: impersonator.id }, next);
     }
 
-    req.user = result.rows[0];
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -35,6 +167,14 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Password, credential and permission changes must be made by the account owner themselves
+const forbidDuringImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({ error: 'This action is not allowed while impersonating a user' });
+  }
+  next();
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -49,6 +189,60 @@ const requireRole = (roles) => {
   };
 };
 
+// Every listed permission is required; grants come from role_permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      for (const permission of permissions) {
+        if (!(await hasPermission(req.user.role, permission))) {
+          return res.status(403).json({ error: 'Insufficient permissions', required: permission });
+        }
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  };
+};
+
+// Users who work for several companies pick one per request with the X-Company-Id header
+// (or ?company=); access scopes then only show that company's data. Without it they see all
+// of their companies together.
+const resolveCompanyContext = async (req, res, next) => {
+  const companyId = req.headers['x-company-id'] || req.query.company;
+
+  if (!req.user || !companyId) {
+    return next();
+  }
+
+  if (typeof companyId !== 'string' || !isUUID(companyId)) {
+    return res.status(400).json({ error: 'Invalid company id' });
+  }
+
+  try {
+    const scope = await getAccessScope(req.user);
+    const params = [companyId];
+    const result = await db.query(
+      `SELECT 1 FROM companies c WHERE c.id = $1 AND c.is_active = true AND ${scope.companies('c.id', params)}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'You do not have access to this company' });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user.active_company_id = companyId;
+  next();
+};
+
 const requireAdminOrOwner = async (req, res, next) => {
   if (req.user.role === 'administrator') {
     return next();
@@ -85,6 +279,10 @@ const requireAdminOrOwner = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  findSessionUser,
+  forbidDuringImpersonation,
   requireRole,
+  requirePermission,
+  resolveCompanyContext,
   requireAdminOrOwner
 };
@@ -28,6 +28,18 @@ const errorHandler = (err, req, res, next) => {
           status: 400
         };
         break;
+      case 'MP001': // Raised by the archived project triggers
+        error = {
+          message: 'Project is archived and read-only',
+          status: 409
+        };
+        break;
+      case 'MP002': // Raised by the task hierarchy trigger
+        error = {
+          message: 'Parent task must be in the same project and outside the task\'s subtasks',
+          status: 400
+        };
+        break;
       case '42P01': // Undefined table
         error = {
           message: 'Database configuration error',
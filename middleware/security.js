@@ -2,6 +2,7 @@ const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
+const { passwordMeetsPolicy } = require('./validation');
 
 // Create DOMPurify instance for HTML sanitization
 const window = new JSDOM('').window;
@@ -283,14 +284,10 @@ const validateEmail = [
 ];
 
 /**
- * Password strength validation
+ * Password strength validation against the configured password policy
  */
 const validatePassword = [
-  body('password')
-    .isLength({ min: 8, max: 128 })
-    .withMessage('Password must be 8-128 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one lowercase, uppercase, digit, and special character'),
+  passwordMeetsPolicy(),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
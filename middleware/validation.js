@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { checkPassword } = require('../services/passwordPolicy');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -11,10 +12,25 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password rules come from the configurable policy (of the signed-in admin's organisation, when
+// creating accounts for it); names and email in the same body are checked too
+const passwordMeetsPolicy = (field = 'password') => body(field).custom(async (password, { req }) => {
+  const errors = await checkPassword(password, {
+    email: req.body.email,
+    first_name: req.body.first_name,
+    last_name: req.body.last_name,
+    organisation_id: req.user ? req.user.organisation_id : null
+  });
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+  return true;
+});
+
 // User validation rules
 const validateUserRegistration = [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 8 }).matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/),
+  passwordMeetsPolicy(),
   body('first_name').trim().isLength({ min: 2, max: 100 }),
   body('last_name').trim().isLength({ min: 2, max: 100 }),
   body('role').optional().isIn(['administrator', 'developer', 'client']),
@@ -45,6 +61,7 @@ const validateTask = [
   body('title').trim().isLength({ min: 3, max: 255 }),
   body('description').optional().trim().isLength({ max: 5000 }),
   body('project_id').isUUID(),
+  body('parent_task_id').optional({ nullable: true }).isUUID(),
   body('priority').optional().isIn(['low', 'medium', 'high']),
   body('status').optional().isIn(['new', 'in_progress', 'completed', 'canceled']),
   body('estimated_hours').optional().isInt({ min: 0 }),
@@ -97,6 +114,7 @@ const validatePagination = [
 ];
 
 module.exports = {
+  passwordMeetsPolicy,
   validateUserRegistration,
   validateUserLogin,
   validateProject,
@@ -1,12 +1,55 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const emailTransporter = require('../config/email');
+const { authenticateToken, forbidDuringImpersonation } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  disconnectSessions
+} = require('../services/sessions');
+const {
+  generateSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  isTwoFactorRequired,
+  generateChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactor');
+const {
+  getLockRemaining,
+  recordFailedLogin,
+  resetFailedLogins,
+  isUnrecognizedDevice
+} = require('../services/loginProtection');
+const { addUserToGeneralChat } = require('../services/chat');
+const { getDefaultOrganisationId } = require('../services/organisations');
+const { issueToken, peekToken, consumeToken, revokeTokens } = require('../services/oneTimeTokens');
+const { getPasswordPolicy, checkPassword, updatePassword } = require('../services/passwordPolicy');
+const {
+  AUTH_REQUEST_TTL_MINUTES,
+  getOidcConfig,
+  isOidcEnabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveOidcUser,
+  purgeExpiredAuthRequests
+} = require('../services/oidc');
+const {
+  ACCESS_TOKEN_SCOPES,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken
+} = require('../services/accessTokens');
 const { 
   authRateLimit, 
   validateEmail, 
@@ -16,31 +59,128 @@ const {
 
 const router = express.Router();
 
-// Email transporter configuration
-const emailTransporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: process.env.EMAIL_SECURE === 'true',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD
+// Warn the account owner about a sign-in from an IP address or browser not seen before
+const sendNewDeviceAlert = async (user, req) => {
+  const signedInAt = new Date().toUTCString();
+  // The user agent is attacker-controlled; keep it out of the HTML markup
+  const userAgent = (req.get('User-Agent') || 'Unknown').replace(/[<>&"']/g, '');
+
+  await emailTransporter.sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'New sign-in to your account - Meta Software',
+    html: `
+      <h2>New Sign-in Detected</h2>
+      <p>Hi ${user.first_name},</p>
+      <p>Your account was just signed in to from a device or location we have not seen before:</p>
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Time:</strong> ${signedInAt}</p>
+        <p><strong>IP address:</strong> ${req.ip}</p>
+        <p><strong>Browser:</strong> ${userAgent}</p>
+      </div>
+      <p>If this was you, you can ignore this email.</p>
+      <p>If not, change your password immediately and sign out of all other sessions from your account settings.</p>
+      <p>Best regards,<br>Meta Software Team</p>
+    `
+  });
+};
+
+// Finish a successful sign-in: stamp last login, open a session and log it
+const completeLogin = async (user, req, method = 'password') => {
+  // Must run before the new session exists, otherwise the device is always known
+  const unrecognizedDevice = await isUnrecognizedDevice(user.id, req);
+
+  await resetFailedLogins(user.id);
+
+  await db.query(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  const { token, refreshToken, sessionId } = await createSession(user.id, req);
+
+  await db.query(
+    'INSERT INTO activity_logs (user_id, action, entity_type, details, ip_address) VALUES ($1, $2, $3, $4, $5)',
+    [user.id, 'user_login', 'user', { email: user.email, session_id: sessionId, method, new_device: unrecognizedDevice }, req.ip]
+  );
+
+  if (unrecognizedDevice) {
+    sendNewDeviceAlert(user, req).catch(emailError => {
+      console.error('Failed to send new sign-in alert:', emailError);
+    });
   }
-});
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
+  return { token, refreshToken };
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: '30d'
+// Continue a sign-in once the password or magic link has been accepted:
+// ask for a 2FA code, demand 2FA enrolment, or open the session
+const respondAfterFirstFactor = async (user, req, res, method) => {
+  // Remove secrets from response
+  delete user.password_hash;
+  delete user.locked_until;
+  const twoFactorEnabled = user.two_factor_enabled;
+  delete user.two_factor_enabled;
+
+  // Second step: a code is needed before any session is created
+  if (twoFactorEnabled) {
+    return res.json({
+      message: 'Two-factor authentication required',
+      two_factor_required: true,
+      challenge_token: generateChallengeToken(user.id, '2fa_challenge')
+    });
+  }
+
+  // Role requires 2FA but the user has not enrolled yet
+  if (await isTwoFactorRequired(user.role, user.organisation_id)) {
+    return res.json({
+      message: 'Two-factor authentication must be set up before signing in',
+      two_factor_setup_required: true,
+      challenge_token: generateChallengeToken(user.id, '2fa_setup')
+    });
+  }
+
+  const { token, refreshToken } = await completeLogin(user, req, method);
+
+  res.json({
+    message: 'Login successful',
+    user,
+    token,
+    refreshToken
   });
 };
 
+// Sign-in paths without a password (magic link, SSO) still honour deactivation,
+// lockout and two-factor before a session is issued
+const respondForPasswordlessLogin = async (userId, req, res, method) => {
+  const result = await db.query(
+    `SELECT u.id, u.email, u.first_name, u.last_name, u.role,
+            u.is_active AND o.is_active as is_active, u.email_verified,
+            u.two_factor_enabled, u.locked_until, u.organisation_id
+     FROM users u
+     JOIN organisations o ON o.id = u.organisation_id
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0 || !result.rows[0].is_active) {
+    return res.status(401).json({ error: 'Account is deactivated' });
+  }
+
+  const user = result.rows[0];
+
+  // A locked account stays locked whichever way the user signs in
+  const lockRemaining = getLockRemaining(user);
+  if (lockRemaining > 0) {
+    return res.status(429).json({
+      error: 'Too many failed login attempts. Please try again later.',
+      retryAfter: lockRemaining
+    });
+  }
+
+  await respondAfterFirstFactor(user, req, res, method);
+};
+
 // @route   POST /api/auth/register-request
 // @desc    Request registration as client or developer
 // @access  Public
@@ -60,111 +200,105 @@ router.post('/register-request',
       .withMessage('Last name must be 2-50 characters and contain only letters'),
     body('role')
       .isIn(['developer', 'client'])
-      .withMessage('Only developer and client roles are allowed for registration requests')
+      .withMessage('Only developer and client roles are allowed for registration requests'),
+    body('organisation').optional().isString().trim().isLength({ min: 1, max: 100 })
   ],
   async (req, res, next) => {
   try {
-    const { email, first_name, last_name, phone, role = 'developer' } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email, first_name, last_name, phone, role = 'developer', organisation } = req.body;
 
     // Block admin registration requests
     if (role === 'administrator') {
       return res.status(403).json({ error: 'Admin registration is not allowed through this endpoint' });
     }
 
+    // Requests go to the organisation named by its slug, or the default one
+    let organisationId;
+    if (organisation) {
+      const organisationResult = await db.query(
+        'SELECT id FROM organisations WHERE slug = $1 AND is_active = true',
+        [organisation]
+      );
+      if (organisationResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Organisation not found' });
+      }
+      organisationId = organisationResult.rows[0].id;
+    } else {
+      organisationId = await getDefaultOrganisationId();
+    }
+
     // Check if user already exists
     const existingUser = await db.query('SELECT id FROM users WHERE email = $1', [email]);
     if (existingUser.rows.length > 0) {
       return res.status(409).json({ error: 'User already exists with this email' });
     }
 
-    // Generate a random password
-    const generatedPassword = crypto.randomBytes(8).toString('hex').slice(0, 12) + 'A1!';
-    
-    // Hash password
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(generatedPassword, saltRounds);
+    // Only one open request per email
+    const existingRequest = await db.query(
+      "SELECT id FROM registration_requests WHERE email = $1 AND status = 'pending'",
+      [email]
+    );
+    if (existingRequest.rows.length > 0) {
+      return res.status(409).json({ error: 'A registration request for this email is already pending' });
+    }
 
-    // Insert new user with email_verified as false initially
+    // Queue the request; no account exists until an administrator approves it
     const query = `
-      INSERT INTO users (email, password_hash, first_name, last_name, phone, role, email_verified, is_active)
-      VALUES ($1, $2, $3, $4, $5, $6, false, true)
-      RETURNING id, email, first_name, last_name, role, created_at
+      INSERT INTO registration_requests (email, first_name, last_name, phone, role, ip_address, organisation_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, email, first_name, last_name, role, status, created_at
     `;
     
-    const values = [email, hashedPassword, first_name, last_name, phone, role];
+    const values = [email, first_name, last_name, phone, role, req.ip, organisationId];
     const result = await db.query(query, values);
-    const user = result.rows[0];
+    const registrationRequest = result.rows[0];
 
-    // Send email with credentials
-    try {
-      await emailTransporter.sendMail({
-        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-        to: email,
-        subject: 'Welcome to Meta Project Management - Account Created',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #333;">Welcome to Meta Project Management!</h2>
-            <p>Hello ${first_name} ${last_name},</p>
-            <p>Your account has been created successfully. Here are your login credentials:</p>
-            <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
-              <p><strong>Email:</strong> ${email}</p>
-              <p><strong>Password:</strong> ${generatedPassword}</p>
-              <p><strong>Role:</strong> ${role}</p>
-            </div>
-            <p>Please keep these credentials safe and consider changing your password after your first login.</p>
-            <p>You can access the system at: <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/login">Login Here</a></p>
-            <p>Best regards,<br>Meta Project Management Team</p>
-          </div>
-        `
-      });
-    } catch (emailError) {
-      console.error('Failed to send welcome email:', emailError);
-      // Don't fail the registration if email fails
+    // Notify the organisation's administrators
+    const adminsResult = await db.query(
+      "SELECT id FROM users WHERE role = 'administrator' AND is_active = true AND organisation_id = $1",
+      [organisationId]
+    );
+    for (const admin of adminsResult.rows) {
+      await db.query(
+        `INSERT INTO notifications (user_id, type, title, message, data) 
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          admin.id,
+          'system',
+          'New Registration Request',
+          `${first_name} ${last_name} (${email}) requested a ${role} account`,
+          JSON.stringify({ registration_request_id: registrationRequest.id })
+        ]
+      );
     }
 
-    // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Add user to general chat room automatically
-    try {
-      // Find the general discussion room (where project_id is NULL and name contains 'General')
-      const generalRoomQuery = `
-        SELECT id FROM chat_rooms 
-        WHERE project_id IS NULL 
-        AND (LOWER(name) LIKE '%general%' OR LOWER(name) LIKE '%discussion%')
-        LIMIT 1
-      `;
-      const generalRoomResult = await db.query(generalRoomQuery);
-      
-      if (generalRoomResult.rows.length > 0) {
-        const generalRoomId = generalRoomResult.rows[0].id;
-        
-        // Add user to general chat room
-        await db.query(
-          'INSERT INTO chat_participants (chat_room_id, user_id) VALUES ($1, $2) ON CONFLICT (chat_room_id, user_id) DO NOTHING',
-          [generalRoomId, user.id]
-        );
-      }
-    } catch (chatError) {
-      // Log the error but don't fail registration
-      console.error('Failed to add user to general chat room:', chatError);
+    const io = req.app.get('socketio');
+    if (io) {
+      adminsResult.rows.forEach(admin => {
+        io.to(`user_${admin.id}`).emit('registration_requested', { registration_request: registrationRequest });
+      });
     }
 
     // Log activity
     await db.query(
-      'INSERT INTO activity_logs (user_id, action, entity_type, details) VALUES ($1, $2, $3, $4)',
-      [user.id, 'user_registration_requested', 'user', { email: user.email, role: user.role }]
+      'INSERT INTO activity_logs (action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5)',
+      ['user_registration_requested', 'registration_request', registrationRequest.id, { email, role }, req.ip]
     );
 
     res.status(201).json({
-      message: 'Registration request processed successfully. Check your email for login credentials.',
-      user: {
-        id: user.id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role
+      message: 'Registration request submitted. You will receive an email once an administrator has reviewed it.',
+      registration_request: {
+        id: registrationRequest.id,
+        email: registrationRequest.email,
+        status: registrationRequest.status
       }
     });
   } catch (error) {
@@ -195,7 +329,7 @@ router.post('/register-admin',
   async (req, res, next) => {
   try {
     // Check if current user is admin
-    const currentUserQuery = await db.query('SELECT role FROM users WHERE id = $1', [req.user.userId]);
+    const currentUserQuery = await db.query('SELECT role FROM users WHERE id = $1', [req.user.id]);
     if (currentUserQuery.rows.length === 0 || currentUserQuery.rows[0].role !== 'administrator') {
       return res.status(403).json({ error: 'Only administrators can create admin accounts' });
     }
@@ -212,50 +346,27 @@ router.post('/register-admin',
     const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Insert new admin user
+    // Insert new admin user into the creating administrator's organisation
     const query = `
-      INSERT INTO users (email, password_hash, first_name, last_name, phone, role, email_verified)
-      VALUES ($1, $2, $3, $4, $5, 'administrator', true)
+      INSERT INTO users (email, password_hash, first_name, last_name, phone, role, email_verified, organisation_id)
+      VALUES ($1, $2, $3, $4, $5, 'administrator', true, $6)
       RETURNING id, email, first_name, last_name, role, created_at
     `;
     
-    const values = [email, hashedPassword, first_name, last_name, phone];
+    const values = [email, hashedPassword, first_name, last_name, phone, req.user.organisation_id];
     const result = await db.query(query, values);
     const user = result.rows[0];
 
     // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    const { token, refreshToken } = await createSession(user.id, req);
 
     // Add user to general chat room automatically
-    try {
-      // Find the general discussion room (where project_id is NULL and name contains 'General')
-      const generalRoomQuery = `
-        SELECT id FROM chat_rooms 
-        WHERE project_id IS NULL 
-        AND (LOWER(name) LIKE '%general%' OR LOWER(name) LIKE '%discussion%')
-        LIMIT 1
-      `;
-      const generalRoomResult = await db.query(generalRoomQuery);
-      
-      if (generalRoomResult.rows.length > 0) {
-        const generalRoomId = generalRoomResult.rows[0].id;
-        
-        // Add user to general chat room
-        await db.query(
-          'INSERT INTO chat_participants (chat_room_id, user_id) VALUES ($1, $2) ON CONFLICT (chat_room_id, user_id) DO NOTHING',
-          [generalRoomId, user.id]
-        );
-      }
-    } catch (chatError) {
-      // Log the error but don't fail registration
-      console.error('Failed to add user to general chat room:', chatError);
-    }
+    await addUserToGeneralChat(user.id);
 
     // Log activity
     await db.query(
       'INSERT INTO activity_logs (user_id, action, entity_type, details) VALUES ($1, $2, $3, $4)',
-      [user.id, 'admin_user_created', 'user', { email: user.email, created_by: req.user.userId }]
+      [user.id, 'admin_user_created', 'user', { email: user.email, created_by: req.user.id }]
     );
 
     res.status(201).json({
@@ -284,11 +395,14 @@ router.post('/login',
   try {
     const { email, password } = req.body;
 
-    // Find user
+    // Find user; accounts of a suspended organisation count as deactivated
     const query = `
-      SELECT id, email, password_hash, first_name, last_name, role, is_active, email_verified
-      FROM users 
-      WHERE email = $1
+      SELECT u.id, u.email, u.password_hash, u.first_name, u.last_name, u.role,
+             u.is_active AND o.is_active as is_active, u.email_verified,
+             u.two_factor_enabled, u.locked_until, u.organisation_id
+      FROM users u
+      JOIN organisations o ON o.id = u.organisation_id
+      WHERE u.email = $1
     `;
     
     const result = await db.query(query, [email]);
@@ -304,30 +418,95 @@ router.post('/login',
       return res.status(401).json({ error: 'Account is deactivated' });
     }
 
+    // Refuse attempts while the account is in a delay or lockout period
+    const lockRemaining = getLockRemaining(user);
+    if (lockRemaining > 0) {
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfter: lockRemaining
+      });
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      const { lockedOut } = await recordFailedLogin(user.id, req);
+      if (lockedOut) {
+        return res.status(429).json({ error: 'Too many failed login attempts. Account temporarily locked.' });
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last login
-    await db.query(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
-    );
+    await respondAfterFirstFactor(user, req, res, 'password');
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Generate tokens
-    const token = generateToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP code or a recovery code
+// @access  Public
+router.post('/login/2fa', authRateLimit, async (req, res, next) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
 
-    // Remove password hash from response
-    delete user.password_hash;
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
 
-    // Log activity
-    await db.query(
-      'INSERT INTO activity_logs (user_id, action, entity_type, details, ip_address) VALUES ($1, $2, $3, $4, $5)',
-      [user.id, 'user_login', 'user', { email: user.email }, req.ip]
-    );
+    const challenge = verifyChallengeToken(challenge_token, '2fa_challenge');
+    if (!challenge) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    // Accounts of a suspended organisation count as deactivated, as in /login
+    const userQuery = `
+      SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.is_active, u.email_verified,
+             u.two_factor_enabled, u.two_factor_secret, u.two_factor_last_step, u.locked_until, u.organisation_id
+      FROM users u
+      JOIN organisations o ON o.id = u.organisation_id
+      WHERE u.id = $1 AND u.is_active = true AND o.is_active = true
+    `;
+    const result = await db.query(userQuery, [challenge.userId]);
+
+    if (result.rows.length === 0 || !result.rows[0].two_factor_enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    const user = result.rows[0];
+    let method = 'totp';
+
+    // Code guesses count towards the same lockout as password guesses
+    const lockRemaining = getLockRemaining(user);
+    if (lockRemaining > 0) {
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfter: lockRemaining
+      });
+    }
+
+    if (code) {
+      const step = verifyTotp(decryptSecret(user.two_factor_secret), code, user.two_factor_last_step);
+      if (step === null) {
+        await recordFailedLogin(user.id, req);
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+      }
+      await db.query('UPDATE users SET two_factor_last_step = $1 WHERE id = $2', [step, user.id]);
+    } else {
+      const consumed = await consumeRecoveryCode(user.id, recovery_code);
+      if (!consumed) {
+        await recordFailedLogin(user.id, req);
+        return res.status(401).json({ error: 'Invalid recovery code' });
+      }
+      method = 'recovery_code';
+    }
+
+    delete user.two_factor_enabled;
+    delete user.two_factor_secret;
+    delete user.two_factor_last_step;
+    delete user.locked_until;
+
+    const { token, refreshToken } = await completeLogin(user, req, method);
 
     res.json({
       message: 'Login successful',
@@ -340,8 +519,206 @@ router.post('/login',
   }
 });
 
+// @route   POST /api/auth/magic-link
+// @desc    Email a one-time sign-in link
+// @access  Public
+router.post('/magic-link', authRateLimit, validateEmail, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    const genericResponse = { message: 'If the email exists, a sign-in link has been sent' };
+
+    const result = await db.query(
+      'SELECT id, email, first_name FROM users WHERE email = $1 AND is_active = true',
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      // Don't reveal if email exists or not
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+
+    const { token: magicToken } = await issueToken(user.id, 'magic-link');
+    const magicUrl = `${process.env.FRONTEND_URL}/magic-link?token=${magicToken}`;
+
+    await emailTransporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: 'Your sign-in link - Meta Software',
+      html: `
+        <h2>Sign In</h2>
+        <p>Hi ${user.first_name},</p>
+        <p>Click the link below to sign in. It can be used once.</p>
+        <a href="${magicUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Sign In</a>
+        <p>This link will expire in 15 minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+        <p>Best regards,<br>Meta Software Team</p>
+      `
+    });
+
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, details, ip_address) VALUES ($1, $2, $3, $4, $5)',
+      [user.id, 'magic_link_requested', 'user', { email: user.email }, req.ip]
+    );
+
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Sign in with a magic link token (2FA still applies)
+// @access  Public
+router.post('/magic-link/verify', authRateLimit, async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const redeemed = await consumeToken(token, 'magic-link');
+
+    if (!redeemed) {
+      return res.status(400).json({ error: 'Invalid or expired sign-in link' });
+    }
+
+    await respondForPasswordlessLogin(redeemed.user_id, req, res, 'magic_link');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/oidc/config
+// @desc    Whether single sign-on is available, for showing the SSO button
+// @access  Public
+router.get('/oidc/config', (req, res) => {
+  res.json({
+    enabled: isOidcEnabled(),
+    provider_name: isOidcEnabled() ? getOidcConfig().providerName : null
+  });
+});
+
+// Keeps the state binding of the sign-in this browser started. Lax, since the IdP sends
+// the browser back with a top-level GET.
+const OIDC_STATE_COOKIE = 'oidc_state';
+const oidcStateCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+};
+
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start OIDC sign-in; redirects the browser to the identity provider
+// @access  Public
+router.get('/oidc/login', async (req, res, next) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const { authorizationUrl, binding } = await createAuthorizationRequest();
+
+    // Opportunistic cleanup of abandoned sign-ins
+    purgeExpiredAuthRequests().catch(error => {
+      console.error('Failed to purge OIDC auth requests:', error.message);
+    });
+
+    res.cookie(OIDC_STATE_COOKIE, binding, {
+      ...oidcStateCookieOptions,
+      maxAge: AUTH_REQUEST_TTL_MINUTES * 60 * 1000
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Identity provider redirect target; hands the frontend a one-time login code
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const fail = (reason) => res.redirect(`${frontendUrl}/login?sso_error=${encodeURIComponent(reason)}`);
+
+  // The binding is good for one callback, whatever its outcome
+  const binding = readCookie(req, OIDC_STATE_COOKIE);
+  res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions);
+
+  if (!isOidcEnabled()) {
+    return fail('sso_disabled');
+  }
+
+  const { code, state, error } = req.query;
+
+  if (error) {
+    return fail(error === 'access_denied' ? 'access_denied' : 'idp_error');
+  }
+
+  if (typeof code !== 'string' || typeof state !== 'string') {
+    return fail('invalid_request');
+  }
+
+  try {
+    const claims = await completeAuthorization(code, state, binding);
+    if (!claims) {
+      return fail('invalid_state');
+    }
+
+    const { user, error: resolveError } = await resolveOidcUser(claims, req);
+    if (resolveError) {
+      return fail(resolveError);
+    }
+
+    if (!user.is_active) {
+      return fail('account_deactivated');
+    }
+
+    // JWTs never travel in the URL; the frontend swaps this code for them
+    const { token: loginCode } = await issueToken(user.id, 'sso-login');
+    res.redirect(`${frontendUrl}/sso/callback?code=${loginCode}`);
+  } catch (callbackError) {
+    console.error('OIDC callback failed:', callbackError.message);
+    fail('sso_failed');
+  }
+});
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange the one-time SSO login code for JWTs (2FA still applies)
+// @access  Public
+router.post('/oidc/exchange', authRateLimit, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    const redeemed = await consumeToken(code, 'sso-login');
+
+    if (!redeemed) {
+      return res.status(400).json({ error: 'Invalid or expired sign-in code' });
+    }
+
+    await respondForPasswordlessLogin(redeemed.user_id, req, res, 'oidc');
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/auth/refresh-token
-// @desc    Refresh access token
+// @desc    Rotate refresh token and issue a new access token
 // @access  Public
 router.post('/refresh-token', async (req, res, next) => {
   try {
@@ -351,27 +728,48 @@ router.post('/refresh-token', async (req, res, next) => {
       return res.status(401).json({ error: 'Refresh token required' });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Check if user still exists
-    const userQuery = 'SELECT id, email, role, is_active FROM users WHERE id = $1 AND is_active = true';
-    const result = await db.query(userQuery, [decoded.userId]);
-    
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found or inactive' });
-    }
+    // Verify, check against the session store and rotate
+    const rotated = await rotateSession(refreshToken, req);
 
-    // Generate new access token
-    const newToken = generateToken(decoded.userId);
+    if (rotated.error) {
+      return res.status(401).json({ error: rotated.error });
+    }
 
     res.json({
-      token: newToken
+      token: rotated.token,
+      refreshToken: rotated.refreshToken
     });
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Refresh token expired' });
     }
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/password-policy
+// @desc    Current password rules, for showing next to password fields (?organisation=<slug>
+//          for an organisation's own rules, otherwise the default organisation's)
+// @access  Public
+router.get('/password-policy', async (req, res, next) => {
+  try {
+    let organisationId = null;
+    if (typeof req.query.organisation === 'string') {
+      const organisationResult = await db.query(
+        'SELECT id FROM organisations WHERE slug = $1 AND is_active = true',
+        [req.query.organisation]
+      );
+      if (organisationResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Organisation not found' });
+      }
+      organisationId = organisationResult.rows[0].id;
+    }
+
+    res.json({ policy: await getPasswordPolicy(organisationId) });
+  } catch (error) {
     next(error);
   }
 });
@@ -398,15 +796,8 @@ router.post('/forgot-password', async (req, res, next) => {
 
     const user = result.rows[0];
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetExpires = new Date(Date.now() + 3600000); // 1 hour
-
-    // Save reset token
-    await db.query(
-      'UPDATE users SET password_reset_token = $1, password_reset_expires = $2 WHERE id = $3',
-      [resetToken, resetExpires, user.id]
-    );
+    // Generate reset token (replaces any earlier reset link)
+    const { token: resetToken } = await issueToken(user.id, 'reset-password');
 
     // Send email
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
@@ -451,22 +842,17 @@ router.post('/reset-password', async (req, res, next) => {
       return res.status(400).json({ error: 'Token and password are required' });
     }
 
-    // Validate password strength
-    if (password.length < 8 || !/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 8 characters and contain uppercase, lowercase, and number' 
-      });
+    // Look the token up without using it so a rejected password does not burn the link
+    const pending = await peekToken(token, 'reset-password');
+
+    if (!pending) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
     }
 
-    // Find user with valid reset token
-    const userQuery = `
-      SELECT id, email FROM users 
-      WHERE password_reset_token = $1 
-      AND password_reset_expires > CURRENT_TIMESTAMP 
-      AND is_active = true
-    `;
-    
-    const result = await db.query(userQuery, [token]);
+    const result = await db.query(
+      'SELECT id, email, first_name, last_name, organisation_id FROM users WHERE id = $1 AND is_active = true',
+      [pending.user_id]
+    );
 
     if (result.rows.length === 0) {
       return res.status(400).json({ error: 'Invalid or expired reset token' });
@@ -474,17 +860,24 @@ router.post('/reset-password', async (req, res, next) => {
 
     const user = result.rows[0];
 
-    // Hash new password
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const passwordErrors = await checkPassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ error: 'Password does not meet the password policy', details: passwordErrors });
+    }
 
-    // Update password and clear reset token
-    await db.query(
-      `UPDATE users 
-       SET password_hash = $1, password_reset_token = NULL, password_reset_expires = NULL 
-       WHERE id = $2`,
-      [hashedPassword, user.id]
-    );
+    // Redeem the reset token; a concurrent request may have used it in the meantime
+    const redeemed = await consumeToken(token, 'reset-password');
+
+    if (!redeemed) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    await updatePassword(user.id, password);
+
+    // Sign out everywhere; whoever asked for the reset may not hold the old sessions
+    await revokeTokens(user.id, 'magic-link');
+    const revokedSessionIds = await revokeUserSessions(user.id, 'password_reset');
+    disconnectSessions(req.app.get('socketio'), revokedSessionIds);
 
     // Log activity
     await db.query(
@@ -498,10 +891,74 @@ router.post('/reset-password', async (req, res, next) => {
   }
 });
 
+// @route   POST /api/auth/accept-invite
+// @desc    Set the first password using the one-time invite link sent on approval
+// @access  Public
+router.post('/accept-invite', authRateLimit, async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const pending = await peekToken(token, 'invite');
+
+    if (!pending) {
+      return res.status(400).json({ error: 'Invalid or expired invite link' });
+    }
+
+    const userResult = await db.query(
+      'SELECT id, email, first_name, last_name, organisation_id FROM users WHERE id = $1 AND is_active = true',
+      [pending.user_id]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired invite link' });
+    }
+
+    const user = userResult.rows[0];
+
+    const passwordErrors = await checkPassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ error: 'Password does not meet the password policy', details: passwordErrors });
+    }
+
+    // Claim the invite so the link cannot be used twice
+    const invite = await consumeToken(token, 'invite');
+
+    if (!invite) {
+      return res.status(400).json({ error: 'Invalid or expired invite link' });
+    }
+
+    await updatePassword(user.id, password);
+
+    // Receiving the invite proves the address, so it counts as verified
+    await db.query('UPDATE users SET email_verified = true WHERE id = $1', [user.id]);
+
+    if (invite.metadata && invite.metadata.registration_request_id) {
+      await db.query(
+        'UPDATE registration_requests SET invite_accepted_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [invite.metadata.registration_request_id]
+      );
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, details, ip_address) VALUES ($1, $2, $3, $4, $5)',
+      [user.id, 'invite_accepted', 'user', { email: user.email }, req.ip]
+    );
+
+    res.json({ message: 'Password set successfully. You can now log in.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change password (authenticated user)
 // @access  Private
-router.post('/change-password', authenticateToken, async (req, res, next) => {
+router.post('/change-password', authenticateToken, forbidDuringImpersonation, async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
@@ -510,15 +967,8 @@ router.post('/change-password', authenticateToken, async (req, res, next) => {
       return res.status(400).json({ error: 'Current and new passwords are required' });
     }
 
-    // Validate new password strength
-    if (newPassword.length < 8 || !/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(newPassword)) {
-      return res.status(400).json({ 
-        error: 'New password must be at least 8 characters and contain uppercase, lowercase, and number' 
-      });
-    }
-
     // Get current password hash
-    const userQuery = 'SELECT password_hash FROM users WHERE id = $1';
+    const userQuery = 'SELECT id, email, first_name, last_name, password_hash, organisation_id FROM users WHERE id = $1';
     const result = await db.query(userQuery, [userId]);
 
     if (result.rows.length === 0) {
@@ -531,12 +981,17 @@ router.post('/change-password', authenticateToken, async (req, res, next) => {
       return res.status(400).json({ error: 'Current password is incorrect' });
     }
 
-    // Hash new password
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    // Validate new password against the policy, including recent passwords
+    const passwordErrors = await checkPassword(newPassword, result.rows[0]);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ error: 'New password does not meet the password policy', details: passwordErrors });
+    }
 
-    // Update password
-    await db.query('UPDATE users SET password_hash = $1 WHERE id = $2', [hashedPassword, userId]);
+    await updatePassword(userId, newPassword);
+
+    // Keep the current session, sign out every other device
+    const revokedSessionIds = await revokeUserSessions(userId, 'password_changed', req.sessionId);
+    disconnectSessions(req.app.get('socketio'), revokedSessionIds);
 
     // Log activity
     await db.query(
@@ -551,16 +1006,28 @@ router.post('/change-password', authenticateToken, async (req, res, next) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (for logging purposes)
+// @desc    Logout user and revoke the current session (or all sessions with all=true)
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res, next) => {
   try {
     const userId = req.user.id;
+    // Ending an impersonation only closes the impersonation session, never the user's own
+    const allDevices = !req.impersonator && (req.body.all === true || req.body.all === 'true');
+
+    let revokedSessionIds = [req.sessionId];
+    if (allDevices) {
+      revokedSessionIds = await revokeUserSessions(userId, 'logout_all');
+    } else {
+      await revokeSession(req.sessionId, 'logout');
+    }
+
+    // Drop live sockets bound to the revoked session(s)
+    disconnectSessions(req.app.get('socketio'), revokedSessionIds);
 
     // Log activity
     await db.query(
-      'INSERT INTO activity_logs (user_id, action, entity_type, details) VALUES ($1, $2, $3, $4)',
-      [userId, 'user_logout', 'user', {}]
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [userId, req.impersonator ? 'impersonation_ended' : 'user_logout', 'session', req.sessionId, { all_devices: allDevices }]
     );
 
     res.json({ message: 'Logout successful' });
@@ -569,6 +1036,417 @@ router.post('/logout', authenticateToken, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (logged-in devices)
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        is_current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', authenticateToken, forbidDuringImpersonation, async (req, res, next) => {
+  try {
+    const revokedSessionIds = await revokeUserSessions(req.user.id, 'logout_others', req.sessionId);
+
+    disconnectSessions(req.app.get('socketio'), revokedSessionIds);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'sessions_revoked', 'session', req.sessionId, { revoked_count: revokedSessionIds.length }, req.ip]
+    );
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revoked_count: revokedSessionIds.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, forbidDuringImpersonation, async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!/^[0-9a-f-]{36}$/i.test(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID format' });
+    }
+
+    const sessionCheck = await db.query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [sessionId, req.user.id]
+    );
+
+    if (sessionCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(sessionId, sessionId === req.sessionId ? 'logout' : 'logout_others');
+
+    disconnectSessions(req.app.get('socketio'), [sessionId]);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'session_revoked', 'session', sessionId, {}, req.ip]
+    );
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get('/tokens', authenticateToken, async (req, res, next) => {
+  try {
+    const tokens = await listAccessTokens(req.user.id);
+
+    res.json({
+      tokens,
+      available_scopes: ACCESS_TOKEN_SCOPES
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a scoped personal access token (shown once)
+// @access  Private
+router.post('/tokens', authenticateToken, forbidDuringImpersonation, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Token name is required (max 100 characters)'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(ACCESS_TOKEN_SCOPES).withMessage('Invalid scope'),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expires_at } = req.body;
+
+    if (expires_at && new Date(expires_at) <= new Date()) {
+      return res.status(400).json({ error: 'Expiry date must be in the future' });
+    }
+
+    const { token, accessToken } = await createAccessToken(req.user.id, {
+      name,
+      scopes,
+      expiresAt: expires_at || null
+    });
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'access_token_created', 'personal_access_token', accessToken.id, { name, scopes: accessToken.scopes }, req.ip]
+    );
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      token,
+      access_token: accessToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:tokenId
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:tokenId', authenticateToken, forbidDuringImpersonation, async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!/^[0-9a-f-]{36}$/i.test(tokenId)) {
+      return res.status(400).json({ error: 'Invalid token ID format' });
+    }
+
+    const revoked = await revokeAccessToken(req.user.id, tokenId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'access_token_revoked', 'personal_access_token', tokenId, {}, req.ip]
+    );
+
+    res.json({ message: 'Access token revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Enrolment accepts either a normal access token or the '2fa_setup' challenge
+// issued by /login when the user's role requires 2FA and none is configured yet
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.challenge_token) {
+    return authenticateToken(req, res, next);
+  }
+
+  const challenge = verifyChallengeToken(req.body.challenge_token, '2fa_setup');
+  if (!challenge) {
+    return res.status(401).json({ error: 'Invalid or expired challenge token' });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT u.id, u.email, u.role, u.is_active, u.first_name, u.last_name, u.organisation_id
+       FROM users u
+       JOIN organisations o ON o.id = u.organisation_id
+       WHERE u.id = $1 AND u.is_active = true AND o.is_active = true`,
+      [challenge.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'User not found or inactive' });
+    }
+
+    req.user = result.rows[0];
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'SELECT two_factor_enabled, two_factor_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const codesResult = await db.query(
+      'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      enabled: result.rows[0].two_factor_enabled === true,
+      enabled_at: result.rows[0].two_factor_enabled_at,
+      required: await isTwoFactorRequired(req.user.role, req.user.organisation_id),
+      recovery_codes_remaining: parseInt(codesResult.rows[0].count)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrolment and return the provisioning URI for the QR code
+// @access  Private (or 2FA setup challenge)
+router.post('/2fa/setup', authRateLimit, authenticateTwoFactorSetup, forbidDuringImpersonation, async (req, res, next) => {
+  try {
+    const userResult = await db.query('SELECT two_factor_enabled FROM users WHERE id = $1', [req.user.id]);
+
+    if (userResult.rows[0].two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    // Stored but inactive until a valid code confirms the authenticator app has it
+    const secret = generateSecret();
+    await db.query(
+      'UPDATE users SET two_factor_secret = $1, two_factor_last_step = NULL WHERE id = $2',
+      [encryptSecret(secret), req.user.id]
+    );
+
+    res.json({
+      secret,
+      otpauth_url: buildOtpauthUrl(secret, req.user.email)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a TOTP code and receive recovery codes
+// @access  Private (or 2FA setup challenge)
+router.post('/2fa/enable', authRateLimit, authenticateTwoFactorSetup, forbidDuringImpersonation, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const userResult = await db.query(
+      'SELECT two_factor_enabled, two_factor_secret FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = userResult.rows[0];
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.two_factor_secret), code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await db.query(
+      `UPDATE users 
+       SET two_factor_enabled = true, two_factor_last_step = $1, two_factor_enabled_at = CURRENT_TIMESTAMP 
+       WHERE id = $2`,
+      [step, req.user.id]
+    );
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'two_factor_enabled', 'user', req.user.id, {}, req.ip]
+    );
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    };
+
+    // Mandatory enrolment during login ends with a normal sign-in
+    if (req.twoFactorSetupChallenge) {
+      const { token, refreshToken } = await completeLogin(req.user, req, 'totp');
+      Object.assign(response, { user: req.user, token, refreshToken });
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authRateLimit, authenticateToken, forbidDuringImpersonation, async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and verification code are required' });
+    }
+
+    if (await isTwoFactorRequired(req.user.role, req.user.organisation_id)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const userResult = await db.query(
+      'SELECT password_hash, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = userResult.rows[0];
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.two_factor_secret), code, user.two_factor_last_step);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await db.query(
+      `UPDATE users 
+       SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_last_step = NULL, two_factor_enabled_at = NULL 
+       WHERE id = $1`,
+      [req.user.id]
+    );
+    await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'two_factor_disabled', 'user', req.user.id, {}, req.ip]
+    );
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the previous set)
+// @access  Private
+router.post('/2fa/recovery-codes', authRateLimit, authenticateToken, forbidDuringImpersonation, async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const userResult = await db.query(
+      'SELECT two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = userResult.rows[0];
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.two_factor_secret), code, user.two_factor_last_step);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await db.query('UPDATE users SET two_factor_last_step = $1 WHERE id = $2', [step, req.user.id]);
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'recovery_codes_regenerated', 'user', req.user.id, {}, req.ip]
+    );
+
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/auth/send-verification
 // @desc    Send email verification link
 // @access  Private
@@ -590,15 +1468,8 @@ router.post('/send-verification', authenticateToken, async (req, res, next) => {
       return res.status(400).json({ error: 'Email already verified' });
     }
 
-    // Generate verification token (reuse password reset fields temporarily)
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    const verificationExpires = new Date(Date.now() + 24 * 3600000); // 24 hours
-
-    // Save verification token in password reset fields (temporary approach)
-    await db.query(
-      'UPDATE users SET password_reset_token = $1, password_reset_expires = $2 WHERE id = $3',
-      [verificationToken, verificationExpires, userId]
-    );
+    // Generate verification token (replaces any earlier verification link)
+    const { token: verificationToken } = await issueToken(userId, 'verify-email');
 
     // Send verification email
     const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
@@ -637,15 +1508,16 @@ router.post('/verify-email', async (req, res, next) => {
       return res.status(400).json({ error: 'Verification token is required' });
     }
 
-    // Find user with valid verification token (using password reset fields)
-    const userQuery = `
-      SELECT id, email FROM users 
-      WHERE password_reset_token = $1 
-      AND password_reset_expires > CURRENT_TIMESTAMP 
-      AND is_active = true
-    `;
-    
-    const result = await db.query(userQuery, [token]);
+    const redeemed = await consumeToken(token, 'verify-email');
+
+    if (!redeemed) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const result = await db.query(
+      'SELECT id, email FROM users WHERE id = $1 AND is_active = true',
+      [redeemed.user_id]
+    );
 
     if (result.rows.length === 0) {
       return res.status(400).json({ error: 'Invalid or expired verification token' });
@@ -653,11 +1525,9 @@ router.post('/verify-email', async (req, res, next) => {
 
     const user = result.rows[0];
 
-    // Update email verified status and clear token
+    // Update email verified status
     await db.query(
-      `UPDATE users 
-       SET email_verified = true, password_reset_token = NULL, password_reset_expires = NULL 
-       WHERE id = $1`,
+      'UPDATE users SET email_verified = true WHERE id = $1',
       [user.id]
     );
 
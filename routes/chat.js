@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { validateUUID } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { areUsersInOrganisation } = require('../services/organisations');
 
 // @route   GET /api/chat/conversations
 // @desc    Get user's chat conversations (chat rooms)
 // @access  Private
-router.get('/conversations', async (req, res, next) => {
+router.get('/conversations', requirePermission('chat.read'), async (req, res, next) => {
   try {
     const userId = req.user.id;
     console.log('Chat conversations request from user:', userId);
@@ -61,7 +63,7 @@ router.get('/conversations', async (req, res, next) => {
 // @route   POST /api/chat/conversations
 // @desc    Create new chat conversation (chat room)
 // @access  Private
-router.post('/conversations', async (req, res, next) => {
+router.post('/conversations', requirePermission('chat.write'), async (req, res, next) => {
   try {
     const { name, is_group_chat = false, project_id, participant_ids = [] } = req.body;
     const userId = req.user.id;
@@ -76,10 +78,25 @@ router.post('/conversations', async (req, res, next) => {
       return res.status(400).json({ error: 'Direct messages require exactly one other participant' });
     }
 
+    // Rooms, their participants and their project stay inside the organisation
+    if (!(await areUsersInOrganisation(participant_ids, req.user.organisation_id))) {
+      return res.status(400).json({ error: 'Participants must belong to your organisation' });
+    }
+
+    if (project_id) {
+      const projectCheck = await db.query(
+        'SELECT 1 FROM projects WHERE id = $1 AND organisation_id = $2',
+        [project_id, req.user.organisation_id]
+      );
+      if (projectCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
     // Create chat room
     const createRoomQuery = `
-      INSERT INTO chat_rooms (name, is_group_chat, project_id, created_by)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO chat_rooms (name, is_group_chat, project_id, created_by, organisation_id)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING id, name, is_group_chat, project_id, created_at
     `;
 
@@ -87,7 +104,8 @@ router.post('/conversations', async (req, res, next) => {
       name || null,
       is_group_chat,
       project_id || null,
-      userId
+      userId,
+      req.user.organisation_id
     ]);
 
     const chatRoom = roomResult.rows[0];
@@ -100,8 +118,12 @@ router.post('/conversations', async (req, res, next) => {
 
     // Add other participants
     if (is_group_chat && participant_ids.length > 0) {
-      const participantValues = participant_ids.map(pId => `(${chatRoom.id}, ${pId})`).join(',');
-      await db.query(`INSERT INTO chat_participants (chat_room_id, user_id) VALUES ${participantValues}`);
+      await db.query(
+        `INSERT INTO chat_participants (chat_room_id, user_id)
+         SELECT $1, participant_id FROM UNNEST($2::uuid[]) AS participant_id
+         ON CONFLICT (chat_room_id, user_id) DO NOTHING`,
+        [chatRoom.id, participant_ids]
+      );
     } else if (!is_group_chat) {
       // Add the other single participant for direct message
       await db.query(
@@ -138,7 +160,7 @@ router.post('/conversations', async (req, res, next) => {
 // @route   GET /api/chat/conversations/:id/messages
 // @desc    Get messages from a conversation
 // @access  Private
-router.get('/conversations/:id/messages', validateUUID, async (req, res, next) => {
+router.get('/conversations/:id/messages', validateUUID, requirePermission('chat.read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { page = 1, limit = 50 } = req.query;
@@ -190,7 +212,7 @@ router.get('/conversations/:id/messages', validateUUID, async (req, res, next) =
 // @route   POST /api/chat/conversations/:id/messages
 // @desc    Send message to conversation
 // @access  Private
-router.post('/conversations/:id/messages', validateUUID, async (req, res, next) => {
+router.post('/conversations/:id/messages', validateUUID, requirePermission('chat.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { content, message_type = 'text' } = req.body;
@@ -236,33 +258,36 @@ router.post('/conversations/:id/messages', validateUUID, async (req, res, next)
 
 // @route   POST /api/chat/add-to-general
 // @desc    Add user(s) to general chat room (Admin only)
-// @access  Private (Admin)
-router.post('/add-to-general', async (req, res, next) => {
+// @access  Private (chat.manage)
+router.post('/add-to-general', requirePermission('chat.manage'), async (req, res, next) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'administrator') {
-      return res.status(403).json({ error: 'Only administrators can add users to general chat' });
-    }
-
     const { user_ids } = req.body;
     
-    // If no user_ids provided, add all active users
+    const organisationId = req.user.organisation_id;
+
+    // If no user_ids provided, add all active users of the organisation
     let usersToAdd = [];
     if (!user_ids || user_ids.length === 0) {
-      const allUsersResult = await db.query('SELECT id FROM users WHERE is_active = true');
+      const allUsersResult = await db.query(
+        'SELECT id FROM users WHERE is_active = true AND organisation_id = $1',
+        [organisationId]
+      );
       usersToAdd = allUsersResult.rows.map(row => row.id);
+    } else if (!(await areUsersInOrganisation(user_ids, organisationId))) {
+      return res.status(400).json({ error: 'Users must belong to your organisation' });
     } else {
       usersToAdd = user_ids;
     }
 
-    // Find the general chat room
+    // Find the organisation's general chat room
     const generalRoomQuery = `
       SELECT id FROM chat_rooms 
       WHERE project_id IS NULL 
+      AND organisation_id = $1
       AND (LOWER(name) LIKE '%general%' OR LOWER(name) LIKE '%discussion%')
       LIMIT 1
     `;
-    const generalRoomResult = await db.query(generalRoomQuery);
+    const generalRoomResult = await db.query(generalRoomQuery, [organisationId]);
     
     if (generalRoomResult.rows.length === 0) {
       return res.status(404).json({ error: 'General chat room not found' });
@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission, forbidDuringImpersonation } = require('../middleware/auth');
 const { validateCompany, validateUUID, validatePagination } = require('../middleware/validation');
+const { getAccessScope } = require('../services/accessScope');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 
 
-router.get('/', requireRole(['administrator', 'developer']), validatePagination, async (req, res, next) => {
+router.get('/', requirePermission('clients.read'), validatePagination, async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -20,9 +21,9 @@ router.get('/', requireRole(['administrator', 'developer']), validatePagination,
 
     const offset = (page - 1) * limit;
     
-    let whereConditions = [];
-    let queryParams = [];
-    let paramCount = 0;
+    let whereConditions = ['c.organisation_id = $1'];
+    let queryParams = [req.user.organisation_id];
+    let paramCount = 1;
 
     if (search) {
       paramCount++;
@@ -36,7 +37,7 @@ router.get('/', requireRole(['administrator', 'developer']), validatePagination,
       queryParams.push(is_active === 'true');
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
 
     const countQuery = `SELECT COUNT(*) FROM companies c ${whereClause}`;
     const countResult = await db.query(countQuery, queryParams);
@@ -85,15 +86,15 @@ router.get('/:id', validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Check access permissions for client users
-    if (req.user.role === 'client') {
-      const accessCheck = await db.query(
-        'SELECT 1 FROM client_users WHERE company_id = $1 AND user_id = $2',
-        [id, req.user.id]
-      );
-      if (accessCheck.rows.length === 0) {
-        return res.status(404).json({ error: 'Company not found' });
-      }
+    // Client users only see their own companies; staff browse their organisation's directory
+    const scope = await getAccessScope(req.user);
+    const accessParams = [id];
+    const visible = scope.kind === 'company'
+      ? scope.companies('c.id', accessParams)
+      : scope.organisation('c.organisation_id', accessParams);
+    const accessCheck = await db.query(`SELECT 1 FROM companies c WHERE c.id = $1 AND ${visible}`, accessParams);
+    if (accessCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
     }
 
     const companyQuery = `
@@ -185,8 +186,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
 
 // @route   POST /api/clients
 // @desc    Create a new client
-// @access  Private (Administrator)
-router.post('/', requireRole(['administrator']), [
+// @access  Private (users.write)
+router.post('/', requirePermission('users.write'), [
     body('first_name', 'First name is required').not().isEmpty(),
     body('last_name', 'Last name is required').not().isEmpty(),
     body('email', 'Please include a valid email').isEmail(),
@@ -201,7 +202,10 @@ router.post('/', requireRole(['administrator']), [
 
     try {
         // Check if company exists
-        const company = await db.query('SELECT id FROM companies WHERE id = $1', [company_id]);
+        const company = await db.query(
+            'SELECT id FROM companies WHERE id = $1 AND organisation_id = $2',
+            [company_id, req.user.organisation_id]
+        );
         if (company.rows.length === 0) {
             return res.status(404).json({ msg: 'Company not found' });
         }
@@ -218,8 +222,8 @@ router.post('/', requireRole(['administrator']), [
         const hashedPassword = await bcrypt.hash(password, salt);
 
     const newUser = await db.query(
-      'INSERT INTO users (first_name, last_name, email, password_hash, role) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-      [first_name, last_name, email, hashedPassword, 'client']
+      'INSERT INTO users (first_name, last_name, email, password_hash, role, organisation_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+      [first_name, last_name, email, hashedPassword, 'client', req.user.organisation_id]
     );
         const userId = newUser.rows[0].id;
 
@@ -238,8 +242,8 @@ router.post('/', requireRole(['administrator']), [
 
 // @route   PUT /api/clients/:id
 // @desc    Update client/company
-// @access  Private (Admin and Developer)
-router.put('/:id', validateUUID, requireRole(['administrator', 'developer']), async (req, res, next) => {
+// @access  Private (clients.write)
+router.put('/:id', validateUUID, requirePermission('clients.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const allowedFields = ['name', 'email', 'phone', 'address', 'website', 'contact_person', 'notes'];
@@ -257,7 +261,10 @@ router.put('/:id', validateUUID, requireRole(['administrator', 'developer']), as
     }
 
     // Check if company exists
-    const existingCompany = await db.query('SELECT name FROM companies WHERE id = $1', [id]);
+    const existingCompany = await db.query(
+      'SELECT name FROM companies WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (existingCompany.rows.length === 0) {
       return res.status(404).json({ error: 'Company not found' });
     }
@@ -265,8 +272,8 @@ router.put('/:id', validateUUID, requireRole(['administrator', 'developer']), as
     // Check for duplicate name if updating name
     if (updates.name) {
       const nameCheck = await db.query(
-        'SELECT id FROM companies WHERE name = $1 AND id != $2 AND is_active = true',
-        [updates.name, id]
+        'SELECT id FROM companies WHERE name = $1 AND id != $2 AND organisation_id = $3 AND is_active = true',
+        [updates.name, id, req.user.organisation_id]
       );
       if (nameCheck.rows.length > 0) {
         return res.status(409).json({ error: 'Company name already exists' });
@@ -303,13 +310,16 @@ router.put('/:id', validateUUID, requireRole(['administrator', 'developer']), as
 
 // @route   DELETE /api/clients/:id
 // @desc    Deactivate client/company
-// @access  Private (Admin only)
-router.delete('/:id', validateUUID, requireRole(['administrator']), async (req, res, next) => {
+// @access  Private (clients.delete)
+router.delete('/:id', validateUUID, requirePermission('clients.delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if company exists
-    const existingCompany = await db.query('SELECT name FROM companies WHERE id = $1', [id]);
+    const existingCompany = await db.query(
+      'SELECT name FROM companies WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (existingCompany.rows.length === 0) {
       return res.status(404).json({ error: 'Company not found' });
     }
@@ -343,8 +353,8 @@ router.delete('/:id', validateUUID, requireRole(['administrator']), async (req,
 
 // @route   POST /api/clients/:id/users
 // @desc    Add user to client company
-// @access  Private (Admin and Developer)
-router.post('/:id/users', validateUUID, requireRole(['administrator', 'developer']), [
+// @access  Private (clients.write)
+router.post('/:id/users', validateUUID, requirePermission('clients.write'), forbidDuringImpersonation, [
   body('user_id').isUUID(),
   body('is_primary_contact').optional().isBoolean()
 ], async (req, res, next) => {
@@ -353,15 +363,18 @@ router.post('/:id/users', validateUUID, requireRole(['administrator', 'developer
     const { user_id, is_primary_contact = false } = req.body;
 
     // Check if company exists
-    const companyCheck = await db.query('SELECT name FROM companies WHERE id = $1 AND is_active = true', [id]);
+    const companyCheck = await db.query(
+      'SELECT name FROM companies WHERE id = $1 AND organisation_id = $2 AND is_active = true',
+      [id, req.user.organisation_id]
+    );
     if (companyCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Company not found' });
     }
 
     // Check if user exists and is a client
     const userCheck = await db.query(
-      'SELECT id, first_name, last_name, email FROM users WHERE id = $1 AND role = $2 AND is_active = true',
-      [user_id, 'client']
+      'SELECT id, first_name, last_name, email FROM users WHERE id = $1 AND role = $2 AND organisation_id = $3 AND is_active = true',
+      [user_id, 'client', req.user.organisation_id]
     );
     if (userCheck.rows.length === 0) {
       return res.status(400).json({ error: 'User not found or not a client' });
@@ -417,8 +430,8 @@ router.post('/:id/users', validateUUID, requireRole(['administrator', 'developer
 
 // @route   DELETE /api/clients/:id/users/:userId
 // @desc    Remove user from client company
-// @access  Private (Admin and Developer)
-router.delete('/:id/users/:userId', validateUUID, requireRole(['administrator', 'developer']), async (req, res, next) => {
+// @access  Private (clients.write)
+router.delete('/:id/users/:userId', validateUUID, requirePermission('clients.write'), forbidDuringImpersonation, async (req, res, next) => {
   try {
     const { id, userId } = req.params;
 
@@ -426,8 +439,8 @@ router.delete('/:id/users/:userId', validateUUID, requireRole(['administrator',
     const linkCheck = await db.query(
       `SELECT cu.id, u.email FROM client_users cu
        JOIN users u ON cu.user_id = u.id
-       WHERE cu.company_id = $1 AND cu.user_id = $2`,
-      [id, userId]
+       WHERE cu.company_id = $1 AND cu.user_id = $2 AND u.organisation_id = $3`,
+      [id, userId, req.user.organisation_id]
     );
 
     if (linkCheck.rows.length === 0) {
@@ -460,15 +473,15 @@ router.get('/:id/projects', validateUUID, validatePagination, async (req, res, n
     const { page = 1, limit = 10, status = '' } = req.query;
     const offset = (page - 1) * limit;
 
-    // Check access permissions
-    if (req.user.role === 'client') {
-      const accessCheck = await db.query(
-        'SELECT 1 FROM client_users WHERE company_id = $1 AND user_id = $2',
-        [id, req.user.id]
-      );
-      if (accessCheck.rows.length === 0) {
-        return res.status(404).json({ error: 'Company not found' });
-      }
+    // Client users only see their own companies; staff browse their organisation's directory
+    const scope = await getAccessScope(req.user);
+    const accessParams = [id];
+    const visible = scope.kind === 'company'
+      ? scope.companies('c.id', accessParams)
+      : scope.organisation('c.organisation_id', accessParams);
+    const accessCheck = await db.query(`SELECT 1 FROM companies c WHERE c.id = $1 AND ${visible}`, accessParams);
+    if (accessCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
     }
 
     // Build WHERE clause
@@ -548,8 +561,8 @@ router.get('/:id/projects', validateUUID, validatePagination, async (req, res, n
 
 // @route   GET /api/clients/stats
 // @desc    Get client statistics (Admin and Developer only)
-// @access  Private (Admin and Developer)
-router.get('/stats/overview', requireRole(['administrator', 'developer']), async (req, res, next) => {
+// @access  Private (clients.read)
+router.get('/stats/overview', requirePermission('clients.read'), async (req, res, next) => {
   try {
     const statsQuery = `
       SELECT 
@@ -565,10 +578,10 @@ router.get('/stats/overview', requireRole(['administrator', 'developer']), async
         WHERE is_active = true
         GROUP BY company_id
       ) project_counts ON c.id = project_counts.company_id
-      WHERE c.is_active = true
+      WHERE c.is_active = true AND c.organisation_id = $1
     `;
 
-    const result = await db.query(statsQuery);
+    const result = await db.query(statsQuery, [req.user.organisation_id]);
     
     res.json({ stats: result.rows[0] });
   } catch (error) {
@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { validateComment, validateUUID, validatePagination } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { getAccessScope } = require('../services/accessScope');
 
 
-router.get('/', validatePagination, async (req, res, next) => {
+router.get('/', requirePermission('comments.read'), validatePagination, async (req, res, next) => {
   try {
     const { project_id, task_id, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
@@ -13,62 +16,8 @@ router.get('/', validatePagination, async (req, res, next) => {
       return res.status(400).json({ error: 'project_id or task_id is required' });
     }
 
-    let accessQuery;
-    let accessParams;
-
-    if (project_id) {
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND (
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM projects WHERE id = $1';
-        accessParams = [project_id];
-      }
-    } else {
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND (
-            t.assigned_to = $2 OR
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM tasks WHERE id = $1';
-        accessParams = [task_id];
-      }
-    }
-
-    const accessResult = await db.query(accessQuery, accessParams);
-    if (accessResult.rows.length === 0) {
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: project_id, taskId: task_id }))) {
       return res.status(404).json({ error: 'Resource not found or access denied' });
     }
 
@@ -136,7 +85,7 @@ router.get('/', validatePagination, async (req, res, next) => {
 // @route   POST /api/comments
 // @desc    Create new comment
 // @access  Private
-router.post('/', validateComment, async (req, res, next) => {
+router.post('/', requirePermission('comments.write'), validateComment, async (req, res, next) => {
   try {
     const { content, project_id, task_id, parent_comment_id, is_internal = false } = req.body;
 
@@ -150,65 +99,9 @@ router.post('/', validateComment, async (req, res, next) => {
     }
 
     // Check access permissions
-    let accessQuery;
-    let accessParams;
-    let entityId;
-
-    if (project_id) {
-      entityId = project_id;
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND (
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM projects WHERE id = $1';
-        accessParams = [project_id];
-      }
-    } else {
-      entityId = task_id;
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND (
-            t.assigned_to = $2 OR
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM tasks WHERE id = $1';
-        accessParams = [task_id];
-      }
-    }
-
-    const accessResult = await db.query(accessQuery, accessParams);
-    if (accessResult.rows.length === 0) {
+    const entityId = project_id || task_id;
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: project_id, taskId: task_id }))) {
       return res.status(404).json({ error: 'Resource not found or access denied' });
     }
 
@@ -277,7 +170,7 @@ router.post('/', validateComment, async (req, res, next) => {
 // @route   PUT /api/comments/:id
 // @desc    Update comment
 // @access  Private (Author only)
-router.put('/:id', validateUUID, [
+router.put('/:id', validateUUID, requirePermission('comments.write'), [
   validateComment[0] // content validation
 ], async (req, res, next) => {
   try {
@@ -331,14 +224,20 @@ router.put('/:id', validateUUID, [
 // @route   DELETE /api/comments/:id
 // @desc    Delete comment
 // @access  Private (Author, Admin, or Project Manager)
-router.delete('/:id', validateUUID, async (req, res, next) => {
+router.delete('/:id', validateUUID, requirePermission('comments.delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check comment access
+    const canManageAny = await hasPermission(req.user.role, 'comments.manage');
     let accessQuery;
-    if (req.user.role === 'administrator') {
-      accessQuery = 'SELECT * FROM comments WHERE id = $1';
+    if (canManageAny) {
+      accessQuery = `
+        SELECT c.* FROM comments c
+        LEFT JOIN tasks t ON c.task_id = t.id
+        JOIN projects p ON p.id = COALESCE(c.project_id, t.project_id)
+        WHERE c.id = $1 AND p.organisation_id = $2
+      `;
     } else {
       accessQuery = `
         SELECT c.*, 
@@ -356,7 +255,7 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
       `;
     }
 
-    const queryParams = req.user.role === 'administrator' ? [id] : [id, req.user.id];
+    const queryParams = canManageAny ? [id, req.user.organisation_id] : [id, req.user.id];
     const commentResult = await db.query(accessQuery, queryParams);
 
     if (commentResult.rows.length === 0) {
@@ -1,15 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 
 // @route   POST /api/companies
 // @desc    Create a new company
-// @access  Private (Administrator)
+// @access  Private (companies.write)
 router.post(
   '/',
-  requireRole(['administrator']),
+  requirePermission('companies.write'),
   [
     body('name', 'Company name is required').not().isEmpty(),
     body('email', 'Please include a valid email').isEmail().optional({ nullable: true }),
@@ -26,8 +26,8 @@ router.post(
 
     try {
       const newCompany = await db.query(
-        'INSERT INTO companies (name, email, phone, website, address) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-        [name, email, phone, website, address]
+        'INSERT INTO companies (name, email, phone, website, address, organisation_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+        [name, email, phone, website, address, req.user.organisation_id]
       );
 
       res.status(201).json(newCompany.rows[0]);
@@ -40,15 +40,17 @@ router.post(
 
 // @route   GET /api/companies
 // @desc    Get all companies
-// @access  Private (Administrator, Developer)
-router.get('/', requireRole(['administrator', 'developer']), async (req, res) => {
+// @access  Private (companies.read)
+router.get('/', requirePermission('companies.read'), async (req, res) => {
   try {
     const companies = await db.query(
       `SELECT id, name, email, phone, website, address, contact_person, notes, 
               is_active, created_at, updated_at,
               (SELECT COUNT(*) FROM projects WHERE company_id = companies.id) as projects_count
        FROM companies 
-       ORDER BY name`
+       WHERE organisation_id = $1
+       ORDER BY name`,
+      [req.user.organisation_id]
     );
     res.json({ companies: companies.rows });
   } catch (err) {
@@ -59,8 +61,8 @@ router.get('/', requireRole(['administrator', 'developer']), async (req, res) =>
 
 // @route   PUT /api/companies/:id
 // @desc    Update company
-// @access  Private (Administrator)
-router.put('/:id', requireRole(['administrator']), [
+// @access  Private (companies.write)
+router.put('/:id', requirePermission('companies.write'), [
   body('name').optional().trim().isLength({ min: 1, max: 255 }),
   body('email').optional().isEmail(),
   body('phone').optional().trim().isLength({ max: 50 }),
@@ -80,7 +82,10 @@ router.put('/:id', requireRole(['administrator']), [
 
   try {
     // Check if company exists
-    const existingCompany = await db.query('SELECT * FROM companies WHERE id = $1', [id]);
+    const existingCompany = await db.query(
+      'SELECT * FROM companies WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (existingCompany.rows.length === 0) {
       return res.status(404).json({ error: 'Company not found' });
     }
@@ -118,13 +123,16 @@ router.put('/:id', requireRole(['administrator']), [
 
 // @route   DELETE /api/companies/:id
 // @desc    Deactivate company
-// @access  Private (Administrator)
-router.delete('/:id', requireRole(['administrator']), async (req, res) => {
+// @access  Private (companies.delete)
+router.delete('/:id', requirePermission('companies.delete'), async (req, res) => {
   const { id } = req.params;
 
   try {
     // Check if company exists
-    const existingCompany = await db.query('SELECT name FROM companies WHERE id = $1', [id]);
+    const existingCompany = await db.query(
+      'SELECT name FROM companies WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (existingCompany.rows.length === 0) {
       return res.status(404).json({ error: 'Company not found' });
     }
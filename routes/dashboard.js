@@ -1,128 +1,86 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { getAccessScope } = require('../services/accessScope');
 
 // @route   GET /api/dashboard/stats
 // @desc    Get dashboard statistics
 // @access  Private
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', requirePermission('dashboard.read'), async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    let stats = {};
-
-    if (userRole === 'administrator') {
-      // Admin sees all statistics
-      const adminStatsQuery = `
-        SELECT 
-          -- Project stats
-          COUNT(DISTINCT p.id) as total_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'ongoing') as ongoing_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'completed') as completed_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'planning') as planning_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'stopped') as stopped_projects,
-          
-          -- Task stats
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'new') as new_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'in_progress') as in_progress_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.due_date < CURRENT_DATE AND t.status != 'completed') as overdue_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.priority = 'high') as high_priority_tasks,
-          
-          -- User stats
-          COUNT(DISTINCT u.id) as total_users,
-          COUNT(DISTINCT u.id) FILTER (WHERE u.is_active = true) as active_users,
-          COUNT(DISTINCT u.id) FILTER (WHERE u.role = 'developer') as developers,
-          COUNT(DISTINCT u.id) FILTER (WHERE u.role = 'client') as clients,
-          
-          -- Company stats
-          COUNT(DISTINCT c.id) as total_companies,
-          COUNT(DISTINCT c.id) FILTER (WHERE c.is_active = true) as active_companies,
-          
-          -- Financial stats
-          SUM(p.budget) as total_budget,
+    const scope = await getAccessScope(req.user);
+    const canReadUsers = await hasPermission(req.user.role, 'users.read');
+
+    // Everything is counted over what the caller can see; assigned and hours are their own
+    const params = [userId];
+    const statsQuery = `
+      WITH visible_projects AS (
+        SELECT p.id, p.status, p.budget FROM projects p
+        WHERE p.is_active = true AND ${scope.projects('p.id', params)}
+      ), visible_tasks AS (
+        SELECT t.id, t.status, t.priority, t.due_date, t.assigned_to FROM tasks t
+        WHERE t.project_id IN (SELECT id FROM visible_projects) AND ${scope.tasks('t', params)}
+      )
+      SELECT project_stats.*, task_stats.*, time_stats.*, invoice_stats.*, company_stats.*, user_stats.*
+      FROM (
+        SELECT
+          COUNT(*) as total_projects,
+          COUNT(*) FILTER (WHERE status = 'ongoing') as ongoing_projects,
+          COUNT(*) FILTER (WHERE status = 'completed') as completed_projects,
+          COUNT(*) FILTER (WHERE status = 'planning') as planning_projects,
+          COUNT(*) FILTER (WHERE status = 'stopped') as stopped_projects,
+          SUM(budget) as total_budget
+        FROM visible_projects
+      ) project_stats, (
+        SELECT
+          COUNT(*) as total_tasks,
+          COUNT(*) FILTER (WHERE status = 'new') as new_tasks,
+          COUNT(*) FILTER (WHERE status = 'in_progress') as in_progress_tasks,
+          COUNT(*) FILTER (WHERE status = 'completed') as completed_tasks,
+          COUNT(*) FILTER (WHERE due_date < CURRENT_DATE AND status != 'completed') as overdue_tasks,
+          COUNT(*) FILTER (WHERE priority = 'high') as high_priority_tasks,
+          COUNT(*) FILTER (WHERE assigned_to = $1) as assigned_tasks,
+          COUNT(*) FILTER (WHERE assigned_to = $1 AND status = 'new') as new_assigned_tasks,
+          COUNT(*) FILTER (WHERE assigned_to = $1 AND status = 'in_progress') as in_progress_assigned_tasks,
+          COUNT(*) FILTER (WHERE assigned_to = $1 AND status = 'completed') as completed_assigned_tasks,
+          COUNT(*) FILTER (WHERE assigned_to = $1 AND due_date < CURRENT_DATE AND status != 'completed') as overdue_assigned_tasks
+        FROM visible_tasks
+      ) task_stats, (
+        SELECT
+          SUM(te.hours_worked) FILTER (WHERE te.date_worked >= CURRENT_DATE - INTERVAL '30 days') as hours_this_month,
+          SUM(te.hours_worked) FILTER (WHERE te.date_worked >= CURRENT_DATE - INTERVAL '7 days') as hours_this_week
+        FROM time_entries te
+        WHERE te.user_id = $1 AND ${scope.timeEntries('te', params)}
+      ) time_stats, (
+        SELECT
           SUM(i.total_amount) FILTER (WHERE i.status = 'paid') as total_revenue,
           SUM(i.total_amount) FILTER (WHERE i.status = 'pending') as pending_invoices,
           SUM(i.total_amount) FILTER (WHERE i.status = 'overdue') as overdue_invoices
-          
-        FROM projects p
-        LEFT JOIN tasks t ON p.id = t.project_id
-        LEFT JOIN users u ON u.is_active = true
-        LEFT JOIN companies c ON c.id = p.company_id
-        LEFT JOIN invoices i ON p.id = i.project_id
-        WHERE p.is_active = true
-      `;
-
-      const adminResult = await db.query(adminStatsQuery);
-      stats = adminResult.rows[0];
-
-    } else if (userRole === 'developer') {
-      // Developer sees projects they're involved in
-      const developerStatsQuery = `
-        SELECT 
-          -- Project stats (projects where user is manager or member)
-          COUNT(DISTINCT p.id) as total_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'ongoing') as ongoing_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'completed') as completed_projects,
-          
-          -- Task stats (tasks assigned to user or in their projects)
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.assigned_to = $1) as assigned_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.assigned_to = $1 AND t.status = 'new') as new_assigned_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.assigned_to = $1 AND t.status = 'in_progress') as in_progress_assigned_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.assigned_to = $1 AND t.status = 'completed') as completed_assigned_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.assigned_to = $1 AND t.due_date < CURRENT_DATE AND t.status != 'completed') as overdue_assigned_tasks,
-          
-          -- Time tracking
-          SUM(te.hours_worked) FILTER (WHERE te.user_id = $1 AND te.date_worked >= CURRENT_DATE - INTERVAL '30 days') as hours_this_month,
-          SUM(te.hours_worked) FILTER (WHERE te.user_id = $1 AND te.date_worked >= CURRENT_DATE - INTERVAL '7 days') as hours_this_week
-          
-        FROM projects p
-        LEFT JOIN tasks t ON p.id = t.project_id
-        LEFT JOIN time_entries te ON t.id = te.task_id
-        WHERE p.is_active = true AND (
-          p.project_manager_id = $1 OR 
-          EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $1 AND pm.left_at IS NULL)
-        )
-      `;
-
-      const developerResult = await db.query(developerStatsQuery, [userId]);
-      stats = developerResult.rows[0];
-
-    } else if (userRole === 'client') {
-      // Client sees only their company's projects
-      const clientStatsQuery = `
-        SELECT 
-          -- Project stats (company projects)
-          COUNT(DISTINCT p.id) as total_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'ongoing') as ongoing_projects,
-          COUNT(DISTINCT p.id) FILTER (WHERE p.status = 'completed') as completed_projects,
-          
-          -- Task stats (tasks in company projects)
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.due_date < CURRENT_DATE AND t.status != 'completed') as overdue_tasks,
-          
-          -- Financial stats
-          SUM(p.budget) as total_budget,
-          SUM(i.total_amount) FILTER (WHERE i.status = 'paid') as total_paid,
-          SUM(i.total_amount) FILTER (WHERE i.status = 'pending') as pending_invoices
-          
-        FROM projects p
-        LEFT JOIN tasks t ON p.id = t.project_id
-        LEFT JOIN invoices i ON p.id = i.project_id
-        WHERE p.is_active = true AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $1
-        )
-      `;
-
-      const clientResult = await db.query(clientStatsQuery, [userId]);
-      stats = clientResult.rows[0];
-    }
+        FROM invoices i
+        WHERE ${scope.invoices('i', params)}
+      ) invoice_stats, (
+        SELECT
+          COUNT(*) as total_companies,
+          COUNT(*) FILTER (WHERE c.is_active = true) as active_companies
+        FROM companies c
+        WHERE ${scope.companies('c.id', params)}
+      ) company_stats, (
+        SELECT
+          COUNT(*) as total_users,
+          COUNT(*) FILTER (WHERE u.is_active = true) as active_users,
+          COUNT(*) FILTER (WHERE u.role = 'developer') as developers,
+          COUNT(*) FILTER (WHERE u.role = 'client') as clients
+        FROM users u
+        WHERE ${canReadUsers} AND ${scope.organisation('u.organisation_id', params)}
+      ) user_stats
+    `;
 
-    res.json({ stats });
+    const result = await db.query(statsQuery, params);
+
+    res.json({ stats: result.rows[0] });
   } catch (error) {
     next(error);
   }
@@ -131,83 +89,23 @@ router.get('/stats', async (req, res, next) => {
 // @route   GET /api/dashboard/recent-activity
 // @desc    Get recent activity
 // @access  Private
-router.get('/recent-activity', async (req, res, next) => {
+router.get('/recent-activity', requirePermission('dashboard.read'), async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    let activityQuery;
-    let queryParams = [limit];
-
-    if (userRole === 'administrator') {
-      // Admin sees all activity
-      activityQuery = `
-        SELECT 
-          al.id, al.action, al.entity_type, al.entity_id, al.details, al.created_at,
-          u.first_name || ' ' || u.last_name as user_name,
-          u.id as user_id
-        FROM activity_logs al
-        LEFT JOIN users u ON al.user_id = u.id
-        ORDER BY al.created_at DESC
-        LIMIT $1
-      `;
-    } else if (userRole === 'developer') {
-      // Developer sees activity from their projects
-      activityQuery = `
-        SELECT 
-          al.id, al.action, al.entity_type, al.entity_id, al.details, al.created_at,
-          u.first_name || ' ' || u.last_name as user_name,
-          u.id as user_id
-        FROM activity_logs al
-        LEFT JOIN users u ON al.user_id = u.id
-        WHERE 
-          al.user_id = $2 OR
-          (al.entity_type = 'project' AND al.entity_id IN (
-            SELECT p.id FROM projects p 
-            WHERE p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )) OR
-          (al.entity_type = 'task' AND al.entity_id IN (
-            SELECT t.id FROM tasks t
-            JOIN projects p ON t.project_id = p.id
-            WHERE t.assigned_to = $2 OR p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          ))
-        ORDER BY al.created_at DESC
-        LIMIT $1
-      `;
-      queryParams.push(userId);
-    } else {
-      // Client sees activity from their company projects
-      activityQuery = `
-        SELECT 
-          al.id, al.action, al.entity_type, al.entity_id, al.details, al.created_at,
-          u.first_name || ' ' || u.last_name as user_name,
-          u.id as user_id
-        FROM activity_logs al
-        LEFT JOIN users u ON al.user_id = u.id
-        WHERE 
-          (al.entity_type = 'project' AND al.entity_id IN (
-            SELECT p.id FROM projects p 
-            WHERE p.company_id IN (
-              SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-            )
-          )) OR
-          (al.entity_type = 'task' AND al.entity_id IN (
-            SELECT t.id FROM tasks t
-            JOIN projects p ON t.project_id = p.id
-            WHERE p.company_id IN (
-              SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-            )
-          ))
-        ORDER BY al.created_at DESC
-        LIMIT $1
-      `;
-      queryParams.push(userId);
-    }
+    const scope = await getAccessScope(req.user);
+
+    const queryParams = [limit];
+    const activityQuery = `
+      SELECT 
+        al.id, al.action, al.entity_type, al.entity_id, al.details, al.created_at,
+        u.first_name || ' ' || u.last_name as user_name,
+        u.id as user_id
+      FROM activity_logs al
+      LEFT JOIN users u ON al.user_id = u.id
+      WHERE ${scope.activityLogs('al', queryParams)}
+      ORDER BY al.created_at DESC
+      LIMIT $1
+    `;
 
     const result = await db.query(activityQuery, queryParams);
 
@@ -220,75 +118,30 @@ router.get('/recent-activity', async (req, res, next) => {
 // @route   GET /api/dashboard/active-projects
 // @desc    Get active projects for dashboard
 // @access  Private
-router.get('/active-projects', async (req, res, next) => {
+router.get('/active-projects', requirePermission('dashboard.read'), async (req, res, next) => {
   try {
     const { limit = 5 } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    let projectsQuery;
-    let queryParams = [limit];
-
-    if (userRole === 'administrator') {
-      projectsQuery = `
-        SELECT 
-          p.id, p.name, p.status, p.progress_percentage,
-          c.name as company_name,
-          u.first_name || ' ' || u.last_name as project_manager_name,
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
-          COUNT(DISTINCT pm.user_id) as team_size
-        FROM projects p
-        LEFT JOIN companies c ON p.company_id = c.id
-        LEFT JOIN users u ON p.project_manager_id = u.id
-        LEFT JOIN tasks t ON p.id = t.project_id
-        LEFT JOIN project_members pm ON p.id = pm.project_id AND pm.left_at IS NULL
-        WHERE p.is_active = true AND p.status IN ('ongoing', 'planning')
-        GROUP BY p.id, c.name, u.first_name, u.last_name
-        ORDER BY p.created_at DESC
-        LIMIT $1
-      `;
-    } else if (userRole === 'developer') {
-      projectsQuery = `
-        SELECT 
-          p.id, p.name, p.status, p.progress_percentage,
-          c.name as company_name,
-          u.first_name || ' ' || u.last_name as project_manager_name,
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
-          COUNT(DISTINCT pm.user_id) as team_size
-        FROM projects p
-        LEFT JOIN companies c ON p.company_id = c.id
-        LEFT JOIN users u ON p.project_manager_id = u.id
-        LEFT JOIN tasks t ON p.id = t.project_id
-        LEFT JOIN project_members pm ON p.id = pm.project_id AND pm.left_at IS NULL
-        WHERE p.is_active = true AND p.status IN ('ongoing', 'planning') AND (
-          p.project_manager_id = $2 OR EXISTS (
-            SELECT 1 FROM project_members pm2 WHERE pm2.project_id = p.id AND pm2.user_id = $2
-          )
-        )
-        GROUP BY p.id, c.name, u.first_name, u.last_name
-        ORDER BY p.created_at DESC
-        LIMIT $1
-      `;
-      queryParams.push(userId);
-    } else {
-      projectsQuery = `
-        SELECT 
-          p.id, p.name, p.status, p.progress_percentage,
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks
-        FROM projects p
-        LEFT JOIN tasks t ON p.id = t.project_id
-        WHERE p.is_active = true AND p.status IN ('ongoing', 'planning') AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-        )
-        GROUP BY p.id
-        ORDER BY p.created_at DESC
-        LIMIT $1
-      `;
-      queryParams.push(userId);
-    }
+    const scope = await getAccessScope(req.user);
+
+    const queryParams = [limit];
+    const projectsQuery = `
+      SELECT 
+        p.id, p.name, p.status, p.progress_percentage,
+        c.name as company_name,
+        u.first_name || ' ' || u.last_name as project_manager_name,
+        COUNT(DISTINCT t.id) as total_tasks,
+        COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
+        COUNT(DISTINCT pm.user_id) as team_size
+      FROM projects p
+      LEFT JOIN companies c ON p.company_id = c.id
+      LEFT JOIN users u ON p.project_manager_id = u.id
+      LEFT JOIN tasks t ON p.id = t.project_id
+      LEFT JOIN project_members pm ON p.id = pm.project_id AND pm.left_at IS NULL
+      WHERE p.is_active = true AND p.status IN ('ongoing', 'planning') AND ${scope.projects('p.id', queryParams)}
+      GROUP BY p.id, c.name, u.first_name, u.last_name
+      ORDER BY p.created_at DESC
+      LIMIT $1
+    `;
 
     const result = await db.query(projectsQuery, queryParams);
 
@@ -299,66 +152,29 @@ router.get('/active-projects', async (req, res, next) => {
 });
 
 // @route   GET /api/dashboard/upcoming-tasks
-// @desc    Get upcoming tasks for dashboard
+// @desc    Get upcoming tasks for dashboard, the caller's own first
 // @access  Private
-router.get('/upcoming-tasks', async (req, res, next) => {
+router.get('/upcoming-tasks', requirePermission('dashboard.read'), async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    let tasksQuery;
-    let queryParams = [limit];
-
-    if (userRole === 'administrator') {
-      tasksQuery = `
-        SELECT 
-          t.id, t.title, t.priority, t.status, t.due_date,
-          p.name as project_name, p.id as project_id,
-          u.first_name || ' ' || u.last_name as assigned_to_name
-        FROM tasks t
-        LEFT JOIN projects p ON t.project_id = p.id
-        LEFT JOIN users u ON t.assigned_to = u.id
-        WHERE t.due_date IS NOT NULL AND t.status != 'completed'
-        ORDER BY t.due_date ASC, t.priority DESC
-        LIMIT $1
-      `;
-    } else if (userRole === 'developer') {
-      tasksQuery = `
-        SELECT 
-          t.id, t.title, t.priority, t.status, t.due_date,
-          p.name as project_name, p.id as project_id
-        FROM tasks t
-        LEFT JOIN projects p ON t.project_id = p.id
-        WHERE t.due_date IS NOT NULL AND t.status != 'completed' AND (
-          t.assigned_to = $2 OR 
-          p.project_manager_id = $2 OR 
-          EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2)
-        )
-        ORDER BY 
-          CASE WHEN t.assigned_to = $2 THEN 0 ELSE 1 END,
-          t.due_date ASC, 
-          t.priority DESC
-        LIMIT $1
-      `;
-      queryParams.push(userId);
-    } else {
-      tasksQuery = `
-        SELECT 
-          t.id, t.title, t.priority, t.status, t.due_date,
-          p.name as project_name, p.id as project_id,
-          u.first_name || ' ' || u.last_name as assigned_to_name
-        FROM tasks t
-        LEFT JOIN projects p ON t.project_id = p.id
-        LEFT JOIN users u ON t.assigned_to = u.id
-        WHERE t.due_date IS NOT NULL AND t.status != 'completed' AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-        )
-        ORDER BY t.due_date ASC, t.priority DESC
-        LIMIT $1
-      `;
-      queryParams.push(userId);
-    }
+    const scope = await getAccessScope(req.user);
+
+    const queryParams = [limit, req.user.id];
+    const tasksQuery = `
+      SELECT 
+        t.id, t.title, t.priority, t.status, t.due_date,
+        p.name as project_name, p.id as project_id,
+        u.first_name || ' ' || u.last_name as assigned_to_name
+      FROM tasks t
+      LEFT JOIN projects p ON t.project_id = p.id
+      LEFT JOIN users u ON t.assigned_to = u.id
+      WHERE t.due_date IS NOT NULL AND t.status != 'completed' AND p.is_active = true AND ${scope.tasks('t', queryParams)}
+      ORDER BY 
+        CASE WHEN t.assigned_to = $2 THEN 0 ELSE 1 END,
+        t.due_date ASC, 
+        t.priority DESC
+      LIMIT $1
+    `;
 
     const result = await db.query(tasksQuery, queryParams);
 
@@ -371,65 +187,24 @@ router.get('/upcoming-tasks', async (req, res, next) => {
 // @route   GET /api/dashboard/project-progress
 // @desc    Get project progress data for charts
 // @access  Private
-router.get('/project-progress', async (req, res, next) => {
+router.get('/project-progress', requirePermission('dashboard.read'), async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    let progressQuery;
-    let queryParams = [];
-
-    if (userRole === 'administrator') {
-      progressQuery = `
-        SELECT 
-          p.id, p.name, p.progress_percentage, p.status,
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
-          p.start_date, p.end_date
-        FROM projects p
-        LEFT JOIN tasks t ON p.id = t.project_id
-        WHERE p.is_active = true
-        GROUP BY p.id
-        ORDER BY p.created_at DESC
-        LIMIT 10
-      `;
-    } else if (userRole === 'developer') {
-      progressQuery = `
-        SELECT 
-          p.id, p.name, p.progress_percentage, p.status,
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
-          p.start_date, p.end_date
-        FROM projects p
-        LEFT JOIN tasks t ON p.id = t.project_id
-        WHERE p.is_active = true AND (
-          p.project_manager_id = $1 OR EXISTS (
-            SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $1
-          )
-        )
-        GROUP BY p.id
-        ORDER BY p.created_at DESC
-        LIMIT 10
-      `;
-      queryParams.push(userId);
-    } else {
-      progressQuery = `
-        SELECT 
-          p.id, p.name, p.progress_percentage, p.status,
-          COUNT(DISTINCT t.id) as total_tasks,
-          COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
-          p.start_date, p.end_date
-        FROM projects p
-        LEFT JOIN tasks t ON p.id = t.project_id
-        WHERE p.is_active = true AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $1
-        )
-        GROUP BY p.id
-        ORDER BY p.created_at DESC
-        LIMIT 10
-      `;
-      queryParams.push(userId);
-    }
+    const scope = await getAccessScope(req.user);
+
+    const queryParams = [];
+    const progressQuery = `
+      SELECT 
+        p.id, p.name, p.progress_percentage, p.progress_method, p.status,
+        COUNT(DISTINCT t.id) as total_tasks,
+        COUNT(DISTINCT t.id) FILTER (WHERE t.status = 'completed') as completed_tasks,
+        p.start_date, p.end_date
+      FROM projects p
+      LEFT JOIN tasks t ON p.id = t.project_id
+      WHERE p.is_active = true AND ${scope.projects('p.id', queryParams)}
+      GROUP BY p.id
+      ORDER BY p.created_at DESC
+      LIMIT 10
+    `;
 
     const result = await db.query(progressQuery, queryParams);
 
@@ -447,8 +222,12 @@ router.get('/notifications', async (req, res, next) => {
     const { limit = 10, unread_only = 'false' } = req.query;
     const userId = req.user.id;
 
-    let whereClause = 'WHERE user_id = $1';
-    let queryParams = [userId, limit];
+    // With a company selected, only its notifications and account-wide ones
+    const companyId = req.user.active_company_id;
+    const companyFilter = companyId ? ' AND (company_id IS NULL OR company_id = $2)' : '';
+    const baseParams = companyId ? [userId, companyId] : [userId];
+
+    let whereClause = `WHERE user_id = $1${companyFilter}`;
 
     if (unread_only === 'true') {
       whereClause += ' AND is_read = false';
@@ -456,23 +235,23 @@ router.get('/notifications', async (req, res, next) => {
 
     const notificationsQuery = `
       SELECT 
-        id, type, title, message, data, is_read, created_at
+        id, type, title, message, data, company_id, is_read, created_at
       FROM notifications
       ${whereClause}
       ORDER BY created_at DESC
-      LIMIT $2
+      LIMIT $${baseParams.length + 1}
     `;
 
-    const result = await db.query(notificationsQuery, queryParams);
+    const result = await db.query(notificationsQuery, [...baseParams, limit]);
 
     // Get unread count
     const unreadCountQuery = `
       SELECT COUNT(*) as unread_count
       FROM notifications
-      WHERE user_id = $1 AND is_read = false
+      WHERE user_id = $1 AND is_read = false${companyFilter}
     `;
 
-    const unreadResult = await db.query(unreadCountQuery, [userId]);
+    const unreadResult = await db.query(unreadCountQuery, baseParams);
 
     res.json({
       notifications: result.rows,
@@ -507,16 +286,24 @@ router.put('/notifications/:id/read', async (req, res, next) => {
 });
 
 // @route   PUT /api/dashboard/notifications/read-all
-// @desc    Mark all notifications as read
+// @desc    Mark all notifications as read (only the selected company's, if one is selected)
 // @access  Private
 router.put('/notifications/read-all', async (req, res, next) => {
   try {
     const userId = req.user.id;
 
-    await db.query(
-      'UPDATE notifications SET is_read = true WHERE user_id = $1 AND is_read = false',
-      [userId]
-    );
+    if (req.user.active_company_id) {
+      await db.query(
+        `UPDATE notifications SET is_read = true
+         WHERE user_id = $1 AND is_read = false AND (company_id IS NULL OR company_id = $2)`,
+        [userId, req.user.active_company_id]
+      );
+    } else {
+      await db.query(
+        'UPDATE notifications SET is_read = true WHERE user_id = $1 AND is_read = false',
+        [userId]
+      );
+    }
 
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const db = require('../config/database');
 
 /**
  * GET /api/exports
  * Get user's export history
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('exports.read'), async (req, res) => {
   try {
     const userId = req.user.id;
     
@@ -50,7 +50,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * POST /api/exports
  * Record a new export in the database
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('exports.write'), async (req, res) => {
   try {
     const userId = req.user.id;
     const {
@@ -121,7 +121,7 @@ router.post('/', authenticateToken, async (req, res) => {
  * PUT /api/exports/:id/download
  * Increment download count for an export
  */
-router.put('/:id/download', authenticateToken, async (req, res) => {
+router.put('/:id/download', authenticateToken, requirePermission('exports.read'), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
@@ -173,7 +173,7 @@ router.put('/:id/download', authenticateToken, async (req, res) => {
  * DELETE /api/exports/:id
  * Delete an export record and optionally the file
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('exports.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
@@ -225,7 +225,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
  * GET /api/exports/stats
  * Get export statistics for the user
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('exports.read'), async (req, res) => {
   try {
     const userId = req.user.id;
     
@@ -310,9 +310,9 @@ router.get('/public/:id', async (req, res) => {
 
 /**
  * POST /api/exports/cleanup
- * Clean up expired exports (admin only)
+ * Clean up expired exports (exports.manage)
  */
-router.post('/cleanup', requireRole(['administrator']), async (req, res) => {
+router.post('/cleanup', authenticateToken, requirePermission('exports.manage'), async (req, res) => {
   try {
     const result = await db.query(
       'DELETE FROM exports WHERE expires_at IS NOT NULL AND expires_at < NOW() RETURNING *'
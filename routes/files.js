@@ -6,6 +6,10 @@ const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const db = require('../config/database');
 const { validateUUID, validatePagination } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { hasProjectPermission } = require('../services/projectRoles');
+const { getAccessScope } = require('../services/accessScope');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '..', 'uploads');
@@ -68,7 +72,7 @@ const upload = multer({
 // @route   GET /api/files
 // @desc    Get files for project or task
 // @access  Private
-router.get('/', validatePagination, async (req, res, next) => {
+router.get('/', requirePermission('files.read'), validatePagination, async (req, res, next) => {
   try {
     const { project_id, task_id, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
@@ -78,62 +82,10 @@ router.get('/', validatePagination, async (req, res, next) => {
     }
 
     // Check access permissions
-    let accessQuery;
-    let accessParams;
+    const scope = await getAccessScope(req.user);
+    const hasAccess = await scope.canAccess({ projectId: project_id, taskId: task_id });
 
-    if (project_id) {
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND (
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM projects WHERE id = $1';
-        accessParams = [project_id];
-      }
-    } else {
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND (
-            t.assigned_to = $2 OR
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM tasks WHERE id = $1';
-        accessParams = [task_id];
-      }
-    }
-
-    const accessResult = await db.query(accessQuery, accessParams);
-    if (accessResult.rows.length === 0) {
+    if (!hasAccess) {
       return res.status(404).json({ error: 'Resource not found or access denied' });
     }
 
@@ -197,7 +149,7 @@ router.get('/', validatePagination, async (req, res, next) => {
 // @route   POST /api/files/upload
 // @desc    Upload files
 // @access  Private
-router.post('/upload', (req, res, next) => {
+router.post('/upload', requirePermission('files.write'), (req, res, next) => {
   const uploadHandler = upload.array('files', 5);
   
   uploadHandler(req, res, (err) => {
@@ -240,71 +192,31 @@ router.post('/upload', (req, res, next) => {
     console.log('✅ Basic validation passed, checking permissions...');
 
     // Check access permissions
-    let accessQuery;
-    let accessParams;
-
-    if (project_id) {
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM projects p
-          WHERE p.id = $1 AND (
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [project_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM projects WHERE id = $1';
-        accessParams = [project_id];
-      }
-    } else {
-      if (req.user.role === 'client') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND p.company_id IN (
-            SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else if (req.user.role === 'developer') {
-        accessQuery = `
-          SELECT 1 FROM tasks t
-          JOIN projects p ON t.project_id = p.id
-          WHERE t.id = $1 AND (
-            t.assigned_to = $2 OR
-            p.project_manager_id = $2 OR EXISTS (
-              SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-            )
-          )
-        `;
-        accessParams = [task_id, req.user.id];
-      } else {
-        accessQuery = 'SELECT 1 FROM tasks WHERE id = $1';
-        accessParams = [task_id];
-      }
-    }
+    const scope = await getAccessScope(req.user);
+    const hasAccess = await scope.canAccess({ projectId: project_id, taskId: task_id });
 
-    const accessResult = await db.query(accessQuery, accessParams);
-    if (accessResult.rows.length === 0) {
-      // Clean up uploaded files
+    // Clean up uploaded files
+    const discardUploads = () => {
       req.files.forEach(file => {
         fs.unlink(file.path, (err) => {
           if (err) console.error('Error deleting file:', err);
         });
       });
+    };
+
+    if (!hasAccess) {
+      discardUploads();
       return res.status(404).json({ error: 'Resource not found or access denied' });
     }
 
+    const owningProjectId = project_id ||
+      (await db.query('SELECT project_id FROM tasks WHERE id = $1', [task_id])).rows[0].project_id;
+
+    if (!(await hasProjectPermission(owningProjectId, req.user, 'files.write'))) {
+      discardUploads();
+      return res.status(403).json({ error: 'Your project role does not allow uploading files' });
+    }
+
     // Save file information to database
     const uploadedFiles = [];
     
@@ -366,7 +278,7 @@ router.post('/upload', (req, res, next) => {
 // @route   GET /api/files/:id/download
 // @desc    Download file
 // @access  Private
-router.get('/:id/download', validateUUID, async (req, res, next) => {
+router.get('/:id/download', validateUUID, requirePermission('files.read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -376,10 +288,13 @@ router.get('/:id/download', validateUUID, async (req, res, next) => {
       FROM files f
       LEFT JOIN projects p ON f.project_id = p.id
       LEFT JOIN tasks t ON f.task_id = t.id
-      WHERE f.id = $1
+      WHERE f.id = $1 AND EXISTS (
+        SELECT 1 FROM projects op
+        WHERE op.id = COALESCE(f.project_id, t.project_id) AND op.organisation_id = $2
+      )
     `;
 
-    const fileResult = await db.query(fileQuery, [id]);
+    const fileResult = await db.query(fileQuery, [id, req.user.organisation_id]);
     if (fileResult.rows.length === 0) {
       return res.status(404).json({ error: 'File not found' });
     }
@@ -387,58 +302,9 @@ router.get('/:id/download', validateUUID, async (req, res, next) => {
     const file = fileResult.rows[0];
 
     // Check access permissions (unless file is public)
-    if (!file.is_public) {
-      let hasAccess = false;
-
-      if (req.user.role === 'administrator') {
-        hasAccess = true;
-      } else if (req.user.role === 'client') {
-        const companyId = file.company_id || (file.task_project_id ? 
-          (await db.query('SELECT company_id FROM projects WHERE id = $1', [file.task_project_id])).rows[0]?.company_id 
-          : null);
-        
-        if (companyId) {
-          const clientAccess = await db.query(
-            'SELECT 1 FROM client_users WHERE company_id = $1 AND user_id = $2',
-            [companyId, req.user.id]
-          );
-          hasAccess = clientAccess.rows.length > 0;
-        }
-      } else if (req.user.role === 'developer') {
-        let accessQuery;
-        let accessParams;
-
-        if (file.project_id) {
-          accessQuery = `
-            SELECT 1 FROM projects p
-            WHERE p.id = $1 AND (
-              p.project_manager_id = $2 OR EXISTS (
-                SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-              )
-            )
-          `;
-          accessParams = [file.project_id, req.user.id];
-        } else if (file.task_id) {
-          accessQuery = `
-            SELECT 1 FROM tasks t
-            JOIN projects p ON t.project_id = p.id
-            WHERE t.id = $1 AND (
-              t.assigned_to = $2 OR
-              p.project_manager_id = $2 OR EXISTS (
-                SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-              )
-            )
-          `;
-          accessParams = [file.task_id, req.user.id];
-        }
-
-        if (accessQuery) {
-          const accessResult = await db.query(accessQuery, accessParams);
-          hasAccess = accessResult.rows.length > 0;
-        }
-      }
-
-      if (!hasAccess) {
+    if (!file.is_public && !(await hasPermission(req.user.role, 'files.manage'))) {
+      const scope = await getAccessScope(req.user);
+      if (!(await scope.canAccess({ projectId: file.project_id, taskId: file.task_id }))) {
         return res.status(403).json({ error: 'Access denied' });
       }
     }
@@ -467,36 +333,35 @@ router.get('/:id/download', validateUUID, async (req, res, next) => {
   }
 });
 
+// Uploaders can change their own files while they can still upload to the project;
+// other members' files need files.manage, globally or through the project role
+const canChangeFile = async (file, user) => {
+  if (await hasPermission(user.role, 'files.manage')) {
+    return true;
+  }
+
+  const permission = file.uploaded_by === user.id ? 'files.write' : 'files.manage';
+  return hasProjectPermission(file.owning_project_id, user, permission);
+};
+
 // @route   DELETE /api/files/:id
 // @desc    Delete file
-// @access  Private (Uploader, Admin, or Project Manager)
-router.delete('/:id', validateUUID, async (req, res, next) => {
+// @access  Private (Uploader, project owner/maintainer, or files.manage)
+router.delete('/:id', validateUUID, requirePermission('files.delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check file access
-    let accessQuery;
-    if (req.user.role === 'administrator') {
-      accessQuery = 'SELECT * FROM files WHERE id = $1';
-    } else {
-      accessQuery = `
-        SELECT f.*, p.project_manager_id, tp.project_manager_id as task_project_manager_id
-        FROM files f
-        LEFT JOIN projects p ON f.project_id = p.id
-        LEFT JOIN tasks t ON f.task_id = t.id
-        LEFT JOIN projects tp ON t.project_id = tp.id
-        WHERE f.id = $1 AND (
-          f.uploaded_by = $2 OR 
-          p.project_manager_id = $2 OR 
-          tp.project_manager_id = $2
-        )
-      `;
-    }
-
-    const queryParams = req.user.role === 'administrator' ? [id] : [id, req.user.id];
-    const fileResult = await db.query(accessQuery, queryParams);
+    const fileResult = await db.query(
+      `SELECT f.*, COALESCE(f.project_id, t.project_id) as owning_project_id
+       FROM files f
+       LEFT JOIN tasks t ON f.task_id = t.id
+       JOIN projects op ON op.id = COALESCE(f.project_id, t.project_id)
+       WHERE f.id = $1 AND op.organisation_id = $2`,
+      [id, req.user.organisation_id]
+    );
 
-    if (fileResult.rows.length === 0) {
+    if (fileResult.rows.length === 0 || !(await canChangeFile(fileResult.rows[0], req.user))) {
       return res.status(404).json({ error: 'File not found or not authorized to delete' });
     }
 
@@ -531,8 +396,8 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
 
 // @route   PUT /api/files/:id
 // @desc    Update file metadata
-// @access  Private (Uploader, Admin, or Project Manager)
-router.put('/:id', validateUUID, async (req, res, next) => {
+// @access  Private (Uploader, project owner/maintainer, or files.manage)
+router.put('/:id', validateUUID, requirePermission('files.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { is_public } = req.body;
@@ -542,28 +407,16 @@ router.put('/:id', validateUUID, async (req, res, next) => {
     }
 
     // Check file access
-    let accessQuery;
-    if (req.user.role === 'administrator') {
-      accessQuery = 'SELECT * FROM files WHERE id = $1';
-    } else {
-      accessQuery = `
-        SELECT f.*, p.project_manager_id, tp.project_manager_id as task_project_manager_id
-        FROM files f
-        LEFT JOIN projects p ON f.project_id = p.id
-        LEFT JOIN tasks t ON f.task_id = t.id
-        LEFT JOIN projects tp ON t.project_id = tp.id
-        WHERE f.id = $1 AND (
-          f.uploaded_by = $2 OR 
-          p.project_manager_id = $2 OR 
-          tp.project_manager_id = $2
-        )
-      `;
-    }
-
-    const queryParams = req.user.role === 'administrator' ? [id] : [id, req.user.id];
-    const fileResult = await db.query(accessQuery, queryParams);
+    const fileResult = await db.query(
+      `SELECT f.*, COALESCE(f.project_id, t.project_id) as owning_project_id
+       FROM files f
+       LEFT JOIN tasks t ON f.task_id = t.id
+       JOIN projects op ON op.id = COALESCE(f.project_id, t.project_id)
+       WHERE f.id = $1 AND op.organisation_id = $2`,
+      [id, req.user.organisation_id]
+    );
 
-    if (fileResult.rows.length === 0) {
+    if (fileResult.rows.length === 0 || !(await canChangeFile(fileResult.rows[0], req.user))) {
       return res.status(404).json({ error: 'File not found or not authorized to update' });
     }
 
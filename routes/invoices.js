@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { hasProjectPermission } = require('../services/projectRoles');
+const { getAccessScope } = require('../services/accessScope');
 const { validateUUID, validatePagination } = require('../middleware/validation');
 const { body } = require('express-validator');
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
@@ -9,7 +11,7 @@ const fs = require('fs').promises;
 const path = require('path');
 
 
-router.get('/', validatePagination, async (req, res, next) => {
+router.get('/', requirePermission('invoices.read'), validatePagination, async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -30,23 +32,9 @@ router.get('/', validatePagination, async (req, res, next) => {
     let queryParams = [];
     let paramCount = 0;
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      // Clients can only see invoices from their company
-      paramCount++;
-      whereConditions.push(`i.company_id IN (
-        SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-      )`);
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      // Developers can see invoices from projects they manage
-      paramCount++;
-      whereConditions.push(`i.project_id IN (
-        SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $${paramCount}
-      )`);
-      queryParams.push(req.user.id);
-    }
-    // Administrators can see all invoices
+    const scope = await getAccessScope(req.user);
+    whereConditions.push(scope.invoices('i', queryParams));
+    paramCount = queryParams.length;
 
     if (status && ['pending', 'paid', 'overdue', 'canceled'].includes(status)) {
       paramCount++;
@@ -132,7 +120,7 @@ router.get('/', validatePagination, async (req, res, next) => {
 // @route   GET /api/invoices/:id
 // @desc    Get invoice by ID
 // @access  Private
-router.get('/:id', validateUUID, async (req, res, next) => {
+router.get('/:id', validateUUID, requirePermission('invoices.read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -152,17 +140,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
     `;
     let accessParams = [id];
 
-    if (req.user.role === 'client') {
-      accessQuery += ` AND i.company_id IN (
-        SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-      )`;
-      accessParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      accessQuery += ` AND i.project_id IN (
-        SELECT DISTINCT p2.id FROM projects p2 WHERE p2.project_manager_id = $2
-      )`;
-      accessParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    accessQuery += ` AND ${scope.invoices('i', accessParams)}`;
 
     const invoiceResult = await db.query(accessQuery, accessParams);
     if (invoiceResult.rows.length === 0) {
@@ -210,8 +189,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
 
 // @route   POST /api/invoices
 // @desc    Create new invoice
-// @access  Private (Admin and Developer)
-router.post('/', requireRole(['administrator', 'developer']), [
+// @access  Private (Project billing members or projects.manage)
+router.post('/', requirePermission('invoices.write'), [
   body('project_id').isUUID(),
   body('issue_date').isISO8601().toDate(),
   body('due_date').isISO8601().toDate(),
@@ -232,31 +211,30 @@ router.post('/', requireRole(['administrator', 'developer']), [
     } = req.body;
 
     // Verify project exists and user has access
-    let projectQuery = `
+    const projectQuery = `
       SELECT p.*, c.id as company_id FROM projects p
       JOIN companies c ON p.company_id = c.id
-      WHERE p.id = $1 AND p.is_active = true
+      WHERE p.id = $1 AND p.is_active = true AND p.organisation_id = $2
     `;
-    let projectParams = [project_id];
-
-    if (req.user.role === 'developer') {
-      projectQuery += ` AND p.project_manager_id = $2`;
-      projectParams.push(req.user.id);
-    }
+    const projectParams = [project_id, req.user.organisation_id];
 
     const projectResult = await db.query(projectQuery, projectParams);
     if (projectResult.rows.length === 0) {
       return res.status(400).json({ error: 'Project not found or access denied' });
     }
 
+    if (!(await hasProjectPermission(project_id, req.user, 'invoices.write'))) {
+      return res.status(403).json({ error: 'Only billing members can create invoices for this project' });
+    }
+
     const project = projectResult.rows[0];
 
-    // Generate invoice number
+    // Generate invoice number (each organisation numbers its own invoices)
     const invoiceNumberQuery = `
       SELECT COUNT(*) + 1 as next_number FROM invoices 
-      WHERE EXTRACT(YEAR FROM created_at) = EXTRACT(YEAR FROM CURRENT_DATE)
+      WHERE organisation_id = $1 AND EXTRACT(YEAR FROM created_at) = EXTRACT(YEAR FROM CURRENT_DATE)
     `;
-    const numberResult = await db.query(invoiceNumberQuery);
+    const numberResult = await db.query(invoiceNumberQuery, [project.organisation_id]);
     const invoiceNumber = `INV-${new Date().getFullYear()}-${String(numberResult.rows[0].next_number).padStart(4, '0')}`;
 
     // Get time entries to include
@@ -306,16 +284,16 @@ router.post('/', requireRole(['administrator', 'developer']), [
       INSERT INTO invoices (
         invoice_number, project_id, company_id, issued_by,
         issue_date, due_date, subtotal, tax_rate, tax_amount,
-        total_amount, currency, notes
+        total_amount, currency, notes, organisation_id
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING id, invoice_number, created_at
     `;
 
     const values = [
       invoiceNumber, project_id, project.company_id, req.user.id,
       issue_date, due_date, subtotal, tax_rate, taxAmount,
-      totalAmount, currency, notes
+      totalAmount, currency, notes, project.organisation_id
     ];
 
     const invoiceResult = await db.query(insertQuery, values);
@@ -360,30 +338,29 @@ router.post('/', requireRole(['administrator', 'developer']), [
 
 // @route   PUT /api/invoices/:id
 // @desc    Update invoice
-// @access  Private (Admin and Project Manager)
-router.put('/:id', validateUUID, async (req, res, next) => {
+// @access  Private (Project billing members or projects.manage)
+router.put('/:id', validateUUID, requirePermission('invoices.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, notes, due_date } = req.body;
 
     // Check invoice access
-    let accessQuery = `
+    const accessQuery = `
       SELECT i.*, p.project_manager_id FROM invoices i
       LEFT JOIN projects p ON i.project_id = p.id
       WHERE i.id = $1
     `;
-    let accessParams = [id];
-
-    if (req.user.role === 'developer') {
-      accessQuery += ` AND p.project_manager_id = $2`;
-      accessParams.push(req.user.id);
-    }
+    const accessParams = [id];
 
     const invoiceResult = await db.query(accessQuery, accessParams);
     if (invoiceResult.rows.length === 0) {
       return res.status(404).json({ error: 'Invoice not found or access denied' });
     }
 
+    if (!(await hasProjectPermission(invoiceResult.rows[0].project_id, req.user, 'invoices.write'))) {
+      return res.status(403).json({ error: 'Only billing members can change invoices for this project' });
+    }
+
     const currentInvoice = invoiceResult.rows[0];
 
     // Only allow certain updates based on current status
@@ -436,8 +413,8 @@ router.put('/:id', validateUUID, async (req, res, next) => {
 
 // @route   POST /api/invoices/:id/payments
 // @desc    Add payment to invoice
-// @access  Private (Admin and Project Manager)
-router.post('/:id/payments', validateUUID, [
+// @access  Private (Project billing members or projects.manage)
+router.post('/:id/payments', validateUUID, requirePermission('invoices.write'), [
   body('amount').isFloat({ min: 0.01 }),
   body('payment_date').isISO8601().toDate(),
   body('payment_method').optional().trim().isLength({ max: 100 }),
@@ -449,23 +426,22 @@ router.post('/:id/payments', validateUUID, [
     const { amount, payment_date, payment_method, transaction_id, notes } = req.body;
 
     // Check invoice access
-    let accessQuery = `
+    const accessQuery = `
       SELECT i.*, p.project_manager_id FROM invoices i
       LEFT JOIN projects p ON i.project_id = p.id
       WHERE i.id = $1
     `;
-    let accessParams = [id];
-
-    if (req.user.role === 'developer') {
-      accessQuery += ` AND p.project_manager_id = $2`;
-      accessParams.push(req.user.id);
-    }
+    const accessParams = [id];
 
     const invoiceResult = await db.query(accessQuery, accessParams);
     if (invoiceResult.rows.length === 0) {
       return res.status(404).json({ error: 'Invoice not found or access denied' });
     }
 
+    if (!(await hasProjectPermission(invoiceResult.rows[0].project_id, req.user, 'invoices.write'))) {
+      return res.status(403).json({ error: 'Only billing members can change invoices for this project' });
+    }
+
     const invoice = invoiceResult.rows[0];
 
     // Check if payment amount is valid
@@ -522,25 +498,11 @@ router.post('/:id/payments', validateUUID, [
 // @route   GET /api/invoices/stats/overview
 // @desc    Get invoice statistics
 // @access  Private
-router.get('/stats/overview', async (req, res, next) => {
+router.get('/stats/overview', requirePermission('invoices.read'), async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    let whereClause = '';
-    let queryParams = [];
-
-    if (userRole === 'client') {
-      whereClause = `WHERE i.company_id IN (
-        SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $1
-      )`;
-      queryParams = [userId];
-    } else if (userRole === 'developer') {
-      whereClause = `WHERE i.project_id IN (
-        SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $1
-      )`;
-      queryParams = [userId];
-    }
+    const queryParams = [];
+    const scope = await getAccessScope(req.user);
+    const whereClause = `WHERE ${scope.invoices('i', queryParams)}`;
 
     const statsQuery = `
       SELECT 
@@ -567,7 +529,7 @@ router.get('/stats/overview', async (req, res, next) => {
 // @route   GET /api/invoices/:id/pdf
 // @desc    Generate and download invoice PDF
 // @access  Private
-router.get('/:id/pdf', validateUUID, async (req, res, next) => {
+router.get('/:id/pdf', validateUUID, requirePermission('invoices.read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -588,18 +550,8 @@ router.get('/:id/pdf', validateUUID, async (req, res, next) => {
     
     const queryParams = [id];
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      invoiceQuery += ` AND i.company_id IN (
-        SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-      )`;
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      invoiceQuery += ` AND i.project_id IN (
-        SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $2
-      )`;
-      queryParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    invoiceQuery += ` AND ${scope.invoices('i', queryParams)}`;
 
     const invoiceResult = await db.query(invoiceQuery, queryParams);
     if (invoiceResult.rows.length === 0) {
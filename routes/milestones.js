@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router({ mergeParams: true }); // Important: merge params to access :projectId
 const db = require('../config/database');
 const { validateUUID } = require('../middleware/validation');
-const { requireAdminOrOwner } = require('../middleware/auth');
+const { requirePermission, requireAdminOrOwner } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { hasProjectPermission } = require('../services/projectRoles');
+const { getAccessScope } = require('../services/accessScope');
 const { body, param, validationResult } = require('express-validator');
 
 // Custom validation for projectId
@@ -40,35 +43,14 @@ const validateMilestoneId = (req, res, next) => {
 // @route   GET /api/projects/:projectId/milestones
 // @desc    Get all milestones for a project
 // @access  Private
-router.get('/', validateProjectId, async (req, res, next) => {
+router.get('/', validateProjectId, requirePermission('milestones.read'), async (req, res, next) => {
   try {
     console.log('📋 Getting milestones for project:', req.params.projectId);
     const { projectId } = req.params;
 
     // Check project access
-    let accessQuery = 'SELECT 1 FROM projects WHERE id = $1';
-    let accessParams = [projectId];
-
-    if (req.user.role === 'client') {
-      accessQuery = `
-        SELECT 1 FROM projects p
-        WHERE p.id = $1 AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-        )
-      `;
-      accessParams = [projectId, req.user.id];
-    } else if (req.user.role === 'developer') {
-      accessQuery = `
-        SELECT 1 FROM projects p
-        WHERE p.id = $1 AND (p.project_manager_id = $2 OR EXISTS (
-          SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-        ))
-      `;
-      accessParams = [projectId, req.user.id];
-    }
-
-    const accessResult = await db.query(accessQuery, accessParams);
-    if (accessResult.rows.length === 0) {
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId }))) {
       return res.status(404).json({ error: 'Project not found or access denied' });
     }
 
@@ -76,7 +58,7 @@ router.get('/', validateProjectId, async (req, res, next) => {
     const milestonesQuery = `
       SELECT 
         id, name, description, due_date, is_completed, 
-        completed_at, order_index, created_at, updated_at
+        completed_at, order_index, weight, created_at, updated_at
       FROM milestones
       WHERE project_id = $1
       ORDER BY order_index ASC, due_date ASC
@@ -95,7 +77,7 @@ router.get('/', validateProjectId, async (req, res, next) => {
 // @route   POST /api/projects/:projectId/milestones
 // @desc    Create a new milestone for a project
 // @access  Private (Admin, Project Manager, or Team Member)
-router.post('/', validateProjectId, [
+router.post('/', validateProjectId, requirePermission('milestones.write'), [
   body('name')
     .trim()
     .isLength({ min: 1, max: 255 })
@@ -112,7 +94,11 @@ router.post('/', validateProjectId, [
   body('order_index')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Order index must be a positive integer')
+    .withMessage('Order index must be a positive integer'),
+  body('weight')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Weight must be a whole number from 1 to 1000')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -125,29 +111,22 @@ router.post('/', validateProjectId, [
     }
 
     const { projectId } = req.params;
-    const { name, description, due_date, order_index } = req.body;
+    const { name, description, due_date, order_index, weight = 1 } = req.body;
 
     // Check project access and permissions
-    let accessQuery = 'SELECT project_manager_id FROM projects WHERE id = $1';
-    let accessParams = [projectId];
-
     if (req.user.role === 'client') {
       return res.status(403).json({ error: 'Clients cannot create milestones' });
-    } else if (req.user.role === 'developer') {
-      accessQuery = `
-        SELECT project_manager_id FROM projects p
-        WHERE p.id = $1 AND (p.project_manager_id = $2 OR EXISTS (
-          SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-        ))
-      `;
-      accessParams = [projectId, req.user.id];
     }
 
-    const accessResult = await db.query(accessQuery, accessParams);
-    if (accessResult.rows.length === 0) {
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId }))) {
       return res.status(404).json({ error: 'Project not found or access denied' });
     }
 
+    if (!(await hasProjectPermission(projectId, req.user, 'milestones.write'))) {
+      return res.status(403).json({ error: 'Your project role does not allow creating milestones' });
+    }
+
     // Get next order index if not provided
     let finalOrderIndex = order_index;
     if (finalOrderIndex === undefined) {
@@ -158,12 +137,12 @@ router.post('/', validateProjectId, [
 
     // Create milestone
     const insertQuery = `
-      INSERT INTO milestones (project_id, name, description, due_date, order_index)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, name, description, due_date, is_completed, completed_at, order_index, created_at
+      INSERT INTO milestones (project_id, name, description, due_date, order_index, weight)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, name, description, due_date, is_completed, completed_at, order_index, weight, created_at
     `;
 
-    const values = [projectId, name, description, due_date, finalOrderIndex];
+    const values = [projectId, name, description, due_date, finalOrderIndex, weight];
     const result = await db.query(insertQuery, values);
     const milestone = result.rows[0];
 
@@ -192,10 +171,99 @@ router.post('/', validateProjectId, [
   }
 });
 
+// @route   PUT /api/projects/:projectId/milestones/order
+// @desc    Reorder milestones: milestone_ids in their new order, others of the project after them
+// @access  Private (Project owner/maintainer)
+router.put('/order', validateProjectId, requirePermission('milestones.write'), [
+  body('milestone_ids')
+    .isArray({ min: 1 })
+    .withMessage('milestone_ids must be a non-empty list'),
+  body('milestone_ids.*')
+    .isUUID()
+    .withMessage('Milestone ids must be UUIDs')
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { projectId } = req.params;
+    const { milestone_ids } = req.body;
+
+    if (new Set(milestone_ids).size !== milestone_ids.length) {
+      return res.status(400).json({ error: 'milestone_ids must not repeat a milestone' });
+    }
+
+    // Check project access; reordering itself is granted by milestones.write and the project role
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId }))) {
+      return res.status(404).json({ error: 'Project not found or access denied' });
+    }
+
+    if (!(await hasProjectPermission(projectId, req.user, 'milestones.manage'))) {
+      return res.status(403).json({ error: 'Only project owners and maintainers can reorder milestones' });
+    }
+
+    const milestones = await db.transaction(async (query) => {
+      const current = await query(
+        'SELECT id FROM milestones WHERE project_id = $1 ORDER BY order_index ASC, due_date ASC FOR UPDATE',
+        [projectId]
+      );
+      const currentIds = current.rows.map(row => row.id);
+      const unknown = milestone_ids.filter(id => !currentIds.includes(id));
+      if (unknown.length > 0) {
+        return { unknown };
+      }
+
+      const ids = [...milestone_ids, ...currentIds.filter(id => !milestone_ids.includes(id))];
+      const result = await query(
+        `UPDATE milestones m SET order_index = v.order_index, updated_at = CURRENT_TIMESTAMP
+         FROM unnest($1::uuid[]) WITH ORDINALITY AS v(id, order_index)
+         WHERE m.id = v.id AND m.project_id = $2
+         RETURNING m.id, m.name, m.order_index`,
+        [ids, projectId]
+      );
+      return { rows: result.rows.sort((a, b) => a.order_index - b.order_index) };
+    });
+
+    if (milestones.unknown) {
+      return res.status(400).json({ error: 'Some milestones are not in this project', milestone_ids: milestones.unknown });
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'milestones_reordered', 'project', projectId, { milestone_ids }]
+    );
+
+    // Emit socket event
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to(`project_${projectId}`).emit('milestones_reordered', {
+        milestones: milestones.rows,
+        project_id: projectId,
+        reordered_by: req.user
+      });
+    }
+
+    res.json({
+      message: 'Milestones reordered successfully',
+      milestones: milestones.rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/projects/:projectId/milestones/:milestoneId
 // @desc    Update a milestone
 // @access  Private (Admin, Project Manager, or Team Member)
-router.put('/:milestoneId', validateProjectId, validateMilestoneId, [
+router.put('/:milestoneId', validateProjectId, validateMilestoneId, requirePermission('milestones.write'), [
   body('name')
     .optional()
     .trim()
@@ -217,7 +285,11 @@ router.put('/:milestoneId', validateProjectId, validateMilestoneId, [
   body('order_index')
     .optional()
     .isInt({ min: 0 })
-    .withMessage('Order index must be a positive integer')
+    .withMessage('Order index must be a positive integer'),
+  body('weight')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Weight must be a whole number from 1 to 1000')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -230,7 +302,7 @@ router.put('/:milestoneId', validateProjectId, validateMilestoneId, [
     }
 
     const { projectId, milestoneId } = req.params;
-    const { name, description, due_date, is_completed, order_index } = req.body;
+    const { name, description, due_date, is_completed, order_index, weight } = req.body;
 
     // Check milestone exists and belongs to project
     const milestoneCheck = await db.query(
@@ -243,32 +315,26 @@ router.put('/:milestoneId', validateProjectId, validateMilestoneId, [
     }
 
     // Check project access
-    let accessQuery = 'SELECT project_manager_id FROM projects WHERE id = $1';
-    let accessParams = [projectId];
-
     if (req.user.role === 'client') {
       return res.status(403).json({ error: 'Clients cannot update milestones' });
-    } else if (req.user.role === 'developer') {
-      accessQuery = `
-        SELECT project_manager_id FROM projects p
-        WHERE p.id = $1 AND (p.project_manager_id = $2 OR EXISTS (
-          SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-        ))
-      `;
-      accessParams = [projectId, req.user.id];
     }
 
-    const accessResult = await db.query(accessQuery, accessParams);
-    if (accessResult.rows.length === 0) {
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId }))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    if (!(await hasProjectPermission(projectId, req.user, 'milestones.write'))) {
+      return res.status(403).json({ error: 'Your project role does not allow editing milestones' });
+    }
+
     // Build update fields
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
     if (due_date !== undefined) updates.due_date = due_date;
     if (order_index !== undefined) updates.order_index = order_index;
+    if (weight !== undefined) updates.weight = weight;
 
     // Handle completion status
     const wasCompleted = milestoneCheck.rows[0].is_completed;
@@ -304,7 +370,7 @@ router.put('/:milestoneId', validateProjectId, validateMilestoneId, [
       UPDATE milestones 
       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1 AND project_id = $2
-      RETURNING id, name, description, due_date, is_completed, completed_at, order_index, updated_at
+      RETURNING id, name, description, due_date, is_completed, completed_at, order_index, weight, updated_at
     `;
 
     const result = await db.query(updateQuery, values);
@@ -336,35 +402,29 @@ router.put('/:milestoneId', validateProjectId, validateMilestoneId, [
 
 // @route   DELETE /api/projects/:projectId/milestones/:milestoneId
 // @desc    Delete a milestone
-// @access  Private (Admin or Project Manager)
-router.delete('/:milestoneId', validateProjectId, validateMilestoneId, async (req, res, next) => {
+// @access  Private (Project owner/maintainer or milestones.manage)
+router.delete('/:milestoneId', validateProjectId, validateMilestoneId, requirePermission('milestones.delete'), async (req, res, next) => {
   try {
     const { projectId, milestoneId } = req.params;
 
-    // Check milestone exists and belongs to project
+    // Check milestone exists and belongs to a project of the organisation
     const milestoneCheck = await db.query(
-      'SELECT name FROM milestones WHERE id = $1 AND project_id = $2',
-      [milestoneId, projectId]
+      `SELECT m.name FROM milestones m
+       JOIN projects p ON m.project_id = p.id
+       WHERE m.id = $1 AND m.project_id = $2 AND p.organisation_id = $3`,
+      [milestoneId, projectId, req.user.organisation_id]
     );
 
     if (milestoneCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Milestone not found' });
     }
 
-    // Check permissions (only admin or project manager can delete)
-    let hasPermission = req.user.role === 'administrator';
-    
-    if (!hasPermission) {
-      const projectQuery = 'SELECT project_manager_id FROM projects WHERE id = $1';
-      const projectResult = await db.query(projectQuery, [projectId]);
-      
-      if (projectResult.rows.length > 0) {
-        hasPermission = projectResult.rows[0].project_manager_id === req.user.id;
-      }
-    }
+    // Check permissions (project owners and maintainers, or milestones.manage holders)
+    const canDelete = await hasPermission(req.user.role, 'milestones.manage') ||
+                      await hasProjectPermission(projectId, req.user, 'milestones.manage');
 
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Only administrators and project managers can delete milestones' });
+    if (!canDelete) {
+      return res.status(403).json({ error: 'Only project owners and maintainers can delete milestones' });
     }
 
     // Check if milestone has associated tasks
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { requirePermission } = require('../middleware/auth');
+const { validateUUID, handleValidationErrors } = require('../middleware/validation');
+const { body } = require('express-validator');
+const { getAccessScope } = require('../services/accessScope');
+const { areUsersInOrganisation } = require('../services/organisations');
+const {
+  validateStructure,
+  loadTemplateStructure,
+  captureProjectStructure,
+  saveTemplateStructure
+} = require('../services/projectTemplates');
+
+const validateTemplate = [
+  body('name').optional().trim().isLength({ min: 3, max: 255 }),
+  body('description').optional().trim().isLength({ max: 5000 }),
+  body('project_id').optional().isUUID(),
+  body('milestones').optional().isArray({ max: 100 }),
+  body('tasks').optional().isArray({ max: 500 }),
+  body('members').optional().isArray({ max: 100 }),
+  handleValidationErrors
+];
+
+/**
+ * The structure sent with a template request: captured from project_id, or given
+ * as milestones/tasks/members. Returns { structure } or { status, error }.
+ */
+const structureFromRequest = async (req) => {
+  const { project_id, milestones, tasks, members } = req.body;
+
+  if (project_id) {
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: project_id }))) {
+      return { status: 404, error: 'Project not found or access denied' };
+    }
+    return { structure: await captureProjectStructure(project_id) };
+  }
+
+  const structure = { milestones: milestones || [], tasks: tasks || [], members: members || [] };
+  const structureError = validateStructure(structure);
+  if (structureError) {
+    return { status: 400, error: structureError };
+  }
+
+  if (!(await areUsersInOrganisation(structure.members.map(m => m.user_id), req.user.organisation_id))) {
+    return { status: 400, error: 'Members must belong to your organisation' };
+  }
+
+  return { structure };
+};
+
+// @route   GET /api/projects/templates
+// @desc    List project templates
+// @access  Private (projects.write)
+router.get('/', requirePermission('projects.write'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT
+         pt.id, pt.name, pt.description, pt.created_at, pt.updated_at,
+         u.first_name || ' ' || u.last_name as created_by_name,
+         (SELECT COUNT(*) FROM project_template_milestones WHERE template_id = pt.id) as milestone_count,
+         (SELECT COUNT(*) FROM project_template_tasks WHERE template_id = pt.id) as task_count,
+         (SELECT COUNT(*) FROM project_template_members WHERE template_id = pt.id) as member_count
+       FROM project_templates pt
+       LEFT JOIN users u ON pt.created_by = u.id
+       WHERE pt.organisation_id = $1 AND pt.is_active = true
+       ORDER BY pt.name`,
+      [req.user.organisation_id]
+    );
+
+    res.json({ templates: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/templates/:id
+// @desc    Get a template with its milestones, tasks and members
+// @access  Private (projects.write)
+router.get('/:id', validateUUID, requirePermission('projects.write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT id, name, description, created_by, created_at, updated_at
+       FROM project_templates
+       WHERE id = $1 AND organisation_id = $2 AND is_active = true`,
+      [id, req.user.organisation_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ template: { ...result.rows[0], ...(await loadTemplateStructure(id)) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/templates
+// @desc    Create a template from an existing project (project_id) or from milestones, tasks and members
+// @access  Private (projects.manage)
+router.post('/', requirePermission('projects.manage'), [
+  body('name').trim().isLength({ min: 3, max: 255 }),
+  ...validateTemplate
+], async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const { structure, status, error } = await structureFromRequest(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const template = await db.transaction(async (query) => {
+      const result = await query(
+        `INSERT INTO project_templates (organisation_id, name, description, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, name, description, created_at`,
+        [req.user.organisation_id, name, description || null, req.user.id]
+      );
+      await saveTemplateStructure(query, result.rows[0].id, structure);
+      return result.rows[0];
+    });
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_template_created', 'project_template', template.id, {
+        name: template.name,
+        from_project_id: req.body.project_id || null
+      }]
+    );
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: { ...template, ...(await loadTemplateStructure(template.id)) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/templates/:id
+// @desc    Rename a template or replace its contents
+// @access  Private (projects.manage)
+router.put('/:id', validateUUID, requirePermission('projects.manage'), validateTemplate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, project_id, milestones, tasks, members } = req.body;
+
+    const existing = await db.query(
+      'SELECT id FROM project_templates WHERE id = $1 AND organisation_id = $2 AND is_active = true',
+      [id, req.user.organisation_id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    // Contents are only replaced when sent
+    let structure = null;
+    if (project_id || milestones || tasks || members) {
+      const fromRequest = await structureFromRequest(req);
+      if (fromRequest.error) {
+        return res.status(fromRequest.status).json({ error: fromRequest.error });
+      }
+      structure = fromRequest.structure;
+    }
+
+    await db.transaction(async (query) => {
+      await query(
+        `UPDATE project_templates
+         SET name = COALESCE($2, name), description = COALESCE($3, description)
+         WHERE id = $1`,
+        [id, name || null, description ?? null]
+      );
+      if (structure) {
+        await saveTemplateStructure(query, id, structure);
+      }
+    });
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_template_updated', 'project_template', id, { contents_replaced: Boolean(structure) }]
+    );
+
+    const result = await db.query(
+      'SELECT id, name, description, created_by, created_at, updated_at FROM project_templates WHERE id = $1',
+      [id]
+    );
+
+    res.json({ template: { ...result.rows[0], ...(await loadTemplateStructure(id)) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/templates/:id
+// @desc    Retire a template (projects created from it are unaffected)
+// @access  Private (projects.manage)
+router.delete('/:id', validateUUID, requirePermission('projects.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `UPDATE project_templates SET is_active = false
+       WHERE id = $1 AND organisation_id = $2 AND is_active = true
+       RETURNING name`,
+      [id, req.user.organisation_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_template_deleted', 'project_template', id, { name: result.rows[0].name }]
+    );
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
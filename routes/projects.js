@@ -1,50 +1,58 @@
 const express = require('express');
+const fs = require('fs');
+const { validate: isUUID } = require('uuid');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole, requireAdminOrOwner } = require('../middleware/auth');
-const { validateProject, validateUUID, validatePagination } = require('../middleware/validation');
+const { requirePermission, requireAdminOrOwner, forbidDuringImpersonation } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { PROJECT_ROLES, PROJECT_ROLE_PERMISSIONS, getProjectRole, hasProjectPermission } = require('../services/projectRoles');
+const { getAccessScope } = require('../services/accessScope');
+const { PROGRESS_METHODS, checkProjectReferences, insertProject, getPurgeSummary } = require('../services/projects');
+const { getProjectBudget, getAlertThresholds, checkBudgetThresholds } = require('../services/projectBudget');
+const { createBaseline, findBaseline, getVariance } = require('../services/projectBaselines');
+const { getSchedule, rescheduleTask } = require('../services/projectSchedule');
+const { getWorkflow, validateWorkflow, saveWorkflow, deleteWorkflow } = require('../services/taskWorkflows');
+const { lockBoard, reorderColumn, getBoard } = require('../services/taskBoard');
+const {
+  toDateOnly,
+  addDays,
+  loadTemplateStructure,
+  captureProjectStructure,
+  instantiateStructure
+} = require('../services/projectTemplates');
+const { validateProject, validateUUID, validatePagination, handleValidationErrors } = require('../middleware/validation');
 const { body } = require('express-validator');
 
 // @route   GET /api/projects
 // @desc    Get all projects (with pagination and filters)
 // @access  Private
-router.get('/', validatePagination, async (req, res, next) => {
+router.get('/', requirePermission('projects.read'), validatePagination, async (req, res, next) => {
   try {
     const {
       page = 1,
       limit = 10,
       search = '',
       status = '',
+      archived = 'false',
       sort = 'created_at',
       order = 'DESC'
     } = req.query;
 
     const offset = (page - 1) * limit;
     
+    const scope = await getAccessScope(req.user);
     let whereConditions = [];
     let queryParams = [];
-    let paramCount = 0;
-
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      // Find the company_id for the client user
-      const clientCompanyQuery = 'SELECT company_id FROM client_users WHERE user_id = $1';
-      const companyResult = await db.query(clientCompanyQuery, [req.user.id]);
-      if (companyResult.rows.length > 0) {
-        const companyId = companyResult.rows[0].company_id;
-        paramCount++;
-        whereConditions.push(`p.company_id = $${paramCount}`);
-        queryParams.push(companyId);
-      } else {
-        // No company associated, return no projects
-        return res.json({ projects: [], totalPages: 0, currentPage: 1 });
-      }
-    } else if (req.user.role === 'developer') {
-      paramCount++;
-      whereConditions.push(`p.id IN (SELECT project_id FROM project_members WHERE user_id = $${paramCount})`);
-      queryParams.push(req.user.id);
+
+    whereConditions.push(scope.projects('p.id', queryParams));
+    let paramCount = queryParams.length;
+
+    // Archived projects are only listed on request (archived=true, or archived=all for both)
+    if (archived === 'true') {
+      whereConditions.push('p.archived_at IS NOT NULL');
+    } else if (archived !== 'all') {
+      whereConditions.push('p.is_active = true');
     }
-    // Admins can see all projects, so no condition is added
 
     if (search) {
       paramCount++;
@@ -66,7 +74,7 @@ router.get('/', validatePagination, async (req, res, next) => {
 
     const projectsQuery = `
       SELECT 
-        p.id, p.name, p.description, p.status, p.start_date, p.end_date, p.budget,
+        p.id, p.name, p.description, p.status, p.start_date, p.end_date, p.budget, p.archived_at,
         c.name as company_name
       FROM projects p
       LEFT JOIN companies c ON p.company_id = c.id
@@ -89,34 +97,24 @@ router.get('/', validatePagination, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/projects/roles
+// @desc    Project member roles and what each may do
+// @access  Private
+router.get('/roles', requirePermission('projects.read'), (req, res) => {
+  res.json({ roles: PROJECT_ROLES, permissions: PROJECT_ROLE_PERMISSIONS });
+});
+
 // @route   GET /api/projects/:id
 // @desc    Get project by ID
 // @access  Private
-router.get('/:id', validateUUID, async (req, res, next) => {
+router.get('/:id', validateUUID, requirePermission('projects.read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check access permissions
-    let accessQuery = 'SELECT 1 FROM projects WHERE id = $1';
-    let accessParams = [id];
-
-    if (req.user.role === 'client') {
-      accessQuery = `
-        SELECT 1 FROM projects p
-        WHERE p.id = $1 AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-        )
-      `;
-      accessParams = [id, req.user.id];
-    } else if (req.user.role === 'developer') {
-      accessQuery = `
-        SELECT 1 FROM projects p
-        WHERE p.id = $1 AND (p.project_manager_id = $2 OR EXISTS (
-          SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-        ))
-      `;
-      accessParams = [id, req.user.id];
-    }
+    const scope = await getAccessScope(req.user);
+    const accessParams = [id];
+    const accessQuery = `SELECT 1 FROM projects p WHERE p.id = $1 AND ${scope.projects('p.id', accessParams)}`;
 
     const accessResult = await db.query(accessQuery, accessParams);
     if (accessResult.rows.length === 0) {
@@ -128,8 +126,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
       SELECT 
         p.id, p.name, p.description, p.budget, p.currency,
         p.start_date, p.end_date, p.estimated_hours, p.actual_hours,
-        p.status, p.progress_percentage, p.repository_url,
-        p.created_at, p.updated_at,
+        p.status, p.progress_percentage, p.progress_method, p.enforce_dependencies, p.repository_url,
+        p.archived_at, p.archived_by, p.created_at, p.updated_at,
         c.name as company_name, c.id as company_id, c.email as company_email,
         c.phone as company_phone, c.website as company_website,
         u.first_name || ' ' || u.last_name as project_manager_name,
@@ -183,13 +181,16 @@ router.get('/:id', validateUUID, async (req, res, next) => {
     `;
 
     const taskStatsResult = await db.query(taskStatsQuery, [id]);
+    const myRole = await getProjectRole(id, req.user);
 
     res.json({
       project: {
         ...project,
         team_members: teamResult.rows,
         milestones: milestonesResult.rows,
-        task_stats: taskStatsResult.rows[0]
+        task_stats: taskStatsResult.rows[0],
+        my_role: myRole,
+        my_permissions: myRole ? PROJECT_ROLE_PERMISSIONS[myRole] : []
       }
     });
   } catch (error) {
@@ -199,80 +200,596 @@ router.get('/:id', validateUUID, async (req, res, next) => {
 
 // @route   POST /api/projects
 // @desc    Create new project
-// @access  Private (Admin)
-router.post('/', requireRole(['administrator']), validateProject, async (req, res, next) => {
+// @access  Private (projects.write and projects.manage)
+router.post('/', requirePermission('projects.write', 'projects.manage'), [
+  body('progress_method').optional().isIn(PROGRESS_METHODS),
+  ...validateProject
+], async (req, res, next) => {
   try {
-    const {
-      name,
-      description,
-      company_id,
-      project_manager_id,
-      budget,
-      currency = 'USD',
-      start_date,
-      end_date,
-      estimated_hours,
-      repository_url
-    } = req.body;
+    const referenceError = await checkProjectReferences(req.user, req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    // Create project
+    const project = await insertProject(db.query, req.user, req.body);
 
-    // Verify company exists
-    const companyCheck = await db.query('SELECT id FROM companies WHERE id = $1', [company_id]);
-    if (companyCheck.rows.length === 0) {
-      return res.status(400).json({ error: 'Company not found' });
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_created', 'project', project.id, { name: project.name }]
+    );
+
+    // Emit socket event for real-time updates
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to(`organisation_${req.user.organisation_id}`).emit('project_created', { project, created_by: req.user });
     }
 
-    // Verify project manager exists (if provided)
-    if (project_manager_id) {
-      const managerCheck = await db.query(
-        'SELECT id FROM users WHERE id = $1 AND role IN ($2, $3) AND is_active = true',
-        [project_manager_id, 'administrator', 'developer']
-      );
-      if (managerCheck.rows.length === 0) {
-        return res.status(400).json({ error: 'Invalid project manager' });
-      }
+    res.status(201).json({
+      message: 'Project created successfully',
+      project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/from-template
+// @desc    Create a project with a template's milestones, tasks and members, dated from start_date
+// @access  Private (projects.write and projects.manage)
+router.post('/from-template', requirePermission('projects.write', 'projects.manage'), [
+  body('template_id').isUUID(),
+  body('progress_method').optional().isIn(PROGRESS_METHODS),
+  ...validateProject
+], async (req, res, next) => {
+  try {
+    const { template_id } = req.body;
+    const start_date = toDateOnly(req.body.start_date || new Date());
+
+    const templateResult = await db.query(
+      'SELECT id, name FROM project_templates WHERE id = $1 AND organisation_id = $2 AND is_active = true',
+      [template_id, req.user.organisation_id]
+    );
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
     }
 
-    // Create project
-    const insertQuery = `
-      INSERT INTO projects (
-        name, description, company_id, project_manager_id,
-        budget, currency, start_date, end_date, estimated_hours, repository_url
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING id, name, status, created_at
-    `;
+    const referenceError = await checkProjectReferences(req.user, req.body);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
 
-    const values = [
-      name, description, company_id, project_manager_id || req.user.id,
-      budget, currency, start_date, end_date, estimated_hours, repository_url
-    ];
+    const structure = await loadTemplateStructure(template_id);
 
-    const result = await db.query(insertQuery, values);
-    const project = result.rows[0];
+    const { project, created } = await db.transaction(async (query) => {
+      const project = await insertProject(query, req.user, { ...req.body, start_date });
+      const created = await instantiateStructure(query, project.id, structure, {
+        startDate: start_date,
+        createdBy: req.user.id,
+        organisationId: req.user.organisation_id
+      });
+      return { project, created };
+    });
 
-    // Add creator as team member if not already project manager
-    if (!project_manager_id || project_manager_id !== req.user.id) {
-      await db.query(
-        'INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, $3)',
-        [project.id, req.user.id, 'Project Creator']
-      );
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_created', 'project', project.id, {
+        name: project.name,
+        template_id,
+        template_name: templateResult.rows[0].name
+      }]
+    );
+
+    // Emit socket event for real-time updates
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to(`organisation_${req.user.organisation_id}`).emit('project_created', { project, created_by: req.user });
     }
 
+    res.status(201).json({
+      message: 'Project created from template successfully',
+      project,
+      created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/clone
+// @desc    Copy a project's milestones, tasks, dependencies, members and workflow into a new project.
+//          Due dates keep their distance from the project start; time, files and comments are not copied.
+// @access  Private (projects.write and projects.manage)
+router.post('/:id/clone', validateUUID, requirePermission('projects.write', 'projects.manage'), [
+  body('name').trim().isLength({ min: 3, max: 255 }),
+  body('company_id').optional().isUUID(),
+  body('project_manager_id').optional().isUUID(),
+  body('start_date').optional().isISO8601().toDate(),
+  body('include_members').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, include_members = true } = req.body;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found or access denied' });
+    }
+
+    const sourceResult = await db.query(
+      `SELECT name, description, company_id, project_manager_id, budget, currency,
+              estimated_hours, repository_url, progress_method, end_date - COALESCE(start_date, created_at::date) as duration_days
+       FROM projects WHERE id = $1`,
+      [id]
+    );
+    const source = sourceResult.rows[0];
+
+    const company_id = req.body.company_id || source.company_id;
+    const project_manager_id = req.body.project_manager_id || source.project_manager_id;
+    const start_date = toDateOnly(req.body.start_date || new Date());
+
+    const referenceError = await checkProjectReferences(req.user, { company_id, project_manager_id });
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const structure = await captureProjectStructure(id);
+    if (!include_members) {
+      structure.members = [];
+    }
+    const workflow = await getWorkflow(id);
+
+    const { project, created } = await db.transaction(async (query) => {
+      const project = await insertProject(query, req.user, {
+        ...source,
+        name,
+        company_id,
+        project_manager_id,
+        start_date,
+        end_date: addDays(start_date, source.duration_days)
+      });
+      const created = await instantiateStructure(query, project.id, structure, {
+        startDate: start_date,
+        createdBy: req.user.id,
+        organisationId: req.user.organisation_id
+      });
+      if (!workflow.is_default) {
+        await saveWorkflow(query, project.id, workflow, req.user.id);
+      }
+      return { project, created };
+    });
+
     // Log activity
     await db.query(
       'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
-      [req.user.id, 'project_created', 'project', project.id, { name: project.name }]
+      [req.user.id, 'project_created', 'project', project.id, {
+        name: project.name,
+        cloned_from: id,
+        cloned_from_name: source.name
+      }]
     );
 
     // Emit socket event for real-time updates
     const io = req.app.get('socketio');
     if (io) {
-      io.emit('project_created', { project, created_by: req.user });
+      io.to(`organisation_${req.user.organisation_id}`).emit('project_created', { project, created_by: req.user });
     }
 
     res.status(201).json({
-      message: 'Project created successfully',
-      project
+      message: 'Project cloned successfully',
+      project,
+      created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/budget
+// @desc    Budget burn: consumed cost, unbilled billable time, invoiced amount and forecast at completion
+// @access  Private (reports.financial, or a project role that can read invoices)
+router.get('/:id/budget', validateUUID, requirePermission('projects.read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!(await hasPermission(req.user.role, 'reports.financial')) &&
+        !(await hasProjectPermission(id, req.user, 'invoices.read'))) {
+      return res.status(403).json({ error: 'Your project role does not allow viewing the budget' });
+    }
+
+    const projectBudget = await getProjectBudget(id);
+    const { organisation_id, ...budget } = projectBudget;
+
+    const alertsResult = await db.query(
+      'SELECT threshold, consumed_cost, notified_at FROM project_budget_alerts WHERE project_id = $1 ORDER BY threshold',
+      [id]
+    );
+
+    res.json({
+      budget: {
+        ...budget,
+        alert_thresholds: await getAlertThresholds(projectBudget),
+        uses_default_thresholds: projectBudget.alert_thresholds === null,
+        alerts: alertsResult.rows
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/baselines
+// @desc    Saved schedule baselines, newest first
+// @access  Private (projects.read)
+router.get('/:id/baselines', validateUUID, requirePermission('projects.read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await db.query(
+      `SELECT b.id, b.name, b.start_date, b.end_date, b.estimated_hours, b.created_at,
+              u.first_name || ' ' || u.last_name as created_by_name,
+              (SELECT COUNT(*) FROM project_baseline_tasks WHERE baseline_id = b.id) as task_count,
+              (SELECT COUNT(*) FROM project_baseline_milestones WHERE baseline_id = b.id) as milestone_count
+       FROM project_baselines b
+       LEFT JOIN users u ON b.created_by = u.id
+       WHERE b.project_id = $1
+       ORDER BY b.created_at DESC`,
+      [id]
+    );
+
+    res.json({ baselines: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/baselines
+// @desc    Snapshot the current task and milestone dates and estimates as a baseline
+// @access  Private (Project owner/maintainer or projects.manage)
+router.post('/:id/baselines', validateUUID, requirePermission('projects.write'), [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!(await hasProjectPermission(id, req.user, 'milestones.manage'))) {
+      return res.status(403).json({ error: 'Only project owners and maintainers can save baselines' });
+    }
+
+    const name = req.body.name || `Baseline ${toDateOnly(new Date())}`;
+    const baseline = await db.transaction(query => createBaseline(query, id, name, req.user.id));
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_baseline_created', 'project', id, { baseline_id: baseline.id, name }]
+    );
+
+    res.status(201).json({
+      message: 'Baseline saved successfully',
+      baseline
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/variance
+// @desc    Schedule and effort variance against the newest baseline (or ?baseline_id=)
+// @access  Private (projects.read)
+router.get('/:id/variance', validateUUID, requirePermission('projects.read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { baseline_id } = req.query;
+
+    if (baseline_id && !isUUID(baseline_id)) {
+      return res.status(400).json({ error: 'Invalid baseline_id' });
+    }
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const baseline = await findBaseline(id, baseline_id || null);
+    if (!baseline) {
+      return res.status(404).json({ error: 'No baseline has been saved for this project' });
+    }
+
+    res.json({ baseline, ...(await getVariance(id, baseline)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/schedule
+// @desc    Critical path schedule: earliest/latest dates and slack per task, grouped by milestone for Gantt charts
+// @access  Private (projects.read)
+router.get('/:id/schedule', validateUUID, requirePermission('projects.read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { schedule, cycle } = await getSchedule(id);
+    if (cycle) {
+      return res.status(409).json({
+        error: 'Task dependencies contain a cycle',
+        cycle
+      });
+    }
+
+    res.json({ schedule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/schedule/reschedule
+// @desc    Move a task's due date, optionally shifting every task that depends on it by the same days
+// @access  Private (Project owner/maintainer or projects.manage)
+router.post('/:id/schedule/reschedule', validateUUID, requirePermission('tasks.write'), [
+  body('task_id').isUUID(),
+  body('due_date').isISO8601(),
+  body('cascade').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { task_id, cascade = false } = req.body;
+    const due_date = toDateOnly(req.body.due_date);
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!(await hasProjectPermission(id, req.user, 'tasks.manage'))) {
+      return res.status(403).json({ error: 'Only project owners and maintainers can reschedule tasks' });
+    }
+
+    const result = await db.transaction(query => rescheduleTask(query, id, task_id, due_date, cascade));
+    if (!result) {
+      return res.status(404).json({ error: 'Task not found in this project' });
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'task_rescheduled', 'task', task_id, {
+        due_date,
+        shift_days: result.shift_days,
+        shifted_task_ids: result.shifted.map(task => task.id)
+      }]
+    );
+
+    // Emit socket event
+    const io = req.app.get('socketio');
+    io.to(`project_${id}`).emit('tasks_rescheduled', {
+      task: result.task,
+      shifted: result.shifted,
+      updated_by: req.user
+    });
+
+    res.json({
+      message: 'Task rescheduled successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/workflow
+// @desc    Task statuses and transitions of the project (the built-in ones when it has no workflow)
+// @access  Private (projects.read)
+router.get('/:id/workflow', validateUUID, requirePermission('projects.read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ workflow: await getWorkflow(id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:id/workflow
+// @desc    Create or replace the project's workflow: statuses (key, name, category), transitions
+//          (from_status, to_status, required_fields). Tasks keep or are mapped to a matching status.
+// @access  Private (Project owner/maintainer or projects.manage)
+router.put('/:id/workflow', validateUUID, requirePermission('projects.write'), [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }),
+  body('statuses').isArray({ min: 1 }),
+  body('transitions').optional().isArray(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!(await hasProjectPermission(id, req.user, 'tasks.manage'))) {
+      return res.status(403).json({ error: 'Only project owners and maintainers can change the workflow' });
+    }
+
+    const workflowError = validateWorkflow(req.body);
+    if (workflowError) {
+      return res.status(400).json({ error: workflowError });
+    }
+
+    const result = await db.transaction(query => saveWorkflow(query, id, req.body, req.user.id));
+    if (result.uncovered) {
+      return res.status(409).json({
+        error: 'Some tasks are in a built-in status that no workflow status stores',
+        task_statuses: result.uncovered
+      });
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_workflow_updated', 'project', id, {
+        statuses: req.body.statuses.map(status => status.key),
+        mapped_tasks: result.mapped_tasks
+      }]
+    );
+
+    res.json({
+      message: 'Workflow saved successfully',
+      workflow: await getWorkflow(id),
+      mapped_tasks: result.mapped_tasks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:id/workflow
+// @desc    Go back to the built-in task statuses
+// @access  Private (Project owner/maintainer or projects.manage)
+router.delete('/:id/workflow', validateUUID, requirePermission('projects.write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!(await hasProjectPermission(id, req.user, 'tasks.manage'))) {
+      return res.status(403).json({ error: 'Only project owners and maintainers can change the workflow' });
+    }
+
+    const deleted = await db.transaction(query => deleteWorkflow(query, id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Project has no custom workflow' });
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_workflow_deleted', 'project', id, {}]
+    );
+
+    res.json({ message: 'Workflow removed; tasks use the built-in statuses again' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/board
+// @desc    Kanban board: one column per workflow status with its tasks in board order
+//          (optionally ?milestone_id= and ?assigned_to=)
+// @access  Private (projects.read)
+router.get('/:id/board', validateUUID, requirePermission('projects.read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { milestone_id, assigned_to } = req.query;
+
+    if (milestone_id && !isUUID(milestone_id)) {
+      return res.status(400).json({ error: 'Invalid milestone_id' });
+    }
+    if (assigned_to && !isUUID(assigned_to)) {
+      return res.status(400).json({ error: 'Invalid assigned_to' });
+    }
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(await getBoard(id, scope, { milestone_id: milestone_id || null, assigned_to: assigned_to || null }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:id/board/columns/:status/order
+// @desc    Reorder a board column: task_ids in their new order, other tasks of the column after them
+// @access  Private (Project owner/maintainer or projects.manage)
+router.put('/:id/board/columns/:status/order', validateUUID, requirePermission('tasks.write'), [
+  body('task_ids').isArray({ min: 1 }),
+  body('task_ids.*').isUUID(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id, status } = req.params;
+    const { task_ids } = req.body;
+
+    if (new Set(task_ids).size !== task_ids.length) {
+      return res.status(400).json({ error: 'task_ids must not repeat a task' });
+    }
+
+    const scope = await getAccessScope(req.user);
+    if (!(await scope.canAccess({ projectId: id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!(await hasProjectPermission(id, req.user, 'tasks.manage'))) {
+      return res.status(403).json({ error: 'Only project owners and maintainers can reorder board columns' });
+    }
+
+    const workflow = await getWorkflow(id);
+    if (!workflow.statuses.some(workflowStatus => workflowStatus.key === status)) {
+      return res.status(404).json({ error: 'Status not found in the project workflow' });
+    }
+
+    const result = await db.transaction(async (query) => {
+      await lockBoard(query, id);
+      return reorderColumn(query, id, status, task_ids);
+    });
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'board_column_reordered', 'project', id, { status, task_ids }]
+    );
+
+    // Emit socket event
+    const io = req.app.get('socketio');
+    io.to(`project_${id}`).emit('tasks_reordered', {
+      status,
+      order: result.order,
+      reordered_by: req.user
+    });
+
+    res.json({
+      message: 'Column reordered successfully',
+      status,
+      order: result.order
     });
   } catch (error) {
     next(error);
@@ -282,7 +799,7 @@ router.post('/', requireRole(['administrator']), validateProject, async (req, re
 // @route   PUT /api/projects/:id
 // @desc    Update project
 // @access  Private (Admin, Project Manager, or Team Member)
-router.put('/:id', validateUUID, async (req, res, next) => {
+router.put('/:id', validateUUID, requirePermission('projects.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const {
@@ -294,19 +811,20 @@ router.put('/:id', validateUUID, async (req, res, next) => {
       end_date,
       estimated_hours,
       status,
-      progress_percentage,
+      progress_method,
       repository_url
     } = req.body;
 
     // Check project access
-    let accessQuery = 'SELECT project_manager_id FROM projects WHERE id = $1';
-    let accessParams = [id];
+    let accessQuery = 'SELECT project_manager_id FROM projects WHERE id = $1 AND organisation_id = $2';
+    let accessParams = [id, req.user.organisation_id];
+    const canManageAnyProject = await hasPermission(req.user.role, 'projects.manage');
 
-    if (req.user.role !== 'administrator') {
+    if (!canManageAnyProject) {
       accessQuery = `
         SELECT project_manager_id FROM projects p
         WHERE p.id = $1 AND (p.project_manager_id = $2 OR EXISTS (
-          SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
+          SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2 AND pm.left_at IS NULL
         ))
       `;
       accessParams = [id, req.user.id];
@@ -318,12 +836,12 @@ router.put('/:id', validateUUID, async (req, res, next) => {
     }
 
     // Only admin or project manager can change status and certain fields
-    const isManagerOrAdmin = req.user.role === 'administrator' || 
+    const canManageProject = canManageAnyProject ||
                            accessResult.rows[0].project_manager_id === req.user.id;
 
     const allowedFields = ['name', 'description', 'repository_url'];
-    if (isManagerOrAdmin) {
-      allowedFields.push('budget', 'currency', 'start_date', 'end_date', 'estimated_hours', 'status', 'progress_percentage');
+    if (canManageProject) {
+      allowedFields.push('budget', 'currency', 'start_date', 'end_date', 'estimated_hours', 'status', 'progress_method', 'budget_alert_thresholds', 'enforce_dependencies');
     }
 
     // Filter allowed fields
@@ -343,10 +861,21 @@ router.put('/:id', validateUUID, async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    // Validate progress percentage
-    if (updates.progress_percentage !== undefined) {
-      if (updates.progress_percentage < 0 || updates.progress_percentage > 100) {
-        return res.status(400).json({ error: 'Progress percentage must be between 0 and 100' });
+    // Progress is computed from tasks or milestones; only the method can be chosen
+    if (updates.progress_method && !PROGRESS_METHODS.includes(updates.progress_method)) {
+      return res.status(400).json({ error: 'Invalid progress method' });
+    }
+
+    if (updates.enforce_dependencies !== undefined && typeof updates.enforce_dependencies !== 'boolean') {
+      return res.status(400).json({ error: 'enforce_dependencies must be a boolean' });
+    }
+
+    // Budget alert thresholds: percentages of the budget, or null for the organisation default
+    if (updates.budget_alert_thresholds !== undefined && updates.budget_alert_thresholds !== null) {
+      const thresholds = updates.budget_alert_thresholds;
+      if (!Array.isArray(thresholds) || thresholds.length > 10 ||
+          !thresholds.every(t => Number.isInteger(t) && t > 0 && t <= 1000)) {
+        return res.status(400).json({ error: 'Budget alert thresholds must be up to 10 whole percentages' });
       }
     }
 
@@ -358,7 +887,7 @@ router.put('/:id', validateUUID, async (req, res, next) => {
       UPDATE projects 
       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
-      RETURNING id, name, status, progress_percentage, updated_at
+      RETURNING id, name, status, progress_percentage, progress_method, updated_at
     `;
 
     const result = await db.query(updateQuery, values);
@@ -373,6 +902,12 @@ router.put('/:id', validateUUID, async (req, res, next) => {
     const io = req.app.get('socketio');
     io.to(`project_${id}`).emit('project_updated', { project: result.rows[0], updated_by: req.user });
 
+    // A smaller budget or lower thresholds can be reached already; a larger budget resets them
+    if (updates.budget !== undefined || updates.budget_alert_thresholds !== undefined) {
+      await checkBudgetThresholds(id, io)
+        .catch(error => console.error('Error checking budget thresholds:', error));
+    }
+
     res.json({
       message: 'Project updated successfully',
       project: result.rows[0]
@@ -382,29 +917,163 @@ router.put('/:id', validateUUID, async (req, res, next) => {
   }
 });
 
+/**
+ * Archive a project: it disappears from default listings and dashboards and its
+ * tasks, milestones, files, comments, time and members become read-only
+ */
+const archiveProject = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const projectCheck = await db.query(
+      'SELECT name, archived_at FROM projects WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
+    if (projectCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (projectCheck.rows[0].archived_at) {
+      return res.status(400).json({ error: 'Project is already archived' });
+    }
+
+    await db.query(
+      `UPDATE projects
+       SET is_active = false, archived_at = CURRENT_TIMESTAMP, archived_by = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, req.user.id]
+    );
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_archived', 'project', id, { name: projectCheck.rows[0].name }]
+    );
+
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to(`organisation_${req.user.organisation_id}`).emit('project_archived', { project_id: id });
+    }
+
+    res.json({ message: 'Project archived successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @route   DELETE /api/projects/:id
-// @desc    Delete project (Admin only)
-// @access  Private (Admin only)
-router.delete('/:id', validateUUID, requireRole(['administrator']), async (req, res, next) => {
+// @desc    Archive project (kept for existing clients; purge removes it permanently)
+// @access  Private (projects.delete)
+router.delete('/:id', validateUUID, requirePermission('projects.delete'), archiveProject);
+
+// @route   POST /api/projects/:id/archive
+// @desc    Archive project
+// @access  Private (projects.delete)
+router.post('/:id/archive', validateUUID, requirePermission('projects.delete'), archiveProject);
+
+// @route   POST /api/projects/:id/unarchive
+// @desc    Restore an archived project
+// @access  Private (projects.delete)
+router.post('/:id/unarchive', validateUUID, requirePermission('projects.delete'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `UPDATE projects
+       SET is_active = true, archived_at = NULL, archived_by = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND organisation_id = $2 AND archived_at IS NOT NULL
+       RETURNING name`,
+      [id, req.user.organisation_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Archived project not found' });
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'project_unarchived', 'project', id, { name: result.rows[0].name }]
+    );
+
+    const io = req.app.get('socketio');
+    if (io) {
+      io.to(`organisation_${req.user.organisation_id}`).emit('project_unarchived', { project_id: id });
+    }
+
+    res.json({ message: 'Project restored successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:id/purge
+// @desc    Permanently delete an archived project with its tasks, files, comments, time and chat.
+//          ?dry_run=true only returns what would be removed. Projects with invoices cannot be purged.
+// @access  Private (projects.delete and projects.manage)
+router.delete('/:id/purge', validateUUID, requirePermission('projects.delete', 'projects.manage'), forbidDuringImpersonation, async (req, res, next) => {
   try {
     const { id } = req.params;
+    const dryRun = req.query.dry_run === 'true';
 
-    // Check if project exists
-    const projectCheck = await db.query('SELECT name FROM projects WHERE id = $1', [id]);
+    const projectCheck = await db.query(
+      'SELECT name, archived_at FROM projects WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (projectCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Project not found' });
     }
+    if (!projectCheck.rows[0].archived_at) {
+      return res.status(400).json({ error: 'Archive the project before purging it' });
+    }
+
+    const summary = await getPurgeSummary(id);
+
+    if (summary.invoices > 0) {
+      return res.status(409).json({
+        error: 'Projects with invoices are kept as billing history and cannot be purged',
+        summary
+      });
+    }
+
+    if (dryRun) {
+      return res.json({ dry_run: true, summary });
+    }
+
+    const filePaths = await db.transaction(async (query) => {
+      await query("SELECT set_config('app.purging_project_id', $1, true)", [id]);
+
+      const filesResult = await query(
+        `SELECT f.id, f.file_path FROM files f
+         LEFT JOIN tasks t ON f.task_id = t.id
+         WHERE COALESCE(f.project_id, t.project_id) = $1`,
+        [id]
+      );
+      const fileIds = filesResult.rows.map(file => file.id);
+
+      // Chat messages elsewhere may still point at the project's files
+      if (fileIds.length > 0) {
+        await query('UPDATE chat_messages SET file_id = NULL WHERE file_id = ANY($1)', [fileIds]);
+      }
 
-    // Soft delete by marking as inactive
-    await db.query('UPDATE projects SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+      await query('DELETE FROM projects WHERE id = $1', [id]);
+      return filesResult.rows.map(file => file.file_path);
+    });
+
+    // Delete files from disk
+    for (const filePath of filePaths) {
+      if (fs.existsSync(filePath)) {
+        fs.unlink(filePath, (err) => {
+          if (err) console.error('Error deleting file from disk:', err);
+        });
+      }
+    }
 
     // Log activity
     await db.query(
       'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
-      [req.user.id, 'project_deleted', 'project', id, { name: projectCheck.rows[0].name }]
+      [req.user.id, 'project_purged', 'project', id, { name: projectCheck.rows[0].name, summary }]
     );
 
-    res.json({ message: 'Project deleted successfully' });
+    res.json({ message: 'Project purged permanently', summary });
   } catch (error) {
     next(error);
   }
@@ -412,15 +1081,16 @@ router.delete('/:id', validateUUID, requireRole(['administrator']), async (req,
 
 // @route   POST /api/projects/:id/members
 // @desc    Add team member to project
-// @access  Private (Admin or Project Manager)
-router.post('/:id/members', validateUUID, [
+// @access  Private (Project owner or projects.manage)
+router.post('/:id/members', validateUUID, requirePermission('projects.write'), forbidDuringImpersonation, [
   body('user_id').isUUID(),
-  body('role').optional().trim().isLength({ min: 1, max: 100 }),
-  body('hourly_rate').optional().isFloat({ min: 0 })
+  body('role').optional().isIn(PROJECT_ROLES),
+  body('hourly_rate').optional().isFloat({ min: 0 }),
+  handleValidationErrors
 ], async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { user_id, role = 'Developer', hourly_rate } = req.body;
+    const { user_id, role = 'contributor', hourly_rate } = req.body;
 
     // Check project access and get project manager
     const projectQuery = `
@@ -434,17 +1104,14 @@ router.post('/:id/members', validateUUID, [
     }
 
     // Check permissions
-    const isManagerOrAdmin = req.user.role === 'administrator' || 
-                           projectResult.rows[0].project_manager_id === req.user.id;
-
-    if (!isManagerOrAdmin) {
-      return res.status(403).json({ error: 'Only project managers and administrators can add team members' });
+    if (!(await hasProjectPermission(id, req.user, 'members.manage'))) {
+      return res.status(403).json({ error: 'Only project owners can add team members' });
     }
 
     // Verify user exists and is active
     const userCheck = await db.query(
-      'SELECT id, first_name, last_name, email FROM users WHERE id = $1 AND is_active = true',
-      [user_id]
+      'SELECT id, first_name, last_name, email FROM users WHERE id = $1 AND is_active = true AND organisation_id = $2',
+      [user_id, req.user.organisation_id]
     );
     if (userCheck.rows.length === 0) {
       return res.status(400).json({ error: 'User not found or inactive' });
@@ -498,10 +1165,68 @@ router.post('/:id/members', validateUUID, [
   }
 });
 
+// @route   PUT /api/projects/:id/members/:memberId
+// @desc    Change a team member's project role
+// @access  Private (Project owner or projects.manage)
+router.put('/:id/members/:memberId', validateUUID, requirePermission('projects.write'), forbidDuringImpersonation, [
+  body('role').isIn(PROJECT_ROLES),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id, memberId } = req.params;
+    const { role } = req.body;
+
+    if (!(await hasProjectPermission(id, req.user, 'members.manage'))) {
+      return res.status(403).json({ error: 'Only project owners can change member roles' });
+    }
+
+    const memberResult = await db.query(
+      `SELECT pm.role, pm.user_id, u.email
+       FROM project_members pm
+       JOIN users u ON pm.user_id = u.id
+       WHERE pm.id = $1 AND pm.project_id = $2 AND pm.left_at IS NULL`,
+      [memberId, id]
+    );
+
+    if (memberResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Team member not found' });
+    }
+
+    const member = memberResult.rows[0];
+
+    await db.query('UPDATE project_members SET role = $1 WHERE id = $2', [role, memberId]);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'member_role_changed', 'project', id, {
+        member: member.email,
+        old_role: member.role,
+        new_role: role
+      }]
+    );
+
+    const io = req.app.get('socketio');
+    io.to(`project_${id}`).emit('member_role_changed', {
+      project_id: id,
+      user_id: member.user_id,
+      role,
+      changed_by: req.user
+    });
+
+    res.json({
+      message: 'Member role updated successfully',
+      member: { id: memberId, user_id: member.user_id, role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/projects/:id/members/:memberId
 // @desc    Remove team member from project
-// @access  Private (Admin or Project Manager)
-router.delete('/:id/members/:memberId', validateUUID, async (req, res, next) => {
+// @access  Private (Project owner or projects.manage)
+router.delete('/:id/members/:memberId', validateUUID, requirePermission('projects.write'), forbidDuringImpersonation, async (req, res, next) => {
   try {
     const { id, memberId } = req.params;
 
@@ -517,11 +1242,8 @@ router.delete('/:id/members/:memberId', validateUUID, async (req, res, next) =>
     }
 
     // Check permissions
-    const isManagerOrAdmin = req.user.role === 'administrator' || 
-                           projectResult.rows[0].project_manager_id === req.user.id;
-
-    if (!isManagerOrAdmin) {
-      return res.status(403).json({ error: 'Only project managers and administrators can remove team members' });
+    if (!(await hasProjectPermission(id, req.user, 'members.manage'))) {
+      return res.status(403).json({ error: 'Only project owners can remove team members' });
     }
 
     // Check if member exists
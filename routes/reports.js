@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { getAccessScope } = require('../services/accessScope');
+const { getVarianceSummaries } = require('../services/projectBaselines');
 const { validatePagination } = require('../middleware/validation');
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
 const ExcelJS = require('exceljs');
 
 
-router.get('/projects', validatePagination, async (req, res, next) => {
+router.get('/projects', requirePermission('reports.read'), validatePagination, async (req, res, next) => {
   try {
     const {
       status = '',
@@ -25,18 +28,9 @@ router.get('/projects', validatePagination, async (req, res, next) => {
     let queryParams = [];
     let paramCount = 0;
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      paramCount++;
-      whereConditions.push(`p.company_id IN (
-        SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-      )`);
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      paramCount++;
-      whereConditions.push(`p.project_manager_id = $${paramCount}`);
-      queryParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    whereConditions.push(scope.projects('p.id', queryParams));
+    paramCount = queryParams.length;
 
     if (status && ['ongoing', 'completed', 'stopped', 'planning'].includes(status)) {
       paramCount++;
@@ -90,6 +84,7 @@ router.get('/projects', validatePagination, async (req, res, next) => {
       SELECT 
         p.id, p.name, p.description, p.status,
         p.start_date, p.end_date, p.budget, p.estimated_hours,
+        p.progress_percentage, p.progress_method,
         c.name as company_name,
         u.first_name || ' ' || u.last_name as manager_name,
         COUNT(DISTINCT t.id) as total_tasks,
@@ -136,9 +131,23 @@ router.get('/projects', validatePagination, async (req, res, next) => {
 
     const summaryResult = await db.query(summaryQuery, queryParams);
 
+    // Schedule and effort variance against each project's newest baseline
+    const varianceByProject = await getVarianceSummaries(result.rows.map(project => project.id));
+    const variance = result.rows
+      .filter(project => varianceByProject[project.id])
+      .map(project => ({ project_id: project.id, project_name: project.name, ...varianceByProject[project.id] }));
+
     res.json({
       projects: result.rows,
-      summary: summaryResult.rows[0]
+      summary: summaryResult.rows[0],
+      variance: {
+        projects: variance,
+        projects_with_baseline: variance.length,
+        projects_late: variance.filter(row => row.end_date_slip_days > 0 || row.max_milestone_slip_days > 0).length,
+        total_effort_variance_hours: Math.round(
+          variance.reduce((total, row) => total + row.effort_variance_hours, 0) * 100
+        ) / 100
+      }
     });
   } catch (error) {
     next(error);
@@ -148,7 +157,7 @@ router.get('/projects', validatePagination, async (req, res, next) => {
 // @route   GET /api/reports/tasks
 // @desc    Get task reports by developer
 // @access  Private
-router.get('/tasks', validatePagination, async (req, res, next) => {
+router.get('/tasks', requirePermission('reports.read'), validatePagination, async (req, res, next) => {
   try {
     const {
       developer_id = '',
@@ -168,26 +177,9 @@ router.get('/tasks', validatePagination, async (req, res, next) => {
     let queryParams = [];
     let paramCount = 0;
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      paramCount++;
-      whereConditions.push(`t.project_id IN (
-        SELECT DISTINCT p.id FROM projects p 
-        WHERE p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-        )
-      )`);
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      // Developers can see tasks from projects they manage or are assigned to
-      paramCount++;
-      whereConditions.push(`(
-        t.project_id IN (
-          SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $${paramCount}
-        ) OR t.assigned_to = $${paramCount}
-      )`);
-      queryParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    whereConditions.push(scope.tasks('t', queryParams));
+    paramCount = queryParams.length;
 
     if (developer_id || userId) {
       paramCount++;
@@ -316,7 +308,7 @@ router.get('/tasks', validatePagination, async (req, res, next) => {
 // @route   GET /api/reports/productivity
 // @desc    Get productivity reports
 // @access  Private
-router.get('/productivity', async (req, res, next) => {
+router.get('/productivity', requirePermission('reports.read'), async (req, res, next) => {
   try {
     const {
       user_id = '',
@@ -347,25 +339,9 @@ router.get('/productivity', async (req, res, next) => {
     whereConditions.push(`te.date_worked <= $${paramCount}`);
     queryParams.push(defaultEndDate);
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      paramCount++;
-      whereConditions.push(`te.project_id IN (
-        SELECT DISTINCT p.id FROM projects p 
-        WHERE p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-        )
-      )`);
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      paramCount++;
-      whereConditions.push(`(
-        te.project_id IN (
-          SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $${paramCount}
-        ) OR te.user_id = $${paramCount}
-      )`);
-      queryParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    whereConditions.push(scope.timeEntries('te', queryParams));
+    paramCount = queryParams.length;
 
     if (user_id || userId) {
       paramCount++;
@@ -448,15 +424,16 @@ router.get('/productivity', async (req, res, next) => {
         COUNT(DISTINCT te.task_id) as tasks_count,
         COUNT(te.id) as entries_count,
         SUM(te.hours_worked * te.hourly_rate) as total_cost,
+        p.progress_percentage,
         CASE 
           WHEN p.estimated_hours > 0 THEN 
             ROUND((SUM(te.hours_worked) / p.estimated_hours * 100), 2)
           ELSE NULL 
-        END as progress_percentage
+        END as hours_progress_percentage
       FROM projects p
       JOIN time_entries te ON p.id = te.project_id
       ${whereClause}
-      GROUP BY p.id, p.name, p.status, p.estimated_hours
+      GROUP BY p.id, p.name, p.status, p.estimated_hours, p.progress_percentage
       ORDER BY total_hours DESC
     `;
 
@@ -499,7 +476,7 @@ router.get('/productivity', async (req, res, next) => {
 // @route   GET /api/reports/financial
 // @desc    Get financial reports
 // @access  Private (Admin and Manager)
-router.get('/financial', requireRole(['administrator', 'developer']), async (req, res, next) => {
+router.get('/financial', requirePermission('reports.read', 'reports.financial'), async (req, res, next) => {
   try {
     const {
       startDate = '',
@@ -529,14 +506,9 @@ router.get('/financial', requireRole(['administrator', 'developer']), async (req
     whereConditions.push(`i.issue_date <= $${paramCount}`);
     queryParams.push(defaultEndDate);
 
-    // Role-based filtering
-    if (req.user.role === 'developer') {
-      paramCount++;
-      whereConditions.push(`i.project_id IN (
-        SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $${paramCount}
-      )`);
-      queryParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    whereConditions.push(scope.invoices('i', queryParams));
+    paramCount = queryParams.length;
 
     if (company_id) {
       paramCount++;
@@ -637,7 +609,7 @@ router.get('/financial', requireRole(['administrator', 'developer']), async (req
 // @route   POST /api/reports/export
 // @desc    Export reports as PDF (projects | financial)
 // @access  Private (role-restricted per type)
-router.post('/export', async (req, res, next) => {
+router.post('/export', requirePermission('reports.write'), async (req, res, next) => {
   try {
     const { type, format = 'pdf', ...filters } = req.body || {};
 
@@ -649,13 +621,7 @@ router.post('/export', async (req, res, next) => {
       return res.status(400).json({ error: 'Supported formats: pdf, excel, xlsx' });
     }
 
-    // Role restrictions for financial exports
-    if (type === 'financial' && !['administrator', 'developer'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions to export financial reports' });
-    }
-
-    // Role restrictions for financial exports
-    if (type === 'financial' && !['administrator', 'developer'].includes(req.user.role)) {
+    if (type === 'financial' && !(await hasPermission(req.user.role, 'reports.financial'))) {
       return res.status(403).json({ error: 'Insufficient permissions to export financial reports' });
     }
 
@@ -666,6 +632,7 @@ router.post('/export', async (req, res, next) => {
     const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
 
     let reportData = {};
+    const scope = await getAccessScope(req.user);
 
     // Fetch data based on type
     if (type === 'projects') {
@@ -681,17 +648,8 @@ router.post('/export', async (req, res, next) => {
       let queryParams = [];
       let paramCount = 0;
 
-      if (req.user.role === 'client') {
-        paramCount++;
-        whereConditions.push(`p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-        )`);
-        queryParams.push(req.user.id);
-      } else if (req.user.role === 'developer') {
-        paramCount++;
-        whereConditions.push(`p.project_manager_id = $${paramCount}`);
-        queryParams.push(req.user.id);
-      }
+      whereConditions.push(scope.projects('p.id', queryParams));
+      paramCount = queryParams.length;
 
       if (status && ['ongoing', 'completed', 'stopped', 'planning'].includes(status)) {
         paramCount++;
@@ -734,7 +692,7 @@ router.post('/export', async (req, res, next) => {
       const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
       const query = `
-        SELECT p.id, p.name, p.status, p.budget, p.start_date, p.end_date,
+        SELECT p.id, p.name, p.status, p.budget, p.start_date, p.end_date, p.progress_percentage,
                c.name as company_name, u.first_name || ' ' || u.last_name as manager_name
         FROM projects p
         LEFT JOIN companies c ON p.company_id = c.id
@@ -770,6 +728,7 @@ router.post('/export', async (req, res, next) => {
       if (filters.project_id || filters.projectId) {
         paramCount++; whereConditions.push(`i.project_id = $${paramCount}`); queryParams.push(filters.project_id || filters.projectId);
       }
+      whereConditions.push(scope.invoices('i', queryParams));
 
       const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
@@ -818,6 +777,7 @@ router.post('/export', async (req, res, next) => {
       if (project_id || filters.projectId) {
         timeParamCount++; timeWhereConditions.push(`te.project_id = $${timeParamCount}`); timeQueryParams.push(project_id || filters.projectId);
       }
+      timeWhereConditions.push(scope.timeEntries('te', timeQueryParams));
 
       const timeWhereClause = timeWhereConditions.length > 0 ? `WHERE ${timeWhereConditions.join(' AND ')}` : '';
 
@@ -866,6 +826,7 @@ router.post('/export', async (req, res, next) => {
       if (userId) {
         usersParamCount++; usersWhereConditions.push(`u.id = $${usersParamCount}`); usersQueryParams.push(userId);
       }
+      usersWhereConditions.push(scope.organisation('u.organisation_id', usersQueryParams));
 
       const usersWhereClause = usersWhereConditions.length > 0 ? `WHERE ${usersWhereConditions.join(' AND ')}` : '';
 
@@ -941,7 +902,7 @@ async function generatePDFReport(reportData, res, now) {
     y -= 4;
     reportData.data.forEach((pRow, idx) => {
       if (y < 60) { page = pdfDoc.addPage([595.28, 841.89]); y = 780; }
-      drawText(`${idx + 1}. ${pRow.name} | ${pRow.company_name || '-'} | ${pRow.status} | Budget: ${pRow.budget || 0}`);
+      drawText(`${idx + 1}. ${pRow.name} | ${pRow.company_name || '-'} | ${pRow.status} | ${pRow.progress_percentage}% | Budget: ${pRow.budget || 0}`);
     });
   } else if (reportData.type === 'financial') {
     drawText(`Date range: ${reportData.dateRange}`);
@@ -1032,9 +993,10 @@ async function generateExcelReport(reportData, res, now) {
     worksheet.getCell('F6').value = 'Start Date';
     worksheet.getCell('G6').value = 'End Date';
     worksheet.getCell('H6').value = 'Manager';
+    worksheet.getCell('I6').value = 'Progress %';
 
     // Apply header style
-    ['A6', 'B6', 'C6', 'D6', 'E6', 'F6', 'G6', 'H6'].forEach(cell => {
+    ['A6', 'B6', 'C6', 'D6', 'E6', 'F6', 'G6', 'H6', 'I6'].forEach(cell => {
       worksheet.getCell(cell).style = subHeaderStyle;
     });
 
@@ -1048,6 +1010,7 @@ async function generateExcelReport(reportData, res, now) {
       worksheet.getCell(`F${currentRow}`).value = project.start_date;
       worksheet.getCell(`G${currentRow}`).value = project.end_date;
       worksheet.getCell(`H${currentRow}`).value = project.manager_name || '-';
+      worksheet.getCell(`I${currentRow}`).value = project.progress_percentage;
       currentRow++;
     });
 
@@ -1,8 +1,15 @@
 const express = require('express');
+const { validate: isUUID } = require('uuid');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission, forbidDuringImpersonation } = require('../middleware/auth');
+const { PERMISSIONS, getRolePermissions, hasPermission, clearPermissionCache } = require('../services/permissions');
 const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const { parseSettingValue } = require('../services/settings');
+const { clearPasswordPolicyCache } = require('../services/passwordPolicy');
+const { getDefaultOrganisationId } = require('../services/organisations');
+const { getAccessScope } = require('../services/accessScope');
 
 // @route   GET /api/settings
 // @desc    Get all user-accessible settings (general endpoint)
@@ -21,41 +28,22 @@ router.get('/', async (req, res, next) => {
 
 // @route   GET /api/settings/system
 // @desc    Get system settings
-// @access  Private (Admin only)
-router.get('/system', requireRole(['administrator']), async (req, res, next) => {
+// @access  Private (settings.read)
+router.get('/system', requirePermission('settings.read'), async (req, res, next) => {
   try {
     const settingsQuery = `
       SELECT setting_key, setting_value, description, data_type
       FROM system_settings 
-      WHERE is_active = true
+      WHERE is_active = true AND organisation_id = $1
       ORDER BY setting_key
     `;
 
-    const result = await db.query(settingsQuery);
+    const result = await db.query(settingsQuery, [req.user.organisation_id]);
     
     // Transform array to object for easier frontend consumption
     const settings = {};
     result.rows.forEach(row => {
-      let value = row.setting_value;
-      
-      // Parse value based on data type
-      switch (row.data_type) {
-        case 'boolean':
-          value = value === 'true';
-          break;
-        case 'number':
-          value = parseFloat(value);
-          break;
-        case 'json':
-          try {
-            value = JSON.parse(value);
-          } catch (e) {
-            value = row.setting_value;
-          }
-          break;
-        default:
-          value = row.setting_value;
-      }
+      const value = parseSettingValue(row.setting_value, row.data_type);
       
       settings[row.setting_key] = {
         value,
@@ -72,8 +60,8 @@ router.get('/system', requireRole(['administrator']), async (req, res, next) =>
 
 // @route   PUT /api/settings/system
 // @desc    Update system settings
-// @access  Private (Admin only)
-router.put('/system', requireRole(['administrator']), [
+// @access  Private (settings.write)
+router.put('/system', requirePermission('settings.write'), [
   body('settings').isObject()
 ], async (req, res, next) => {
   try {
@@ -82,8 +70,8 @@ router.put('/system', requireRole(['administrator']), [
 
     for (const [key, value] of Object.entries(settings)) {
       // Validate setting exists
-      const existingQuery = 'SELECT * FROM system_settings WHERE setting_key = $1 AND is_active = true';
-      const existingResult = await db.query(existingQuery, [key]);
+      const existingQuery = 'SELECT * FROM system_settings WHERE setting_key = $1 AND organisation_id = $2 AND is_active = true';
+      const existingResult = await db.query(existingQuery, [key, req.user.organisation_id]);
       
       if (existingResult.rows.length === 0) {
         continue; // Skip invalid settings
@@ -92,6 +80,26 @@ router.put('/system', requireRole(['administrator']), [
       const setting = existingResult.rows[0];
       let settingValue;
 
+      if (key === 'two_factor_required_roles') {
+        const validRoles = ['administrator', 'developer', 'client'];
+        if (!Array.isArray(value) || value.some(role => !validRoles.includes(role))) {
+          return res.status(400).json({ error: 'two_factor_required_roles must be a list of valid roles' });
+        }
+      }
+
+      const passwordLimits = {
+        password_min_length: [6, 128],
+        password_max_length: [8, 1024],
+        password_history_count: [0, 24],
+        password_max_age_days: [0, 3650]
+      };
+      if (passwordLimits[key]) {
+        const [min, max] = passwordLimits[key];
+        if (!Number.isInteger(Number(value)) || Number(value) < min || Number(value) > max) {
+          return res.status(400).json({ error: `${key} must be a whole number between ${min} and ${max}` });
+        }
+      }
+
       // Convert value to string based on data type
       switch (setting.data_type) {
         case 'boolean':
@@ -111,16 +119,21 @@ router.put('/system', requireRole(['administrator']), [
       const updateQuery = `
         UPDATE system_settings 
         SET setting_value = $1, updated_at = CURRENT_TIMESTAMP, updated_by = $2
-        WHERE setting_key = $3
+        WHERE setting_key = $3 AND organisation_id = $4
         RETURNING setting_key, setting_value
       `;
 
-      const updateResult = await db.query(updateQuery, [settingValue, req.user.id, key]);
+      const updateResult = await db.query(updateQuery, [settingValue, req.user.id, key, req.user.organisation_id]);
       if (updateResult.rows.length > 0) {
         updatedSettings.push(updateResult.rows[0]);
       }
     }
 
+    // Password rules apply immediately rather than when the cache expires
+    if (updatedSettings.some(setting => setting.setting_key.startsWith('password_'))) {
+      clearPasswordPolicyCache();
+    }
+
     // Log activity
     await db.query(
       'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
@@ -141,39 +154,46 @@ router.put('/system', requireRole(['administrator']), [
 // @access  Private
 router.get('/company', async (req, res, next) => {
   try {
-    let companyId;
+    // The selected company or the query param; the scoped query below refuses companies the caller cannot see
+    let companyId = req.user.active_company_id || req.query.company_id;
+    if (companyId && !isUUID(companyId)) {
+      return res.status(400).json({ error: 'Invalid company_id' });
+    }
 
-    if (req.user.role === 'client') {
-      // Get company from client_users table
-      const clientQuery = 'SELECT company_id FROM client_users WHERE user_id = $1';
+    if (!companyId && req.user.role === 'client') {
+      // Otherwise the only company the client belongs to
+      const clientQuery = 'SELECT company_id FROM client_users WHERE user_id = $1 ORDER BY created_at';
       const clientResult = await db.query(clientQuery, [req.user.id]);
       
       if (clientResult.rows.length === 0) {
         return res.status(400).json({ error: 'No company associated with this user' });
       }
-      
-      companyId = clientResult.rows[0].company_id;
-    } else {
-      // For admin/developer, use query param or get all companies
-      companyId = req.query.company_id;
-      
-      if (!companyId && req.user.role !== 'administrator') {
-        return res.status(400).json({ error: 'Company ID required' });
+
+      if (clientResult.rows.length > 1) {
+        return res.status(400).json({
+          error: 'You belong to several companies; select one with the X-Company-Id header',
+          company_ids: clientResult.rows.map(row => row.company_id)
+        });
       }
+
+      companyId = clientResult.rows[0].company_id;
     }
 
+    const scope = await getAccessScope(req.user);
+
     if (companyId) {
       // Get specific company settings
+      const companyParams = [companyId];
       const companyQuery = `
         SELECT 
           id, name, email, phone, address, website,
           logo_url, contact_person, notes,
           is_active, created_at, updated_at
-        FROM companies 
-        WHERE id = $1
+        FROM companies c
+        WHERE c.id = $1 AND ${scope.companies('c.id', companyParams)}
       `;
 
-      const result = await db.query(companyQuery, [companyId]);
+      const result = await db.query(companyQuery, companyParams);
       
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Company not found' });
@@ -181,7 +201,7 @@ router.get('/company', async (req, res, next) => {
 
       res.json({ company: result.rows[0] });
     } else {
-      // Admin can see all companies
+      const companiesParams = [];
       const companiesQuery = `
         SELECT 
           id, name, email, phone, address, website,
@@ -190,10 +210,11 @@ router.get('/company', async (req, res, next) => {
           (SELECT COUNT(*) FROM projects WHERE company_id = c.id) as projects_count,
           (SELECT COUNT(*) FROM client_users WHERE company_id = c.id) as users_count
         FROM companies c
+        WHERE ${scope.companies('c.id', companiesParams)}
         ORDER BY name
       `;
 
-      const result = await db.query(companiesQuery);
+      const result = await db.query(companiesQuery, companiesParams);
       res.json({ companies: result.rows });
     }
   } catch (error) {
@@ -219,25 +240,16 @@ router.put('/company/:id', [
   try {
     const { id } = req.params;
     
-    // Check access rights
-    if (req.user.role === 'client') {
-      const clientQuery = 'SELECT company_id FROM client_users WHERE user_id = $1 AND company_id = $2';
-      const clientResult = await db.query(clientQuery, [req.user.id, id]);
-      
-      if (clientResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied to this company' });
-      }
-    } else if (req.user.role === 'developer') {
-      // Developers can only update companies they manage projects for
-      const projectQuery = `
-        SELECT DISTINCT p.company_id FROM projects p 
-        WHERE p.project_manager_id = $1 AND p.company_id = $2
-      `;
-      const projectResult = await db.query(projectQuery, [req.user.id, id]);
-      
-      if (projectResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied to this company' });
-      }
+    // Clients edit their own companies; staff the companies of projects they own
+    const scope = await getAccessScope(req.user);
+    const accessParams = [id];
+    const accessResult = await db.query(
+      `SELECT 1 FROM companies c WHERE c.id = $1 AND ${scope.companies('c.id', accessParams, 'members.manage')}`,
+      accessParams
+    );
+
+    if (accessResult.rows.length === 0) {
+      return res.status(403).json({ error: 'Access denied to this company' });
     }
 
     // Filter allowed fields
@@ -265,11 +277,11 @@ router.put('/company/:id', [
     const updateQuery = `
       UPDATE companies 
       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
+      WHERE id = $1 AND organisation_id = $${values.length + 1}
       RETURNING id, name, updated_at
     `;
 
-    const result = await db.query(updateQuery, values);
+    const result = await db.query(updateQuery, [...values, req.user.organisation_id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Company not found' });
@@ -388,57 +400,35 @@ router.put('/user', [
 });
 
 // @route   GET /api/settings/permissions
-// @desc    Get role permissions
-// @access  Private (Admin only)
-router.get('/permissions', requireRole(['administrator']), async (req, res, next) => {
+// @desc    Get effective role permissions and the permission catalog
+// @access  Private (settings.read)
+router.get('/permissions', requirePermission('settings.read'), async (req, res, next) => {
   try {
-    const permissionsQuery = `
-      SELECT 
-        role,
-        array_agg(permission ORDER BY permission) as permissions
-      FROM role_permissions 
-      WHERE is_active = true
-      GROUP BY role
-      ORDER BY role
-    `;
-
-    const result = await db.query(permissionsQuery);
-    
-    const permissions = {};
-    result.rows.forEach(row => {
-      permissions[row.role] = row.permissions;
-    });
+    const permissions = await getRolePermissions();
 
-    res.json({ permissions });
+    res.json({ permissions, available: PERMISSIONS });
   } catch (error) {
     next(error);
   }
 });
 
 // @route   PUT /api/settings/permissions
-// @desc    Update role permissions
-// @access  Private (Admin only)
-router.put('/permissions', requireRole(['administrator']), [
+// @desc    Replace the permissions of a role
+// @access  Private (settings.write)
+router.put('/permissions', requirePermission('settings.write'), forbidDuringImpersonation, [
   body('role').isIn(['administrator', 'developer', 'client']),
-  body('permissions').isArray()
+  body('permissions').isArray(),
+  handleValidationErrors
 ], async (req, res, next) => {
   try {
     const { role, permissions } = req.body;
 
-    // Validate permissions
-    const validPermissions = [
-      'users.read', 'users.write', 'users.delete',
-      'projects.read', 'projects.write', 'projects.delete',
-      'tasks.read', 'tasks.write', 'tasks.delete',
-      'companies.read', 'companies.write', 'companies.delete',
-      'invoices.read', 'invoices.write', 'invoices.delete',
-      'reports.read', 'reports.write',
-      'settings.read', 'settings.write',
-      'files.read', 'files.write', 'files.delete',
-      'time.read', 'time.write', 'time.delete'
-    ];
+    // Role permissions are shared by every organisation, so only the operator's own organisation edits them
+    if (req.user.organisation_id !== await getDefaultOrganisationId()) {
+      return res.status(403).json({ error: 'Role permissions can only be changed from the default organisation' });
+    }
 
-    const invalidPermissions = permissions.filter(p => !validPermissions.includes(p));
+    const invalidPermissions = permissions.filter(p => !PERMISSIONS.includes(p));
     if (invalidPermissions.length > 0) {
       return res.status(400).json({ 
         error: 'Invalid permissions', 
@@ -446,16 +436,19 @@ router.put('/permissions', requireRole(['administrator']), [
       });
     }
 
-    // Remove existing permissions for role
-    await db.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+    // Replace the role's permissions in one go; a failed insert must not leave the role without any
+    await db.transaction(async (query) => {
+      await query('DELETE FROM role_permissions WHERE role = $1', [role]);
 
-    // Add new permissions
-    for (const permission of permissions) {
-      await db.query(
-        'INSERT INTO role_permissions (role, permission, granted_by) VALUES ($1, $2, $3)',
-        [role, permission, req.user.id]
-      );
-    }
+      for (const permission of new Set(permissions)) {
+        await query(
+          'INSERT INTO role_permissions (role, permission, granted_by) VALUES ($1, $2, $3)',
+          [role, permission, req.user.id]
+        );
+      }
+    });
+
+    clearPermissionCache();
 
     // Log activity
     await db.query(
@@ -483,8 +476,8 @@ router.put('/:key', async (req, res, next) => {
 
     // For now, handle some basic user settings
     if (key === 'default_language') {
-      // Update system default language (admin only)
-      if (req.user.role !== 'administrator') {
+      // Update system default language (settings.write only)
+      if (!(await hasPermission(req.user.role, 'settings.write'))) {
         return res.status(403).json({ error: 'Access denied' });
       }
       
@@ -501,8 +494,8 @@ router.put('/:key', async (req, res, next) => {
 
 // @route   POST /api/settings
 // @desc    Create a new setting
-// @access  Private (Admin only)
-router.post('/', requireRole(['administrator']), async (req, res, next) => {
+// @access  Private (settings.write)
+router.post('/', requirePermission('settings.write'), async (req, res, next) => {
   try {
     const { key, value, description } = req.body;
 
@@ -518,8 +511,8 @@ router.post('/', requireRole(['administrator']), async (req, res, next) => {
 
 // @route   DELETE /api/settings/:key
 // @desc    Delete a setting
-// @access  Private (Admin only)
-router.delete('/:key', requireRole(['administrator']), async (req, res, next) => {
+// @access  Private (settings.write)
+router.delete('/:key', requirePermission('settings.write'), async (req, res, next) => {
   try {
     const { key } = req.params;
 
@@ -1,14 +1,39 @@
 const express = require('express');
+const { validate: isUUID } = require('uuid');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole } = require('../middleware/auth');
-const { validateTask, validateUUID, validatePagination } = require('../middleware/validation');
-const { body } = require('express-validator');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { hasProjectPermission } = require('../services/projectRoles');
+const { getAccessScope } = require('../services/accessScope');
+const { FINISHED_STATUSES, GATED_STATUSES, blockedSql, addDependency, getOpenBlockers } = require('../services/taskDependencies');
+const {
+  subtreeTotalsJoin,
+  getOpenSubtasks,
+  isInSubtree,
+  hasLineageDependency,
+  loadSubtaskTrees
+} = require('../services/taskHierarchy');
+const {
+  workflowStatusJoin,
+  workflowStatusColumns,
+  getWorkflow,
+  resolveStatus,
+  initialStatus,
+  findTransition,
+  missingTransitionFields
+} = require('../services/taskWorkflows');
+const { lockBoard, placeInColumn } = require('../services/taskBoard');
+const { validateTask, validateUUID, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const { body, query } = require('express-validator');
 
 // @route   GET /api/tasks
 // @desc    Get all tasks (with pagination and filters)
 // @access  Private
-router.get('/', validatePagination, async (req, res, next) => {
+router.get('/', requirePermission('tasks.read'), validatePagination, [
+  query('parent_task_id').optional({ values: 'falsy' }).isUUID(),
+  handleValidationErrors
+], async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -19,39 +44,22 @@ router.get('/', validatePagination, async (req, res, next) => {
       project_id = '',
       assigned_to = '',
       overdue = '',
+      workflow_status = '',
+      parent_task_id = '',
+      tree = '',
       sort = 'created_at',
       order = 'DESC'
     } = req.query;
 
     const offset = (page - 1) * limit;
     
-    // Build WHERE clause based on user role
+    // Build WHERE clause based on the user's access scope
+    const scope = await getAccessScope(req.user);
     let whereConditions = [];
     let queryParams = [];
-    let paramCount = 0;
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      // Clients can only see tasks from projects in their company
-      paramCount++;
-      whereConditions.push(`t.project_id IN (
-        SELECT p.id FROM projects p
-        WHERE p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-        )
-      )`);
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      // Developers can see tasks assigned to them or from projects they're part of
-      paramCount++;
-      whereConditions.push(`(t.assigned_to = $${paramCount} OR t.project_id IN (
-        SELECT DISTINCT pm.project_id FROM project_members pm WHERE pm.user_id = $${paramCount}
-        UNION
-        SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $${paramCount}
-      ))`);
-      queryParams.push(req.user.id);
-    }
-    // Administrators can see all tasks
+    whereConditions.push(scope.tasks('t', queryParams));
+    let paramCount = queryParams.length;
 
     if (search) {
       paramCount++;
@@ -65,6 +73,13 @@ router.get('/', validatePagination, async (req, res, next) => {
       queryParams.push(status);
     }
 
+    // A status key of the project's workflow (built-in statuses for projects without one)
+    if (workflow_status) {
+      paramCount++;
+      whereConditions.push(`COALESCE(t.workflow_status, t.status::text) = $${paramCount}`);
+      queryParams.push(workflow_status);
+    }
+
     if (priority && ['low', 'medium', 'high'].includes(priority)) {
       paramCount++;
       whereConditions.push(`t.priority = $${paramCount}`);
@@ -75,6 +90,9 @@ router.get('/', validatePagination, async (req, res, next) => {
       paramCount++;
       whereConditions.push(`t.project_id = $${paramCount}`);
       queryParams.push(project_id);
+    } else {
+      // Tasks of archived projects only show up when that project is asked for
+      whereConditions.push('t.project_id IN (SELECT id FROM projects WHERE is_active = true)');
     }
 
     if (assigned_to) {
@@ -87,6 +105,15 @@ router.get('/', validatePagination, async (req, res, next) => {
       whereConditions.push(`t.due_date < CURRENT_DATE AND t.status != 'completed'`);
     }
 
+    // Direct subtasks of one task; tree=true lists top-level tasks with their subtasks nested
+    if (parent_task_id) {
+      paramCount++;
+      whereConditions.push(`t.parent_task_id = $${paramCount}`);
+      queryParams.push(parent_task_id);
+    } else if (tree === 'true') {
+      whereConditions.push('t.parent_task_id IS NULL');
+    }
+
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
     // Get total count
@@ -101,20 +128,26 @@ router.get('/', validatePagination, async (req, res, next) => {
     // Get tasks with related data
     const tasksQuery = `
       SELECT 
-        t.id, t.title, t.description, t.priority, t.status,
+        t.id, t.parent_task_id, t.title, t.description, t.priority, t.status,
         t.estimated_hours, t.actual_hours, t.due_date,
         t.started_at, t.completed_at, t.created_at, t.updated_at,
+        totals.subtask_count, totals.open_subtask_count,
+        totals.total_estimated_hours, totals.total_actual_hours,
         p.name as project_name, p.id as project_id,
         assigned_user.first_name || ' ' || assigned_user.last_name as assigned_to_name,
         assigned_user.id as assigned_to_id,
         creator.first_name || ' ' || creator.last_name as created_by_name,
         creator.id as created_by_id,
-        m.name as milestone_name, m.id as milestone_id
+        m.name as milestone_name, m.id as milestone_id,
+        ${workflowStatusColumns('t')},
+        ${blockedSql('t')} as blocked
       FROM tasks t
       LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
       LEFT JOIN users creator ON t.created_by = creator.id
       LEFT JOIN milestones m ON t.milestone_id = m.id
+      ${subtreeTotalsJoin('t')}
+      ${workflowStatusJoin('t')}
       ${whereClause}
       ORDER BY 
         CASE WHEN t.priority = 'high' THEN 1 WHEN t.priority = 'medium' THEN 2 ELSE 3 END,
@@ -125,10 +158,16 @@ router.get('/', validatePagination, async (req, res, next) => {
     queryParams.push(limit, offset);
     const result = await db.query(tasksQuery, queryParams);
 
+    let tasks = result.rows;
+    if (tree === 'true') {
+      const trees = await loadSubtaskTrees(tasks.map(task => task.id), scope);
+      tasks = tasks.map(task => ({ ...task, subtasks: trees[task.id] }));
+    }
+
     const totalPages = Math.ceil(totalTasks / limit);
 
     res.json({
-      tasks: result.rows,
+      tasks,
       pagination: {
         current_page: parseInt(page),
         total_pages: totalPages,
@@ -145,34 +184,14 @@ router.get('/', validatePagination, async (req, res, next) => {
 // @route   GET /api/tasks/:id
 // @desc    Get task by ID
 // @access  Private
-router.get('/:id', validateUUID, async (req, res, next) => {
+router.get('/:id', validateUUID, requirePermission('tasks.read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Check task access based on user role
-    let accessQuery = 'SELECT 1 FROM tasks t WHERE t.id = $1';
-    let accessParams = [id];
-
-    if (req.user.role === 'client') {
-      accessQuery = `
-        SELECT 1 FROM tasks t
-        JOIN projects p ON t.project_id = p.id
-        WHERE t.id = $1 AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-        )
-      `;
-      accessParams = [id, req.user.id];
-    } else if (req.user.role === 'developer') {
-      accessQuery = `
-        SELECT 1 FROM tasks t
-        WHERE t.id = $1 AND (t.assigned_to = $2 OR t.project_id IN (
-          SELECT DISTINCT pm.project_id FROM project_members pm WHERE pm.user_id = $2
-          UNION
-          SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $2
-        ))
-      `;
-      accessParams = [id, req.user.id];
-    }
+    // Check task access
+    const scope = await getAccessScope(req.user);
+    const accessParams = [id];
+    const accessQuery = `SELECT 1 FROM tasks t WHERE t.id = $1 AND ${scope.tasks('t', accessParams)}`;
 
     const accessResult = await db.query(accessQuery, accessParams);
     if (accessResult.rows.length === 0) {
@@ -185,17 +204,25 @@ router.get('/:id', validateUUID, async (req, res, next) => {
         t.id, t.title, t.description, t.priority, t.status,
         t.estimated_hours, t.actual_hours, t.due_date, t.order_index,
         t.started_at, t.completed_at, t.created_at, t.updated_at,
+        parent.id as parent_task_id, parent.title as parent_task_title,
+        totals.subtask_count, totals.open_subtask_count,
+        totals.total_estimated_hours, totals.total_actual_hours,
         p.name as project_name, p.id as project_id,
         assigned_user.first_name || ' ' || assigned_user.last_name as assigned_to_name,
         assigned_user.id as assigned_to_id, assigned_user.email as assigned_to_email,
         creator.first_name || ' ' || creator.last_name as created_by_name,
         creator.id as created_by_id,
-        m.name as milestone_name, m.id as milestone_id, m.due_date as milestone_due_date
+        m.name as milestone_name, m.id as milestone_id, m.due_date as milestone_due_date,
+        ${workflowStatusColumns('t')},
+        ${blockedSql('t')} as blocked
       FROM tasks t
       LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
       LEFT JOIN users creator ON t.created_by = creator.id
       LEFT JOIN milestones m ON t.milestone_id = m.id
+      LEFT JOIN tasks parent ON t.parent_task_id = parent.id
+      ${subtreeTotalsJoin('t')}
+      ${workflowStatusJoin('t')}
       WHERE t.id = $1
     `;
 
@@ -242,11 +269,14 @@ router.get('/:id', validateUUID, async (req, res, next) => {
 
     const timeResult = await db.query(timeQuery, [id]);
 
+    const subtaskTrees = await loadSubtaskTrees([id], scope);
+
     res.json({
       task: {
         ...task,
         dependencies: dependenciesResult.rows,
         dependents: dependentsResult.rows,
+        subtasks: subtaskTrees[id],
         time_entries: timeResult.rows
       }
     });
@@ -258,13 +288,14 @@ router.get('/:id', validateUUID, async (req, res, next) => {
 // @route   POST /api/tasks
 // @desc    Create new task
 // @access  Private (Admin, Project Manager, or Team Member)
-router.post('/', validateTask, async (req, res, next) => {
+router.post('/', requirePermission('tasks.write'), validateTask, async (req, res, next) => {
   try {
     const {
       title,
       description,
       project_id,
       milestone_id,
+      parent_task_id,
       assigned_to,
       priority = 'medium',
       estimated_hours,
@@ -272,26 +303,22 @@ router.post('/', validateTask, async (req, res, next) => {
     } = req.body;
 
     // Check project access
-    let accessQuery = 'SELECT id, name FROM projects WHERE id = $1 AND is_active = true';
-    let accessParams = [project_id];
-
-    if (req.user.role === 'developer') {
-      accessQuery = `
-        SELECT p.id, p.name FROM projects p
-        WHERE p.id = $1 AND p.is_active = true AND (
-          p.project_manager_id = $2 OR EXISTS (
-            SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-          )
-        )
-      `;
-      accessParams = [project_id, req.user.id];
-    }
+    const scope = await getAccessScope(req.user);
+    const accessParams = [project_id];
+    const accessQuery = `
+      SELECT p.id, p.name FROM projects p
+      WHERE p.id = $1 AND p.is_active = true AND ${scope.projects('p.id', accessParams)}
+    `;
 
     const projectResult = await db.query(accessQuery, accessParams);
     if (projectResult.rows.length === 0) {
       return res.status(400).json({ error: 'Project not found or access denied' });
     }
 
+    if (!(await hasProjectPermission(project_id, req.user, 'tasks.write'))) {
+      return res.status(403).json({ error: 'Your project role does not allow creating tasks' });
+    }
+
     // Verify milestone belongs to project (if provided)
     if (milestone_id) {
       const milestoneCheck = await db.query(
@@ -303,35 +330,54 @@ router.post('/', validateTask, async (req, res, next) => {
       }
     }
 
+    // Verify parent task belongs to project and is still open (if provided)
+    if (parent_task_id) {
+      const parentCheck = await db.query(
+        'SELECT status FROM tasks WHERE id = $1 AND project_id = $2',
+        [parent_task_id, project_id]
+      );
+      if (parentCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Parent task not found in this project' });
+      }
+      if (parentCheck.rows[0].status === 'completed') {
+        return res.status(409).json({ error: 'Cannot add a subtask to a completed task' });
+      }
+    }
+
     // Verify assigned user exists and has access to project (if provided)
     if (assigned_to) {
       const assigneeCheck = await db.query(
         `SELECT u.id, u.first_name, u.last_name, u.email FROM users u
-         WHERE u.id = $1 AND u.is_active = true AND (
+         WHERE u.id = $1 AND u.is_active = true AND u.organisation_id = $3 AND (
            u.role = 'administrator' OR
            EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = $2 AND pm.user_id = u.id) OR
            EXISTS (SELECT 1 FROM projects p WHERE p.id = $2 AND p.project_manager_id = u.id)
          )`,
-        [assigned_to, project_id]
+        [assigned_to, project_id, req.user.organisation_id]
       );
       if (assigneeCheck.rows.length === 0) {
         return res.status(400).json({ error: 'Assigned user not found or not part of project' });
       }
     }
 
+    // New tasks start in the workflow's first todo status
+    const workflow = await getWorkflow(project_id);
+    const startStatus = initialStatus(workflow);
+
     // Create task
     const insertQuery = `
       INSERT INTO tasks (
         title, description, project_id, milestone_id, assigned_to,
-        created_by, priority, estimated_hours, due_date
+        created_by, priority, estimated_hours, due_date, parent_task_id, workflow_status
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING id, title, status, created_at
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id, parent_task_id, title, status, workflow_status, created_at
     `;
 
     const values = [
       title, description, project_id, milestone_id, assigned_to,
-      req.user.id, priority, estimated_hours, due_date
+      req.user.id, priority, estimated_hours, due_date, parent_task_id || null,
+      workflow.is_default ? null : startStatus.key
     ];
 
     const result = await db.query(insertQuery, values);
@@ -379,10 +425,164 @@ router.post('/', validateTask, async (req, res, next) => {
   }
 });
 
+/**
+ * Apply a change of workflow status (updates.status is the status key) to updates: checks
+ * the workflow's transitions and required fields, open subtasks, a completed parent and,
+ * when the project enforces them, unfinished dependencies, then sets status,
+ * workflow_status and the started_at/completed_at stamps. Returns { error: { status, body } } or { statusChange },
+ * the { from, to } statuses (null when there is no status change). Pass a transaction's
+ * query function to run the checks inside it.
+ */
+const prepareStatusChange = async (currentTask, updates, comment, query = db.query) => {
+  if (updates.status === undefined) {
+    return { statusChange: null };
+  }
+
+  const workflow = await getWorkflow(currentTask.project_id, query);
+  const target = workflow.statuses.find(workflowStatus => workflowStatus.key === updates.status);
+  if (!target) {
+    return {
+      error: {
+        status: 400,
+        body: { error: 'Invalid status', statuses: workflow.statuses.map(workflowStatus => workflowStatus.key) }
+      }
+    };
+  }
+
+  let statusChange = null;
+  const current = resolveStatus(workflow, currentTask);
+  if (current !== target) {
+    const currentKey = current ? current.key : null;
+    const transition = findTransition(workflow, currentKey, target.key);
+    if (!transition) {
+      return {
+        error: {
+          status: 409,
+          body: {
+            error: `Tasks cannot move from ${current ? current.name : currentTask.status} to ${target.name}`,
+            allowed_statuses: workflow.statuses
+              .filter(workflowStatus => workflowStatus !== current && findTransition(workflow, currentKey, workflowStatus.key))
+              .map(workflowStatus => workflowStatus.key)
+          }
+        }
+      };
+    }
+
+    const missingFields = missingTransitionFields(transition, { ...currentTask, ...updates }, comment);
+    if (missingFields.length > 0) {
+      return {
+        error: {
+          status: 400,
+          body: { error: `Moving to ${target.name} requires ${missingFields.join(', ')}`, missing_fields: missingFields }
+        }
+      };
+    }
+
+    statusChange = { from: current, to: target };
+  }
+
+  updates.status = target.task_status;
+  updates.workflow_status = workflow.is_default ? null : target.key;
+
+  // A parent task is only done once all of its subtasks are
+  if (updates.status === 'completed' && currentTask.status !== 'completed') {
+    const openSubtasks = await getOpenSubtasks(currentTask.id, query);
+    if (openSubtasks.length > 0) {
+      return { error: { status: 409, body: { error: 'Task has unfinished subtasks', subtasks: openSubtasks } } };
+    }
+  }
+
+  // ...so a finished subtask cannot be reopened under a completed parent. A new parent
+  // (updates.parent_task_id) is checked by the caller.
+  if (updates.parent_task_id === undefined && currentTask.parent_task_id &&
+      FINISHED_STATUSES.includes(currentTask.status) && !FINISHED_STATUSES.includes(updates.status)) {
+    const parent = await query('SELECT status FROM tasks WHERE id = $1', [currentTask.parent_task_id]);
+    if (parent.rows.length > 0 && parent.rows[0].status === 'completed') {
+      return { error: { status: 409, body: { error: 'Cannot reopen a subtask of a completed task' } } };
+    }
+  }
+
+  // Projects that enforce dependencies keep tasks from starting or finishing before their prerequisites
+  if (updates.status !== currentTask.status && GATED_STATUSES.includes(updates.status)) {
+    const projectSettings = await query(
+      'SELECT enforce_dependencies FROM projects WHERE id = $1',
+      [currentTask.project_id]
+    );
+    if (projectSettings.rows[0].enforce_dependencies) {
+      const blockers = await getOpenBlockers(currentTask.id, query);
+      if (blockers.length > 0) {
+        return { error: { status: 409, body: { error: 'Task is blocked by unfinished dependencies', blockers } } };
+      }
+    }
+  }
+
+  // Stamp start and completion by the category of the new status
+  if (statusChange) {
+    const { category } = statusChange.to;
+    if (category === 'todo') {
+      updates.started_at = null;
+      updates.completed_at = null;
+    } else if (category === 'doing') {
+      if (!currentTask.started_at) {
+        updates.started_at = new Date();
+      }
+      if (currentTask.completed_at) {
+        updates.completed_at = null;
+      }
+    } else if (!currentTask.completed_at) {
+      updates.completed_at = new Date();
+    }
+  }
+
+  return { statusChange };
+};
+
+/**
+ * Record a status change: keep the comment sent with it and notify the project team
+ */
+const announceStatusChange = async (currentTask, statusChange, user, comment) => {
+  if (comment && String(comment).trim()) {
+    await db.query(
+      'INSERT INTO comments (content, author_id, task_id) VALUES ($1, $2, $3)',
+      [String(comment).trim(), user.id, currentTask.id]
+    );
+  }
+
+  const teamQuery = `
+    SELECT DISTINCT u.id FROM users u
+    WHERE u.id IN (
+      SELECT pm.user_id FROM project_members pm WHERE pm.project_id = $1
+      UNION
+      SELECT p.project_manager_id FROM projects p WHERE p.id = $1
+    ) AND u.id != $2
+  `;
+
+  const teamResult = await db.query(teamQuery, [currentTask.project_id, user.id]);
+
+  for (const member of teamResult.rows) {
+    await db.query(
+      `INSERT INTO notifications (user_id, type, title, message, data) 
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        member.id,
+        'task_status_changed',
+        'Task Status Updated',
+        `Task "${currentTask.title}" status changed to ${statusChange.to.name}`,
+        JSON.stringify({ 
+          task_id: currentTask.id, 
+          old_status: statusChange.from ? statusChange.from.key : currentTask.status, 
+          new_status: statusChange.to.key,
+          updated_by: user.id 
+        })
+      ]
+    );
+  }
+};
+
 // @route   PUT /api/tasks/:id
 // @desc    Update task
 // @access  Private
-router.put('/:id', validateUUID, async (req, res, next) => {
+router.put('/:id', validateUUID, requirePermission('tasks.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const {
@@ -397,35 +597,13 @@ router.put('/:id', validateUUID, async (req, res, next) => {
     } = req.body;
 
     // Check task access and get current task info
-    let accessQuery = `
+    const scope = await getAccessScope(req.user);
+    const accessParams = [id];
+    const accessQuery = `
       SELECT t.*, p.name as project_name FROM tasks t
       JOIN projects p ON t.project_id = p.id
-      WHERE t.id = $1
+      WHERE t.id = $1 AND ${scope.tasks('t', accessParams)}
     `;
-    let accessParams = [id];
-
-    if (req.user.role === 'developer') {
-      accessQuery = `
-        SELECT t.*, p.name as project_name FROM tasks t
-        JOIN projects p ON t.project_id = p.id
-        WHERE t.id = $1 AND (
-          t.assigned_to = $2 OR
-          t.created_by = $2 OR
-          p.project_manager_id = $2 OR
-          EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = t.project_id AND pm.user_id = $2)
-        )
-      `;
-      accessParams = [id, req.user.id];
-    } else if (req.user.role === 'client') {
-      accessQuery = `
-        SELECT t.*, p.name as project_name FROM tasks t
-        JOIN projects p ON t.project_id = p.id
-        WHERE t.id = $1 AND p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-        )
-      `;
-      accessParams = [id, req.user.id];
-    }
 
     const taskResult = await db.query(accessQuery, accessParams);
     if (taskResult.rows.length === 0) {
@@ -434,16 +612,20 @@ router.put('/:id', validateUUID, async (req, res, next) => {
 
     const currentTask = taskResult.rows[0];
 
+    if (!(await hasProjectPermission(currentTask.project_id, req.user, 'tasks.write'))) {
+      return res.status(403).json({ error: 'Your project role does not allow editing tasks' });
+    }
+
     // Clients can only update their own tasks and limited fields
     let allowedFields = ['title', 'description', 'actual_hours'];
     
     if (req.user.role !== 'client') {
-      allowedFields = ['title', 'description', 'priority', 'status', 'estimated_hours', 'actual_hours', 'due_date'];
+      allowedFields = ['title', 'description', 'priority', 'status', 'estimated_hours', 'actual_hours', 'due_date', 'parent_task_id'];
       
-      // Only admin, project manager, or task creator can reassign tasks
-      const canReassign = req.user.role === 'administrator' || 
-                         currentTask.project_manager_id === req.user.id ||
-                         currentTask.created_by === req.user.id;
+      // Only the task creator or those who manage the project's tasks can reassign them
+      const canReassign = currentTask.created_by === req.user.id ||
+                         await hasPermission(req.user.role, 'tasks.manage') ||
+                         await hasProjectPermission(currentTask.project_id, req.user, 'tasks.manage');
       
       if (canReassign) {
         allowedFields.push('assigned_to');
@@ -462,9 +644,10 @@ router.put('/:id', validateUUID, async (req, res, next) => {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
-    // Validate status
-    if (updates.status && !['new', 'in_progress', 'completed', 'canceled'].includes(updates.status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    // Status changes follow the project's workflow; status is one of its status keys
+    const { error: statusError, statusChange } = await prepareStatusChange(currentTask, updates, req.body.comment);
+    if (statusError) {
+      return res.status(statusError.status).json(statusError.body);
     }
 
     // Validate priority
@@ -472,15 +655,26 @@ router.put('/:id', validateUUID, async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid priority' });
     }
 
-    // Handle status changes
-    if (updates.status && updates.status !== currentTask.status) {
-      if (updates.status === 'in_progress' && !currentTask.started_at) {
-        updates.started_at = new Date();
-      } else if (updates.status === 'completed' && !currentTask.completed_at) {
-        updates.completed_at = new Date();
-      } else if (updates.status === 'new') {
-        updates.started_at = null;
-        updates.completed_at = null;
+    // Moving under another open task of the same project, never into its own subtree (null detaches)
+    if (updates.parent_task_id) {
+      if (!isUUID(updates.parent_task_id)) {
+        return res.status(400).json({ error: 'Invalid parent task' });
+      }
+      const parentCheck = await db.query(
+        'SELECT status FROM tasks WHERE id = $1 AND project_id = $2',
+        [updates.parent_task_id, currentTask.project_id]
+      );
+      if (parentCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Parent task not found in this project' });
+      }
+      if (parentCheck.rows[0].status === 'completed') {
+        return res.status(409).json({ error: 'Cannot add a subtask to a completed task' });
+      }
+      if (await isInSubtree(id, updates.parent_task_id)) {
+        return res.status(400).json({ error: 'A task cannot be moved under itself or one of its subtasks' });
+      }
+      if (await hasLineageDependency(id, updates.parent_task_id)) {
+        return res.status(400).json({ error: 'A task cannot be moved under a task it has a dependency with' });
       }
     }
 
@@ -488,12 +682,12 @@ router.put('/:id', validateUUID, async (req, res, next) => {
     if (updates.assigned_to && updates.assigned_to !== currentTask.assigned_to) {
       const assigneeCheck = await db.query(
         `SELECT u.id, u.first_name, u.last_name, u.email FROM users u
-         WHERE u.id = $1 AND u.is_active = true AND (
+         WHERE u.id = $1 AND u.is_active = true AND u.organisation_id = $3 AND (
            u.role = 'administrator' OR
            EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = $2 AND pm.user_id = u.id) OR
            EXISTS (SELECT 1 FROM projects p WHERE p.id = $2 AND p.project_manager_id = u.id)
          )`,
-        [updates.assigned_to, currentTask.project_id]
+        [updates.assigned_to, currentTask.project_id, req.user.organisation_id]
       );
       if (assigneeCheck.rows.length === 0) {
         return res.status(400).json({ error: 'Assigned user not found or not part of project' });
@@ -508,7 +702,7 @@ router.put('/:id', validateUUID, async (req, res, next) => {
       UPDATE tasks 
       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
-      RETURNING id, title, status, priority, assigned_to, updated_at
+      RETURNING id, parent_task_id, title, status, workflow_status, priority, assigned_to, updated_at
     `;
 
     const result = await db.query(updateQuery, values);
@@ -521,37 +715,8 @@ router.put('/:id', validateUUID, async (req, res, next) => {
     );
 
     // Send notifications for status changes or reassignments
-    if (updates.status && updates.status !== currentTask.status) {
-      // Notify project team about status change
-      const teamQuery = `
-        SELECT DISTINCT u.id FROM users u
-        WHERE u.id IN (
-          SELECT pm.user_id FROM project_members pm WHERE pm.project_id = $1
-          UNION
-          SELECT p.project_manager_id FROM projects p WHERE p.id = $1
-        ) AND u.id != $2
-      `;
-      
-      const teamResult = await db.query(teamQuery, [currentTask.project_id, req.user.id]);
-      
-      for (const member of teamResult.rows) {
-        await db.query(
-          `INSERT INTO notifications (user_id, type, title, message, data) 
-           VALUES ($1, $2, $3, $4, $5)`,
-          [
-            member.id,
-            'task_status_changed',
-            'Task Status Updated',
-            `Task "${currentTask.title}" status changed to ${updates.status}`,
-            JSON.stringify({ 
-              task_id: id, 
-              old_status: currentTask.status, 
-              new_status: updates.status,
-              updated_by: req.user.id 
-            })
-          ]
-        );
-      }
+    if (statusChange) {
+      await announceStatusChange(currentTask, statusChange, req.user, req.body.comment);
     }
 
     if (updates.assigned_to && updates.assigned_to !== currentTask.assigned_to) {
@@ -586,40 +751,156 @@ router.put('/:id', validateUUID, async (req, res, next) => {
   }
 });
 
-// @route   DELETE /api/tasks/:id
-// @desc    Delete task
-// @access  Private (Admin, Project Manager, or Task Creator)
-router.delete('/:id', validateUUID, async (req, res, next) => {
+// @route   PUT /api/tasks/:id/move
+// @desc    Move a task on the project board: to another status (optional) and next to a task of
+//          that column (after_task_id or before_task_id; at the end when neither is sent)
+// @access  Private (Project owner/maintainer/contributor)
+router.put('/:id/move', validateUUID, requirePermission('tasks.write'), [
+  body('status').optional().isString(),
+  body('after_task_id').optional({ nullable: true }).isUUID(),
+  body('before_task_id').optional({ nullable: true }).isUUID(),
+  handleValidationErrors
+], async (req, res, next) => {
   try {
     const { id } = req.params;
+    const { status, after_task_id = null, before_task_id = null } = req.body;
 
-    // Check task access
-    let accessQuery = `
-      SELECT t.title, t.project_id, p.project_manager_id FROM tasks t
-      JOIN projects p ON t.project_id = p.id
-      WHERE t.id = $1
-    `;
-    let accessParams = [id];
-
-    if (req.user.role !== 'administrator') {
-      accessQuery = `
-        SELECT t.title, t.project_id, p.project_manager_id FROM tasks t
-        JOIN projects p ON t.project_id = p.id
-        WHERE t.id = $1 AND (
-          t.created_by = $2 OR p.project_manager_id = $2
-        )
-      `;
-      accessParams = [id, req.user.id];
+    if (after_task_id && before_task_id) {
+      return res.status(400).json({ error: 'Send after_task_id or before_task_id, not both' });
     }
 
-    const taskResult = await db.query(accessQuery, accessParams);
+    const scope = await getAccessScope(req.user);
+    const accessParams = [id];
+    const taskResult = await db.query(
+      `SELECT t.* FROM tasks t WHERE t.id = $1 AND ${scope.tasks('t', accessParams)}`,
+      accessParams
+    );
     if (taskResult.rows.length === 0) {
       return res.status(404).json({ error: 'Task not found or access denied' });
     }
 
+    const currentTask = taskResult.rows[0];
+
+    if (!(await hasProjectPermission(currentTask.project_id, req.user, 'tasks.write'))) {
+      return res.status(403).json({ error: 'Your project role does not allow editing tasks' });
+    }
+
+    // Clients can reorder cards but not change their status
+    if (status !== undefined && req.user.role === 'client') {
+      return res.status(403).json({ error: 'Clients cannot change task status' });
+    }
+
+    // Status and position change together, one move of the project at a time
+    const moved = await db.transaction(async (query) => {
+      await lockBoard(query, currentTask.project_id);
+
+      // Workflow, subtask and dependency checks see the task as it is under the lock
+      const lockedResult = await query('SELECT * FROM tasks WHERE id = $1 FOR UPDATE', [id]);
+      if (lockedResult.rows.length === 0) {
+        return { rejected: { status: 404, body: { error: 'Task not found or access denied' } } };
+      }
+      const lockedTask = lockedResult.rows[0];
+
+      const updates = status !== undefined ? { status } : {};
+      const { error: statusError, statusChange } = await prepareStatusChange(lockedTask, updates, req.body.comment, query);
+      if (statusError) {
+        return { rejected: statusError };
+      }
+
+      const fromKey = lockedTask.workflow_status || lockedTask.status;
+      const toKey = status !== undefined ? (updates.workflow_status || updates.status) : fromKey;
+
+      const placement = await placeInColumn(query, currentTask.project_id, toKey, id, {
+        afterTaskId: after_task_id,
+        beforeTaskId: before_task_id
+      });
+      if (placement.error) {
+        return placement;
+      }
+
+      const changes = { ...updates, order_index: placement.order_index };
+      const setClause = Object.keys(changes).map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const result = await query(
+        `UPDATE tasks SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, parent_task_id, title, status, workflow_status, order_index, updated_at`,
+        [id, ...Object.values(changes)]
+      );
+
+      return { task: result.rows[0], rebalanced: placement.rebalanced, lockedTask, statusChange, fromKey, toKey };
+    });
+
+    if (moved.rejected) {
+      return res.status(moved.rejected.status).json(moved.rejected.body);
+    }
+    if (moved.error) {
+      return res.status(400).json({ error: moved.error });
+    }
+
+    const { statusChange, fromKey, toKey } = moved;
+    if (statusChange) {
+      await announceStatusChange(moved.lockedTask, statusChange, req.user, req.body.comment);
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'task_moved', 'task', id, {
+        from_status: fromKey,
+        to_status: toKey,
+        order_index: moved.task.order_index
+      }]
+    );
+
+    // Emit socket event
+    const io = req.app.get('socketio');
+    io.to(`project_${currentTask.project_id}`).emit('task_moved', {
+      task: moved.task,
+      from_status: fromKey,
+      to_status: toKey,
+      after_task_id,
+      before_task_id,
+      rebalanced: moved.rebalanced,
+      moved_by: req.user
+    });
+
+    res.json({
+      message: 'Task moved successfully',
+      task: moved.task,
+      rebalanced: moved.rebalanced
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/:id
+// @desc    Delete task
+// @access  Private (Task creator, project owner/maintainer, or tasks.manage)
+router.delete('/:id', validateUUID, requirePermission('tasks.delete'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const taskResult = await db.query(
+      `SELECT t.title, t.project_id, t.created_by FROM tasks t
+       JOIN projects p ON t.project_id = p.id
+       WHERE t.id = $1 AND p.organisation_id = $2`,
+      [id, req.user.organisation_id]
+    );
     const task = taskResult.rows[0];
 
-    // Delete task (this will cascade to dependencies and time entries)
+    // Creators can delete their own tasks while they can still edit tasks in the project;
+    // anyone else's need tasks.manage, globally or through their project role
+    const canDelete = task && (
+      await hasPermission(req.user.role, 'tasks.manage') ||
+      await hasProjectPermission(task.project_id, req.user, task.created_by === req.user.id ? 'tasks.write' : 'tasks.manage')
+    );
+
+    if (!canDelete) {
+      return res.status(404).json({ error: 'Task not found or access denied' });
+    }
+
+    // Delete task (this will cascade to subtasks, dependencies and time entries)
     await db.query('DELETE FROM tasks WHERE id = $1', [id]);
 
     // Log activity
@@ -645,7 +926,7 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
 // @route   POST /api/tasks/:id/dependencies
 // @desc    Add task dependency
 // @access  Private (Admin, Project Manager, or Team Member)
-router.post('/:id/dependencies', validateUUID, [
+router.post('/:id/dependencies', validateUUID, requirePermission('tasks.write'), [
   body('depends_on_task_id').isUUID()
 ], async (req, res, next) => {
   try {
@@ -675,6 +956,15 @@ router.post('/:id/dependencies', validateUUID, [
       return res.status(400).json({ error: 'Tasks must be in the same project' });
     }
 
+    if (!(await hasProjectPermission(task_project_id, req.user, 'tasks.write'))) {
+      return res.status(403).json({ error: 'Your project role does not allow editing tasks' });
+    }
+
+    // Between a task and its own parent or subtask a dependency either repeats the hierarchy or can never be met
+    if (await isInSubtree(id, depends_on_task_id) || await isInSubtree(depends_on_task_id, id)) {
+      return res.status(400).json({ error: 'A task cannot depend on its own parent or subtask' });
+    }
+
     // Check if dependency already exists
     const existingDep = await db.query(
       'SELECT id FROM task_dependencies WHERE task_id = $1 AND depends_on_task_id = $2',
@@ -685,11 +975,14 @@ router.post('/:id/dependencies', validateUUID, [
       return res.status(409).json({ error: 'Dependency already exists' });
     }
 
-    // Add dependency
-    await db.query(
-      'INSERT INTO task_dependencies (task_id, depends_on_task_id) VALUES ($1, $2)',
-      [id, depends_on_task_id]
-    );
+    // Add dependency unless it closes a cycle (A -> B -> C -> A)
+    const { dependency, cycle } = await addDependency(task_project_id, id, depends_on_task_id);
+    if (cycle) {
+      return res.status(400).json({
+        error: 'Dependency would create a cycle',
+        cycle
+      });
+    }
 
     // Log activity
     await db.query(
@@ -697,7 +990,7 @@ router.post('/:id/dependencies', validateUUID, [
       [req.user.id, 'task_dependency_added', 'task', id, { depends_on_task_id }]
     );
 
-    res.status(201).json({ message: 'Task dependency added successfully' });
+    res.status(201).json({ message: 'Task dependency added successfully', dependency });
   } catch (error) {
     next(error);
   }
@@ -706,13 +999,15 @@ router.post('/:id/dependencies', validateUUID, [
 // @route   DELETE /api/tasks/:id/dependencies/:dependencyId
 // @desc    Remove task dependency
 // @access  Private (Admin, Project Manager, or Team Member)
-router.delete('/:id/dependencies/:dependencyId', validateUUID, async (req, res, next) => {
+router.delete('/:id/dependencies/:dependencyId', validateUUID, requirePermission('tasks.write'), async (req, res, next) => {
   try {
     const { id, dependencyId } = req.params;
 
     // Check if dependency exists
     const depResult = await db.query(
-      'SELECT depends_on_task_id FROM task_dependencies WHERE id = $1 AND task_id = $2',
+      `SELECT td.depends_on_task_id, t.project_id FROM task_dependencies td
+       JOIN tasks t ON td.task_id = t.id
+       WHERE td.id = $1 AND td.task_id = $2`,
       [dependencyId, id]
     );
 
@@ -720,6 +1015,10 @@ router.delete('/:id/dependencies/:dependencyId', validateUUID, async (req, res,
       return res.status(404).json({ error: 'Dependency not found' });
     }
 
+    if (!(await hasProjectPermission(depResult.rows[0].project_id, req.user, 'tasks.write'))) {
+      return res.status(403).json({ error: 'Your project role does not allow editing tasks' });
+    }
+
     // Remove dependency
     await db.query('DELETE FROM task_dependencies WHERE id = $1', [dependencyId]);
 
@@ -1,19 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { getAccessScope } = require('../services/accessScope');
+const { hasProjectPermission } = require('../services/projectRoles');
+const { checkBudgetThresholds } = require('../services/projectBudget');
 const { validateTimeEntry, validateUUID, validatePagination } = require('../middleware/validation');
 
 // @route   GET /api/time
 // @desc    Get time entries (with pagination and filters)
 // @access  Private
-router.get('/', validatePagination, async (req, res, next) => {
+router.get('/', requirePermission('time.read'), validatePagination, async (req, res, next) => {
   try {
     const {
       page = 1,
       limit = 20,
       project_id = '',
       task_id = '',
+      include_subtasks = '',
       user_id = '',
       start_date = '',
       end_date = '',
@@ -29,28 +34,9 @@ router.get('/', validatePagination, async (req, res, next) => {
     let queryParams = [];
     let paramCount = 0;
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      // Clients can only see time entries from their company projects
-      paramCount++;
-      whereConditions.push(`te.project_id IN (
-        SELECT p.id FROM projects p
-        WHERE p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-        )
-      )`);
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      // Developers can see their own time entries or entries from projects they manage/are part of
-      paramCount++;
-      whereConditions.push(`(te.user_id = $${paramCount} OR te.project_id IN (
-        SELECT DISTINCT pm.project_id FROM project_members pm WHERE pm.user_id = $${paramCount}
-        UNION
-        SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $${paramCount}
-      ))`);
-      queryParams.push(req.user.id);
-    }
-    // Administrators can see all time entries
+    const scope = await getAccessScope(req.user);
+    whereConditions.push(scope.timeEntries('te', queryParams));
+    paramCount = queryParams.length;
 
     if (project_id) {
       paramCount++;
@@ -60,7 +46,17 @@ router.get('/', validatePagination, async (req, res, next) => {
 
     if (task_id) {
       paramCount++;
-      whereConditions.push(`te.task_id = $${paramCount}`);
+      // include_subtasks=true also lists the time logged on the task's subtasks, at any depth
+      whereConditions.push(include_subtasks === 'true'
+        ? `te.task_id IN (
+             WITH RECURSIVE subtree(id) AS (
+               SELECT $${paramCount}::uuid
+               UNION ALL
+               SELECT t.id FROM tasks t JOIN subtree s ON t.parent_task_id = s.id
+             )
+             SELECT id FROM subtree
+           )`
+        : `te.task_id = $${paramCount}`);
       queryParams.push(task_id);
     }
 
@@ -155,7 +151,7 @@ router.get('/', validatePagination, async (req, res, next) => {
 // @route   GET /api/time/:id
 // @desc    Get time entry by ID
 // @access  Private
-router.get('/:id', validateUUID, async (req, res, next) => {
+router.get('/:id', validateUUID, requirePermission('time.read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -177,19 +173,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
     `;
     let accessParams = [id];
 
-    if (req.user.role === 'client') {
-      accessQuery += ` AND p.company_id IN (
-        SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $2
-      )`;
-      accessParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      accessQuery += ` AND (te.user_id = $2 OR te.project_id IN (
-        SELECT DISTINCT pm.project_id FROM project_members pm WHERE pm.user_id = $2
-        UNION
-        SELECT DISTINCT p2.id FROM projects p2 WHERE p2.project_manager_id = $2
-      ))`;
-      accessParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    accessQuery += ` AND ${scope.timeEntries('te', accessParams)}`;
 
     const result = await db.query(accessQuery, accessParams);
     if (result.rows.length === 0) {
@@ -204,8 +189,8 @@ router.get('/:id', validateUUID, async (req, res, next) => {
 
 // @route   POST /api/time
 // @desc    Create new time entry
-// @access  Private (Admin and Developer)
-router.post('/', requireRole(['administrator', 'developer']), validateTimeEntry, async (req, res, next) => {
+// @access  Private (time.write)
+router.post('/', requirePermission('time.write'), validateTimeEntry, async (req, res, next) => {
   try {
     const {
       project_id,
@@ -223,32 +208,26 @@ router.post('/', requireRole(['administrator', 'developer']), validateTimeEntry,
     // Determine the user for the time entry
     const entryUserId = user_id || req.user.id;
 
-    // Only admins can create time entries for other users
-    if (user_id && user_id !== req.user.id && req.user.role !== 'administrator') {
-      return res.status(403).json({ error: 'Only administrators can create time entries for other users' });
-    }
-
     // Verify project exists and user has access
-    let projectAccessQuery = 'SELECT id, name FROM projects WHERE id = $1 AND is_active = true';
-    let projectAccessParams = [project_id];
-
-    if (req.user.role === 'developer') {
-      projectAccessQuery = `
-        SELECT p.id, p.name FROM projects p
-        WHERE p.id = $1 AND p.is_active = true AND (
-          p.project_manager_id = $2 OR EXISTS (
-            SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $2
-          )
-        )
-      `;
-      projectAccessParams = [project_id, req.user.id];
-    }
+    const scope = await getAccessScope(req.user);
+    const projectAccessParams = [project_id];
+    const projectAccessQuery = `
+      SELECT p.id, p.name FROM projects p
+      WHERE p.id = $1 AND p.is_active = true AND ${scope.projects('p.id', projectAccessParams)}
+    `;
 
     const projectResult = await db.query(projectAccessQuery, projectAccessParams);
     if (projectResult.rows.length === 0) {
       return res.status(400).json({ error: 'Project not found or access denied' });
     }
 
+    // Logging time for someone else needs time.manage, globally or through the project role
+    const projectPermission = entryUserId === req.user.id ? 'time.write' : 'time.manage';
+    if (!(await hasPermission(req.user.role, 'time.manage')) &&
+        !(await hasProjectPermission(project_id, req.user, projectPermission))) {
+      return res.status(403).json({ error: 'Your project role does not allow logging this time' });
+    }
+
     // Verify task belongs to project (if provided)
     if (task_id) {
       const taskCheck = await db.query(
@@ -263,8 +242,8 @@ router.post('/', requireRole(['administrator', 'developer']), validateTimeEntry,
     // Verify user exists and is active (if different from current user)
     if (entryUserId !== req.user.id) {
       const userCheck = await db.query(
-        'SELECT id FROM users WHERE id = $1 AND is_active = true',
-        [entryUserId]
+        'SELECT id FROM users WHERE id = $1 AND is_active = true AND organisation_id = $2',
+        [entryUserId, req.user.organisation_id]
       );
       if (userCheck.rows.length === 0) {
         return res.status(400).json({ error: 'User not found or inactive' });
@@ -302,7 +281,7 @@ router.post('/', requireRole(['administrator', 'developer']), validateTimeEntry,
     const result = await db.query(insertQuery, values);
     const timeEntry = result.rows[0];
 
-    // Update task actual hours if task_id provided
+    // Update task actual hours if task_id provided (parents total them through task_subtree_totals)
     if (task_id) {
       await db.query(
         'UPDATE tasks SET actual_hours = COALESCE(actual_hours, 0) + $1 WHERE id = $2',
@@ -327,6 +306,9 @@ router.post('/', requireRole(['administrator', 'developer']), validateTimeEntry,
       }]
     );
 
+    await checkBudgetThresholds(project_id, req.app.get('socketio'))
+      .catch(error => console.error('Error checking budget thresholds:', error));
+
     res.status(201).json({
       message: 'Time entry created successfully',
       time_entry: timeEntry
@@ -336,10 +318,21 @@ router.post('/', requireRole(['administrator', 'developer']), validateTimeEntry,
   }
 });
 
+// People can change their own entries while they can still log time on the project;
+// other people's entries need time.manage, globally or through the project role
+const canChangeTimeEntry = async (entry, user) => {
+  if (await hasPermission(user.role, 'time.manage')) {
+    return true;
+  }
+
+  const permission = entry.user_id === user.id ? 'time.write' : 'time.manage';
+  return hasProjectPermission(entry.project_id, user, permission);
+};
+
 // @route   PUT /api/time/:id
 // @desc    Update time entry
-// @access  Private (Owner, Admin, or Project Manager)
-router.put('/:id', validateUUID, async (req, res, next) => {
+// @access  Private (Owner, project owner, or time.manage)
+router.put('/:id', validateUUID, requirePermission('time.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const {
@@ -353,22 +346,17 @@ router.put('/:id', validateUUID, async (req, res, next) => {
     } = req.body;
 
     // Check time entry access and get current data
-    let accessQuery = `
+    const accessQuery = `
       SELECT te.*, p.project_manager_id, t.project_id as task_project_id
       FROM time_entries te
       LEFT JOIN projects p ON te.project_id = p.id
       LEFT JOIN tasks t ON te.task_id = t.id
       WHERE te.id = $1
     `;
-    let accessParams = [id];
-
-    if (req.user.role !== 'administrator') {
-      accessQuery += ` AND (te.user_id = $2 OR p.project_manager_id = $2)`;
-      accessParams.push(req.user.id);
-    }
+    const accessParams = [id];
 
     const timeEntryResult = await db.query(accessQuery, accessParams);
-    if (timeEntryResult.rows.length === 0) {
+    if (timeEntryResult.rows.length === 0 || !(await canChangeTimeEntry(timeEntryResult.rows[0], req.user))) {
       return res.status(404).json({ error: 'Time entry not found or access denied' });
     }
 
@@ -434,6 +422,9 @@ router.put('/:id', validateUUID, async (req, res, next) => {
       [req.user.id, 'time_entry_updated', 'time_entry', id, updates]
     );
 
+    await checkBudgetThresholds(currentEntry.project_id, req.app.get('socketio'))
+      .catch(error => console.error('Error checking budget thresholds:', error));
+
     res.json({
       message: 'Time entry updated successfully',
       time_entry: result.rows[0]
@@ -445,27 +436,22 @@ router.put('/:id', validateUUID, async (req, res, next) => {
 
 // @route   DELETE /api/time/:id
 // @desc    Delete time entry
-// @access  Private (Owner, Admin, or Project Manager)
-router.delete('/:id', validateUUID, async (req, res, next) => {
+// @access  Private (Owner, project owner, or time.manage)
+router.delete('/:id', validateUUID, requirePermission('time.delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check time entry access
-    let accessQuery = `
+    const accessQuery = `
       SELECT te.*, p.project_manager_id
       FROM time_entries te
       LEFT JOIN projects p ON te.project_id = p.id
       WHERE te.id = $1
     `;
-    let accessParams = [id];
-
-    if (req.user.role !== 'administrator') {
-      accessQuery += ` AND (te.user_id = $2 OR p.project_manager_id = $2)`;
-      accessParams.push(req.user.id);
-    }
+    const accessParams = [id];
 
     const timeEntryResult = await db.query(accessQuery, accessParams);
-    if (timeEntryResult.rows.length === 0) {
+    if (timeEntryResult.rows.length === 0 || !(await canChangeTimeEntry(timeEntryResult.rows[0], req.user))) {
       return res.status(404).json({ error: 'Time entry not found or access denied' });
     }
 
@@ -482,13 +468,13 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
     // Update task/project hours
     if (entry.task_id) {
       await db.query(
-        'UPDATE tasks SET actual_hours = GREATEST(COALESCE(actual_hours, 0) - $1, 0) WHERE id = $2',
+        'UPDATE tasks SET actual_hours = GREATEST(COALESCE(actual_hours, 0) - $1::numeric, 0) WHERE id = $2',
         [entry.hours_worked, entry.task_id]
       );
     }
 
     await db.query(
-      'UPDATE projects SET actual_hours = GREATEST(COALESCE(actual_hours, 0) - $1, 0) WHERE id = $2',
+      'UPDATE projects SET actual_hours = GREATEST(COALESCE(actual_hours, 0) - $1::numeric, 0) WHERE id = $2',
       [entry.hours_worked, entry.project_id]
     );
 
@@ -501,6 +487,10 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
       }]
     );
 
+    // Thresholds the cost drops below again are reset
+    await checkBudgetThresholds(entry.project_id, req.app.get('socketio'))
+      .catch(error => console.error('Error checking budget thresholds:', error));
+
     res.json({ message: 'Time entry deleted successfully' });
   } catch (error) {
     next(error);
@@ -510,7 +500,7 @@ router.delete('/:id', validateUUID, async (req, res, next) => {
 // @route   GET /api/time/stats/summary
 // @desc    Get time tracking statistics
 // @access  Private
-router.get('/stats/summary', async (req, res, next) => {
+router.get('/stats/summary', requirePermission('time.read'), async (req, res, next) => {
   try {
     const { 
       project_id = '', 
@@ -524,25 +514,9 @@ router.get('/stats/summary', async (req, res, next) => {
     let queryParams = [];
     let paramCount = 0;
 
-    // Role-based filtering
-    if (req.user.role === 'client') {
-      paramCount++;
-      whereConditions.push(`te.project_id IN (
-        SELECT p.id FROM projects p
-        WHERE p.company_id IN (
-          SELECT cu.company_id FROM client_users cu WHERE cu.user_id = $${paramCount}
-        )
-      )`);
-      queryParams.push(req.user.id);
-    } else if (req.user.role === 'developer') {
-      paramCount++;
-      whereConditions.push(`(te.user_id = $${paramCount} OR te.project_id IN (
-        SELECT DISTINCT pm.project_id FROM project_members pm WHERE pm.user_id = $${paramCount}
-        UNION
-        SELECT DISTINCT p.id FROM projects p WHERE p.project_manager_id = $${paramCount}
-      ))`);
-      queryParams.push(req.user.id);
-    }
+    const scope = await getAccessScope(req.user);
+    whereConditions.push(scope.timeEntries('te', queryParams));
+    paramCount = queryParams.length;
 
     if (project_id) {
       paramCount++;
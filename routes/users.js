@@ -1,14 +1,34 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const router = express.Router();
+
+// Upper bound for a single "act as user" token
+const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
 const db = require('../config/database');
-const { requireRole, requireAdminOrOwner } = require('../middleware/auth');
-const { validateUUID, validatePagination } = require('../middleware/validation');
-const { body } = require('express-validator');
+const { requirePermission, requireAdminOrOwner, forbidDuringImpersonation } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { validateUUID, validatePagination, handleValidationErrors } = require('../middleware/validation');
+const { body, validationResult } = require('express-validator');
+const {
+  createImpersonationSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessions
+} = require('../services/sessions');
+const { resetFailedLogins } = require('../services/loginProtection');
+const { addUserToGeneralChat } = require('../services/chat');
+const { issueToken } = require('../services/oneTimeTokens');
+const emailTransporter = require('../config/email');
+
+// Names come from the public registration form and reasons from reviewers; both stay text in HTML emails
+const escapeHtml = (value) => String(value ?? '').replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
 
 // @route   GET /api/users
 // @desc    Get all users (with pagination and filters)
-// @access  Private (Admin and Developer)
-router.get('/', requireRole(['administrator', 'developer']), validatePagination, async (req, res, next) => {
+// @access  Private (users.read)
+router.get('/', requirePermission('users.read'), validatePagination, async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -23,9 +43,9 @@ router.get('/', requireRole(['administrator', 'developer']), validatePagination,
     const offset = (page - 1) * limit;
     
     // Build WHERE clause
-    let whereConditions = [];
-    let queryParams = [];
-    let paramCount = 0;
+    let whereConditions = ['organisation_id = $1'];
+    let queryParams = [req.user.organisation_id];
+    let paramCount = 1;
 
     if (search) {
       paramCount++;
@@ -45,7 +65,7 @@ router.get('/', requireRole(['administrator', 'developer']), validatePagination,
       queryParams.push(is_active === 'true');
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
 
     // Get total count
     const countQuery = `SELECT COUNT(*) FROM users ${whereClause}`;
@@ -106,7 +126,257 @@ router.get('/profile', async (req, res, next) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    // Companies a client user can switch between with the X-Company-Id header
+    const companiesResult = await db.query(
+      `SELECT c.id, c.name, c.logo_url, cu.is_primary_contact
+       FROM client_users cu
+       JOIN companies c ON cu.company_id = c.id
+       WHERE cu.user_id = $1 AND c.is_active = true
+       ORDER BY cu.is_primary_contact DESC, c.name`,
+      [userId]
+    );
+
+    // Lets the frontend show who is really signed in during impersonation
+    res.json({
+      user: result.rows[0],
+      companies: companiesResult.rows,
+      active_company_id: req.user.active_company_id || null,
+      impersonator: req.impersonator || null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/registration-requests
+// @desc    List registration requests (pending by default)
+// @access  Private (users.write)
+router.get('/registration-requests', requirePermission('users.write'), validatePagination, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const whereClause = status === 'all' ? 'WHERE rr.organisation_id = $3' : 'WHERE rr.organisation_id = $3 AND rr.status = $4';
+    const queryParams = status === 'all'
+      ? [limit, offset, req.user.organisation_id]
+      : [limit, offset, req.user.organisation_id, status];
+
+    const requestsQuery = `
+      SELECT 
+        rr.id, rr.email, rr.first_name, rr.last_name, rr.phone, rr.role,
+        rr.status, rr.rejection_reason, rr.reviewed_at, rr.user_id,
+        rr.invite_accepted_at, rr.created_at,
+        reviewer.first_name || ' ' || reviewer.last_name as reviewed_by_name
+      FROM registration_requests rr
+      LEFT JOIN users reviewer ON rr.reviewed_by = reviewer.id
+      ${whereClause}
+      ORDER BY rr.created_at DESC
+      LIMIT $1 OFFSET $2
+    `;
+    const result = await db.query(requestsQuery, queryParams);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM registration_requests rr WHERE rr.organisation_id = $1 ${status === 'all' ? '' : 'AND rr.status = $2'}`,
+      status === 'all' ? [req.user.organisation_id] : [req.user.organisation_id, status]
+    );
+    const totalRequests = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalRequests / limit);
+
+    res.json({
+      registration_requests: result.rows,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: totalPages,
+        total_requests: totalRequests,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/registration-requests/:id/approve
+// @desc    Approve a registration request, create the account and email a set-password link
+// @access  Private (users.write)
+router.post('/registration-requests/:id/approve', validateUUID, requirePermission('users.write'), [
+  body('company_id').optional().isUUID(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { company_id } = req.body;
+
+    const requestResult = await db.query(
+      "SELECT * FROM registration_requests WHERE id = $1 AND organisation_id = $2 AND status = 'pending'",
+      [id, req.user.organisation_id]
+    );
+    if (requestResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending registration request not found' });
+    }
+    const registrationRequest = requestResult.rows[0];
+
+    // Check if user already exists
+    const existingUser = await db.query('SELECT id FROM users WHERE email = $1', [registrationRequest.email]);
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ error: 'User already exists with this email' });
+    }
+
+    // Client accounts can be linked to their company straight away
+    if (company_id) {
+      if (registrationRequest.role !== 'client') {
+        return res.status(400).json({ error: 'Only client accounts can be linked to a company' });
+      }
+      const companyCheck = await db.query(
+        'SELECT id FROM companies WHERE id = $1 AND organisation_id = $2',
+        [company_id, registrationRequest.organisation_id]
+      );
+      if (companyCheck.rows.length === 0) {
+        return res.status(400).json({ error: 'Company not found' });
+      }
+    }
+
+    // The account gets an unusable random password until the invite is accepted
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const placeholderHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds);
+
+    const userResult = await db.query(
+      `INSERT INTO users (email, password_hash, first_name, last_name, phone, role, email_verified, is_active, organisation_id)
+       VALUES ($1, $2, $3, $4, $5, $6, false, true, $7)
+       RETURNING id, email, first_name, last_name, role, created_at`,
+      [
+        registrationRequest.email, placeholderHash, registrationRequest.first_name,
+        registrationRequest.last_name, registrationRequest.phone, registrationRequest.role,
+        registrationRequest.organisation_id
+      ]
+    );
+    const user = userResult.rows[0];
+
+    await db.query(
+      `UPDATE registration_requests 
+       SET status = 'approved', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, user_id = $2
+       WHERE id = $3`,
+      [req.user.id, user.id, id]
+    );
+
+    const { token: inviteToken } = await issueToken(user.id, 'invite', { registration_request_id: id });
+
+    if (company_id) {
+      await db.query(
+        'INSERT INTO client_users (user_id, company_id) VALUES ($1, $2) ON CONFLICT (user_id, company_id) DO NOTHING',
+        [user.id, company_id]
+      );
+    }
+
+    // Approved accounts join the general discussion room
+    await addUserToGeneralChat(user.id);
+
+    // Send the one-time set-password link
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/accept-invite?token=${inviteToken}`;
+    try {
+      await emailTransporter.sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to: user.email,
+        subject: 'Your Meta Project Management account is ready',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333;">Welcome to Meta Project Management!</h2>
+            <p>Hello ${escapeHtml(user.first_name)} ${escapeHtml(user.last_name)},</p>
+            <p>Your registration request has been approved. Click the link below to choose your password and activate your account:</p>
+            <a href="${inviteUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Set Your Password</a>
+            <p>This link can be used once and will expire in 72 hours.</p>
+            <p>Best regards,<br>Meta Project Management Team</p>
+          </div>
+        `
+      });
+    } catch (emailError) {
+      console.error('Failed to send invite email:', emailError);
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'registration_approved', 'registration_request', id, { 
+        email: user.email,
+        role: user.role,
+        created_user_id: user.id
+      }]
+    );
+
+    res.json({
+      message: 'Registration request approved. An invite has been sent to the user.',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/registration-requests/:id/reject
+// @desc    Reject a registration request with a reason
+// @access  Private (users.write)
+router.post('/registration-requests/:id/reject', validateUUID, requirePermission('users.write'), [
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('A rejection reason is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const result = await db.query(
+      `UPDATE registration_requests 
+       SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND organisation_id = $4 AND status = 'pending'
+       RETURNING id, email, first_name, last_name`,
+      [reason, req.user.id, id, req.user.organisation_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending registration request not found' });
+    }
+
+    const registrationRequest = result.rows[0];
+
+    try {
+      await emailTransporter.sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to: registrationRequest.email,
+        subject: 'Your Meta Project Management registration request',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <p>Hello ${escapeHtml(registrationRequest.first_name)} ${escapeHtml(registrationRequest.last_name)},</p>
+            <p>Unfortunately your registration request was not approved.</p>
+            <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+            <p>Best regards,<br>Meta Project Management Team</p>
+          </div>
+        `
+      });
+    } catch (emailError) {
+      console.error('Failed to send rejection email:', emailError);
+    }
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'registration_rejected', 'registration_request', id, { 
+        email: registrationRequest.email,
+        reason
+      }]
+    );
+
+    res.json({ message: 'Registration request rejected' });
   } catch (error) {
     next(error);
   }
@@ -123,12 +393,13 @@ router.get('/:id', validateUUID, requireAdminOrOwner, async (req, res, next) =>
       SELECT 
         id, email, first_name, last_name, phone, role, is_active,
         profile_image_url, language_preference, timezone,
-        email_verified, last_login, created_at, updated_at
+        email_verified, last_login, failed_login_attempts, locked_until,
+        created_at, updated_at
       FROM users 
-      WHERE id = $1
+      WHERE id = $1 AND organisation_id = $2
     `;
     
-    const result = await db.query(query, [id]);
+    const result = await db.query(query, [id, req.user.organisation_id]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
@@ -210,19 +481,18 @@ router.put('/:id', validateUUID, [
   try {
     const { id } = req.params;
     const currentUserId = req.user.id;
-    const userRole = req.user.role;
     
-    // Allow users to update their own profile (limited fields) or admins to update any user
+    // Allow users to update their own profile (limited fields) or users.write holders to update any user
     const isSelfUpdate = currentUserId === id;
-    const isAdmin = userRole === 'administrator';
+    const canManageUsers = await hasPermission(req.user.role, 'users.write');
     
-    if (!isSelfUpdate && !isAdmin) {
+    if (!isSelfUpdate && !canManageUsers) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
     // Define allowed fields based on role and whether it's self-update
     let allowedFields = [];
-    if (isAdmin) {
+    if (canManageUsers) {
       allowedFields = ['first_name', 'last_name', 'email', 'phone', 'role', 'is_active', 'language_preference'];
     } else if (isSelfUpdate) {
       allowedFields = ['first_name', 'last_name', 'email', 'phone', 'language_preference'];
@@ -241,7 +511,10 @@ router.put('/:id', validateUUID, [
     }
 
     // Check if user exists
-    const existingUser = await db.query('SELECT id FROM users WHERE id = $1', [id]);
+    const existingUser = await db.query(
+      'SELECT id FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (existingUser.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -282,8 +555,8 @@ router.put('/:id', validateUUID, [
 
 // @route   DELETE /api/users/:id
 // @desc    Deactivate user (Admin only)
-// @access  Private (Admin only)
-router.delete('/:id', validateUUID, requireRole(['administrator']), async (req, res, next) => {
+// @access  Private (users.delete)
+router.delete('/:id', validateUUID, requirePermission('users.delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const currentUserId = req.user.id;
@@ -294,7 +567,10 @@ router.delete('/:id', validateUUID, requireRole(['administrator']), async (req,
     }
 
     // Check if user exists
-    const existingUser = await db.query('SELECT id, email FROM users WHERE id = $1', [id]);
+    const existingUser = await db.query(
+      'SELECT id, email FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (existingUser.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -316,13 +592,16 @@ router.delete('/:id', validateUUID, requireRole(['administrator']), async (req,
 
 // @route   POST /api/users/:id/activate
 // @desc    Activate user (Admin only)
-// @access  Private (Admin only)
-router.post('/:id/activate', validateUUID, requireRole(['administrator']), async (req, res, next) => {
+// @access  Private (users.write)
+router.post('/:id/activate', validateUUID, requirePermission('users.write'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if user exists
-    const existingUser = await db.query('SELECT id, email, is_active FROM users WHERE id = $1', [id]);
+    const existingUser = await db.query(
+      'SELECT id, email, is_active FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (existingUser.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -346,6 +625,105 @@ router.post('/:id/activate', validateUUID, requireRole(['administrator']), async
   }
 });
 
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed login attempts and lift a lockout (Admin only)
+// @access  Private (users.write)
+router.post('/:id/unlock', validateUUID, requirePermission('users.write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user exists
+    const existingUser = await db.query(
+      'SELECT id, email, failed_login_attempts, locked_until FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
+    if (existingUser.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await resetFailedLogins(id);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'user_unlocked', 'user', id, { 
+        email: existingUser.rows[0].email,
+        failed_attempts: existingUser.rows[0].failed_login_attempts
+      }]
+    );
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/:id/impersonate
+// @desc    Issue a time-limited token to act as another user (Admin only)
+// @access  Private (users.impersonate)
+router.post('/:id/impersonate', validateUUID, requirePermission('users.impersonate'), [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A reason is required'),
+  body('duration_minutes').optional().isInt({ min: 1, max: IMPERSONATION_MAX_MINUTES })
+    .withMessage(`Duration must be between 1 and ${IMPERSONATION_MAX_MINUTES} minutes`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+    const minutes = parseInt(req.body.duration_minutes) || Math.min(30, IMPERSONATION_MAX_MINUTES);
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const targetResult = await db.query(
+      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
+
+    if (targetResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const target = targetResult.rows[0];
+
+    if (!target.is_active) {
+      return res.status(400).json({ error: 'Cannot impersonate a deactivated user' });
+    }
+
+    // Acting as another administrator would hand out their privileges without any audit benefit
+    if (target.role === 'administrator') {
+      return res.status(403).json({ error: 'Administrators cannot be impersonated' });
+    }
+
+    const { token, sessionId, expiresAt } = await createImpersonationSession(req.user.id, target.id, req, { minutes, reason });
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [req.user.id, 'impersonation_started', 'user', target.id, {
+        email: target.email,
+        reason,
+        session_id: sessionId,
+        expires_at: expiresAt
+      }, req.ip]
+    );
+
+    res.json({
+      message: `Now acting as ${target.first_name} ${target.last_name}`,
+      token,
+      expires_at: expiresAt,
+      user: target
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/users/:id/activity
 // @desc    Get user activity log
 // @access  Private (Admin or owner)
@@ -356,7 +734,10 @@ router.get('/:id/activity', validateUUID, requireAdminOrOwner, validatePaginatio
     const offset = (page - 1) * limit;
 
     // Check if user exists
-    const userExists = await db.query('SELECT id FROM users WHERE id = $1', [id]);
+    const userExists = await db.query(
+      'SELECT id FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
     if (userExists.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -364,11 +745,13 @@ router.get('/:id/activity', validateUUID, requireAdminOrOwner, validatePaginatio
     // Get activity logs
     const query = `
       SELECT 
-        id, action, entity_type, entity_id, details, 
-        ip_address, created_at
-      FROM activity_logs 
-      WHERE user_id = $1
-      ORDER BY created_at DESC
+        al.id, al.action, al.entity_type, al.entity_id, al.details, 
+        al.ip_address, al.created_at, al.impersonator_id,
+        CASE WHEN imp.id IS NOT NULL THEN imp.first_name || ' ' || imp.last_name END as impersonator_name
+      FROM activity_logs al
+      LEFT JOIN users imp ON al.impersonator_id = imp.id
+      WHERE al.user_id = $1
+      ORDER BY al.created_at DESC
       LIMIT $2 OFFSET $3
     `;
 
@@ -397,10 +780,112 @@ router.get('/:id/activity', validateUUID, requireAdminOrOwner, validatePaginatio
   }
 });
 
+// @route   GET /api/users/:id/sessions
+// @desc    List a user's active sessions (logged-in devices)
+// @access  Private (users.write)
+router.get('/:id/sessions', validateUUID, requirePermission('users.write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user exists
+    const userExists = await db.query(
+      'SELECT id FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
+    if (userExists.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sessions = await listUserSessions(id);
+
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Revoke all sessions of a user (e.g. lost device)
+// @access  Private (users.write)
+router.delete('/:id/sessions', validateUUID, requirePermission('users.write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user exists
+    const existingUser = await db.query(
+      'SELECT id, email FROM users WHERE id = $1 AND organisation_id = $2',
+      [id, req.user.organisation_id]
+    );
+    if (existingUser.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Never sign the acting admin out of the session making this request
+    const exceptSessionId = id === req.user.id ? req.sessionId : null;
+    const revokedSessionIds = await revokeUserSessions(id, 'admin_revoked', exceptSessionId);
+
+    disconnectSessions(req.app.get('socketio'), revokedSessionIds);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'user_sessions_revoked', 'user', id, { 
+        email: existingUser.rows[0].email,
+        revoked_count: revokedSessionIds.length
+      }]
+    );
+
+    res.json({
+      message: 'User sessions revoked successfully',
+      revoked_count: revokedSessionIds.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Revoke a single session of a user
+// @access  Private (users.write)
+router.delete('/:id/sessions/:sessionId', validateUUID, requirePermission('users.write'), async (req, res, next) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    if (!/^[0-9a-f-]{36}$/i.test(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID format' });
+    }
+
+    // Check if session exists and belongs to the user
+    const sessionCheck = await db.query(
+      `SELECT s.id FROM user_sessions s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND u.organisation_id = $3`,
+      [sessionId, id, req.user.organisation_id]
+    );
+    if (sessionCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(sessionId, 'admin_revoked');
+
+    disconnectSessions(req.app.get('socketio'), [sessionId]);
+
+    // Log activity
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details) VALUES ($1, $2, $3, $4, $5)',
+      [req.user.id, 'user_session_revoked', 'user', id, { session_id: sessionId }]
+    );
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/users/stats
 // @desc    Get user statistics (Admin only)
-// @access  Private (Admin only)
-router.get('/stats/overview', requireRole(['administrator']), async (req, res, next) => {
+// @access  Private (users.write)
+router.get('/stats/overview', requirePermission('users.write'), async (req, res, next) => {
   try {
     const statsQuery = `
       SELECT 
@@ -411,9 +896,10 @@ router.get('/stats/overview', requireRole(['administrator']), async (req, res, n
         COUNT(*) FILTER (WHERE role = 'client') as client_users,
         COUNT(*) FILTER (WHERE last_login >= CURRENT_DATE - INTERVAL '30 days') as recent_logins
       FROM users
+      WHERE organisation_id = $1
     `;
 
-    const result = await db.query(statsQuery);
+    const result = await db.query(statsQuery, [req.user.organisation_id]);
     
     res.json({ stats: result.rows[0] });
   } catch (error) {
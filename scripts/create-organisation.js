@@ -0,0 +1,73 @@
+/**
+ * Create a new organisation (tenant) with its first administrator and general chat room
+ *
+ * Usage: node scripts/create-organisation.js <slug> "<name>" <admin-email> "<admin first name>" "<admin last name>"
+ *
+ * The administrator receives no password; the printed set-password link works once.
+ */
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const db = require('../config/database');
+const { createOrganisation } = require('../services/organisations');
+const { issueToken } = require('../services/oneTimeTokens');
+const { setupOrganisationChat } = require('./setup-general-chat');
+
+async function createOrganisationWithAdmin([slug, name, email, firstName, lastName]) {
+  try {
+    if (!slug || !name || !email || !firstName || !lastName) {
+      throw new Error('Usage: node scripts/create-organisation.js <slug> "<name>" <admin-email> "<first name>" "<last name>"');
+    }
+
+    if (!/^[a-z0-9-]{2,100}$/.test(slug)) {
+      throw new Error('Slug may only contain lowercase letters, digits and dashes');
+    }
+
+    const existingUser = await db.query('SELECT id FROM users WHERE email = $1', [email.toLowerCase()]);
+    if (existingUser.rows.length > 0) {
+      throw new Error(`A user with email ${email} already exists`);
+    }
+
+    console.log(`🔧 Creating organisation ${name} (${slug})...`);
+    const organisation = await createOrganisation({ name, slug });
+    console.log('✅ Organisation created:', organisation.id);
+
+    // The account gets an unusable random password until the invite is accepted
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const placeholderHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds);
+
+    const adminResult = await db.query(
+      `INSERT INTO users (email, password_hash, first_name, last_name, role, email_verified, is_active, organisation_id)
+       VALUES ($1, $2, $3, $4, 'administrator', false, true, $5)
+       RETURNING id`,
+      [email.toLowerCase(), placeholderHash, firstName, lastName, organisation.id]
+    );
+    console.log('✅ Administrator created:', email);
+
+    await setupOrganisationChat(organisation);
+
+    const { token } = await issueToken(adminResult.rows[0].id, 'invite');
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/accept-invite?token=${token}`;
+
+    console.log('\n🔑 Send this set-password link to the administrator (single use, expires in 72 hours):');
+    console.log(`   ${inviteUrl}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Error creating organisation:', error.message);
+    return false;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  createOrganisationWithAdmin(process.argv.slice(2))
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createOrganisationWithAdmin };
@@ -0,0 +1,156 @@
+/**
+ * Minimal OpenID Connect provider for trying SSO locally.
+ * Supports discovery, JWKS, authorization code + PKCE (S256), and userinfo.
+ *
+ * Usage:
+ *   node scripts/mock-oidc-provider.js
+ * then set in .env:
+ *   OIDC_ISSUER=http://localhost:9400
+ *   OIDC_CLIENT_ID=meta-project
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *   OIDC_REDIRECT_URI=http://localhost:3001/api/auth/oidc/callback
+ *   OIDC_GROUP_ROLE_MAP={"pm-admins":"administrator","pm-developers":"developer","pm-clients":"client"}
+ *
+ * The sign-in page lets you type any email, name and groups. Nothing is persisted.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const clientId = process.env.OIDC_CLIENT_ID || 'meta-project';
+const clientSecret = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// code -> pending authorization, access token -> claims
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== clientId || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('Invalid authorization request (client_id, redirect_uri and S256 PKCE are required)');
+  }
+
+  const hidden = { redirect_uri, state, nonce, code_challenge };
+  res.send(`
+    <h2>Mock identity provider</h2>
+    <form method="post" action="/authorize">
+      ${Object.entries(hidden).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`).join('')}
+      <p><label>Email <input name="email" value="jane.doe@example.com"></label></p>
+      <p><label>Given name <input name="given_name" value="Jane"></label></p>
+      <p><label>Family name <input name="family_name" value="Doe"></label></p>
+      <p><label>Groups (comma separated) <input name="groups" value="pm-developers"></label></p>
+      <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+      <button type="submit">Sign in</button>
+      <button type="submit" name="deny" value="1">Deny</button>
+    </form>
+  `);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, email, given_name, family_name, groups, email_verified, deny } = req.body;
+  const redirect = new URL(redirect_uri);
+  if (state) redirect.searchParams.set('state', state);
+
+  if (deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    redirect_uri,
+    nonce,
+    code_challenge,
+    expires: Date.now() + 60000,
+    claims: {
+      // A stable subject per email so repeat logins map to the same account
+      sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email,
+      email_verified: email_verified === 'true',
+      given_name,
+      family_name,
+      name: `${given_name} ${family_name}`.trim(),
+      groups: (groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    }
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  const pending = codes.get(code);
+  codes.delete(code);
+
+  if (req.body.client_id !== clientId || (req.body.client_secret || '') !== clientSecret) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (grant_type !== 'authorization_code' || !pending || pending.expires < Date.now() || pending.redirect_uri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== pending.code_challenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, pending.claims);
+
+  res.json({ token_type: 'Bearer', access_token: accessToken, id_token: idToken, expires_in: 300 });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+app.listen(port, () => {
+  console.log(`🔐 Mock OIDC provider running at ${issuer} (client_id=${clientId})`);
+});
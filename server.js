@@ -24,7 +24,7 @@ const {
   setSecurityHeaders, 
   securityLogger 
 } = require('./middleware/security');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, resolveCompanyContext, findSessionUser } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 
 require('dotenv').config();
@@ -128,20 +128,21 @@ app.get('/api/health', (req, res) => {
 
 app.use('/api/auth', require('./routes/auth'));
 
-app.use('/api/users', sanitizeInputs, authenticateToken, require('./routes/users'));
-app.use('/api/projects', sanitizeInputs, authenticateToken, require('./routes/projects'));
-app.use('/api/projects/:projectId/milestones', sanitizeInputs, authenticateToken, require('./routes/milestones'));
-app.use('/api/tasks', sanitizeInputs, authenticateToken, require('./routes/tasks'));
-app.use('/api/clients', sanitizeInputs, authenticateToken, require('./routes/clients'));
-app.use('/api/dashboard', sanitizeInputs, authenticateToken, require('./routes/dashboard'));
-app.use('/api/comments', sanitizeCommentInputs, authenticateToken, require('./routes/comments'));
-app.use('/api/files', sanitizeInputs, authenticateToken, require('./routes/files'));
-app.use('/api/time', sanitizeInputs, authenticateToken, require('./routes/time'));
-app.use('/api/invoices', sanitizeInputs, authenticateToken, require('./routes/invoices'));
-app.use('/api/reports', sanitizeInputs, authenticateToken, require('./routes/reports'));
-app.use('/api/settings', sanitizeInputs, authenticateToken, require('./routes/settings'));
-app.use('/api/chat', sanitizeInputs, authenticateToken, require('./routes/chat'));
-app.use('/api/companies', sanitizeInputs, authenticateToken, require('./routes/companies'));
+app.use('/api/users', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/users'));
+app.use('/api/projects/templates', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/projectTemplates'));
+app.use('/api/projects', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/projects'));
+app.use('/api/projects/:projectId/milestones', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/milestones'));
+app.use('/api/tasks', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/tasks'));
+app.use('/api/clients', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/clients'));
+app.use('/api/dashboard', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/dashboard'));
+app.use('/api/comments', sanitizeCommentInputs, authenticateToken, resolveCompanyContext, require('./routes/comments'));
+app.use('/api/files', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/files'));
+app.use('/api/time', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/time'));
+app.use('/api/invoices', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/invoices'));
+app.use('/api/reports', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/reports'));
+app.use('/api/settings', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/settings'));
+app.use('/api/chat', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/chat'));
+app.use('/api/companies', sanitizeInputs, authenticateToken, resolveCompanyContext, require('./routes/companies'));
 app.use('/api/exports', sanitizeInputs, require('./routes/exports'));
 
 app.use('*', (req, res) => {
@@ -161,15 +162,14 @@ io.use(async (socket, next) => {
     const jwt = require('jsonwebtoken');
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    const db = require('./config/database');
-    const userQuery = 'SELECT id, email, role, first_name, last_name FROM users WHERE id = $1 AND is_active = true';
-    const result = await db.query(userQuery, [decoded.userId]);
+    const user = await findSessionUser(decoded);
     
-    if (result.rows.length === 0) {
-      return next(new Error('User not found'));
+    if (!user) {
+      return next(new Error('Session expired or user inactive'));
     }
 
-    socket.user = result.rows[0];
+    socket.user = user;
+    socket.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Socket authentication error:', error.message);
@@ -181,6 +181,8 @@ io.on('connection', (socket) => {
   console.log(`User ${socket.user.email} connected via Socket.IO`);
   
   socket.join(`user_${socket.user.id}`);
+  socket.join(`session_${socket.sessionId}`);
+  socket.join(`organisation_${socket.user.organisation_id}`);
   
   const joinProjectRooms = async () => {
     try {
@@ -224,13 +226,15 @@ const gracefulShutdown = () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
-// Start server
+// Start server (tests load the app without listening)
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`🚀 Meta Backend Server running on port ${PORT}`);
-  console.log(`🛡️  Security middleware enabled`);
-  console.log(`⚡ Socket.IO enabled on same port`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`🚀 Meta Backend Server running on port ${PORT}`);
+    console.log(`🛡️  Security middleware enabled`);
+    console.log(`⚡ Socket.IO enabled on same port`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+}
 
 module.exports = app;
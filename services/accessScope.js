@@ -0,0 +1,208 @@
+const db = require('../config/database');
+const { hasPermission } = require('./permissions');
+const { projectsWithPermissionSql } = require('./projectRoles');
+
+/*
+ * Who can see what. Every router builds its visibility filters from here, so
+ * these rules are the only place they are defined:
+ *
+ *   scope    | who                        | projects                      | tasks                                  | companies
+ *   ---------+----------------------------+-------------------------------+----------------------------------------+-------------------------------
+ *   all      | projects.manage holders    | every project                 | every task                             | every company
+ *   company  | client users               | projects of their companies   | tasks in those projects                | companies they belong to
+ *   member   | everyone else (developers) | managed or current member of  | tasks in those projects, plus tasks    | companies of their projects
+ *            |                            | (narrowed by project role     | assigned to or created by them         |
+ *            |                            | when a permission is given)   |                                        |
+ *
+ * Time entries follow their project; members also see every entry they logged.
+ * Invoices follow the company for client users, and for members the projects
+ * whose role grants invoices.read. Activity logs: the 'all' scope sees what
+ * anyone in the organisation did (unless a company is selected); otherwise
+ * one's own actions plus those on visible projects and tasks.
+ *
+ * A selected company (user.active_company_id, see resolveCompanyContext) narrows
+ * every scope further to that one company's projects, tasks, time and invoices.
+ *
+ * Every scope, 'all' included, stops at the user's organisation (tenant): a
+ * projects.manage holder of one organisation sees nothing of another, a project
+ * of another organisation is never "managed or member of", and canAccess is
+ * false for anything outside it. Tables that carry organisation_id directly
+ * (users, companies, chat rooms, settings, registration requests) are filtered
+ * with organisation().
+ *
+ * Predicates are SQL strings. The user id is pushed onto the caller's params
+ * array only when the predicate needs it, and referenced by its position.
+ */
+
+const SCOPE_KINDS = ['all', 'company', 'member'];
+
+const PROJECT_IDS_SQL = {
+  company: (userParam) => `SELECT p.id FROM projects p
+    JOIN client_users cu ON cu.company_id = p.company_id
+    WHERE cu.user_id = ${userParam}`,
+  member: (userParam) => `SELECT p.id FROM projects p WHERE p.project_manager_id = ${userParam}
+    UNION
+    SELECT pm.project_id FROM project_members pm
+    WHERE pm.user_id = ${userParam} AND pm.left_at IS NULL`
+};
+
+const COMPANY_IDS_SQL = {
+  company: (userParam) => `SELECT cu.company_id FROM client_users cu WHERE cu.user_id = ${userParam}`,
+  member: (userParam, permission) => `SELECT p.company_id FROM projects p WHERE p.id IN (${
+    permission ? projectsWithPermissionSql(userParam, permission) : PROJECT_IDS_SQL.member(userParam)
+  })`
+};
+
+/**
+ * Which scope applies to a user
+ */
+const getScopeKind = async (user) => {
+  if (await hasPermission(user.role, 'projects.manage')) return 'all';
+  if (user.role === 'client') return 'company';
+  return 'member';
+};
+
+/**
+ * Visibility predicates for one user. Load once per request and reuse.
+ */
+const getAccessScope = async (user) => {
+  const kind = await getScopeKind(user);
+
+  const userParam = (params) => {
+    params.push(user.id);
+    return `$${params.length}`;
+  };
+
+  const companyId = user.active_company_id || null;
+  const organisationId = user.organisation_id;
+
+  // ANDs a condition on a bound value onto a predicate
+  const narrow = (predicate, params, value, conditionFor) => {
+    params.push(value);
+    const condition = conditionFor(`$${params.length}`);
+    return predicate === 'TRUE' ? condition : `(${predicate} AND ${condition})`;
+  };
+
+  // Narrows a predicate on a project id column to the organisation and the selected company, if any
+  const inProjectsOf = (predicate, params, column) => {
+    const scoped = narrow(predicate, params, organisationId, (param) =>
+      `${column} IN (SELECT op.id FROM projects op WHERE op.organisation_id = ${param})`);
+    if (!companyId) return scoped;
+    return narrow(scoped, params, companyId, (param) =>
+      `${column} IN (SELECT cp.id FROM projects cp WHERE cp.company_id = ${param})`);
+  };
+
+  return {
+    kind,
+    companyId,
+    organisationId,
+
+    /**
+     * True for rows whose project id column is visible. Pass a project permission
+     * (e.g. 'invoices.read') to also require it from the member's project role.
+     */
+    projects(column, params, permission = null) {
+      let predicate = 'TRUE';
+      if (kind !== 'all') {
+        const param = userParam(params);
+        const ids = kind === 'member' && permission
+          ? projectsWithPermissionSql(param, permission)
+          : PROJECT_IDS_SQL[kind](param);
+        predicate = `${column} IN (${ids})`;
+      }
+      return inProjectsOf(predicate, params, column);
+    },
+
+    /**
+     * True for visible rows of the tasks table under the given alias
+     */
+    tasks(alias, params) {
+      let predicate = 'TRUE';
+      if (kind !== 'all') {
+        const param = userParam(params);
+        const inProjects = `${alias}.project_id IN (${PROJECT_IDS_SQL[kind](param)})`;
+        predicate = kind === 'company'
+          ? inProjects
+          : `(${inProjects} OR ${alias}.assigned_to = ${param} OR ${alias}.created_by = ${param})`;
+      }
+      return inProjectsOf(predicate, params, `${alias}.project_id`);
+    },
+
+    /**
+     * True for visible rows of the time_entries table under the given alias
+     */
+    timeEntries(alias, params) {
+      let predicate = 'TRUE';
+      if (kind !== 'all') {
+        const param = userParam(params);
+        const inProjects = `${alias}.project_id IN (${PROJECT_IDS_SQL[kind](param)})`;
+        predicate = kind === 'company' ? inProjects : `(${alias}.user_id = ${param} OR ${inProjects})`;
+      }
+      return inProjectsOf(predicate, params, `${alias}.project_id`);
+    },
+
+    /**
+     * True for visible rows of the invoices table under the given alias
+     */
+    invoices(alias, params) {
+      if (kind === 'company') return this.companies(`${alias}.company_id`, params);
+      return this.projects(`${alias}.project_id`, params, 'invoices.read');
+    },
+
+    /**
+     * True for rows whose company id column is visible. Pass a project permission
+     * (e.g. 'members.manage') to limit members to companies of projects whose role grants it.
+     */
+    companies(column, params, permission = null) {
+      const predicate = kind === 'all'
+        ? 'TRUE'
+        : `${column} IN (${COMPANY_IDS_SQL[kind](userParam(params), permission)})`;
+      const scoped = narrow(predicate, params, organisationId, (param) =>
+        `${column} IN (SELECT oc.id FROM companies oc WHERE oc.organisation_id = ${param})`);
+      if (!companyId) return scoped;
+      return narrow(scoped, params, companyId, (param) => `${column} = ${param}`);
+    },
+
+    /**
+     * True for visible rows of the activity_logs table under the given alias
+     */
+    activityLogs(alias, params) {
+      if (kind === 'all' && !companyId) {
+        return narrow('TRUE', params, organisationId, (param) =>
+          `${alias}.user_id IN (SELECT ou.id FROM users ou WHERE ou.organisation_id = ${param})`);
+      }
+      const own = `${alias}.user_id = ${userParam(params)}`;
+      const onProject = `(${alias}.entity_type = 'project' AND ${this.projects(`${alias}.entity_id`, params)})`;
+      const onTask = `(${alias}.entity_type = 'task' AND ${alias}.entity_id IN (
+        SELECT st.id FROM tasks st WHERE ${this.tasks('st', params)}
+      ))`;
+      return `(${own} OR ${onProject} OR ${onTask})`;
+    },
+
+    /**
+     * True for rows of a table that carries organisation_id itself
+     */
+    organisation(column, params) {
+      return narrow('TRUE', params, organisationId, (param) => `${column} = ${param}`);
+    },
+
+    /**
+     * Whether a project, or else a task, is visible; for routes that attach
+     * things like files and comments to either
+     */
+    async canAccess({ projectId = null, taskId = null }) {
+      const params = [projectId || taskId];
+      const query = projectId
+        ? `SELECT 1 FROM projects p WHERE p.id = $1 AND ${this.projects('p.id', params)}`
+        : `SELECT 1 FROM tasks t WHERE t.id = $1 AND ${this.tasks('t', params)}`;
+      const result = await db.query(query, params);
+      return result.rows.length > 0;
+    }
+  };
+};
+
+module.exports = {
+  SCOPE_KINDS,
+  getScopeKind,
+  getAccessScope
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Distinguishes personal access tokens from JWTs in the Authorization header
+const TOKEN_PREFIX = 'mpat_';
+
+// API areas a token can be scoped to, named after their /api/<resource> mount point
+const SCOPE_RESOURCES = [
+  'users', 'projects', 'milestones', 'tasks', 'clients', 'dashboard', 'comments',
+  'files', 'time', 'invoices', 'reports', 'settings', 'chat', 'companies', 'exports',
+  'templates'
+];
+
+const ACCESS_TOKEN_SCOPES = SCOPE_RESOURCES.flatMap(resource => [`${resource}.read`, `${resource}.write`]);
+
+const hashAccessToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token. The plaintext is returned once and only its hash is stored.
+ */
+const createAccessToken = async (userId, { name, scopes, expiresAt = null }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const result = await db.query(
+    `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, name, token_prefix, scopes, expires_at, created_at`,
+    [userId, name, hashAccessToken(token), token.slice(0, TOKEN_PREFIX.length + 6), [...new Set(scopes)], expiresAt]
+  );
+
+  return { token, accessToken: result.rows[0] };
+};
+
+const listAccessTokens = async (userId) => {
+  const result = await db.query(
+    `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, use_count, created_at
+     FROM personal_access_tokens
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Revoke one of a user's tokens. Returns false if it does not exist or is already revoked.
+ */
+const revokeAccessToken = async (userId, tokenId) => {
+  const result = await db.query(
+    `UPDATE personal_access_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [tokenId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Load the active user and token record behind a presented token, or null
+ */
+const findAccessTokenUser = async (token) => {
+  const result = await db.query(
+    `SELECT u.id, u.email, u.role, u.is_active, u.first_name, u.last_name, u.organisation_id,
+            CASE WHEN u.oidc_subject IS NULL THEN u.password_changed_at END as password_changed_at,
+            t.id as token_id, t.scopes as token_scopes
+     FROM personal_access_tokens t
+     JOIN users u ON t.user_id = u.id
+     JOIN organisations o ON o.id = u.organisation_id AND o.is_active = true
+     WHERE t.token_hash = $1 AND t.revoked_at IS NULL
+     AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+     AND u.is_active = true`,
+    [hashAccessToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { token_id, token_scopes, ...user } = result.rows[0];
+  return { user, accessToken: { id: token_id, scopes: token_scopes } };
+};
+
+/**
+ * Scope a request needs: the resource it is mounted under plus read for GET/HEAD, write otherwise
+ */
+const requiredScope = (req) => {
+  const resource = req.baseUrl.split('/').filter(Boolean).pop();
+  const access = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'write';
+  return `${resource}.${access}`;
+};
+
+// A write scope also grants read access to the same resource
+const hasScope = (scopes, scope) => {
+  if (scopes.includes(scope)) return true;
+  const [resource, access] = scope.split('.');
+  return access === 'read' && scopes.includes(`${resource}.write`);
+};
+
+/**
+ * Stamp last use and write an audit entry for every authenticated request
+ */
+const recordAccessTokenUse = async (accessToken, user, req) => {
+  await db.query(
+    `UPDATE personal_access_tokens
+     SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2, use_count = use_count + 1
+     WHERE id = $1`,
+    [accessToken.id, req.ip]
+  );
+
+  await db.query(
+    'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+    [user.id, 'access_token_used', 'personal_access_token', accessToken.id, {
+      method: req.method,
+      path: req.originalUrl.split('?')[0]
+    }, req.ip, req.get('User-Agent') || null]
+  );
+};
+
+module.exports = {
+  ACCESS_TOKEN_SCOPES,
+  isAccessToken,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  findAccessTokenUser,
+  requiredScope,
+  hasScope,
+  recordAccessTokenUse
+};
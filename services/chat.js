@@ -0,0 +1,32 @@
+const db = require('../config/database');
+
+/**
+ * Add a user to their organisation's general discussion room (the project-less
+ * room named "General"/"Discussion"). Failures are logged, never thrown, so account
+ * creation does not depend on chat being set up.
+ */
+const addUserToGeneralChat = async (userId) => {
+  try {
+    const generalRoomQuery = `
+      SELECT id FROM chat_rooms 
+      WHERE project_id IS NULL 
+      AND organisation_id = (SELECT organisation_id FROM users WHERE id = $1)
+      AND (LOWER(name) LIKE '%general%' OR LOWER(name) LIKE '%discussion%')
+      LIMIT 1
+    `;
+    const generalRoomResult = await db.query(generalRoomQuery, [userId]);
+
+    if (generalRoomResult.rows.length > 0) {
+      await db.query(
+        'INSERT INTO chat_participants (chat_room_id, user_id) VALUES ($1, $2) ON CONFLICT (chat_room_id, user_id) DO NOTHING',
+        [generalRoomResult.rows[0].id, userId]
+      );
+    }
+  } catch (chatError) {
+    console.error('Failed to add user to general chat room:', chatError);
+  }
+};
+
+module.exports = {
+  addUserToGeneralChat
+};
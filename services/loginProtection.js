@@ -0,0 +1,105 @@
+const db = require('../config/database');
+
+// Failures before each further attempt has to wait, doubling from one second
+const DELAY_THRESHOLD = 3;
+const MAX_DELAY_SECONDS = 60;
+// Failures before the account is locked outright
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures older than this no longer count towards the lockout
+const FAILURE_WINDOW_HOURS = 24;
+
+/**
+ * Seconds until the account accepts another attempt, or 0 if it is not locked
+ */
+const getLockRemaining = (user) => {
+  if (!user.locked_until) return 0;
+  const remaining = Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000);
+  return remaining > 0 ? remaining : 0;
+};
+
+/**
+ * Count a failed password or two-factor attempt and apply the delay or lockout it earns.
+ * Returns the new failure count and whether the account is now locked out.
+ */
+const recordFailedLogin = async (userId, req) => {
+  const result = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = CASE
+           WHEN last_failed_login_at IS NULL
+             OR last_failed_login_at < CURRENT_TIMESTAMP - make_interval(hours => $2)
+           THEN 1
+           ELSE COALESCE(failed_login_attempts, 0) + 1
+         END,
+         last_failed_login_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING failed_login_attempts`,
+    [userId, FAILURE_WINDOW_HOURS]
+  );
+
+  const attempts = result.rows[0].failed_login_attempts;
+  let lockSeconds = 0;
+
+  if (attempts >= LOCKOUT_THRESHOLD) {
+    lockSeconds = LOCKOUT_MINUTES * 60;
+  } else if (attempts >= DELAY_THRESHOLD) {
+    lockSeconds = Math.min(2 ** (attempts - DELAY_THRESHOLD), MAX_DELAY_SECONDS);
+  }
+
+  if (lockSeconds > 0) {
+    await db.query(
+      'UPDATE users SET locked_until = CURRENT_TIMESTAMP + make_interval(secs => $2) WHERE id = $1',
+      [userId, lockSeconds]
+    );
+  }
+
+  const lockedOut = attempts >= LOCKOUT_THRESHOLD;
+
+  if (lockedOut) {
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [userId, 'account_locked', 'user', userId, { failed_attempts: attempts, locked_minutes: LOCKOUT_MINUTES }, req.ip]
+    );
+  }
+
+  return { attempts, lockedOut };
+};
+
+/**
+ * Clear failure counters after a successful login or an admin unlock
+ */
+const resetFailedLogins = async (userId) => {
+  await db.query(
+    `UPDATE users
+     SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+};
+
+/**
+ * Whether this login comes from an IP address or user agent the user has not
+ * signed in from before. A first-ever login is not treated as unrecognised.
+ */
+const isUnrecognizedDevice = async (userId, req) => {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) as total_sessions,
+       COUNT(*) FILTER (WHERE ip_address = $2::inet) as ip_matches,
+       COUNT(*) FILTER (WHERE user_agent = $3) as agent_matches
+     FROM user_sessions
+     WHERE user_id = $1 AND impersonator_id IS NULL`,
+    [userId, req.ip, req.get('User-Agent') || null]
+  );
+
+  const { total_sessions, ip_matches, agent_matches } = result.rows[0];
+  if (parseInt(total_sessions) === 0) return false;
+  return parseInt(ip_matches) === 0 || parseInt(agent_matches) === 0;
+};
+
+module.exports = {
+  getLockRemaining,
+  recordFailedLogin,
+  resetFailedLogins,
+  isUnrecognizedDevice
+};
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { addUserToGeneralChat } = require('./chat');
+const { DEFAULT_ORGANISATION_SLUG } = require('./organisations');
+
+// Pending authorization requests (state, nonce, PKCE verifier) are only valid this long
+const AUTH_REQUEST_TTL_MINUTES = 10;
+// Discovery documents and signing keys are refetched after this long
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+// When several mapped groups match, the most privileged role wins
+const ROLE_PRIORITY = ['administrator', 'developer', 'client'];
+
+let metadataCache = null;
+let jwksCache = null;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const getOidcConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile groups',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'Company SSO',
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
+  organisation: process.env.OIDC_ORGANISATION || DEFAULT_ORGANISATION_SLUG
+});
+
+const isOidcEnabled = () => {
+  const config = getOidcConfig();
+  return Boolean(config.issuer && config.clientId && config.redirectUri);
+};
+
+/**
+ * IdP group name -> application role, from OIDC_GROUP_ROLE_MAP
+ * e.g. {"pm-admins":"administrator","pm-developers":"developer","pm-clients":"client"}
+ */
+const getGroupRoleMap = () => {
+  try {
+    return JSON.parse(process.env.OIDC_GROUP_ROLE_MAP || '{}');
+  } catch (error) {
+    console.error('OIDC_GROUP_ROLE_MAP is not valid JSON');
+    return {};
+  }
+};
+
+/**
+ * Resolve the application role for a set of IdP groups, or null when nothing maps
+ */
+const mapGroupsToRole = (groups) => {
+  const groupRoleMap = getGroupRoleMap();
+  const roles = (Array.isArray(groups) ? groups : [groups])
+    .map(group => groupRoleMap[group])
+    .filter(role => ROLE_PRIORITY.includes(role));
+
+  const mapped = ROLE_PRIORITY.find(role => roles.includes(role));
+  if (mapped) return mapped;
+
+  const { defaultRole } = getOidcConfig();
+  return ROLE_PRIORITY.includes(defaultRole) ? defaultRole : null;
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with ${response.status}: ${body.error || 'unknown error'}`);
+    error.oidcError = body.error;
+    throw error;
+  }
+  return body;
+};
+
+const getProviderMetadata = async () => {
+  if (metadataCache && metadataCache.fetchedAt > Date.now() - METADATA_CACHE_MS) {
+    return metadataCache.metadata;
+  }
+
+  const { issuer } = getOidcConfig();
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/+$/, '') !== issuer) {
+    throw new Error('OIDC discovery document issuer does not match OIDC_ISSUER');
+  }
+
+  metadataCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+/**
+ * Public signing key for a key id. The key set is refetched once when the id is
+ * unknown, so IdP key rotation is picked up without a restart.
+ */
+const getSigningKey = async (kid) => {
+  const loadKeys = async () => {
+    const metadata = await getProviderMetadata();
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache = { keys, fetchedAt: Date.now() };
+  };
+
+  if (!jwksCache || jwksCache.fetchedAt < Date.now() - METADATA_CACHE_MS) {
+    await loadKeys();
+  }
+
+  let jwk = jwksCache.keys.find(key => key.kid === kid);
+  if (!jwk) {
+    await loadKeys();
+    jwk = jwksCache.keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error('ID token signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * What the browser that starts a sign-in keeps (in a cookie) for its state. The callback
+ * must bring the matching value, so nobody can finish their own sign-in in someone
+ * else's browser (login CSRF).
+ */
+const stateBinding = (state) => crypto.createHash('sha256').update(state).digest('base64url');
+
+const isBoundToState = (binding, state) => {
+  if (typeof binding !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(stateBinding(state));
+  const actual = Buffer.from(binding);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Start an authorization-code + PKCE flow. Returns { authorizationUrl } to redirect the
+ * browser to and the { binding } it must keep for the callback.
+ */
+const createAuthorizationRequest = async () => {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await db.query(
+    `INSERT INTO oidc_auth_requests (state, nonce, code_verifier, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+    [state, nonce, codeVerifier, AUTH_REQUEST_TTL_MINUTES]
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    binding: stateBinding(state)
+  };
+};
+
+/**
+ * Finish the flow: claim the pending request for this state, exchange the code
+ * and return the verified ID token claims (merged with userinfo when available).
+ * Returns null when the state is unknown, expired, already used or was not started
+ * by this browser (binding is what createAuthorizationRequest gave it).
+ */
+const completeAuthorization = async (code, state, binding) => {
+  if (!isBoundToState(binding, state)) {
+    return null;
+  }
+
+  const pending = await db.query(
+    `DELETE FROM oidc_auth_requests
+     WHERE state = $1 AND expires_at > CURRENT_TIMESTAMP
+     RETURNING nonce, code_verifier`,
+    [state]
+  );
+
+  if (pending.rows.length === 0) {
+    return null;
+  }
+
+  const { nonce, code_verifier } = pending.rows[0];
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const tokenParams = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier
+  });
+  if (config.clientSecret) {
+    tokenParams.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: tokenParams.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response did not include an ID token');
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  if (!header) {
+    throw new Error('OIDC ID token is malformed');
+  }
+
+  const claims = jwt.verify(tokens.id_token, await getSigningKey(header.kid), {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: metadata.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC ID token nonce mismatch');
+  }
+
+  // Some IdPs only release groups or profile fields through userinfo
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims, [config.groupsClaim]: claims[config.groupsClaim] || userinfo[config.groupsClaim] };
+      }
+    } catch (error) {
+      console.error('OIDC userinfo request failed:', error.message);
+    }
+  }
+
+  return claims;
+};
+
+const USER_COLUMNS = `id, email, first_name, last_name, role, is_active, email_verified,
+  two_factor_enabled, locked_until, oidc_subject`;
+
+/**
+ * Find the local account for verified ID token claims, linking or creating it
+ * as needed, and bring its role in line with the user's IdP groups.
+ * Returns { user } or { error } with a short reason code for the frontend.
+ */
+const resolveOidcUser = async (claims, req) => {
+  const config = getOidcConfig();
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+  const role = mapGroupsToRole(claims[config.groupsClaim] || []);
+
+  // Without a mapped role the IdP has not granted access to this application
+  if (!role) {
+    return { error: 'no_role' };
+  }
+
+  let result = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2`,
+    [config.issuer, claims.sub]
+  );
+  let user = result.rows[0];
+
+  if (!user && email) {
+    result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE LOWER(email) = $1`, [email]);
+    const existing = result.rows[0];
+
+    if (existing) {
+      // Only link to an existing account when the IdP vouches for the address
+      if (claims.email_verified !== true || existing.oidc_subject) {
+        return { error: 'email_in_use' };
+      }
+
+      await db.query(
+        'UPDATE users SET oidc_issuer = $1, oidc_subject = $2, email_verified = true WHERE id = $3',
+        [config.issuer, claims.sub, existing.id]
+      );
+      user = { ...existing, email_verified: true };
+
+      await db.query(
+        'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+        [user.id, 'sso_account_linked', 'user', user.id, { email: user.email, issuer: config.issuer }, req.ip]
+      );
+    }
+  }
+
+  if (!user) {
+    if (!email) {
+      return { error: 'email_missing' };
+    }
+
+    const nameParts = (claims.name || '').trim().split(/\s+/).filter(Boolean);
+    const firstName = claims.given_name || nameParts[0] || email.split('@')[0];
+    const lastName = claims.family_name || nameParts.slice(1).join(' ') || '';
+
+    // SSO accounts get an unusable random password; they sign in through the IdP
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const placeholderHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds);
+
+    // Accounts are provisioned into the organisation this IdP serves
+    result = await db.query(
+      `INSERT INTO users (email, password_hash, first_name, last_name, role, email_verified, is_active, oidc_issuer, oidc_subject, organisation_id)
+       SELECT $1, $2, $3, $4, $5, $6, true, $7, $8, o.id FROM organisations o WHERE o.slug = $9
+       RETURNING ${USER_COLUMNS}`,
+      [email, placeholderHash, firstName.slice(0, 100), lastName.slice(0, 100), role,
+        claims.email_verified === true, config.issuer, claims.sub, config.organisation]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('OIDC_ORGANISATION does not name an existing organisation');
+    }
+    user = result.rows[0];
+
+    await addUserToGeneralChat(user.id);
+
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [user.id, 'user_provisioned_sso', 'user', user.id, { email, role, issuer: config.issuer }, req.ip]
+    );
+
+    return { user };
+  }
+
+  // The IdP is the source of truth for roles of SSO users
+  if (user.role !== role) {
+    await db.query('UPDATE users SET role = $1 WHERE id = $2', [role, user.id]);
+
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [user.id, 'sso_role_changed', 'user', user.id, { old_role: user.role, new_role: role }, req.ip]
+    );
+    user.role = role;
+  }
+
+  return { user };
+};
+
+/**
+ * Drop pending authorization requests that were never completed
+ */
+const purgeExpiredAuthRequests = async () => {
+  await db.query('DELETE FROM oidc_auth_requests WHERE expires_at <= CURRENT_TIMESTAMP');
+};
+
+module.exports = {
+  AUTH_REQUEST_TTL_MINUTES,
+  getOidcConfig,
+  isOidcEnabled,
+  mapGroupsToRole,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveOidcUser,
+  purgeExpiredAuthRequests
+};
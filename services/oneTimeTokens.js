@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Each purpose has its own lifetime; tokens of one purpose never affect another
+const TOKEN_PURPOSES = {
+  'verify-email': 24 * 3600000, // 24 hours
+  'reset-password': 3600000, // 1 hour
+  'invite': 72 * 3600000, // 72 hours
+  'magic-link': 15 * 60000, // 15 minutes
+  'sso-login': 2 * 60000 // 2 minutes
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a single-use token for a user. Only the hash is stored; the plaintext
+ * is returned once for the email link. Older unused tokens of the same
+ * purpose are invalidated so only the latest link works.
+ */
+const issueToken = async (userId, purpose, metadata = {}) => {
+  if (!TOKEN_PURPOSES[purpose]) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TOKEN_PURPOSES[purpose]);
+
+  await revokeTokens(userId, purpose);
+
+  await db.query(
+    `INSERT INTO one_time_tokens (user_id, purpose, token_hash, expires_at, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, purpose, hashToken(token), expiresAt, metadata]
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Redeem a token for the given purpose. The token is marked used in the same
+ * statement that checks it, so concurrent requests cannot both succeed.
+ * Returns { user_id, metadata } or null when invalid, expired or already used.
+ */
+const consumeToken = async (token, purpose) => {
+  if (!token || !TOKEN_PURPOSES[purpose]) {
+    return null;
+  }
+
+  const result = await db.query(
+    `UPDATE one_time_tokens
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2
+     AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id, metadata`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Look up a token without using it, e.g. to validate the rest of a form first.
+ * Returns { user_id, metadata } or null. Always finish with consumeToken.
+ */
+const peekToken = async (token, purpose) => {
+  if (!token || !TOKEN_PURPOSES[purpose]) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT user_id, metadata FROM one_time_tokens
+     WHERE token_hash = $1 AND purpose = $2
+     AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Invalidate a user's outstanding tokens, optionally only those of one purpose
+ */
+const revokeTokens = async (userId, purpose = null) => {
+  await db.query(
+    `UPDATE one_time_tokens
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND used_at IS NULL
+     AND ($2::varchar IS NULL OR purpose = $2::varchar)`,
+    [userId, purpose]
+  );
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  issueToken,
+  peekToken,
+  consumeToken,
+  revokeTokens
+};
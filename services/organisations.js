@@ -0,0 +1,69 @@
+const db = require('../config/database');
+
+// Owns everything created before organisations existed, and public registrations
+const DEFAULT_ORGANISATION_SLUG = 'default';
+
+let defaultOrganisationId = null;
+
+/**
+ * Id of the default organisation (never changes, so it is cached for the process lifetime)
+ */
+const getDefaultOrganisationId = async () => {
+  if (!defaultOrganisationId) {
+    const result = await db.query('SELECT id FROM organisations WHERE slug = $1', [DEFAULT_ORGANISATION_SLUG]);
+    if (result.rows.length === 0) {
+      throw new Error('Default organisation is missing; apply database/organisations_schema.sql');
+    }
+    defaultOrganisationId = result.rows[0].id;
+  }
+  return defaultOrganisationId;
+};
+
+/**
+ * Whether every given user id is an account of the organisation. Used before linking
+ * users named in a request body (assignees, members, participants) to anything.
+ */
+const areUsersInOrganisation = async (userIds, organisationId) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return true;
+  }
+
+  const result = await db.query(
+    'SELECT COUNT(*) as count FROM users WHERE id = ANY($1) AND organisation_id = $2',
+    [ids, organisationId]
+  );
+  return parseInt(result.rows[0].count) === ids.length;
+};
+
+/**
+ * Create an organisation with a copy of the default organisation's settings
+ */
+const createOrganisation = async ({ name, slug }) => {
+  const result = await db.query(
+    'INSERT INTO organisations (name, slug) VALUES ($1, $2) RETURNING id, name, slug, created_at',
+    [name, slug]
+  );
+  const organisation = result.rows[0];
+
+  await db.query(
+    `INSERT INTO system_settings (organisation_id, setting_key, setting_value, setting_type, data_type, description, is_public, is_active)
+     SELECT $1, setting_key, setting_value, setting_type, data_type, description, is_public, is_active
+     FROM system_settings WHERE organisation_id = $2`,
+    [organisation.id, await getDefaultOrganisationId()]
+  );
+
+  await db.query(
+    "UPDATE system_settings SET setting_value = $1 WHERE organisation_id = $2 AND setting_key = 'company_name'",
+    [name, organisation.id]
+  );
+
+  return organisation;
+};
+
+module.exports = {
+  DEFAULT_ORGANISATION_SLUG,
+  getDefaultOrganisationId,
+  areUsersInOrganisation,
+  createOrganisation
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { getSetting } = require('./settings');
+
+// Used when a setting is missing; matches what the app enforced before policies were configurable
+const DEFAULT_POLICY = {
+  min_length: 8,
+  max_length: 128,
+  require_uppercase: true,
+  require_lowercase: true,
+  require_number: true,
+  require_special: false,
+  block_common: true,
+  history_count: 5,
+  max_age_days: 0
+};
+
+// Policy settings change rarely but are read on every authenticated request.
+// Cached per organisation; the key '' is the default organisation.
+const POLICY_CACHE_MS = 60 * 1000;
+const policyCache = new Map();
+
+const commonPasswords = new Set(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+/**
+ * Current policy from an organisation's password_* system settings
+ */
+const getPasswordPolicy = async (organisationId = null) => {
+  const cached = policyCache.get(organisationId || '');
+  if (cached && cached.loadedAt > Date.now() - POLICY_CACHE_MS) {
+    return cached.policy;
+  }
+
+  const policy = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_POLICY)) {
+    policy[key] = await getSetting(`password_${key}`, defaultValue, organisationId);
+  }
+
+  policyCache.set(organisationId || '', { policy, loadedAt: Date.now() });
+  return policy;
+};
+
+const clearPasswordPolicyCache = () => {
+  policyCache.clear();
+};
+
+// Common passwords with a few digits or symbols tacked on are just as guessable
+const isCommonPassword = (password) => {
+  const lowered = password.toLowerCase();
+  return commonPasswords.has(lowered) || commonPasswords.has(lowered.replace(/[\d\W_]+$/, ''));
+};
+
+/**
+ * Check a candidate password against the policy. Pass the user (id, email, names,
+ * organisation_id) when known so personal details and password history are checked too.
+ * Returns a list of human-readable problems; empty means the password is acceptable.
+ */
+const checkPassword = async (password, user = null) => {
+  const policy = await getPasswordPolicy(user && user.organisation_id);
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.min_length) {
+    errors.push(`Password must be at least ${policy.min_length} characters long`);
+  }
+  if (password.length > policy.max_length) {
+    errors.push(`Password must be at most ${policy.max_length} characters long`);
+  }
+  if (policy.require_lowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.require_uppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.require_number && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.require_special && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a special character');
+  }
+  if (policy.block_common && isCommonPassword(password)) {
+    errors.push('Password is too common; choose something harder to guess');
+  }
+
+  if (user) {
+    const lowered = password.toLowerCase();
+    const personal = [user.email && user.email.split('@')[0], user.first_name, user.last_name]
+      .filter(value => value && value.length >= 3)
+      .map(value => value.toLowerCase());
+    if (personal.some(value => lowered.includes(value))) {
+      errors.push('Password must not contain your name or email address');
+    }
+  }
+
+  // Only worth hashing against history once everything else passes
+  if (errors.length === 0 && user && user.id && policy.history_count > 0) {
+    if (await isRecentlyUsed(user.id, password, policy.history_count)) {
+      errors.push(`Password must not match any of your last ${policy.history_count} passwords`);
+    }
+  }
+
+  return errors;
+};
+
+// The current password counts as one of the last N
+const isRecentlyUsed = async (userId, password, historyCount) => {
+  const result = await db.query(
+    `SELECT password_hash FROM (
+       SELECT password_hash, CURRENT_TIMESTAMP as created_at FROM users WHERE id = $1
+       UNION ALL
+       SELECT password_hash, created_at FROM password_history WHERE user_id = $1
+     ) hashes
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [userId, historyCount]
+  );
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Store a new password for a user, keeping the previous hash in the history
+ */
+const updatePassword = async (userId, password) => {
+  const userResult = await db.query('SELECT organisation_id FROM users WHERE id = $1', [userId]);
+  const policy = await getPasswordPolicy(userResult.rows[0] && userResult.rows[0].organisation_id);
+  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+  await db.query(
+    'INSERT INTO password_history (user_id, password_hash) SELECT id, password_hash FROM users WHERE id = $1',
+    [userId]
+  );
+
+  await db.query(
+    'UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [hashedPassword, userId]
+  );
+
+  // Keep only as much history as the policy can ask about
+  await db.query(
+    `DELETE FROM password_history
+     WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2
+     )`,
+    [userId, Math.max(policy.history_count, 1)]
+  );
+};
+
+/**
+ * Whether a user's password is older than their organisation's maximum age
+ */
+const isPasswordExpired = async (passwordChangedAt, organisationId) => {
+  const { max_age_days } = await getPasswordPolicy(organisationId);
+  if (!max_age_days || !passwordChangedAt) return false;
+  return new Date(passwordChangedAt).getTime() < Date.now() - max_age_days * 24 * 3600000;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  clearPasswordPolicyCache,
+  checkPassword,
+  updatePassword,
+  isPasswordExpired
+};
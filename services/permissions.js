@@ -0,0 +1,120 @@
+const db = require('../config/database');
+
+// Everything a role can be granted through PUT /api/settings/permissions.
+// <area>.manage extends an action to records owned by other users.
+const PERMISSIONS = [
+  'users.read', 'users.write', 'users.delete', 'users.impersonate',
+  'projects.read', 'projects.write', 'projects.delete', 'projects.manage',
+  'milestones.read', 'milestones.write', 'milestones.delete', 'milestones.manage',
+  'tasks.read', 'tasks.write', 'tasks.delete', 'tasks.manage',
+  'clients.read', 'clients.write', 'clients.delete',
+  'companies.read', 'companies.write', 'companies.delete',
+  'invoices.read', 'invoices.write', 'invoices.delete',
+  'reports.read', 'reports.write', 'reports.financial',
+  'settings.read', 'settings.write',
+  'files.read', 'files.write', 'files.delete', 'files.manage',
+  'time.read', 'time.write', 'time.delete', 'time.manage',
+  'comments.read', 'comments.write', 'comments.delete', 'comments.manage',
+  'chat.read', 'chat.write', 'chat.manage',
+  'exports.read', 'exports.write', 'exports.delete', 'exports.manage',
+  'dashboard.read'
+];
+
+const ROLES = ['administrator', 'developer', 'client'];
+
+// Used until role_permissions has been populated; matches the access each role had before it was configurable
+const DEFAULT_ROLE_PERMISSIONS = {
+  administrator: PERMISSIONS,
+  developer: [
+    'users.read', 'projects.read', 'projects.write',
+    'milestones.read', 'milestones.write', 'milestones.delete',
+    'tasks.read', 'tasks.write', 'tasks.delete',
+    'clients.read', 'clients.write', 'companies.read',
+    'invoices.read', 'invoices.write',
+    'reports.read', 'reports.write', 'reports.financial',
+    'files.read', 'files.write', 'files.delete',
+    'time.read', 'time.write', 'time.delete',
+    'comments.read', 'comments.write', 'comments.delete',
+    'chat.read', 'chat.write',
+    'exports.read', 'exports.write', 'exports.delete',
+    'dashboard.read'
+  ],
+  client: [
+    'projects.read', 'milestones.read',
+    'tasks.read', 'tasks.write', 'tasks.delete',
+    'invoices.read', 'reports.read', 'reports.write',
+    'files.read', 'files.write', 'files.delete',
+    'time.read',
+    'comments.read', 'comments.write', 'comments.delete',
+    'chat.read', 'chat.write',
+    'exports.read', 'exports.write', 'exports.delete',
+    'dashboard.read'
+  ]
+};
+
+// Administrators can always reach the permission settings, so they cannot lock themselves out
+const LOCKOUT_SAFE_PERMISSIONS = { administrator: ['settings.read', 'settings.write'] };
+
+// Checked on nearly every request; edits through the settings API clear the cache immediately
+const PERMISSION_CACHE_MS = 60 * 1000;
+let permissionCache = null;
+
+/**
+ * Effective permissions per role, as { role: Set }
+ */
+const loadRolePermissions = async () => {
+  if (permissionCache && permissionCache.loadedAt > Date.now() - PERMISSION_CACHE_MS) {
+    return permissionCache.roles;
+  }
+
+  const result = await db.query('SELECT role, permission FROM role_permissions WHERE is_active = true');
+  const source = {};
+
+  if (result.rows.length === 0) {
+    Object.assign(source, DEFAULT_ROLE_PERMISSIONS);
+  } else {
+    result.rows.forEach(row => {
+      (source[row.role] = source[row.role] || []).push(row.permission);
+    });
+  }
+
+  const roles = {};
+  for (const role of ROLES) {
+    roles[role] = new Set([...(source[role] || []), ...(LOCKOUT_SAFE_PERMISSIONS[role] || [])]);
+  }
+
+  permissionCache = { roles, loadedAt: Date.now() };
+  return roles;
+};
+
+/**
+ * Effective permissions per role as sorted arrays, for the settings API
+ */
+const getRolePermissions = async () => {
+  const roles = await loadRolePermissions();
+  const permissions = {};
+  for (const [role, granted] of Object.entries(roles)) {
+    permissions[role] = [...granted].sort();
+  }
+  return permissions;
+};
+
+/**
+ * Whether a role has been granted a permission
+ */
+const hasPermission = async (role, permission) => {
+  const roles = await loadRolePermissions();
+  return Boolean(roles[role] && roles[role].has(permission));
+};
+
+const clearPermissionCache = () => {
+  permissionCache = null;
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission,
+  clearPermissionCache
+};
@@ -0,0 +1,180 @@
+const db = require('../config/database');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Snapshot the project's dates and estimates, with its tasks and milestones.
+ * Pass a transaction's query function so the snapshot is consistent.
+ */
+const createBaseline = async (query, projectId, name, userId) => {
+  const result = await query(
+    `INSERT INTO project_baselines (project_id, name, start_date, end_date, estimated_hours, created_by)
+     SELECT id, $2, start_date, end_date, estimated_hours, $3 FROM projects WHERE id = $1
+     RETURNING id, name, start_date, end_date, estimated_hours, created_at`,
+    [projectId, name, userId]
+  );
+  const baseline = result.rows[0];
+
+  const tasksResult = await query(
+    `INSERT INTO project_baseline_tasks (baseline_id, task_id, milestone_id, title, due_date, estimated_hours)
+     SELECT $1, id, milestone_id, title, due_date, estimated_hours
+     FROM tasks WHERE project_id = $2 AND status != 'canceled'`,
+    [baseline.id, projectId]
+  );
+
+  const milestonesResult = await query(
+    `INSERT INTO project_baseline_milestones (baseline_id, milestone_id, name, due_date)
+     SELECT $1, id, name, due_date FROM milestones WHERE project_id = $2`,
+    [baseline.id, projectId]
+  );
+
+  return { ...baseline, task_count: tasksResult.rowCount, milestone_count: milestonesResult.rowCount };
+};
+
+/**
+ * A baseline of the project: the given one, or the newest
+ */
+const findBaseline = async (projectId, baselineId = null) => {
+  const result = await db.query(
+    `SELECT b.id, b.name, b.start_date, b.end_date, b.estimated_hours, b.created_at,
+            u.first_name || ' ' || u.last_name as created_by_name
+     FROM project_baselines b
+     LEFT JOIN users u ON b.created_by = u.id
+     WHERE b.project_id = $1 AND ($2::uuid IS NULL OR b.id = $2::uuid)
+     ORDER BY b.created_at DESC
+     LIMIT 1`,
+    [projectId, baselineId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Schedule and effort variance of a project against a baseline. Slip is in days
+ * (positive is late); effort variance is actual hours minus baseline estimate.
+ * Tasks added since the baseline are listed separately, as are baseline tasks
+ * and milestones that no longer exist.
+ */
+const getVariance = async (projectId, baseline) => {
+  const [projectResult, tasksResult, addedResult, milestonesResult] = await Promise.all([
+    db.query('SELECT end_date, estimated_hours, actual_hours FROM projects WHERE id = $1', [projectId]),
+    db.query(
+      `SELECT bt.task_id, COALESCE(t.title, bt.title) as title, t.status,
+              bt.due_date::date as baseline_due_date, t.due_date::date as current_due_date,
+              t.due_date::date - bt.due_date::date as slip_days,
+              bt.estimated_hours as baseline_estimated_hours, t.estimated_hours as current_estimated_hours,
+              COALESCE(t.actual_hours, 0) as actual_hours,
+              COALESCE(t.actual_hours, 0) - COALESCE(bt.estimated_hours, 0) as effort_variance_hours,
+              t.id IS NULL as removed
+       FROM project_baseline_tasks bt
+       LEFT JOIN tasks t ON t.id = bt.task_id AND t.project_id = $2
+       WHERE bt.baseline_id = $1
+       ORDER BY slip_days DESC NULLS LAST, title`,
+      [baseline.id, projectId]
+    ),
+    db.query(
+      `SELECT t.id as task_id, t.title, t.status, t.due_date::date as current_due_date,
+              t.estimated_hours as current_estimated_hours, COALESCE(t.actual_hours, 0) as actual_hours
+       FROM tasks t
+       WHERE t.project_id = $2 AND t.status != 'canceled'
+         AND NOT EXISTS (SELECT 1 FROM project_baseline_tasks bt WHERE bt.baseline_id = $1 AND bt.task_id = t.id)
+       ORDER BY t.created_at`,
+      [baseline.id, projectId]
+    ),
+    db.query(
+      `SELECT bm.milestone_id, COALESCE(m.name, bm.name) as name, m.is_completed,
+              bm.due_date as baseline_due_date, m.due_date as current_due_date,
+              m.due_date - bm.due_date as slip_days,
+              m.id IS NULL as removed
+       FROM project_baseline_milestones bm
+       LEFT JOIN milestones m ON m.id = bm.milestone_id AND m.project_id = $2
+       WHERE bm.baseline_id = $1
+       ORDER BY bm.due_date NULLS LAST`,
+      [baseline.id, projectId]
+    )
+  ]);
+
+  const project = projectResult.rows[0];
+  const tasks = tasksResult.rows;
+  const milestones = milestonesResult.rows;
+
+  const slips = tasks.map(task => task.slip_days).filter(slip => slip !== null);
+  const milestoneSlips = milestones.map(milestone => milestone.slip_days).filter(slip => slip !== null);
+  const sum = (rows, field) => rows.reduce((total, row) => total + parseFloat(row[field] || 0), 0);
+
+  const baselineHours = sum(tasks, 'baseline_estimated_hours');
+  const currentHours = sum(tasks.filter(task => !task.removed), 'current_estimated_hours') +
+    sum(addedResult.rows, 'current_estimated_hours');
+  const actualHours = sum(tasks, 'actual_hours') + sum(addedResult.rows, 'actual_hours');
+
+  const endSlip = baseline.end_date && project.end_date
+    ? Math.round((new Date(project.end_date) - new Date(baseline.end_date)) / 86400000)
+    : null;
+
+  return {
+    summary: {
+      end_date_slip_days: endSlip,
+      tasks_late: slips.filter(slip => slip > 0).length,
+      tasks_early: slips.filter(slip => slip < 0).length,
+      max_task_slip_days: slips.length > 0 ? Math.max(...slips) : null,
+      average_task_slip_days: slips.length > 0 ? round2(slips.reduce((a, b) => a + b, 0) / slips.length) : null,
+      milestones_late: milestoneSlips.filter(slip => slip > 0).length,
+      max_milestone_slip_days: milestoneSlips.length > 0 ? Math.max(...milestoneSlips) : null,
+      baseline_estimated_hours: baselineHours,
+      current_estimated_hours: currentHours,
+      actual_hours: round2(actualHours),
+      estimate_variance_hours: round2(currentHours - baselineHours),
+      effort_variance_hours: round2(actualHours - baselineHours),
+      tasks_added: addedResult.rows.length,
+      tasks_removed: tasks.filter(task => task.removed).length
+    },
+    tasks,
+    added_tasks: addedResult.rows,
+    milestones
+  };
+};
+
+/**
+ * Variance summaries against each project's newest baseline, keyed by project id,
+ * for reports listing many projects. Projects without a baseline are left out.
+ */
+const getVarianceSummaries = async (projectIds) => {
+  if (projectIds.length === 0) {
+    return {};
+  }
+
+  const result = await db.query(
+    `WITH latest AS (
+       SELECT DISTINCT ON (project_id) id, project_id, name, end_date, created_at
+       FROM project_baselines
+       WHERE project_id = ANY($1::uuid[])
+       ORDER BY project_id, created_at DESC
+     )
+     SELECT
+       l.project_id, l.id as baseline_id, l.name as baseline_name, l.created_at as baseline_created_at,
+       p.end_date - l.end_date as end_date_slip_days,
+       (SELECT MAX(m.due_date - bm.due_date) FROM project_baseline_milestones bm
+        JOIN milestones m ON m.id = bm.milestone_id WHERE bm.baseline_id = l.id) as max_milestone_slip_days,
+       (SELECT COUNT(*) FROM project_baseline_tasks bt
+        JOIN tasks t ON t.id = bt.task_id WHERE bt.baseline_id = l.id AND t.due_date::date > bt.due_date::date) as tasks_late,
+       (SELECT COALESCE(SUM(estimated_hours), 0) FROM project_baseline_tasks WHERE baseline_id = l.id) as baseline_estimated_hours,
+       (SELECT COALESCE(SUM(actual_hours), 0) FROM tasks WHERE project_id = l.project_id) as actual_hours
+     FROM latest l
+     JOIN projects p ON p.id = l.project_id`,
+    [projectIds]
+  );
+
+  const summaries = {};
+  for (const row of result.rows) {
+    const { project_id, ...summary } = row;
+    summary.effort_variance_hours = round2(parseFloat(summary.actual_hours) - parseFloat(summary.baseline_estimated_hours));
+    summaries[project_id] = summary;
+  }
+  return summaries;
+};
+
+module.exports = {
+  createBaseline,
+  findBaseline,
+  getVariance,
+  getVarianceSummaries
+};
@@ -0,0 +1,190 @@
+const db = require('../config/database');
+const { getSetting } = require('./settings');
+
+const DEFAULT_ALERT_THRESHOLDS = [50, 80, 100];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Budget burn of a project. Costs are hours_worked * hourly_rate of its time entries
+ * (entries without a rate cost nothing); amounts are taken to be in the project currency.
+ *
+ * - consumed_cost: all logged time
+ * - committed_unbilled: billable time not yet on an invoice
+ * - invoiced_amount / paid_amount: invoices that are not canceled / paid ones
+ * - forecast_at_completion: consumed cost scaled by progress_percentage, or by the
+ *   remaining estimated hours at the average rate so far when there is no progress yet
+ */
+const getProjectBudget = async (projectId) => {
+  const result = await db.query(
+    `SELECT
+       p.budget, p.currency, p.estimated_hours, p.progress_percentage, p.budget_alert_thresholds,
+       p.organisation_id,
+       COALESCE(te.hours, 0) as consumed_hours,
+       COALESCE(te.cost, 0) as consumed_cost,
+       COALESCE(te.billable_cost, 0) as billable_cost,
+       COALESCE(te.unbilled_cost, 0) as committed_unbilled,
+       COALESCE(te.unbilled_hours, 0) as unbilled_hours,
+       COALESCE(inv.invoiced, 0) as invoiced_amount,
+       COALESCE(inv.paid, 0) as paid_amount
+     FROM projects p
+     LEFT JOIN (
+       SELECT project_id,
+              SUM(hours_worked) as hours,
+              SUM(hours_worked * COALESCE(hourly_rate, 0)) as cost,
+              SUM(hours_worked * COALESCE(hourly_rate, 0)) FILTER (WHERE is_billable) as billable_cost,
+              SUM(hours_worked * COALESCE(hourly_rate, 0)) FILTER (WHERE is_billable AND NOT is_invoiced) as unbilled_cost,
+              SUM(hours_worked) FILTER (WHERE is_billable AND NOT is_invoiced) as unbilled_hours
+       FROM time_entries
+       WHERE project_id = $1
+       GROUP BY project_id
+     ) te ON te.project_id = p.id
+     LEFT JOIN (
+       SELECT project_id,
+              SUM(total_amount) FILTER (WHERE status != 'canceled') as invoiced,
+              SUM(total_amount) FILTER (WHERE status = 'paid') as paid
+       FROM invoices
+       WHERE project_id = $1
+       GROUP BY project_id
+     ) inv ON inv.project_id = p.id
+     WHERE p.id = $1`,
+    [projectId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const budget = row.budget === null ? null : parseFloat(row.budget);
+  const consumedHours = parseFloat(row.consumed_hours);
+  const consumedCost = parseFloat(row.consumed_cost);
+  const estimatedHours = row.estimated_hours === null ? null : parseFloat(row.estimated_hours);
+
+  let forecast = consumedCost;
+  let forecastMethod = 'consumed';
+  if (row.progress_percentage > 0) {
+    forecast = consumedCost / (row.progress_percentage / 100);
+    forecastMethod = 'progress';
+  } else if (estimatedHours && consumedHours > 0) {
+    forecast = consumedCost + Math.max(estimatedHours - consumedHours, 0) * (consumedCost / consumedHours);
+    forecastMethod = 'estimated_hours';
+  }
+
+  const percentOfBudget = (amount) => (budget > 0 ? round2(amount / budget * 100) : null);
+
+  return {
+    organisation_id: row.organisation_id,
+    budget,
+    currency: row.currency,
+    progress_percentage: row.progress_percentage,
+    consumed_hours: consumedHours,
+    consumed_cost: round2(consumedCost),
+    consumed_percentage: percentOfBudget(consumedCost),
+    billable_cost: round2(parseFloat(row.billable_cost)),
+    committed_unbilled: round2(parseFloat(row.committed_unbilled)),
+    unbilled_hours: parseFloat(row.unbilled_hours),
+    invoiced_amount: round2(parseFloat(row.invoiced_amount)),
+    paid_amount: round2(parseFloat(row.paid_amount)),
+    remaining_budget: budget === null ? null : round2(budget - consumedCost),
+    forecast_at_completion: round2(forecast),
+    forecast_percentage: percentOfBudget(forecast),
+    forecast_method: forecastMethod,
+    alert_thresholds: row.budget_alert_thresholds
+  };
+};
+
+/**
+ * The project's alert thresholds, or its organisation's when it has none
+ */
+const getAlertThresholds = async (budget) => {
+  const thresholds = budget.alert_thresholds ||
+    await getSetting('budget_alert_thresholds', DEFAULT_ALERT_THRESHOLDS, budget.organisation_id);
+  return [...new Set(thresholds.map(Number))].filter(Number.isInteger).sort((a, b) => a - b);
+};
+
+/**
+ * Notify the project manager and the organisation's administrators of every budget
+ * threshold the project has newly reached. Thresholds the cost has dropped below again
+ * (an entry was corrected) are reset so they can fire later. Returns the new alerts.
+ */
+const checkBudgetThresholds = async (projectId, io = null) => {
+  const budget = await getProjectBudget(projectId);
+  if (!budget || !(budget.budget > 0)) {
+    return [];
+  }
+
+  const thresholds = await getAlertThresholds(budget);
+  const reached = thresholds.filter(threshold => budget.consumed_percentage >= threshold);
+
+  await db.query(
+    'DELETE FROM project_budget_alerts WHERE project_id = $1 AND NOT (threshold = ANY($2::int[]))',
+    [projectId, reached]
+  );
+
+  const fired = [];
+  for (const threshold of reached) {
+    const alertResult = await db.query(
+      `INSERT INTO project_budget_alerts (project_id, threshold, consumed_cost, budget)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (project_id, threshold) DO NOTHING
+       RETURNING threshold`,
+      [projectId, threshold, budget.consumed_cost, budget.budget]
+    );
+    if (alertResult.rows.length > 0) {
+      fired.push(threshold);
+    }
+  }
+
+  if (fired.length === 0) {
+    return [];
+  }
+
+  // Only the highest newly reached threshold is announced
+  const threshold = fired[fired.length - 1];
+  const recipientsResult = await db.query(
+    `SELECT p.name as project_name, u.id
+     FROM projects p
+     JOIN users u ON u.is_active = true AND u.organisation_id = p.organisation_id
+       AND (u.id = p.project_manager_id OR u.role = 'administrator')
+     WHERE p.id = $1`,
+    [projectId]
+  );
+
+  for (const recipient of recipientsResult.rows) {
+    await db.query(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        recipient.id,
+        'budget_alert',
+        `Budget ${threshold}% consumed`,
+        `${recipient.project_name} has used ${budget.consumed_percentage}% of its budget ` +
+          `(${budget.consumed_cost} of ${budget.budget} ${budget.currency})`,
+        JSON.stringify({
+          project_id: projectId,
+          threshold,
+          consumed_cost: budget.consumed_cost,
+          budget: budget.budget
+        })
+      ]
+    );
+
+    if (io) {
+      io.to(`user_${recipient.id}`).emit('budget_alert', {
+        project_id: projectId,
+        threshold,
+        consumed_percentage: budget.consumed_percentage
+      });
+    }
+  }
+
+  return fired;
+};
+
+module.exports = {
+  DEFAULT_ALERT_THRESHOLDS,
+  getProjectBudget,
+  getAlertThresholds,
+  checkBudgetThresholds
+};
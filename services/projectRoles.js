@@ -0,0 +1,108 @@
+const db = require('../config/database');
+const { hasPermission } = require('./permissions');
+
+const PROJECT_ROLES = ['owner', 'maintainer', 'contributor', 'viewer', 'billing'];
+
+// What each project role may do inside its project. <area>.manage covers
+// records created by other members (editing or deleting their tasks, files, time).
+const PROJECT_ROLE_PERMISSIONS = {
+  owner: [
+    'tasks.read', 'tasks.write', 'tasks.manage',
+    'milestones.read', 'milestones.write', 'milestones.manage',
+    'files.read', 'files.write', 'files.manage',
+    'time.read', 'time.write', 'time.manage',
+    'invoices.read',
+    'members.manage'
+  ],
+  maintainer: [
+    'tasks.read', 'tasks.write', 'tasks.manage',
+    'milestones.read', 'milestones.write', 'milestones.manage',
+    'files.read', 'files.write', 'files.manage',
+    'time.read', 'time.write',
+    'invoices.read'
+  ],
+  contributor: [
+    'tasks.read', 'tasks.write',
+    'milestones.read', 'milestones.write',
+    'files.read', 'files.write',
+    'time.read', 'time.write'
+  ],
+  viewer: [
+    'tasks.read', 'milestones.read', 'files.read', 'time.read'
+  ],
+  billing: [
+    'tasks.read', 'milestones.read', 'files.read', 'time.read',
+    'invoices.read', 'invoices.write'
+  ]
+};
+
+// The project manager is always the owner; client users of the project's company
+// who are not listed as members work on it as contributors
+const CLIENT_PROJECT_ROLE = 'contributor';
+
+/**
+ * The user's role in a project, or null when they have none
+ */
+const getProjectRole = async (projectId, user) => {
+  const result = await db.query(
+    `SELECT p.project_manager_id, pm.role as member_role,
+            EXISTS (
+              SELECT 1 FROM client_users cu WHERE cu.company_id = p.company_id AND cu.user_id = $2
+            ) as is_company_client
+     FROM projects p
+     LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $2 AND pm.left_at IS NULL
+     WHERE p.id = $1`,
+    [projectId, user.id]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { project_manager_id, member_role, is_company_client } = result.rows[0];
+  if (project_manager_id === user.id) return 'owner';
+  if (member_role) return member_role;
+  if (is_company_client && user.role === 'client') return CLIENT_PROJECT_ROLE;
+  return null;
+};
+
+/**
+ * Whether a user may do something inside a project. Holders of the global
+ * projects.manage permission are not limited by project roles, only by their organisation.
+ */
+const hasProjectPermission = async (projectId, user, permission) => {
+  if (await hasPermission(user.role, 'projects.manage')) {
+    const result = await db.query(
+      'SELECT 1 FROM projects WHERE id = $1 AND organisation_id = $2',
+      [projectId, user.organisation_id]
+    );
+    return result.rows.length > 0;
+  }
+
+  const projectRole = await getProjectRole(projectId, user);
+  return Boolean(projectRole && PROJECT_ROLE_PERMISSIONS[projectRole].includes(permission));
+};
+
+/**
+ * SQL subquery selecting the ids of projects where the user (bound at userParam, e.g. '$2')
+ * holds a project permission through being the manager or a member role
+ */
+const projectsWithPermissionSql = (userParam, permission) => {
+  const roles = PROJECT_ROLES
+    .filter(role => PROJECT_ROLE_PERMISSIONS[role].includes(permission))
+    .map(role => `'${role}'`)
+    .join(', ');
+
+  return `SELECT p.id FROM projects p WHERE p.project_manager_id = ${userParam}
+    UNION
+    SELECT pm.project_id FROM project_members pm
+    WHERE pm.user_id = ${userParam} AND pm.left_at IS NULL AND pm.role IN (${roles})`;
+};
+
+module.exports = {
+  PROJECT_ROLES,
+  PROJECT_ROLE_PERMISSIONS,
+  getProjectRole,
+  hasProjectPermission,
+  projectsWithPermissionSql
+};
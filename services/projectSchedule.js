@@ -0,0 +1,210 @@
+const db = require('../config/database');
+const { getSetting } = require('./settings');
+const { toDateOnly, addDays } = require('./projectTemplates');
+const { FINISHED_STATUSES } = require('./taskDependencies');
+
+const DEFAULT_HOURS_PER_DAY = 8;
+
+/**
+ * Critical path schedule of a project. Every task that is not canceled lasts
+ * estimated_hours / schedule_hours_per_day days (at least one) and starts once all
+ * of its prerequisites have finished. Days are calendar days counted from the
+ * project start (its start_date, or the day it was created).
+ *
+ * Earliest start/finish come from a forward pass, latest start/finish from a backward
+ * pass ending at the project finish; slack is the difference and tasks without slack
+ * are critical. Finish dates are the last day of work.
+ *
+ * Returns { schedule } or { cycle: [task titles] } when dependencies loop.
+ */
+const getSchedule = async (projectId) => {
+  const projectResult = await db.query(
+    `SELECT id, name, organisation_id, COALESCE(start_date, created_at::date) as start_date, end_date
+     FROM projects WHERE id = $1`,
+    [projectId]
+  );
+  if (projectResult.rows.length === 0) {
+    return null;
+  }
+  const project = projectResult.rows[0];
+
+  const [tasksResult, dependenciesResult, milestonesResult, hoursPerDaySetting] = await Promise.all([
+    db.query(
+      `SELECT t.id, t.title, t.status, t.priority, t.milestone_id, t.estimated_hours, t.actual_hours,
+              t.due_date::date as due_date, t.started_at, t.completed_at, t.order_index,
+              u.first_name || ' ' || u.last_name as assigned_to_name, t.assigned_to as assigned_to_id
+       FROM tasks t
+       LEFT JOIN users u ON t.assigned_to = u.id
+       WHERE t.project_id = $1 AND t.status != 'canceled'
+       ORDER BY t.order_index, t.created_at`,
+      [projectId]
+    ),
+    db.query(
+      `SELECT td.task_id, td.depends_on_task_id
+       FROM task_dependencies td
+       JOIN tasks t ON t.id = td.task_id
+       JOIN tasks prerequisite ON prerequisite.id = td.depends_on_task_id
+       WHERE t.project_id = $1 AND t.status != 'canceled' AND prerequisite.status != 'canceled'`,
+      [projectId]
+    ),
+    db.query(
+      `SELECT id, name, due_date, is_completed
+       FROM milestones WHERE project_id = $1
+       ORDER BY order_index, due_date NULLS LAST, created_at`,
+      [projectId]
+    ),
+    getSetting('schedule_hours_per_day', DEFAULT_HOURS_PER_DAY, project.organisation_id)
+  ]);
+
+  // A zero, negative or non-numeric setting would make every duration infinite or negative
+  const hoursPerDay = Number(hoursPerDaySetting) > 0 ? Number(hoursPerDaySetting) : DEFAULT_HOURS_PER_DAY;
+
+  const tasks = new Map(tasksResult.rows.map(task => [task.id, {
+    ...task,
+    duration_days: Math.max(1, Math.ceil((task.estimated_hours || 0) / hoursPerDay)),
+    depends_on: [],
+    dependents: []
+  }]));
+  for (const { task_id, depends_on_task_id } of dependenciesResult.rows) {
+    tasks.get(task_id).depends_on.push(depends_on_task_id);
+    tasks.get(depends_on_task_id).dependents.push(task_id);
+  }
+
+  // Topological order (Kahn); whatever is left over sits on a cycle
+  const order = [];
+  const remaining = new Map([...tasks.values()].map(task => [task.id, task.depends_on.length]));
+  const ready = [...tasks.values()].filter(task => task.depends_on.length === 0).map(task => task.id);
+  while (ready.length > 0) {
+    const taskId = ready.shift();
+    order.push(tasks.get(taskId));
+    for (const dependentId of tasks.get(taskId).dependents) {
+      remaining.set(dependentId, remaining.get(dependentId) - 1);
+      if (remaining.get(dependentId) === 0) {
+        ready.push(dependentId);
+      }
+    }
+  }
+  if (order.length < tasks.size) {
+    const scheduled = new Set(order.map(task => task.id));
+    return { cycle: [...tasks.values()].filter(task => !scheduled.has(task.id)).map(task => task.title) };
+  }
+
+  // Forward pass
+  for (const task of order) {
+    task.es = Math.max(0, ...task.depends_on.map(id => tasks.get(id).ef));
+    task.ef = task.es + task.duration_days;
+  }
+  const finishDay = Math.max(0, ...order.map(task => task.ef));
+
+  // Backward pass
+  for (const task of [...order].reverse()) {
+    task.lf = Math.min(finishDay, ...task.dependents.map(id => tasks.get(id).ls));
+    task.ls = task.lf - task.duration_days;
+  }
+
+  const startDate = toDateOnly(project.start_date);
+  const scheduled = order.map(({ es, ef, ls, lf, dependents, ...task }) => {
+    const earliestFinish = addDays(startDate, ef - 1);
+    const dueDate = task.due_date ? toDateOnly(task.due_date) : null;
+    return {
+      ...task,
+      due_date: dueDate,
+      earliest_start: addDays(startDate, es),
+      earliest_finish: earliestFinish,
+      latest_start: addDays(startDate, ls),
+      latest_finish: addDays(startDate, lf - 1),
+      slack_days: ls - es,
+      is_critical: ls === es,
+      is_finished: FINISHED_STATUSES.includes(task.status),
+      misses_due_date: dueDate !== null && earliestFinish > dueDate
+    };
+  });
+  const byStart = (a, b) => a.earliest_start.localeCompare(b.earliest_start) || a.order_index - b.order_index;
+
+  // Gantt rows: one group per milestone, then the tasks without one
+  const groups = [...milestonesResult.rows, null].map(milestone => {
+    const groupTasks = scheduled
+      .filter(task => task.milestone_id === (milestone ? milestone.id : null))
+      .sort(byStart);
+    return {
+      milestone: milestone && { ...milestone, due_date: milestone.due_date && toDateOnly(milestone.due_date) },
+      start: groupTasks.length > 0 ? groupTasks[0].earliest_start : null,
+      finish: groupTasks.reduce((latest, task) => (latest > task.earliest_finish ? latest : task.earliest_finish), null),
+      tasks: groupTasks
+    };
+  }).filter(group => group.milestone || group.tasks.length > 0);
+
+  const projectFinish = scheduled.length > 0 ? addDays(startDate, finishDay - 1) : null;
+
+  return {
+    schedule: {
+      project_id: project.id,
+      start_date: startDate,
+      finish_date: projectFinish,
+      duration_days: finishDay,
+      end_date: project.end_date && toDateOnly(project.end_date),
+      misses_end_date: Boolean(project.end_date && projectFinish && projectFinish > toDateOnly(project.end_date)),
+      hours_per_day: hoursPerDay,
+      critical_path: scheduled
+        .filter(task => task.is_critical)
+        .sort(byStart)
+        .map(task => ({ id: task.id, title: task.title, earliest_start: task.earliest_start, earliest_finish: task.earliest_finish })),
+      milestones: groups
+    }
+  };
+};
+
+/**
+ * Move a task's due date. With cascade, every task that depends on it (directly or
+ * further down the chain) and has a due date is shifted by the same number of days,
+ * except finished ones. Pass a transaction's query function; the project's dependency
+ * lock keeps the graph from changing meanwhile.
+ * Returns { task, shift_days, shifted } or null when the task is not in the project.
+ */
+const rescheduleTask = async (query, projectId, taskId, dueDate, cascade) => {
+  await query('SELECT pg_advisory_xact_lock(hashtext($1))', [`task_dependencies:${projectId}`]);
+
+  const currentResult = await query(
+    `SELECT id, $2::date - due_date::date as shift_days
+     FROM tasks WHERE id = $1 AND project_id = $3
+     FOR UPDATE`,
+    [taskId, dueDate, projectId]
+  );
+  if (currentResult.rows.length === 0) {
+    return null;
+  }
+  const shiftDays = currentResult.rows[0].shift_days || 0;
+
+  const taskResult = await query(
+    `UPDATE tasks SET due_date = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING id, title, status, due_date`,
+    [taskId, dueDate]
+  );
+
+  let shifted = [];
+  if (cascade && shiftDays !== 0) {
+    const shiftedResult = await query(
+      `WITH RECURSIVE dependents(id) AS (
+         SELECT task_id FROM task_dependencies WHERE depends_on_task_id = $1
+         UNION
+         SELECT td.task_id FROM task_dependencies td JOIN dependents d ON td.depends_on_task_id = d.id
+       )
+       UPDATE tasks t
+       SET due_date = t.due_date + make_interval(days => $2), updated_at = CURRENT_TIMESTAMP
+       FROM dependents d
+       WHERE t.id = d.id AND t.id != $1 AND t.due_date IS NOT NULL AND t.status != ALL($3)
+       RETURNING t.id, t.title, t.status, t.due_date`,
+      [taskId, shiftDays, FINISHED_STATUSES]
+    );
+    shifted = shiftedResult.rows;
+  }
+
+  return { task: taskResult.rows[0], shift_days: shiftDays, shifted };
+};
+
+module.exports = {
+  DEFAULT_HOURS_PER_DAY,
+  getSchedule,
+  rescheduleTask
+};
@@ -0,0 +1,351 @@
+const db = require('../config/database');
+const { PROJECT_ROLES } = require('./projectRoles');
+
+/*
+ * A project structure is what a template stores and what cloning copies:
+ *
+ *   {
+ *     milestones: [{ key, name, description, due_offset_days, order_index, weight }],
+ *     tasks:      [{ key, milestone_key, parent_key, title, description, priority, estimated_hours,
+ *                    due_offset_days, order_index, depends_on: [task keys] }],
+ *     members:    [{ user_id, role, hourly_rate }]
+ *   }
+ *
+ * Keys only link entries within one structure (template row ids, project row ids,
+ * or any strings a client sends). Offsets are whole days after the project start.
+ */
+
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+const toDateOnly = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return date.toISOString().split('T')[0];
+};
+
+const addDays = (startDate, days) => {
+  if (days === null || days === undefined) return null;
+  const date = new Date(`${toDateOnly(startDate)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateOnly(date);
+};
+
+/**
+ * Returns an error message for a malformed structure, or null
+ */
+const validateStructure = ({ milestones = [], tasks = [], members = [] }) => {
+  const isOffset = (value) => value === null || value === undefined || Number.isInteger(value);
+
+  const milestoneKeys = new Set();
+  for (const milestone of milestones) {
+    if (!milestone.key || !milestone.name) return 'Every milestone needs a key and a name';
+    if (milestoneKeys.has(milestone.key)) return `Duplicate milestone key ${milestone.key}`;
+    if (!isOffset(milestone.due_offset_days)) return 'due_offset_days must be a whole number of days';
+    if (milestone.weight !== undefined && !(Number.isInteger(milestone.weight) && milestone.weight > 0)) {
+      return 'weight must be a whole number above 0';
+    }
+    milestoneKeys.add(milestone.key);
+  }
+
+  const taskKeys = new Set(tasks.map(task => task.key));
+  if (taskKeys.size !== tasks.length) return 'Every task needs a unique key';
+  for (const task of tasks) {
+    if (!task.key || !task.title) return 'Every task needs a key and a title';
+    if (task.milestone_key && !milestoneKeys.has(task.milestone_key)) return `Unknown milestone ${task.milestone_key}`;
+    if (task.parent_key === task.key) return 'A task cannot be its own parent';
+    if (task.parent_key && !taskKeys.has(task.parent_key)) return `Unknown parent task ${task.parent_key}`;
+    if (task.priority && !TASK_PRIORITIES.includes(task.priority)) return `Invalid priority ${task.priority}`;
+    if (task.estimated_hours !== undefined && task.estimated_hours !== null &&
+        !(Number.isInteger(task.estimated_hours) && task.estimated_hours >= 0)) {
+      return 'estimated_hours must be a positive whole number';
+    }
+    if (!isOffset(task.due_offset_days)) return 'due_offset_days must be a whole number of days';
+    for (const dependency of task.depends_on || []) {
+      if (dependency === task.key) return 'A task cannot depend on itself';
+      if (!taskKeys.has(dependency)) return `Unknown dependency ${dependency}`;
+    }
+  }
+
+  // Dependencies must not loop back (a -> b -> c -> a)
+  const dependsOn = new Map(tasks.map(task => [task.key, task.depends_on || []]));
+  const visited = new Set();
+  const onPath = new Set();
+  const findCycle = (key) => {
+    if (onPath.has(key)) return key;
+    if (visited.has(key)) return null;
+    visited.add(key);
+    onPath.add(key);
+    for (const dependency of dependsOn.get(key)) {
+      const cycleKey = findCycle(dependency);
+      if (cycleKey) return cycleKey;
+    }
+    onPath.delete(key);
+    return null;
+  };
+  for (const task of tasks) {
+    const cycleKey = findCycle(task.key);
+    if (cycleKey) return `Dependency cycle through task ${cycleKey}`;
+  }
+
+  // Following parents up must end at a top-level task
+  const parentOf = new Map(tasks.map(task => [task.key, task.parent_key || null]));
+  for (const task of tasks) {
+    const seen = new Set();
+    for (let key = task.key; key; key = parentOf.get(key)) {
+      if (seen.has(key)) return `Subtask cycle through task ${key}`;
+      seen.add(key);
+    }
+  }
+
+  const memberIds = new Set();
+  for (const member of members) {
+    if (!member.user_id) return 'Every member needs a user_id';
+    if (memberIds.has(member.user_id)) return `Duplicate member ${member.user_id}`;
+    if (member.role && !PROJECT_ROLES.includes(member.role)) return `Invalid project role ${member.role}`;
+    memberIds.add(member.user_id);
+  }
+
+  return null;
+};
+
+/**
+ * Structure of a template
+ */
+const loadTemplateStructure = async (templateId) => {
+  const [milestonesResult, tasksResult, dependenciesResult, membersResult] = await Promise.all([
+    db.query(
+      `SELECT id as key, name, description, due_offset_days, order_index, weight
+       FROM project_template_milestones WHERE template_id = $1
+       ORDER BY order_index, due_offset_days`,
+      [templateId]
+    ),
+    db.query(
+      `SELECT id as key, template_milestone_id as milestone_key, parent_template_task_id as parent_key,
+              title, description, priority, estimated_hours, due_offset_days, order_index
+       FROM project_template_tasks WHERE template_id = $1
+       ORDER BY order_index, due_offset_days`,
+      [templateId]
+    ),
+    db.query(
+      `SELECT d.template_task_id, d.depends_on_template_task_id
+       FROM project_template_task_dependencies d
+       JOIN project_template_tasks t ON d.template_task_id = t.id
+       WHERE t.template_id = $1`,
+      [templateId]
+    ),
+    db.query(
+      `SELECT tm.user_id, tm.role, tm.hourly_rate, u.first_name || ' ' || u.last_name as user_name
+       FROM project_template_members tm
+       JOIN users u ON tm.user_id = u.id
+       WHERE tm.template_id = $1`,
+      [templateId]
+    )
+  ]);
+
+  return {
+    milestones: milestonesResult.rows,
+    tasks: tasksResult.rows.map(task => ({
+      ...task,
+      depends_on: dependenciesResult.rows
+        .filter(dependency => dependency.template_task_id === task.key)
+        .map(dependency => dependency.depends_on_template_task_id)
+    })),
+    members: membersResult.rows
+  };
+};
+
+/**
+ * Structure of an existing project, with due dates turned into offsets from its
+ * start date (or its creation date when it has none)
+ */
+const captureProjectStructure = async (projectId) => {
+  const base = `(SELECT COALESCE(p.start_date, p.created_at::date) FROM projects p WHERE p.id = $1)`;
+
+  const [milestonesResult, tasksResult, dependenciesResult, membersResult] = await Promise.all([
+    db.query(
+      `SELECT id as key, name, description, due_date - ${base} as due_offset_days, order_index, weight
+       FROM milestones WHERE project_id = $1
+       ORDER BY order_index, due_date`,
+      [projectId]
+    ),
+    db.query(
+      `SELECT id as key, milestone_id as milestone_key, parent_task_id as parent_key, title, description,
+              priority, estimated_hours, due_date::date - ${base} as due_offset_days, order_index
+       FROM tasks WHERE project_id = $1
+       ORDER BY order_index, created_at`,
+      [projectId]
+    ),
+    db.query(
+      `SELECT td.task_id, td.depends_on_task_id
+       FROM task_dependencies td
+       JOIN tasks t ON td.task_id = t.id
+       WHERE t.project_id = $1`,
+      [projectId]
+    ),
+    db.query(
+      `SELECT pm.user_id, pm.role, pm.hourly_rate
+       FROM project_members pm
+       WHERE pm.project_id = $1 AND pm.left_at IS NULL`,
+      [projectId]
+    )
+  ]);
+
+  return {
+    milestones: milestonesResult.rows,
+    tasks: tasksResult.rows.map(task => ({
+      ...task,
+      depends_on: dependenciesResult.rows
+        .filter(dependency => dependency.task_id === task.key)
+        .map(dependency => dependency.depends_on_task_id)
+    })),
+    members: membersResult.rows
+  };
+};
+
+/**
+ * Replace a template's milestones, tasks and members with a structure
+ */
+const saveTemplateStructure = async (query, templateId, { milestones = [], tasks = [], members = [] }) => {
+  await query('DELETE FROM project_template_milestones WHERE template_id = $1', [templateId]);
+  await query('DELETE FROM project_template_tasks WHERE template_id = $1', [templateId]);
+  await query('DELETE FROM project_template_members WHERE template_id = $1', [templateId]);
+
+  const milestoneIds = {};
+  for (const [index, milestone] of milestones.entries()) {
+    const result = await query(
+      `INSERT INTO project_template_milestones (template_id, name, description, due_offset_days, order_index, weight)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [templateId, milestone.name, milestone.description || null, milestone.due_offset_days ?? null,
+        milestone.order_index ?? index, milestone.weight ?? 1]
+    );
+    milestoneIds[milestone.key] = result.rows[0].id;
+  }
+
+  const taskIds = {};
+  for (const [index, task] of tasks.entries()) {
+    const result = await query(
+      `INSERT INTO project_template_tasks (
+         template_id, template_milestone_id, title, description, priority,
+         estimated_hours, due_offset_days, order_index
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [
+        templateId, milestoneIds[task.milestone_key] || null, task.title, task.description || null,
+        task.priority || 'medium', task.estimated_hours ?? null, task.due_offset_days ?? null,
+        task.order_index ?? index
+      ]
+    );
+    taskIds[task.key] = result.rows[0].id;
+  }
+
+  // Parents are linked once every task exists, since a subtask may come first
+  for (const task of tasks.filter(t => t.parent_key)) {
+    await query(
+      'UPDATE project_template_tasks SET parent_template_task_id = $2 WHERE id = $1',
+      [taskIds[task.key], taskIds[task.parent_key]]
+    );
+  }
+
+  for (const task of tasks) {
+    for (const dependency of task.depends_on || []) {
+      await query(
+        `INSERT INTO project_template_task_dependencies (template_task_id, depends_on_template_task_id)
+         VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+        [taskIds[task.key], taskIds[dependency]]
+      );
+    }
+  }
+
+  for (const member of members) {
+    await query(
+      'INSERT INTO project_template_members (template_id, user_id, role, hourly_rate) VALUES ($1, $2, $3, $4)',
+      [templateId, member.user_id, member.role || 'contributor', member.hourly_rate ?? null]
+    );
+  }
+};
+
+/**
+ * Create a structure's milestones, tasks, dependencies and members in a project
+ * that starts on startDate. Tasks start as new and unassigned; members who are no
+ * longer active in the organisation are skipped.
+ */
+const instantiateStructure = async (query, projectId, structure, { startDate, createdBy, organisationId }) => {
+  const { milestones = [], tasks = [], members = [] } = structure;
+
+  const milestoneIds = {};
+  for (const [index, milestone] of milestones.entries()) {
+    const result = await query(
+      `INSERT INTO milestones (project_id, name, description, due_date, order_index, weight)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [projectId, milestone.name, milestone.description || null, addDays(startDate, milestone.due_offset_days),
+        milestone.order_index ?? index + 1, milestone.weight ?? 1]
+    );
+    milestoneIds[milestone.key] = result.rows[0].id;
+  }
+
+  const taskIds = {};
+  for (const [index, task] of tasks.entries()) {
+    const result = await query(
+      `INSERT INTO tasks (
+         project_id, milestone_id, created_by, title, description, priority,
+         estimated_hours, due_date, order_index
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+      [
+        projectId, milestoneIds[task.milestone_key] || null, createdBy, task.title, task.description || null,
+        task.priority || 'medium', task.estimated_hours ?? null, addDays(startDate, task.due_offset_days),
+        task.order_index ?? index
+      ]
+    );
+    taskIds[task.key] = result.rows[0].id;
+  }
+
+  for (const task of tasks.filter(t => t.parent_key)) {
+    await query('UPDATE tasks SET parent_task_id = $2 WHERE id = $1', [taskIds[task.key], taskIds[task.parent_key]]);
+  }
+
+  let dependencyCount = 0;
+  for (const task of tasks) {
+    for (const dependency of task.depends_on || []) {
+      await query(
+        'INSERT INTO task_dependencies (task_id, depends_on_task_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [taskIds[task.key], taskIds[dependency]]
+      );
+      dependencyCount++;
+    }
+  }
+
+  let memberCount = 0;
+  if (members.length > 0) {
+    const activeResult = await query(
+      'SELECT id FROM users WHERE id = ANY($1) AND organisation_id = $2 AND is_active = true',
+      [members.map(member => member.user_id), organisationId]
+    );
+    const activeIds = new Set(activeResult.rows.map(row => row.id));
+
+    for (const member of members.filter(m => activeIds.has(m.user_id))) {
+      const result = await query(
+        `INSERT INTO project_members (project_id, user_id, role, hourly_rate) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (project_id, user_id) DO NOTHING RETURNING id`,
+        [projectId, member.user_id, member.role || 'contributor', member.hourly_rate ?? null]
+      );
+      memberCount += result.rows.length;
+    }
+  }
+
+  return {
+    milestones: milestones.length,
+    tasks: tasks.length,
+    dependencies: dependencyCount,
+    members: memberCount
+  };
+};
+
+module.exports = {
+  toDateOnly,
+  addDays,
+  validateStructure,
+  loadTemplateStructure,
+  captureProjectStructure,
+  saveTemplateStructure,
+  instantiateStructure
+};
@@ -0,0 +1,119 @@
+const db = require('../config/database');
+
+// How progress_percentage is computed (see database/project_progress_schema.sql)
+const PROGRESS_METHODS = ['tasks', 'hours', 'milestones'];
+
+/**
+ * Checks the company and project manager named for a new project. Returns an
+ * error message, or null when both belong to the user's organisation.
+ */
+const checkProjectReferences = async (user, { company_id, project_manager_id }) => {
+  const companyCheck = await db.query(
+    'SELECT id FROM companies WHERE id = $1 AND organisation_id = $2',
+    [company_id, user.organisation_id]
+  );
+  if (companyCheck.rows.length === 0) {
+    return 'Company not found';
+  }
+
+  if (project_manager_id) {
+    const managerCheck = await db.query(
+      'SELECT id FROM users WHERE id = $1 AND role IN ($2, $3) AND is_active = true AND organisation_id = $4',
+      [project_manager_id, 'administrator', 'developer', user.organisation_id]
+    );
+    if (managerCheck.rows.length === 0) {
+      return 'Invalid project manager';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Insert a project and make its creator an owner when someone else manages it.
+ * Pass a transaction's query function to create it together with other rows.
+ */
+const insertProject = async (query, user, fields) => {
+  const {
+    name,
+    description,
+    company_id,
+    project_manager_id,
+    budget,
+    currency = 'USD',
+    start_date,
+    end_date,
+    estimated_hours,
+    repository_url,
+    progress_method = 'tasks'
+  } = fields;
+
+  const result = await query(
+    `INSERT INTO projects (
+       name, description, company_id, project_manager_id,
+       budget, currency, start_date, end_date, estimated_hours, repository_url, organisation_id, progress_method
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING id, name, status, start_date, created_at`,
+    [
+      name, description, company_id, project_manager_id || user.id,
+      budget, currency, start_date, end_date, estimated_hours, repository_url, user.organisation_id, progress_method
+    ]
+  );
+  const project = result.rows[0];
+
+  // Add creator as team member if not already project manager
+  if (!project_manager_id || project_manager_id !== user.id) {
+    await query(
+      'INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, $3)',
+      [project.id, user.id, 'owner']
+    );
+  }
+
+  return project;
+};
+
+/**
+ * What purging a project would remove. Invoices are listed because they block the
+ * purge: they reference the project (or its time entries) and are kept as billing history.
+ */
+const getPurgeSummary = async (projectId) => {
+  const projectFiles = `
+    SELECT f.id, f.file_size FROM files f
+    LEFT JOIN tasks t ON f.task_id = t.id
+    WHERE COALESCE(f.project_id, t.project_id) = $1`;
+
+  const result = await db.query(
+    `SELECT
+       (SELECT COUNT(*) FROM milestones WHERE project_id = $1) as milestones,
+       (SELECT COUNT(*) FROM tasks WHERE project_id = $1) as tasks,
+       (SELECT COUNT(*) FROM (${projectFiles}) pf) as files,
+       (SELECT COALESCE(SUM(pf.file_size), 0) FROM (${projectFiles}) pf) as file_bytes,
+       (SELECT COUNT(*) FROM comments c LEFT JOIN tasks t ON c.task_id = t.id
+        WHERE COALESCE(c.project_id, t.project_id) = $1) as comments,
+       (SELECT COUNT(*) FROM time_entries WHERE project_id = $1) as time_entries,
+       (SELECT COALESCE(SUM(hours_worked), 0) FROM time_entries WHERE project_id = $1) as hours_logged,
+       (SELECT COUNT(*) FROM project_members WHERE project_id = $1) as members,
+       (SELECT COUNT(*) FROM chat_rooms WHERE project_id = $1) as chat_rooms,
+       (SELECT COUNT(*) FROM chat_messages m JOIN chat_rooms r ON m.chat_room_id = r.id
+        WHERE r.project_id = $1) as chat_messages,
+       (SELECT COUNT(DISTINCT i.id) FROM invoices i
+        LEFT JOIN invoice_items ii ON ii.invoice_id = i.id
+        LEFT JOIN time_entries te ON ii.time_entry_id = te.id
+        WHERE i.project_id = $1 OR te.project_id = $1) as invoices`,
+    [projectId]
+  );
+
+  const summary = {};
+  for (const [key, value] of Object.entries(result.rows[0])) {
+    summary[key] = key === 'hours_logged' ? parseFloat(value) : parseInt(value);
+  }
+  return summary;
+};
+
+module.exports = {
+  PROGRESS_METHODS,
+  checkProjectReferences,
+  insertProject,
+  getPurgeSummary
+};
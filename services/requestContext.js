@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request values that must reach code without access to req, such as the database wrapper
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn (usually Express's next) with the given context visible to everything it awaits
+ */
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+const getRequestContext = () => storage.getStore() || null;
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext
+};
@@ -0,0 +1,205 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const REFRESH_TOKEN_TTL = '30d';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens carry the session id so revocation takes effect immediately
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+};
+
+// The jti makes every refresh token unique, even when two are minted in the same second
+const generateRefreshToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: REFRESH_TOKEN_TTL,
+    jwtid: crypto.randomBytes(16).toString('hex')
+  });
+};
+
+/**
+ * Create a new session for a user and issue its first token pair
+ */
+const createSession = async (userId, req) => {
+  const sessionId = crypto.randomUUID();
+  const token = generateToken(userId, sessionId);
+  const refreshToken = generateRefreshToken(userId, sessionId);
+  const { exp } = jwt.decode(refreshToken);
+
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, to_timestamp($6))`,
+    [sessionId, userId, hashToken(refreshToken), req.ip, req.get('User-Agent'), exp]
+  );
+
+  return { token, refreshToken, sessionId };
+};
+
+/**
+ * Start an administrator impersonation of another user. The session belongs to
+ * the target but records the impersonator; the single access token carries
+ * both identities and there is no refresh token, so it simply runs out.
+ */
+const createImpersonationSession = async (impersonatorId, targetUserId, req, { minutes, reason }) => {
+  const sessionId = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId: targetUserId, sid: sessionId, imp: impersonatorId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${minutes}m` }
+  );
+  const { exp } = jwt.decode(token);
+
+  // No refresh token is issued; a random hash keeps rotateSession from ever matching
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, ip_address, user_agent, expires_at, impersonator_id, impersonation_reason)
+     VALUES ($1, $2, $3, $4, $5, to_timestamp($6), $7, $8)`,
+    [sessionId, targetUserId, hashToken(crypto.randomBytes(32).toString('hex')), req.ip, req.get('User-Agent'), exp, impersonatorId, reason]
+  );
+
+  return { token, sessionId, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a refresh token that has already been rotated out means it was
+ * copied somewhere; the whole session is revoked so neither copy works.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+  if (!decoded.sid) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const sessionResult = await db.query(
+    `SELECT s.id, s.user_id, s.refresh_token_hash, s.revoked_at, s.expires_at
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = $1 AND s.user_id = $2 AND u.is_active = true`,
+    [decoded.sid, decoded.userId]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    return { error: 'Session not found' };
+  }
+
+  const session = sessionResult.rows[0];
+
+  if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return { error: 'Session has been revoked' };
+  }
+
+  if (session.refresh_token_hash !== hashToken(refreshToken)) {
+    await revokeSession(session.id, 'token_reuse');
+
+    await db.query(
+      'INSERT INTO activity_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+      [session.user_id, 'refresh_token_reuse_detected', 'session', session.id, { user_agent: req.get('User-Agent') }, req.ip]
+    );
+
+    return { error: 'Refresh token has already been used', reused: true };
+  }
+
+  const token = generateToken(session.user_id, session.id);
+  const newRefreshToken = generateRefreshToken(session.user_id, session.id);
+  const { exp } = jwt.decode(newRefreshToken);
+
+  // Compare-and-swap on the old hash so two concurrent refreshes cannot both win
+  const updateResult = await db.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $1, rotation_count = rotation_count + 1,
+         expires_at = to_timestamp($2), ip_address = $3, user_agent = $4
+     WHERE id = $5 AND refresh_token_hash = $6 AND revoked_at IS NULL
+     RETURNING id`,
+    [hashToken(newRefreshToken), exp, req.ip, req.get('User-Agent'), session.id, session.refresh_token_hash]
+  );
+
+  if (updateResult.rows.length === 0) {
+    await revokeSession(session.id, 'token_reuse');
+    return { error: 'Refresh token has already been used', reused: true };
+  }
+
+  return { token, refreshToken: newRefreshToken, sessionId: session.id, userId: session.user_id };
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, reason]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one (usually the caller's)
+ */
+const revokeUserSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const result = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+     AND ($3::uuid IS NULL OR id != $3::uuid)
+     RETURNING id`,
+    [userId, reason, exceptSessionId]
+  );
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * List a user's live sessions, most recently used first
+ */
+const listUserSessions = async (userId) => {
+  const result = await db.query(
+    `SELECT id, ip_address, user_agent, created_at,
+            COALESCE(last_seen_at, updated_at) as last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY COALESCE(last_seen_at, updated_at) DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Record activity on a session, at most once a minute per session
+ */
+const touchSession = async (sessionId, req) => {
+  await db.query(
+    `UPDATE user_sessions
+     SET last_seen_at = CURRENT_TIMESTAMP, ip_address = $2, user_agent = COALESCE($3, user_agent)
+     WHERE id = $1 AND (last_seen_at IS NULL OR last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+    [sessionId, req.ip, req.get('User-Agent')]
+  );
+};
+
+/**
+ * Disconnect Socket.IO clients authenticated with any of the given sessions
+ */
+const disconnectSessions = (io, sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach(sessionId => {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  });
+};
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  touchSession,
+  disconnectSessions,
+  hashToken
+};
@@ -0,0 +1,45 @@
+const db = require('../config/database');
+const { getDefaultOrganisationId } = require('./organisations');
+
+/**
+ * Convert a stored setting string into its typed value
+ */
+const parseSettingValue = (value, dataType) => {
+  switch (dataType) {
+    case 'boolean':
+      return value === 'true';
+    case 'number':
+      return parseFloat(value);
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return value;
+      }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Read a single system setting of an organisation (the default one when not given),
+ * falling back to a default value when it is missing or inactive
+ */
+const getSetting = async (key, defaultValue = null, organisationId = null) => {
+  const result = await db.query(
+    `SELECT setting_value, data_type FROM system_settings
+     WHERE setting_key = $1 AND organisation_id = $2 AND is_active = true`,
+    [key, organisationId || await getDefaultOrganisationId()]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].setting_value === null) {
+    return defaultValue;
+  }
+
+  return parseSettingValue(result.rows[0].setting_value, result.rows[0].data_type);
+};
+
+module.exports = {
+  parseSettingValue,
+  getSetting
+};
@@ -0,0 +1,163 @@
+const db = require('../config/database');
+const { blockedSql } = require('./taskDependencies');
+const { workflowStatusJoin, workflowStatusColumns, getWorkflow, resolveStatus } = require('./taskWorkflows');
+
+/*
+ * Board columns are the statuses of the project's workflow; cards are ordered by
+ * order_index (then creation). Positions are spaced ORDER_GAP apart so a move only
+ * rewrites the moved card, taking the midpoint of its new neighbours. When there is no
+ * room left between them the column is renumbered. Moves and reorders take a
+ * per-project lock, so concurrent drags are applied one after the other.
+ */
+
+const ORDER_GAP = 1024;
+
+// Tasks of a column, by the key of their workflow status
+const COLUMN_SQL = 'COALESCE(workflow_status, status::text)';
+
+/**
+ * Serialise board changes of a project until the transaction ends
+ */
+const lockBoard = (query, projectId) =>
+  query('SELECT pg_advisory_xact_lock(hashtext($1))', [`task_board:${projectId}`]);
+
+/**
+ * Ids of a column's tasks in board order, leaving out excludeTaskId
+ */
+const loadColumn = async (query, projectId, statusKey, excludeTaskId = null) => {
+  const result = await query(
+    `SELECT id, order_index FROM tasks
+     WHERE project_id = $1 AND ${COLUMN_SQL} = $2 AND ($3::uuid IS NULL OR id != $3::uuid)
+     ORDER BY order_index, created_at`,
+    [projectId, statusKey, excludeTaskId]
+  );
+  return result.rows;
+};
+
+/**
+ * Give tasks the positions of their place in the list, ORDER_GAP apart. skipTaskId keeps
+ * its place in the numbering but is not written (the caller stores its position).
+ */
+const renumber = async (query, taskIds, skipTaskId = null) => {
+  const positions = taskIds
+    .map((id, index) => ({ id, order_index: (index + 1) * ORDER_GAP }))
+    .filter(position => position.id !== skipTaskId);
+  const result = await query(
+    `UPDATE tasks t SET order_index = v.order_index
+     FROM unnest($1::uuid[], $2::int[]) AS v(id, order_index)
+     WHERE t.id = v.id AND t.order_index IS DISTINCT FROM v.order_index
+     RETURNING t.id, t.order_index`,
+    [positions.map(position => position.id), positions.map(position => position.order_index)]
+  );
+  return result.rows;
+};
+
+/**
+ * Position for a task entering a column right after afterTaskId or right before
+ * beforeTaskId (at the end when neither is given). Other tasks of the column are
+ * renumbered when there is no room; the task's own position is returned, not written.
+ * Returns { order_index, rebalanced: [{ id, order_index }] } or { error }.
+ */
+const placeInColumn = async (query, projectId, statusKey, taskId, { afterTaskId = null, beforeTaskId = null } = {}) => {
+  const column = await loadColumn(query, projectId, statusKey, taskId);
+
+  let index = column.length;
+  const neighbourId = afterTaskId || beforeTaskId;
+  if (neighbourId) {
+    const neighbourIndex = column.findIndex(task => task.id === neighbourId);
+    if (neighbourIndex === -1) {
+      return { error: 'The neighbouring task is not in that column' };
+    }
+    index = afterTaskId ? neighbourIndex + 1 : neighbourIndex;
+  }
+
+  const above = index > 0 ? column[index - 1].order_index : null;
+  const below = index < column.length ? column[index].order_index : null;
+
+  if (above === null && below === null) {
+    return { order_index: ORDER_GAP, rebalanced: [] };
+  }
+  if (above === null) {
+    return { order_index: below - ORDER_GAP, rebalanced: [] };
+  }
+  if (below === null) {
+    return { order_index: above + ORDER_GAP, rebalanced: [] };
+  }
+  if (below - above >= 2) {
+    return { order_index: Math.floor((above + below) / 2), rebalanced: [] };
+  }
+
+  const ids = column.map(task => task.id);
+  ids.splice(index, 0, taskId);
+  const rebalanced = await renumber(query, ids, taskId);
+  return { order_index: (index + 1) * ORDER_GAP, rebalanced };
+};
+
+/**
+ * Put a column's tasks in the given order; tasks left out keep their relative order
+ * after the listed ones. Returns { order: [{ id, order_index }] } or { error }.
+ */
+const reorderColumn = async (query, projectId, statusKey, taskIds) => {
+  const column = await loadColumn(query, projectId, statusKey);
+  const columnIds = new Set(column.map(task => task.id));
+  const unknown = taskIds.filter(id => !columnIds.has(id));
+  if (unknown.length > 0) {
+    return { error: 'Some tasks are not in that column', task_ids: unknown };
+  }
+
+  const listed = new Set(taskIds);
+  const ids = [...taskIds, ...column.map(task => task.id).filter(id => !listed.has(id))];
+  await renumber(query, ids);
+  return { order: ids.map((id, index) => ({ id, order_index: (index + 1) * ORDER_GAP })) };
+};
+
+/**
+ * Board of a project: one column per workflow status with its cards in order.
+ * Filters: milestone_id, assigned_to.
+ */
+const getBoard = async (projectId, scope, { milestone_id = null, assigned_to = null } = {}) => {
+  const workflow = await getWorkflow(projectId);
+
+  const params = [projectId, milestone_id, assigned_to];
+  const result = await db.query(
+    `SELECT
+       t.id, t.parent_task_id, t.title, t.priority, t.status, t.order_index,
+       t.estimated_hours, t.actual_hours, t.due_date, t.milestone_id,
+       assigned_user.first_name || ' ' || assigned_user.last_name as assigned_to_name,
+       assigned_user.id as assigned_to_id,
+       (SELECT COUNT(*)::int FROM tasks sub WHERE sub.parent_task_id = t.id) as subtask_count,
+       ${workflowStatusColumns('t')},
+       ${blockedSql('t')} as blocked
+     FROM tasks t
+     LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
+     ${workflowStatusJoin('t')}
+     WHERE t.project_id = $1
+       AND ($2::uuid IS NULL OR t.milestone_id = $2::uuid)
+       AND ($3::uuid IS NULL OR t.assigned_to = $3::uuid)
+       AND ${scope.tasks('t', params)}
+     ORDER BY t.order_index, t.created_at`,
+    params
+  );
+
+  const columns = workflow.statuses.map(status => ({ ...status, tasks: [] }));
+  for (const task of result.rows) {
+    const status = resolveStatus(workflow, { workflow_status: task.workflow_status, status: task.status });
+    const column = status && columns.find(candidate => candidate.key === status.key);
+    if (column) {
+      column.tasks.push(task);
+    }
+  }
+
+  return {
+    workflow: { id: workflow.id, name: workflow.name, is_default: workflow.is_default, transitions: workflow.transitions },
+    columns: columns.map(column => ({ ...column, task_count: column.tasks.length }))
+  };
+};
+
+module.exports = {
+  ORDER_GAP,
+  lockBoard,
+  placeInColumn,
+  reorderColumn,
+  getBoard
+};
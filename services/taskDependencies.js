@@ -0,0 +1,111 @@
+const db = require('../config/database');
+
+// Statuses after which a task no longer holds up the tasks depending on it
+const FINISHED_STATUSES = ['completed', 'canceled'];
+
+// Statuses a task can only move to once its prerequisites are finished (when enforced)
+const GATED_STATUSES = ['in_progress', 'completed'];
+
+/**
+ * SQL expression that is true while the task aliased as taskAlias has unfinished prerequisites
+ */
+const blockedSql = (taskAlias) => `EXISTS (
+  SELECT 1 FROM task_dependencies blocker_td
+  JOIN tasks blocker ON blocker.id = blocker_td.depends_on_task_id
+  WHERE blocker_td.task_id = ${taskAlias}.id
+    AND blocker.status NOT IN (${FINISHED_STATUSES.map(status => `'${status}'`).join(', ')})
+)`;
+
+/**
+ * The chain of dependencies from dependsOnTaskId back to taskId (both included) if
+ * making taskId depend on dependsOnTaskId would close a cycle, otherwise null. Walks the
+ * project's dependencies breadth first, visiting each task once, so the chain is a
+ * shortest one.
+ */
+const findDependencyCycle = async (query, taskId, dependsOnTaskId) => {
+  const result = await query(
+    `SELECT td.task_id, td.depends_on_task_id
+     FROM task_dependencies td
+     JOIN tasks t ON t.id = td.task_id
+     WHERE t.project_id = (SELECT project_id FROM tasks WHERE id = $1)`,
+    [dependsOnTaskId]
+  );
+
+  const prerequisites = new Map();
+  for (const { task_id, depends_on_task_id } of result.rows) {
+    if (!prerequisites.has(task_id)) {
+      prerequisites.set(task_id, []);
+    }
+    prerequisites.get(task_id).push(depends_on_task_id);
+  }
+
+  // Each reached task keeps the task it was reached from, to rebuild the chain
+  const reachedFrom = new Map([[dependsOnTaskId, null]]);
+  const queue = [dependsOnTaskId];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === taskId) {
+      const path = [];
+      for (let id = current; id !== null; id = reachedFrom.get(id)) {
+        path.unshift(id);
+      }
+      return path;
+    }
+    for (const next of prerequisites.get(current) || []) {
+      if (!reachedFrom.has(next)) {
+        reachedFrom.set(next, current);
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Add a dependency unless it would create a cycle. Runs in a transaction holding a
+ * per-project lock, so two requests cannot each add half of a cycle.
+ * Returns { dependency } or { cycle: [task titles] }.
+ */
+const addDependency = async (projectId, taskId, dependsOnTaskId) => {
+  return db.transaction(async (query) => {
+    await query('SELECT pg_advisory_xact_lock(hashtext($1))', [`task_dependencies:${projectId}`]);
+
+    const cycle = await findDependencyCycle(query, taskId, dependsOnTaskId);
+    if (cycle) {
+      const titlesResult = await query('SELECT id, title FROM tasks WHERE id = ANY($1::uuid[])', [cycle]);
+      const titles = Object.fromEntries(titlesResult.rows.map(row => [row.id, row.title]));
+      return { cycle: [titles[taskId], ...cycle.map(id => titles[id])] };
+    }
+
+    const result = await query(
+      'INSERT INTO task_dependencies (task_id, depends_on_task_id) VALUES ($1, $2) RETURNING id, task_id, depends_on_task_id',
+      [taskId, dependsOnTaskId]
+    );
+    return { dependency: result.rows[0] };
+  });
+};
+
+/**
+ * Prerequisites of a task that are not finished yet. Takes an optional transaction
+ * query function, as getWorkflow does.
+ */
+const getOpenBlockers = async (taskId, query = db.query) => {
+  const result = await query(
+    `SELECT t.id, t.title, t.status
+     FROM task_dependencies td
+     JOIN tasks t ON t.id = td.depends_on_task_id
+     WHERE td.task_id = $1 AND t.status != ALL($2)
+     ORDER BY t.title`,
+    [taskId, FINISHED_STATUSES]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  FINISHED_STATUSES,
+  GATED_STATUSES,
+  blockedSql,
+  findDependencyCycle,
+  addDependency,
+  getOpenBlockers
+};
@@ -0,0 +1,131 @@
+const db = require('../config/database');
+const { FINISHED_STATUSES, blockedSql } = require('./taskDependencies');
+const { workflowStatusJoin, workflowStatusColumns } = require('./taskWorkflows');
+
+/**
+ * Join adding subtask_count, open_subtask_count, total_estimated_hours and
+ * total_actual_hours (the task and all its subtasks) for the task aliased as taskAlias
+ */
+const subtreeTotalsJoin = (taskAlias, totalsAlias = 'totals') =>
+  `LEFT JOIN LATERAL task_subtree_totals(${taskAlias}.id) ${totalsAlias} ON true`;
+
+/**
+ * Subtasks of a task, at any depth, that are not finished yet. Takes an optional
+ * transaction query function, as getWorkflow does.
+ */
+const getOpenSubtasks = async (taskId, query = db.query) => {
+  const result = await query(
+    `WITH RECURSIVE subtree(id) AS (
+       SELECT id FROM tasks WHERE parent_task_id = $1
+       UNION ALL
+       SELECT t.id FROM tasks t JOIN subtree s ON t.parent_task_id = s.id
+     )
+     SELECT t.id, t.title, t.status
+     FROM tasks t JOIN subtree s ON s.id = t.id
+     WHERE t.status != ALL($2)
+     ORDER BY t.title`,
+    [taskId, FINISHED_STATUSES]
+  );
+  return result.rows;
+};
+
+/**
+ * Whether candidateId is taskId itself or one of its subtasks at any depth
+ */
+const isInSubtree = async (taskId, candidateId) => {
+  const result = await db.query(
+    `WITH RECURSIVE subtree(id) AS (
+       SELECT $1::uuid
+       UNION
+       SELECT t.id FROM tasks t JOIN subtree s ON t.parent_task_id = s.id
+     )
+     SELECT 1 FROM subtree WHERE id = $2`,
+    [taskId, candidateId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Whether a dependency links taskId or one of its subtasks with parentTaskId or one of
+ * its ancestors, i.e. whether moving taskId under parentTaskId would make a task depend
+ * on its own parent or subtask
+ */
+const hasLineageDependency = async (taskId, parentTaskId) => {
+  const result = await db.query(
+    `WITH RECURSIVE subtree(id) AS (
+       SELECT $1::uuid
+       UNION
+       SELECT t.id FROM tasks t JOIN subtree s ON t.parent_task_id = s.id
+     ), ancestors(id) AS (
+       SELECT $2::uuid
+       UNION
+       SELECT t.parent_task_id FROM tasks t JOIN ancestors a ON t.id = a.id
+       WHERE t.parent_task_id IS NOT NULL
+     )
+     SELECT 1 FROM task_dependencies td
+     WHERE (td.task_id IN (SELECT id FROM subtree) AND td.depends_on_task_id IN (SELECT id FROM ancestors))
+        OR (td.depends_on_task_id IN (SELECT id FROM subtree) AND td.task_id IN (SELECT id FROM ancestors))
+     LIMIT 1`,
+    [taskId, parentTaskId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Subtask trees of the given tasks, keyed by their id. Each subtask carries its own
+ * subtasks array; subtasks the scope hides are left out together with theirs.
+ */
+const loadSubtaskTrees = async (taskIds, scope) => {
+  const trees = Object.fromEntries(taskIds.map(id => [id, []]));
+  if (taskIds.length === 0) {
+    return trees;
+  }
+
+  const params = [taskIds];
+  const result = await db.query(
+    `WITH RECURSIVE subtree(id) AS (
+       SELECT id FROM tasks WHERE parent_task_id = ANY($1::uuid[])
+       UNION ALL
+       SELECT t.id FROM tasks t JOIN subtree s ON t.parent_task_id = s.id
+     )
+     SELECT
+       t.id, t.parent_task_id, t.title, t.priority, t.status,
+       t.estimated_hours, t.actual_hours, t.due_date, t.started_at, t.completed_at, t.order_index,
+       assigned_user.first_name || ' ' || assigned_user.last_name as assigned_to_name,
+       assigned_user.id as assigned_to_id,
+       totals.subtask_count, totals.open_subtask_count,
+       totals.total_estimated_hours, totals.total_actual_hours,
+       ${workflowStatusColumns('t')},
+       ${blockedSql('t')} as blocked
+     FROM tasks t
+     JOIN subtree s ON s.id = t.id
+     LEFT JOIN users assigned_user ON t.assigned_to = assigned_user.id
+     ${subtreeTotalsJoin('t')}
+     ${workflowStatusJoin('t')}
+     WHERE ${scope.tasks('t', params)}
+     ORDER BY t.order_index, t.created_at`,
+    params
+  );
+
+  const byParent = new Map();
+  for (const row of result.rows) {
+    if (!byParent.has(row.parent_task_id)) {
+      byParent.set(row.parent_task_id, []);
+    }
+    byParent.get(row.parent_task_id).push(row);
+  }
+  const build = (parentId) => (byParent.get(parentId) || []).map(row => ({ ...row, subtasks: build(row.id) }));
+
+  for (const id of taskIds) {
+    trees[id] = build(id);
+  }
+  return trees;
+};
+
+module.exports = {
+  subtreeTotalsJoin,
+  getOpenSubtasks,
+  isInSubtree,
+  hasLineageDependency,
+  loadSubtaskTrees
+};
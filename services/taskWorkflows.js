@@ -0,0 +1,249 @@
+const db = require('../config/database');
+
+const WORKFLOW_CATEGORIES = ['todo', 'doing', 'done'];
+
+// Built-in status a custom status stores on the task, by category (done may also be canceled)
+const CATEGORY_TASK_STATUS = { todo: 'new', doing: 'in_progress', done: 'completed' };
+
+// Task fields a transition can require; comment must be sent with the status change
+const TRANSITION_FIELDS = ['assigned_to', 'description', 'estimated_hours', 'actual_hours', 'due_date', 'milestone_id', 'comment'];
+
+// Projects without a workflow of their own: the built-in statuses, any change allowed
+const DEFAULT_WORKFLOW = {
+  id: null,
+  name: 'Default',
+  is_default: true,
+  statuses: [
+    { key: 'new', name: 'New', category: 'todo', task_status: 'new', color: null, order_index: 0 },
+    { key: 'in_progress', name: 'In progress', category: 'doing', task_status: 'in_progress', color: null, order_index: 1 },
+    { key: 'completed', name: 'Completed', category: 'done', task_status: 'completed', color: null, order_index: 2 },
+    { key: 'canceled', name: 'Canceled', category: 'done', task_status: 'canceled', color: null, order_index: 3 }
+  ],
+  transitions: []
+};
+
+const STATUS_KEY_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+/**
+ * Join and columns adding workflow_status (the status key), workflow_status_name and
+ * workflow_category for the task aliased as taskAlias
+ */
+const workflowStatusJoin = (taskAlias) => `
+  LEFT JOIN task_workflows ${taskAlias}_wf ON ${taskAlias}_wf.project_id = ${taskAlias}.project_id
+  LEFT JOIN task_workflow_statuses ${taskAlias}_ws
+    ON ${taskAlias}_ws.workflow_id = ${taskAlias}_wf.id AND ${taskAlias}_ws.key = ${taskAlias}.workflow_status`;
+
+const workflowStatusColumns = (taskAlias) => {
+  const byStatus = (field) => `CASE ${taskAlias}.status ${DEFAULT_WORKFLOW.statuses
+    .map(status => `WHEN '${status.task_status}' THEN '${status[field]}'`).join(' ')} END`;
+  return `COALESCE(${taskAlias}_ws.key, ${taskAlias}.status::text) as workflow_status,
+    COALESCE(${taskAlias}_ws.name, ${byStatus('name')}) as workflow_status_name,
+    COALESCE(${taskAlias}_ws.category, ${byStatus('category')}) as workflow_category`;
+};
+
+/**
+ * The project's workflow, or DEFAULT_WORKFLOW when it has none. Pass a transaction's
+ * query function to read it inside that transaction.
+ */
+const getWorkflow = async (projectId, query = db.query) => {
+  const workflowResult = await query(
+    'SELECT id, name, created_at, updated_at FROM task_workflows WHERE project_id = $1',
+    [projectId]
+  );
+  if (workflowResult.rows.length === 0) {
+    return DEFAULT_WORKFLOW;
+  }
+  const workflow = workflowResult.rows[0];
+
+  const [statusesResult, transitionsResult] = await Promise.all([
+    query(
+      `SELECT key, name, category, task_status, color, order_index
+       FROM task_workflow_statuses WHERE workflow_id = $1
+       ORDER BY order_index, name`,
+      [workflow.id]
+    ),
+    query(
+      `SELECT from_status, to_status, required_fields
+       FROM task_workflow_transitions WHERE workflow_id = $1
+       ORDER BY from_status NULLS FIRST, to_status`,
+      [workflow.id]
+    )
+  ]);
+
+  return { ...workflow, is_default: false, statuses: statusesResult.rows, transitions: transitionsResult.rows };
+};
+
+/**
+ * Returns an error message for a malformed workflow definition, or null
+ */
+const validateWorkflow = ({ statuses, transitions = [] }) => {
+  if (!Array.isArray(statuses) || statuses.length === 0) return 'A workflow needs at least one status';
+  if (!Array.isArray(transitions)) return 'transitions must be a list';
+
+  const keys = new Set();
+  for (const status of statuses) {
+    if (!STATUS_KEY_PATTERN.test(status.key || '')) {
+      return 'Status keys are up to 50 lowercase letters, digits and underscores';
+    }
+    if (keys.has(status.key)) return `Duplicate status ${status.key}`;
+    if (!status.name || String(status.name).length > 100) return 'Every status needs a name of up to 100 characters';
+    if (!WORKFLOW_CATEGORIES.includes(status.category)) return `Invalid category ${status.category}`;
+    if (status.color && String(status.color).length > 20) return 'Colors are up to 20 characters';
+    if (status.order_index !== undefined && !Number.isInteger(status.order_index)) return 'order_index must be a whole number';
+    if (status.task_status && status.task_status !== CATEGORY_TASK_STATUS[status.category] &&
+        !(status.category === 'done' && status.task_status === 'canceled')) {
+      return `Status ${status.key} cannot be stored as ${status.task_status}`;
+    }
+    keys.add(status.key);
+  }
+  if (!statuses.some(status => status.category === 'todo')) return 'New tasks need a status in the todo category';
+
+  const pairs = new Set();
+  for (const transition of transitions) {
+    const from = transition.from_status ?? null;
+    if (from !== null && !keys.has(from)) return `Unknown status ${from}`;
+    if (!keys.has(transition.to_status)) return `Unknown status ${transition.to_status}`;
+    if (from === transition.to_status) return 'A transition must change the status';
+    const pair = `${from}>${transition.to_status}`;
+    if (pairs.has(pair)) return `Duplicate transition to ${transition.to_status}`;
+    pairs.add(pair);
+    const requiredFields = transition.required_fields || [];
+    if (!Array.isArray(requiredFields) || !requiredFields.every(field => TRANSITION_FIELDS.includes(field))) {
+      return `Required fields must be among ${TRANSITION_FIELDS.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The workflow status a task is in: its stored key, or the first status storing its
+ * built-in status (tasks created before the workflow, or under the default one)
+ */
+const resolveStatus = (workflow, task) =>
+  workflow.statuses.find(status => status.key === task.workflow_status) ||
+  workflow.statuses.find(status => status.task_status === task.status) ||
+  null;
+
+/**
+ * Status new tasks start in
+ */
+const initialStatus = (workflow) => workflow.statuses.find(status => status.category === 'todo');
+
+/**
+ * The transition from one status key to another, or null when the workflow does not allow
+ * it. A transition from that status wins over one from any status. Workflows without
+ * transitions allow every change.
+ */
+const findTransition = (workflow, fromKey, toKey) => {
+  if (workflow.transitions.length === 0) {
+    return { from_status: null, to_status: toKey, required_fields: [] };
+  }
+  const candidates = workflow.transitions.filter(transition => transition.to_status === toKey);
+  return candidates.find(transition => transition.from_status === fromKey) ||
+    candidates.find(transition => transition.from_status === null) ||
+    null;
+};
+
+/**
+ * Required fields of a transition that are still empty on the task after the update
+ */
+const missingTransitionFields = (transition, task, comment) =>
+  transition.required_fields.filter(field => {
+    const value = field === 'comment' ? comment : task[field];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+
+/**
+ * Create or replace a project's workflow. Tasks keep their status when its key still
+ * stores the same built-in status, and otherwise move to the first status storing theirs.
+ * Pass a transaction's query function. Returns { workflow_id, mapped_tasks }, or
+ * { uncovered: [built-in statuses] } when tasks are in a built-in status no status stores.
+ */
+const saveWorkflow = async (query, projectId, { name, statuses, transitions = [] }, userId) => {
+  const normalized = statuses.map((status, index) => ({
+    ...status,
+    task_status: status.task_status || CATEGORY_TASK_STATUS[status.category],
+    order_index: status.order_index ?? index
+  }));
+
+  const usedResult = await query('SELECT DISTINCT status FROM tasks WHERE project_id = $1', [projectId]);
+  const uncovered = usedResult.rows
+    .map(row => row.status)
+    .filter(taskStatus => !normalized.some(status => status.task_status === taskStatus));
+  if (uncovered.length > 0) {
+    return { uncovered };
+  }
+
+  const workflowResult = await query(
+    `INSERT INTO task_workflows (project_id, name, created_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (project_id) DO UPDATE SET name = EXCLUDED.name, updated_at = CURRENT_TIMESTAMP
+     RETURNING id`,
+    [projectId, name || 'Workflow', userId]
+  );
+  const workflowId = workflowResult.rows[0].id;
+
+  await query('DELETE FROM task_workflow_statuses WHERE workflow_id = $1', [workflowId]);
+  await query('DELETE FROM task_workflow_transitions WHERE workflow_id = $1', [workflowId]);
+
+  for (const status of normalized) {
+    await query(
+      `INSERT INTO task_workflow_statuses (workflow_id, key, name, category, task_status, color, order_index)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [workflowId, status.key, status.name, status.category, status.task_status, status.color || null, status.order_index]
+    );
+  }
+
+  for (const transition of transitions) {
+    await query(
+      `INSERT INTO task_workflow_transitions (workflow_id, from_status, to_status, required_fields)
+       VALUES ($1, $2, $3, $4)`,
+      [workflowId, transition.from_status ?? null, transition.to_status, transition.required_fields || []]
+    );
+  }
+
+  const mappedResult = await query(
+    `UPDATE tasks t
+     SET workflow_status = (
+       SELECT ws.key FROM task_workflow_statuses ws
+       WHERE ws.workflow_id = $1 AND ws.task_status = t.status
+       ORDER BY ws.order_index
+       LIMIT 1
+     )
+     WHERE t.project_id = $2 AND NOT EXISTS (
+       SELECT 1 FROM task_workflow_statuses ws
+       WHERE ws.workflow_id = $1 AND ws.key = t.workflow_status AND ws.task_status = t.status
+     )`,
+    [workflowId, projectId]
+  );
+
+  return { workflow_id: workflowId, mapped_tasks: mappedResult.rowCount };
+};
+
+/**
+ * Go back to the built-in statuses. Tasks keep the built-in status their custom one stored.
+ * Pass a transaction's query function.
+ */
+const deleteWorkflow = async (query, projectId) => {
+  await query('UPDATE tasks SET workflow_status = NULL WHERE project_id = $1 AND workflow_status IS NOT NULL', [projectId]);
+  const result = await query('DELETE FROM task_workflows WHERE project_id = $1', [projectId]);
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  WORKFLOW_CATEGORIES,
+  CATEGORY_TASK_STATUS,
+  TRANSITION_FIELDS,
+  DEFAULT_WORKFLOW,
+  workflowStatusJoin,
+  workflowStatusColumns,
+  getWorkflow,
+  validateWorkflow,
+  resolveStatus,
+  initialStatus,
+  findTransition,
+  missingTransitionFields,
+  saveWorkflow,
+  deleteWorkflow
+};
@@ -41,7 +41,7 @@ async function testDatabase() {
     // Test 4: Transaction test
     console.log('\nTest 4: Transaction test');
     if (db.transaction) {
-      await db.transaction(async (sql) => {
+      await db.transaction(async (query, sql) => {
         const result = await sql`SELECT 1 as test_value`;
         console.log('✅ Transaction test successful:', result[0].test_value);
       });
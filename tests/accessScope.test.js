@@ -0,0 +1,118 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const { getAccessScope } = require('../services/accessScope');
+
+const ROLES = ['administrator', 'developer', 'client'];
+const MEMBERSHIPS = ['manager', 'member', 'left member', 'none'];
+const ENTITIES = ['project', 'task', 'company', 'invoice'];
+
+// Whether a user of the role sees each entity of a project, by their membership of it.
+// The client is not a user of the project's company, so membership alone shows them nothing;
+// a developer needs a project role granting invoices.read (not contributor) to see invoices.
+const EXPECTED = {
+  administrator: {
+    manager: { project: true, task: true, company: true, invoice: true },
+    member: { project: true, task: true, company: true, invoice: true },
+    'left member': { project: true, task: true, company: true, invoice: true },
+    none: { project: true, task: true, company: true, invoice: true }
+  },
+  developer: {
+    manager: { project: true, task: true, company: true, invoice: true },
+    member: { project: true, task: true, company: true, invoice: false },
+    'left member': { project: false, task: false, company: false, invoice: false },
+    none: { project: false, task: false, company: false, invoice: false }
+  },
+  client: {
+    manager: { project: false, task: false, company: false, invoice: false },
+    member: { project: false, task: false, company: false, invoice: false },
+    'left member': { project: false, task: false, company: false, invoice: false },
+    none: { project: false, task: false, company: false, invoice: false }
+  }
+};
+
+const VISIBILITY_QUERIES = {
+  project: (scope, params) => `SELECT 1 FROM projects p WHERE p.id = $1 AND ${scope.projects('p.id', params)}`,
+  task: (scope, params) => `SELECT 1 FROM tasks t WHERE t.id = $1 AND ${scope.tasks('t', params)}`,
+  company: (scope, params) => `SELECT 1 FROM companies c WHERE c.id = $1 AND ${scope.companies('c.id', params)}`,
+  invoice: (scope, params) => `SELECT 1 FROM invoices i WHERE i.id = $1 AND ${scope.invoices('i', params)}`
+};
+
+const isVisible = async (user, entity, id) => {
+  const scope = await getAccessScope(user);
+  const params = [id];
+  const result = await db.query(VISIBILITY_QUERIES[entity](scope, params), params);
+  return result.rows.length > 0;
+};
+
+// A company with one project, task and invoice, and the user in the given membership of the project
+const createProjectFor = async (organisation, author, user, membership) => {
+  const company = await fixtures.createCompany(organisation);
+  const project = await fixtures.createProject(company, {
+    project_manager_id: membership === 'manager' ? user.id : author.id
+  });
+  if (membership === 'member') {
+    await fixtures.addMember(project, user, { role: 'contributor' });
+  } else if (membership === 'left member') {
+    await fixtures.addMember(project, user, { role: 'contributor', left_at: new Date() });
+  }
+  const task = await fixtures.createTask(project, author);
+  const invoice = await fixtures.createInvoice(project, author);
+  return { company, project, task, invoice };
+};
+
+const cases = [];
+for (const role of ROLES) {
+  for (const membership of MEMBERSHIPS) {
+    for (const entity of ENTITIES) {
+      cases.push([role, membership, entity, EXPECTED[role][membership][entity]]);
+    }
+  }
+}
+
+describe('getAccessScope', () => {
+  let organisation;
+  let author;
+  const users = {};
+  const projects = {};
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    author = await fixtures.createUser(organisation, 'administrator');
+    for (const role of ROLES) {
+      users[role] = await fixtures.createUser(organisation, role);
+      projects[role] = {};
+      for (const membership of MEMBERSHIPS) {
+        projects[role][membership] = await createProjectFor(organisation, author, users[role], membership);
+      }
+    }
+  });
+
+  afterAll(() => db.close());
+
+  test.each(cases)('%s as %s: %s visible is %s', async (role, membership, entity, expected) => {
+    const row = projects[role][membership][entity];
+    expect(await isVisible(users[role], entity, row.id)).toBe(expected);
+  });
+
+  test('clients see everything of their own company whatever their membership', async () => {
+    const client = await fixtures.createUser(organisation, 'client');
+    const { company, project, task, invoice } = await createProjectFor(organisation, author, client, 'none');
+    await fixtures.addClient(company, client);
+
+    expect(await isVisible(client, 'project', project.id)).toBe(true);
+    expect(await isVisible(client, 'task', task.id)).toBe(true);
+    expect(await isVisible(client, 'company', company.id)).toBe(true);
+    expect(await isVisible(client, 'invoice', invoice.id)).toBe(true);
+  });
+
+  test('developers see tasks assigned to them outside their projects, but not the project', async () => {
+    const developer = await fixtures.createUser(organisation, 'developer');
+    const { project, task } = await createProjectFor(organisation, author, developer, 'none');
+    await db.query('UPDATE tasks SET assigned_to = $1 WHERE id = $2', [developer.id, task.id]);
+
+    expect(await isVisible(developer, 'task', task.id)).toBe(true);
+    expect(await isVisible(developer, 'project', project.id)).toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const db = require('./support/database');
+const app = require('../server');
+
+const ISSUER = 'https://idp.example.com';
+const CLIENT_ID = 'meta-project';
+const FRONTEND_URL = 'http://frontend.example.com';
+
+describe('OpenID Connect sign-in', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  let pendingNonce = null;
+
+  // The identity provider: discovery, keys and a token endpoint answering with an ID token
+  const respond = (body) => ({ ok: true, status: 200, json: async () => body });
+  const fetchMock = jest.fn(async (url) => {
+    if (url === `${ISSUER}/.well-known/openid-configuration`) {
+      return respond({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`
+      });
+    }
+    if (url === `${ISSUER}/jwks`) {
+      return respond({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256' }] });
+    }
+    if (url === `${ISSUER}/token`) {
+      const idToken = jwt.sign(
+        { sub: 'subject-1', email: 'sso.user@example.com', email_verified: true, name: 'Sso User', groups: ['pm-developers'], nonce: pendingNonce },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+      );
+      return respond({ id_token: idToken });
+    }
+    throw new Error(`Unexpected request to ${url}`);
+  });
+
+  // Starts a sign-in; returns the state sent to the IdP and the cookie set on the browser
+  const startSignIn = async () => {
+    const res = await request(app).get('/api/auth/oidc/login');
+    expect(res.status).toBe(302);
+    const authorizeUrl = new URL(res.headers.location);
+    pendingNonce = authorizeUrl.searchParams.get('nonce');
+    const cookie = res.headers['set-cookie'].find(header => header.startsWith('oidc_state='));
+    return { state: authorizeUrl.searchParams.get('state'), cookie };
+  };
+
+  const callback = (state, cookie) => {
+    const req = request(app).get('/api/auth/oidc/callback').query({ code: 'authorization-code', state });
+    return cookie ? req.set('Cookie', cookie.split(';')[0]) : req;
+  };
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      OIDC_ISSUER: ISSUER,
+      OIDC_CLIENT_ID: CLIENT_ID,
+      OIDC_REDIRECT_URI: 'http://localhost:3001/api/auth/oidc/callback',
+      OIDC_GROUP_ROLE_MAP: JSON.stringify({ 'pm-developers': 'developer' }),
+      FRONTEND_URL,
+      BCRYPT_ROUNDS: '4'
+    });
+    jest.spyOn(global, 'fetch').mockImplementation(fetchMock);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    for (const name of ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_REDIRECT_URI', 'OIDC_GROUP_ROLE_MAP', 'FRONTEND_URL', 'BCRYPT_ROUNDS']) {
+      delete process.env[name];
+    }
+    return db.close();
+  });
+
+  test('signing in sets a short-lived HttpOnly state cookie', async () => {
+    const { cookie } = await startSignIn();
+
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/SameSite=Lax/);
+    expect(cookie).toMatch(/Path=\/api\/auth\/oidc/);
+    expect(cookie).toMatch(/Max-Age=600/);
+  });
+
+  test('a callback without the state cookie of its sign-in is refused', async () => {
+    const { state } = await startSignIn();
+    const { cookie: otherCookie } = await startSignIn();
+
+    for (const cookie of [null, otherCookie]) {
+      const res = await callback(state, cookie);
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe(`${FRONTEND_URL}/login?sso_error=invalid_state`);
+    }
+    expect(fetchMock).not.toHaveBeenCalledWith(`${ISSUER}/token`, expect.anything());
+  });
+
+  test('the browser that started the sign-in completes it, once', async () => {
+    const { state, cookie } = await startSignIn();
+
+    const res = await callback(state, cookie);
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toMatch(new RegExp(`^${FRONTEND_URL}/sso/callback\\?code=`));
+    expect(res.headers['set-cookie'].find(header => header.startsWith('oidc_state=;'))).toBeDefined();
+
+    const user = await db.query('SELECT role FROM users WHERE oidc_subject = $1', ['subject-1']);
+    expect(user.rows[0].role).toBe('developer');
+
+    const replay = await callback(state, cookie);
+    expect(replay.headers.location).toBe(`${FRONTEND_URL}/login?sso_error=invalid_state`);
+  });
+});
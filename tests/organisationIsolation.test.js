@@ -0,0 +1,194 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+
+const ROLES = ['administrator', 'developer', 'client'];
+
+// Every route that addresses one record of another organisation by id; :name is that record's id,
+// in the path or the body.
+// Rows always carry a body slot: test.each would take a missing third argument for `done`.
+const REQUESTS = [
+  ['GET', '/api/projects/:project', null],
+  ['PUT', '/api/projects/:project', { name: 'Renamed' }],
+  ['DELETE', '/api/projects/:project', null],
+  ['POST', '/api/projects/:project/archive', null],
+  ['POST', '/api/projects/:project/unarchive', null],
+  ['DELETE', '/api/projects/:project/purge', null],
+  ['POST', '/api/projects/:project/clone', { name: 'Cloned project' }],
+  ['GET', '/api/projects/:project/budget', null],
+  ['GET', '/api/projects/:project/baselines', null],
+  ['POST', '/api/projects/:project/baselines', { name: 'Baseline' }],
+  ['GET', '/api/projects/:project/variance', null],
+  ['GET', '/api/projects/:project/schedule', null],
+  ['POST', '/api/projects/:project/schedule/reschedule', { task_id: ':task', due_date: '2026-03-02' }],
+  ['GET', '/api/projects/:project/workflow', null],
+  ['PUT', '/api/projects/:project/workflow', { statuses: [{ key: 'todo', name: 'To do', category: 'todo' }] }],
+  ['DELETE', '/api/projects/:project/workflow', null],
+  ['GET', '/api/projects/:project/board', null],
+  ['PUT', '/api/projects/:project/board/columns/new/order', { task_ids: [':task'] }],
+  ['PUT', '/api/projects/:project/members/:member', { role: 'viewer' }],
+  ['DELETE', '/api/projects/:project/members/:member', null],
+  ['GET', '/api/projects/templates/:template', null],
+  ['PUT', '/api/projects/templates/:template', { name: 'Renamed' }],
+  ['DELETE', '/api/projects/templates/:template', null],
+  ['GET', '/api/tasks/:task', null],
+  ['PUT', '/api/tasks/:task', { title: 'Renamed' }],
+  ['DELETE', '/api/tasks/:task', null],
+  ['PUT', '/api/tasks/:task/move', { status: 'in_progress' }],
+  ['POST', '/api/tasks/:task/dependencies', { depends_on_task_id: ':prerequisite' }],
+  ['GET', '/api/clients/:company', null],
+  ['PUT', '/api/clients/:company', { name: 'Renamed' }],
+  ['DELETE', '/api/clients/:company', null],
+  ['PUT', '/api/companies/:company', { name: 'Renamed' }],
+  ['DELETE', '/api/companies/:company', null],
+  ['GET', '/api/invoices/:invoice', null],
+  ['PUT', '/api/invoices/:invoice', { notes: 'Changed' }],
+  ['GET', '/api/invoices/:invoice/pdf', null],
+  ['GET', '/api/files/:file/download', null],
+  ['PUT', '/api/files/:file', { is_public: true }],
+  ['DELETE', '/api/files/:file', null],
+  ['GET', '/api/settings/company?company_id=:company', null],
+  ['PUT', '/api/settings/company/:company', { name: 'Renamed' }]
+];
+
+// Replaces each :name in a path or body with the id of that record of the tenant
+const resolve = (value, tenant) => {
+  if (typeof value === 'string') {
+    return value.replace(/:(\w+)/g, (match, name) => tenant[name].id);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolve(item, tenant));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, tenant)]));
+  }
+  return value;
+};
+
+const send = (method, path, token, body) => {
+  const req = request(app)[method.toLowerCase()](path).set('Authorization', `Bearer ${token}`);
+  return body ? req.send(body) : req;
+};
+
+// An organisation with a user of every role, all linked to one company's project
+const createTenant = async () => {
+  const organisation = await fixtures.createOrganisation();
+  const users = {};
+  for (const role of ROLES) {
+    users[role] = await fixtures.createUser(organisation, role);
+  }
+  const company = await fixtures.createCompany(organisation);
+  await fixtures.addClient(company, users.client);
+  const project = await fixtures.createProject(company, { project_manager_id: users.administrator.id });
+  const member = await fixtures.addMember(project, users.developer, { role: 'maintainer' });
+  const task = await fixtures.createTask(project, users.administrator, { assigned_to: users.developer.id });
+  const prerequisite = await fixtures.createTask(project, users.administrator);
+  const invoice = await fixtures.createInvoice(project, users.administrator);
+  const file = await fixtures.createFile(project, users.administrator);
+  await fixtures.insert('system_settings', {
+    setting_key: 'company_name',
+    setting_value: organisation.name,
+    data_type: 'string',
+    organisation_id: organisation.id
+  });
+  const template = await fixtures.insert('project_templates', {
+    organisation_id: organisation.id,
+    name: 'Template',
+    created_by: users.administrator.id
+  });
+  return { organisation, users, company, project, member, task, prerequisite, invoice, file, template };
+};
+
+describe('organisation isolation', () => {
+  let ours;
+  let theirs;
+  const tokens = {};
+
+  beforeAll(async () => {
+    ours = await createTenant();
+    theirs = await createTenant();
+    for (const role of ROLES) {
+      tokens[role] = await fixtures.login(app, ours.users[role]);
+    }
+    tokens.theirAdministrator = await fixtures.login(app, theirs.users.administrator);
+  });
+
+  afterAll(() => db.close());
+
+  describe.each(ROLES)('as %s', (role) => {
+    test.each(REQUESTS)('%s %s of another organisation is refused', async (method, path, body) => {
+      const res = await send(method, resolve(path, theirs), tokens[role], resolve(body, theirs));
+      expect([403, 404]).toContain(res.status);
+    });
+  });
+
+  test('records of the other organisation are left unchanged', async () => {
+    const project = await db.query('SELECT name, is_active, archived_at FROM projects WHERE id = $1', [theirs.project.id]);
+    expect(project.rows[0]).toEqual({ name: theirs.project.name, is_active: true, archived_at: null });
+
+    const member = await db.query('SELECT role, left_at FROM project_members WHERE id = $1', [theirs.member.id]);
+    expect(member.rows[0]).toEqual({ role: 'maintainer', left_at: null });
+
+    const baselines = await db.query('SELECT 1 FROM project_baselines WHERE project_id = $1', [theirs.project.id]);
+    expect(baselines.rows).toHaveLength(0);
+
+    const workflows = await db.query('SELECT 1 FROM task_workflows WHERE project_id = $1', [theirs.project.id]);
+    expect(workflows.rows).toHaveLength(0);
+
+    const task = await db.query('SELECT title, status FROM tasks WHERE id = $1', [theirs.task.id]);
+    expect(task.rows[0]).toEqual({ title: theirs.task.title, status: 'new' });
+
+    const dependencies = await db.query('SELECT 1 FROM task_dependencies WHERE task_id = $1', [theirs.task.id]);
+    expect(dependencies.rows).toHaveLength(0);
+
+    const template = await db.query('SELECT name, is_active FROM project_templates WHERE id = $1', [theirs.template.id]);
+    expect(template.rows[0]).toEqual({ name: 'Template', is_active: true });
+
+    const company = await db.query('SELECT name, is_active FROM companies WHERE id = $1', [theirs.company.id]);
+    expect(company.rows[0]).toEqual({ name: theirs.company.name, is_active: true });
+
+    const invoice = await db.query('SELECT notes FROM invoices WHERE id = $1', [theirs.invoice.id]);
+    expect(invoice.rows[0].notes).toBeNull();
+
+    const file = await db.query('SELECT is_public FROM files WHERE id = $1', [theirs.file.id]);
+    expect(file.rows[0].is_public).toBe(false);
+  });
+
+  test('system settings are read and written per organisation', async () => {
+    const update = await send('PUT', '/api/settings/system', tokens.administrator, {
+      settings: { company_name: 'Changed by us' }
+    });
+    expect(update.status).toBe(200);
+
+    const ourSettings = await send('GET', '/api/settings/system', tokens.administrator);
+    expect(ourSettings.body.settings.company_name.value).toBe('Changed by us');
+
+    const theirSettings = await send('GET', '/api/settings/system', tokens.theirAdministrator);
+    expect(theirSettings.body.settings.company_name.value).toBe(theirs.organisation.name);
+  });
+
+  test('role permissions, shared by every organisation, are only changed from the default one', async () => {
+    const res = await send('PUT', '/api/settings/permissions', tokens.administrator, {
+      role: 'client',
+      permissions: []
+    });
+    expect(res.status).toBe(403);
+
+    const result = await db.query(`SELECT 1 FROM role_permissions WHERE role = 'client'`);
+    expect(result.rows.length).toBeGreaterThan(0);
+  });
+
+  test('the other organisation still reaches its own records', async () => {
+    const project = await send('GET', `/api/projects/${theirs.project.id}`, tokens.theirAdministrator);
+    expect(project.status).toBe(200);
+
+    const task = await send('GET', `/api/tasks/${theirs.task.id}`, tokens.theirAdministrator);
+    expect(task.status).toBe(200);
+
+    const invoice = await send('GET', `/api/invoices/${theirs.invoice.id}`, tokens.theirAdministrator);
+    expect(invoice.status).toBe(200);
+  });
+});
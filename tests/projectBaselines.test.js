@@ -0,0 +1,115 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+
+describe('project baselines', () => {
+  let organisation;
+  let manager;
+  let token;
+
+  const createProject = async () => {
+    const company = await fixtures.createCompany(organisation);
+    return fixtures.createProject(company, {
+      project_manager_id: manager.id,
+      start_date: '2026-03-01',
+      end_date: '2026-03-31'
+    });
+  };
+
+  const send = (method, path, body) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`).send(body);
+
+  const saveBaseline = async (project, name) => {
+    const res = await send('post', `/api/projects/${project.id}/baselines`, { name });
+    expect(res.status).toBe(201);
+    return res.body.baseline;
+  };
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+  });
+
+  afterAll(() => db.close());
+
+  test('a baseline snapshots the tasks and milestones that are not canceled', async () => {
+    const project = await createProject();
+    await fixtures.createTask(project, manager, { due_date: '2026-03-10' });
+    await fixtures.createTask(project, manager, { status: 'canceled' });
+    await fixtures.insert('milestones', { project_id: project.id, name: 'Launch', due_date: '2026-03-20' });
+
+    const baseline = await saveBaseline(project, 'Plan');
+
+    expect(baseline).toMatchObject({ name: 'Plan', task_count: 1, milestone_count: 1 });
+  });
+
+  test('variance compares dates and hours with the newest baseline', async () => {
+    const project = await createProject();
+    const a = await fixtures.createTask(project, manager, { due_date: '2026-03-10', estimated_hours: 10 });
+    const b = await fixtures.createTask(project, manager, { due_date: '2026-03-12', estimated_hours: 20 });
+    const c = await fixtures.createTask(project, manager, { due_date: '2026-03-15', estimated_hours: 5 });
+    const milestone = await fixtures.insert('milestones', { project_id: project.id, name: 'Launch', due_date: '2026-03-20' });
+    await saveBaseline(project, 'Plan');
+
+    await db.query(`UPDATE tasks SET due_date = '2026-03-13', actual_hours = 12 WHERE id = $1`, [a.id]);
+    await db.query(`UPDATE tasks SET due_date = '2026-03-11', actual_hours = 5 WHERE id = $1`, [b.id]);
+    await db.query('DELETE FROM tasks WHERE id = $1', [c.id]);
+    const d = await fixtures.createTask(project, manager, { estimated_hours: 8, actual_hours: 2 });
+    await db.query(`UPDATE milestones SET due_date = '2026-03-22' WHERE id = $1`, [milestone.id]);
+    await db.query(`UPDATE projects SET end_date = '2026-04-03' WHERE id = $1`, [project.id]);
+
+    const res = await send('get', `/api/projects/${project.id}/variance`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.baseline.name).toBe('Plan');
+    expect(res.body.summary).toEqual({
+      end_date_slip_days: 3,
+      tasks_late: 1,
+      tasks_early: 1,
+      max_task_slip_days: 3,
+      average_task_slip_days: 1,
+      milestones_late: 1,
+      max_milestone_slip_days: 2,
+      baseline_estimated_hours: 35,
+      current_estimated_hours: 38,
+      actual_hours: 19,
+      estimate_variance_hours: 3,
+      effort_variance_hours: -16,
+      tasks_added: 1,
+      tasks_removed: 1
+    });
+
+    const tasks = Object.fromEntries(res.body.tasks.map(task => [task.task_id, task]));
+    expect(tasks[a.id]).toMatchObject({ slip_days: 3, removed: false });
+    expect(tasks[b.id]).toMatchObject({ slip_days: -1, removed: false });
+    expect(tasks[c.id]).toMatchObject({ title: c.title, slip_days: null, removed: true });
+    expect(res.body.added_tasks.map(task => task.task_id)).toEqual([d.id]);
+  });
+
+  test('variance can be taken against an older baseline', async () => {
+    const project = await createProject();
+    const task = await fixtures.createTask(project, manager, { due_date: '2026-03-10' });
+    const first = await saveBaseline(project, 'First');
+    await db.query(`UPDATE tasks SET due_date = '2026-03-14' WHERE id = $1`, [task.id]);
+    await saveBaseline(project, 'Second');
+
+    const newest = await send('get', `/api/projects/${project.id}/variance`);
+    expect(newest.body.baseline.name).toBe('Second');
+    expect(newest.body.summary.max_task_slip_days).toBe(0);
+
+    const older = await send('get', `/api/projects/${project.id}/variance?baseline_id=${first.id}`);
+    expect(older.body.baseline.name).toBe('First');
+    expect(older.body.summary.max_task_slip_days).toBe(4);
+  });
+
+  test('variance without a baseline is not found', async () => {
+    const project = await createProject();
+
+    const res = await send('get', `/api/projects/${project.id}/variance`);
+    expect(res.status).toBe(404);
+  });
+});
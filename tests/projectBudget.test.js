@@ -0,0 +1,144 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+const { getProjectBudget, checkBudgetThresholds } = require('../services/projectBudget');
+
+describe('project budget', () => {
+  let organisation;
+  let manager;
+  let token;
+
+  const createProject = async (values = {}) => {
+    const company = await fixtures.createCompany(organisation);
+    return fixtures.createProject(company, { project_manager_id: manager.id, budget: 1000, ...values });
+  };
+
+  const logTime = (project, values) =>
+    fixtures.insert('time_entries', { user_id: manager.id, project_id: project.id, date_worked: '2026-03-02', ...values });
+
+  const send = (method, path, body) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`).send(body);
+
+  const alertsOf = async (project) => {
+    const result = await db.query(
+      'SELECT threshold FROM project_budget_alerts WHERE project_id = $1 ORDER BY threshold',
+      [project.id]
+    );
+    return result.rows.map(row => row.threshold);
+  };
+
+  const budgetNotificationsOf = async (project) => {
+    const result = await db.query(
+      `SELECT title FROM notifications
+       WHERE user_id = $1 AND type = 'budget_alert' AND data::jsonb ->> 'project_id' = $2
+       ORDER BY created_at`,
+      [manager.id, project.id]
+    );
+    return result.rows.map(row => row.title);
+  };
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+  });
+
+  afterAll(() => db.close());
+
+  test('costs, invoices and the forecast are summed from time entries and invoices', async () => {
+    const project = await createProject({ estimated_hours: 40 });
+    await logTime(project, { hours_worked: 10, hourly_rate: 50, is_billable: true });
+    await logTime(project, { hours_worked: 4, hourly_rate: 25, is_billable: false });
+    await logTime(project, { hours_worked: 2, is_billable: true });
+    await fixtures.createInvoice(project, manager, { total_amount: 300, status: 'paid' });
+    await fixtures.createInvoice(project, manager, { total_amount: 200, status: 'canceled' });
+
+    expect(await getProjectBudget(project.id)).toMatchObject({
+      budget: 1000,
+      consumed_hours: 16,
+      consumed_cost: 600,
+      consumed_percentage: 60,
+      committed_unbilled: 500,
+      unbilled_hours: 12,
+      invoiced_amount: 300,
+      paid_amount: 300,
+      remaining_budget: 400,
+      // 600 so far plus the 24 remaining estimated hours at 37.50 an hour
+      forecast_at_completion: 1500,
+      forecast_method: 'estimated_hours'
+    });
+
+    await fixtures.createTask(project, manager, { status: 'completed' });
+    await fixtures.createTask(project, manager);
+    expect(await getProjectBudget(project.id)).toMatchObject({
+      forecast_at_completion: 1200,
+      forecast_percentage: 120,
+      forecast_method: 'progress'
+    });
+  });
+
+  test('each threshold is announced once, for the highest newly reached one', async () => {
+    const project = await createProject();
+
+    await logTime(project, { hours_worked: 9, hourly_rate: 100 });
+    expect(await checkBudgetThresholds(project.id)).toEqual([50, 80]);
+    expect(await budgetNotificationsOf(project)).toEqual(['Budget 80% consumed']);
+
+    expect(await checkBudgetThresholds(project.id)).toEqual([]);
+    expect(await alertsOf(project)).toEqual([50, 80]);
+  });
+
+  test('the project thresholds override the organisation setting', async () => {
+    const project = await createProject({ budget_alert_thresholds: [25] });
+    await logTime(project, { hours_worked: 9, hourly_rate: 100 });
+
+    expect(await checkBudgetThresholds(project.id)).toEqual([25]);
+  });
+
+  test('logging time raises alerts and deleting it resets them', async () => {
+    const project = await createProject();
+
+    const created = await send('post', '/api/time', {
+      project_id: project.id,
+      hours_worked: 6,
+      hourly_rate: 100,
+      date_worked: '2026-03-02'
+    });
+    expect(created.status).toBe(201);
+    expect(await alertsOf(project)).toEqual([50]);
+
+    const deleted = await send('delete', `/api/time/${created.body.time_entry.id}`);
+    expect(deleted.status).toBe(200);
+    expect(await alertsOf(project)).toEqual([]);
+  });
+
+  test('changing the budget or the thresholds checks them again', async () => {
+    const project = await createProject();
+    await logTime(project, { hours_worked: 6, hourly_rate: 100 });
+    await checkBudgetThresholds(project.id);
+    expect(await alertsOf(project)).toEqual([50]);
+
+    const lowered = await send('put', `/api/projects/${project.id}`, { budget: 600 });
+    expect(lowered.status).toBe(200);
+    expect(await alertsOf(project)).toEqual([50, 80, 100]);
+    expect(await budgetNotificationsOf(project)).toEqual(['Budget 50% consumed', 'Budget 100% consumed']);
+
+    const raised = await send('put', `/api/projects/${project.id}`, { budget: 2000 });
+    expect(raised.status).toBe(200);
+    expect(await alertsOf(project)).toEqual([]);
+
+    const thresholds = await send('put', `/api/projects/${project.id}`, { budget_alert_thresholds: [10, 20] });
+    expect(thresholds.status).toBe(200);
+    expect(await alertsOf(project)).toEqual([10, 20]);
+  });
+
+  test('malformed thresholds are refused', async () => {
+    const project = await createProject();
+
+    const res = await send('put', `/api/projects/${project.id}`, { budget_alert_thresholds: [50, 'lots'] });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+
+describe('project progress', () => {
+  let organisation;
+  let manager;
+  let token;
+
+  const createProject = async (progress_method = 'tasks') => {
+    const company = await fixtures.createCompany(organisation);
+    return fixtures.createProject(company, { project_manager_id: manager.id, progress_method });
+  };
+
+  const progressOf = async (project) => {
+    const result = await db.query('SELECT progress_percentage FROM projects WHERE id = $1', [project.id]);
+    return result.rows[0].progress_percentage;
+  };
+
+  const createMilestone = (project, values = {}) =>
+    fixtures.insert('milestones', { project_id: project.id, name: 'Milestone', ...values });
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+  });
+
+  afterAll(() => db.close());
+
+  test('tasks counts completed tasks, leaving canceled ones out', async () => {
+    const project = await createProject('tasks');
+    await fixtures.createTask(project, manager, { status: 'completed' });
+    await fixtures.createTask(project, manager, { status: 'in_progress' });
+    await fixtures.createTask(project, manager);
+    const canceled = await fixtures.createTask(project, manager, { status: 'canceled' });
+
+    expect(await progressOf(project)).toBe(33);
+
+    await db.query(`UPDATE tasks SET status = 'completed' WHERE id = $1`, [canceled.id]);
+    expect(await progressOf(project)).toBe(50);
+  });
+
+  test('hours weighs tasks by their estimate and falls back to tasks without one', async () => {
+    const project = await createProject('hours');
+    await fixtures.createTask(project, manager, { status: 'completed' });
+    const open = await fixtures.createTask(project, manager);
+    expect(await progressOf(project)).toBe(50);
+
+    await db.query('UPDATE tasks SET estimated_hours = 30 WHERE id = $1', [open.id]);
+    await fixtures.createTask(project, manager, { status: 'completed', estimated_hours: 10 });
+    expect(await progressOf(project)).toBe(25);
+  });
+
+  test('milestones weighs each milestone by the share of its tasks completed', async () => {
+    const project = await createProject('milestones');
+    const design = await createMilestone(project, { weight: 1 });
+    const build = await createMilestone(project, { weight: 3 });
+    await fixtures.createTask(project, manager, { milestone_id: design.id, status: 'completed' });
+    await fixtures.createTask(project, manager, { milestone_id: build.id, status: 'completed' });
+    await fixtures.createTask(project, manager, { milestone_id: build.id });
+
+    // (1 * 1 + 3 * 0.5) / 4
+    expect(await progressOf(project)).toBe(63);
+
+    await db.query('UPDATE milestones SET is_completed = true WHERE id = $1', [build.id]);
+    expect(await progressOf(project)).toBe(100);
+  });
+
+  test('milestones falls back to tasks when the project has none', async () => {
+    const project = await createProject('milestones');
+    await fixtures.createTask(project, manager, { status: 'completed' });
+    await fixtures.createTask(project, manager);
+    await fixtures.createTask(project, manager);
+    await fixtures.createTask(project, manager);
+
+    expect(await progressOf(project)).toBe(25);
+  });
+
+  test('moving a task recomputes both projects', async () => {
+    const from = await createProject();
+    const to = await createProject();
+    await fixtures.createTask(from, manager);
+    const task = await fixtures.createTask(from, manager, { status: 'completed' });
+    await fixtures.createTask(to, manager);
+
+    await db.query('UPDATE tasks SET project_id = $1 WHERE id = $2', [to.id, task.id]);
+
+    expect(await progressOf(from)).toBe(0);
+    expect(await progressOf(to)).toBe(50);
+  });
+
+  test('switching the progress method recomputes immediately', async () => {
+    const project = await createProject('tasks');
+    await fixtures.createTask(project, manager, { status: 'completed', estimated_hours: 1 });
+    await fixtures.createTask(project, manager, { estimated_hours: 3 });
+    expect(await progressOf(project)).toBe(50);
+
+    const res = await request(app)
+      .put(`/api/projects/${project.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ progress_method: 'hours' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.project).toMatchObject({ progress_method: 'hours', progress_percentage: 25 });
+  });
+
+  test('an unknown progress method is refused', async () => {
+    const project = await createProject();
+
+    const res = await request(app)
+      .put(`/api/projects/${project.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ progress_method: 'vibes' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,163 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+const { getSchedule } = require('../services/projectSchedule');
+
+describe('project schedule', () => {
+  let organisation;
+  let manager;
+  let token;
+
+  const createProject = async (values = {}) => {
+    const company = await fixtures.createCompany(organisation);
+    return fixtures.createProject(company, { project_manager_id: manager.id, start_date: '2026-03-02', ...values });
+  };
+
+  const dependOn = (task, prerequisite) =>
+    fixtures.insert('task_dependencies', { task_id: task.id, depends_on_task_id: prerequisite.id });
+
+  const byId = (schedule) => Object.fromEntries(
+    schedule.milestones.flatMap(group => group.tasks).map(task => [task.id, task])
+  );
+
+  // A (2 days) before B (1 day) and C (5 days), both before D (1 day); E (1 day) on its own
+  const createNetwork = async (projectValues) => {
+    const project = await createProject(projectValues);
+    const task = (estimated_hours, values = {}) => fixtures.createTask(project, manager, { estimated_hours, ...values });
+    const a = await task(16);
+    const b = await task(8);
+    const c = await task(40);
+    const d = await task(8, { due_date: '2026-03-06' });
+    const e = await task(null);
+    await dependOn(b, a);
+    await dependOn(c, a);
+    await dependOn(d, b);
+    await dependOn(d, c);
+    return { project, tasks: { a, b, c, d, e } };
+  };
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+  });
+
+  afterAll(() => db.close());
+
+  test('the forward and backward passes give each task its dates and slack', async () => {
+    const { project, tasks: { a, b, c, d, e } } = await createNetwork();
+
+    const { schedule } = await getSchedule(project.id);
+    const scheduled = byId(schedule);
+
+    expect(schedule).toMatchObject({ start_date: '2026-03-02', finish_date: '2026-03-09', duration_days: 8, hours_per_day: 8 });
+    expect(scheduled[a.id]).toMatchObject({
+      duration_days: 2,
+      earliest_start: '2026-03-02',
+      earliest_finish: '2026-03-03',
+      latest_start: '2026-03-02',
+      latest_finish: '2026-03-03',
+      slack_days: 0,
+      is_critical: true
+    });
+    expect(scheduled[b.id]).toMatchObject({
+      earliest_start: '2026-03-04',
+      earliest_finish: '2026-03-04',
+      latest_start: '2026-03-08',
+      latest_finish: '2026-03-08',
+      slack_days: 4,
+      is_critical: false
+    });
+    expect(scheduled[c.id]).toMatchObject({ earliest_start: '2026-03-04', earliest_finish: '2026-03-08', slack_days: 0 });
+    expect(scheduled[d.id]).toMatchObject({ earliest_start: '2026-03-09', slack_days: 0, misses_due_date: true });
+    expect(scheduled[e.id]).toMatchObject({ duration_days: 1, earliest_start: '2026-03-02', slack_days: 7 });
+  });
+
+  test('the critical path lists the tasks without slack in start order', async () => {
+    const { project, tasks: { a, c, d } } = await createNetwork({ end_date: '2026-03-06' });
+
+    const { schedule } = await getSchedule(project.id);
+
+    expect(schedule.critical_path.map(task => task.id)).toEqual([a.id, c.id, d.id]);
+    expect(schedule.misses_end_date).toBe(true);
+  });
+
+  test('durations follow the schedule_hours_per_day setting of the organisation', async () => {
+    const other = await fixtures.createOrganisation();
+    const otherManager = await fixtures.createUser(other, 'administrator');
+    const company = await fixtures.createCompany(other);
+    const project = await fixtures.createProject(company, { project_manager_id: otherManager.id, start_date: '2026-03-02' });
+    const task = await fixtures.createTask(project, otherManager, { estimated_hours: 16 });
+    await fixtures.insert('system_settings', {
+      setting_key: 'schedule_hours_per_day',
+      setting_value: '4',
+      data_type: 'number',
+      organisation_id: other.id
+    });
+
+    const { schedule } = await getSchedule(project.id);
+
+    expect(schedule.hours_per_day).toBe(4);
+    expect(byId(schedule)[task.id]).toMatchObject({ duration_days: 4, earliest_finish: '2026-03-05' });
+  });
+
+  test('canceled tasks and their dependencies are left out', async () => {
+    const { project, tasks: { b, c, d } } = await createNetwork();
+    await db.query(`UPDATE tasks SET status = 'canceled' WHERE id = $1`, [c.id]);
+
+    const { schedule } = await getSchedule(project.id);
+    const scheduled = byId(schedule);
+
+    expect(scheduled[c.id]).toBeUndefined();
+    expect(scheduled[d.id].earliest_start).toBe('2026-03-05');
+    expect(schedule.critical_path.map(task => task.id)).toContain(b.id);
+  });
+
+  test('a dependency cycle is reported instead of a schedule', async () => {
+    const { project, tasks: { a, d, e } } = await createNetwork();
+    await dependOn(a, d);
+
+    const res = await request(app)
+      .get(`/api/projects/${project.id}/schedule`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.cycle).not.toContain(e.title);
+    expect(res.body.cycle).toEqual(expect.arrayContaining([a.title, d.title]));
+  });
+
+  test('rescheduling with cascade shifts every unfinished dependent with a due date', async () => {
+    const project = await createProject();
+    const a = await fixtures.createTask(project, manager, { due_date: '2026-03-10' });
+    const b = await fixtures.createTask(project, manager, { due_date: '2026-03-12' });
+    const c = await fixtures.createTask(project, manager, { due_date: '2026-03-14', status: 'completed' });
+    const d = await fixtures.createTask(project, manager, { due_date: '2026-03-16' });
+    await dependOn(b, a);
+    await dependOn(c, a);
+    await dependOn(d, b);
+
+    const res = await request(app)
+      .post(`/api/projects/${project.id}/schedule/reschedule`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ task_id: a.id, due_date: '2026-03-13', cascade: 'true' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.shift_days).toBe(3);
+    expect(res.body.shifted.map(task => task.id).sort()).toEqual([b.id, d.id].sort());
+
+    const result = await db.query(
+      'SELECT id, due_date::date::text as due_date FROM tasks WHERE project_id = $1',
+      [project.id]
+    );
+    const dueDates = Object.fromEntries(result.rows.map(row => [row.id, row.due_date]));
+    expect(dueDates).toEqual({
+      [a.id]: '2026-03-13',
+      [b.id]: '2026-03-15',
+      [c.id]: '2026-03-14',
+      [d.id]: '2026-03-19'
+    });
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../config/database', () => require('./support/database'));
+jest.mock('../config/email', () => ({ sendMail: jest.fn().mockResolvedValue({}) }));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const emailTransporter = require('../config/email');
+const app = require('../server');
+
+describe('registration requests', () => {
+  let organisation;
+  let token;
+
+  const createRequest = (values = {}) => fixtures.insert('registration_requests', {
+    email: `applicant-${Date.now()}-${Math.random().toString(36).slice(2)}@example.com`,
+    first_name: 'Applicant',
+    last_name: 'Test',
+    organisation_id: organisation.id,
+    ...values
+  });
+
+  const statusOf = async (registrationRequest) => {
+    const result = await db.query('SELECT status FROM registration_requests WHERE id = $1', [registrationRequest.id]);
+    return result.rows[0].status;
+  };
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    const administrator = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, administrator);
+  });
+
+  beforeEach(() => emailTransporter.sendMail.mockClear());
+
+  afterAll(() => db.close());
+
+  test('approving with a malformed company is refused', async () => {
+    const registrationRequest = await createRequest();
+
+    const res = await request(app)
+      .post(`/api/users/registration-requests/${registrationRequest.id}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ company_id: 'not-a-company' });
+
+    expect(res.status).toBe(400);
+    expect(await statusOf(registrationRequest)).toBe('pending');
+    expect(emailTransporter.sendMail).not.toHaveBeenCalled();
+  });
+
+  test('approval and rejection emails keep names as text', async () => {
+    const approved = await createRequest({ first_name: '<img src=x onerror=alert(1)>', last_name: 'O\'Brien' });
+    const rejected = await createRequest({ first_name: '<a href="https://evil.example">Click</a>', last_name: 'Test' });
+
+    const approval = await request(app)
+      .post(`/api/users/registration-requests/${approved.id}/approve`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(approval.status).toBe(200);
+
+    const rejection = await request(app)
+      .post(`/api/users/registration-requests/${rejected.id}/reject`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'Duplicate of an R&D account' });
+    expect(rejection.status).toBe(200);
+
+    const [approvalEmail, rejectionEmail] = emailTransporter.sendMail.mock.calls.map(([mail]) => mail.html);
+    expect(approvalEmail).toContain('Hello &#60;img src=x onerror=alert(1)&#62; O&#39;Brien,');
+    expect(rejectionEmail).toContain('Hello &#60;a href=&#34;https://evil.example&#34;&#62;Click&#60;/a&#62; Test,');
+    expect(rejectionEmail).not.toContain('<a href');
+    expect(rejectionEmail).toContain('R&#38;D');
+  });
+});
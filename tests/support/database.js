@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { uuid_ossp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+const { pgcrypto } = require('@electric-sql/pglite/contrib/pgcrypto');
+
+/*
+ * Stand-in for config/database in tests: the same query/transaction interface over an
+ * in-memory PostgreSQL (PGlite) with every schema file applied. Each test file gets its
+ * own database, since jest loads modules per file:
+ *
+ *   jest.mock('../config/database', () => require('./support/database'));
+ */
+
+// In the order the schema files were introduced; organisations_schema.sql after the files it migrates
+const SCHEMA_FILES = [
+  'meta_project_schema.sql',
+  'enhancements.sql',
+  'exports_schema.sql',
+  'sessions_schema.sql',
+  'two_factor_schema.sql',
+  'login_protection_schema.sql',
+  'registration_requests_schema.sql',
+  'one_time_tokens_schema.sql',
+  'personal_access_tokens_schema.sql',
+  'oidc_schema.sql',
+  'impersonation_schema.sql',
+  'password_policy_schema.sql',
+  'role_permissions_schema.sql',
+  'project_roles_schema.sql',
+  'multi_company_schema.sql',
+  'organisations_schema.sql',
+  'project_templates_schema.sql',
+  'project_archive_schema.sql',
+  'project_progress_schema.sql',
+  'project_budget_schema.sql',
+  'project_baselines_schema.sql',
+  'task_dependencies_schema.sql',
+  'project_schedule_schema.sql',
+  'task_hierarchy_schema.sql',
+  'task_workflows_schema.sql'
+];
+
+const DATABASE_DIR = path.join(__dirname, '..', '..', 'database');
+
+let ready = null;
+
+const connect = () => {
+  if (!ready) {
+    ready = (async () => {
+      const pg = new PGlite({ extensions: { uuid_ossp, pgcrypto } });
+      for (const file of SCHEMA_FILES) {
+        const schema = fs.readFileSync(path.join(DATABASE_DIR, file), 'utf8')
+          // Server configuration cannot be changed in an embedded database
+          .replace(/^ALTER SYSTEM .*$/gm, '');
+        await pg.exec(schema);
+      }
+      return pg;
+    })();
+  }
+  return ready;
+};
+
+// PGlite has no serializer for arrays of enums (e.g. task_status[]); postgres.js does,
+// so arrays are passed as array literals the server casts to the parameter's type
+const arrayLiteral = (values) => `{${values.map(value =>
+  value === null ? 'NULL' : `"${String(value).replace(/[\\"]/g, '\\$&')}"`
+).join(',')}}`;
+
+const toParams = (params) => params.map(param => (Array.isArray(param) ? arrayLiteral(param) : param));
+
+const normalize = (result) => ({
+  rows: result.rows,
+  rowCount: result.affectedRows || result.rows.length
+});
+
+const query = async (text, params = []) => {
+  const pg = await connect();
+  return normalize(await pg.query(text, toParams(params)));
+};
+
+const transaction = async (callback) => {
+  const pg = await connect();
+  return pg.transaction(tx => callback(async (text, params = []) => normalize(await tx.query(text, toParams(params))), tx));
+};
+
+const checkConnection = async () => {
+  await connect();
+  return true;
+};
+
+const close = async () => {
+  if (ready) {
+    const pg = await ready;
+    ready = null;
+    await pg.close();
+  }
+};
+
+module.exports = {
+  query,
+  transaction,
+  checkConnection,
+  close,
+  sql: () => null
+};
@@ -0,0 +1,5 @@
+// Configuration the app reads at require time; tests never load a .env file
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret';
+process.env.TOTP_ENCRYPTION_KEY = 'test-totp-encryption-key';
@@ -0,0 +1,114 @@
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const db = require('./database');
+
+const PASSWORD = 'Correct-Horse-9';
+// Hashing at the production cost would dominate the test run
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const insert = async (table, values) => {
+  const columns = Object.keys(values);
+  const placeholders = columns.map((column, index) => `$${index + 1}`);
+  const result = await db.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+    Object.values(values)
+  );
+  return result.rows[0];
+};
+
+let sequence = 0;
+const unique = (prefix) => `${prefix}-${++sequence}`;
+
+const createOrganisation = (name = unique('organisation')) =>
+  insert('organisations', { name, slug: name });
+
+const createUser = (organisation, role, values = {}) => {
+  const handle = unique(role);
+  return insert('users', {
+    email: `${handle}@example.com`,
+    password_hash: passwordHash,
+    first_name: handle,
+    last_name: 'Test',
+    role,
+    email_verified: true,
+    organisation_id: organisation.id,
+    ...values
+  });
+};
+
+const createCompany = (organisation, values = {}) =>
+  insert('companies', { name: unique('company'), organisation_id: organisation.id, ...values });
+
+const createProject = (company, values = {}) =>
+  insert('projects', {
+    name: unique('project'),
+    company_id: company.id,
+    organisation_id: company.organisation_id,
+    status: 'ongoing',
+    ...values
+  });
+
+const createTask = (project, creator, values = {}) =>
+  insert('tasks', { title: unique('task'), project_id: project.id, created_by: creator.id, ...values });
+
+const createInvoice = (project, issuer, values = {}) =>
+  insert('invoices', {
+    invoice_number: unique('INV'),
+    project_id: project.id,
+    company_id: project.company_id,
+    organisation_id: project.organisation_id,
+    issued_by: issuer.id,
+    issue_date: '2026-01-01',
+    due_date: '2026-02-01',
+    subtotal: 100,
+    total_amount: 100,
+    ...values
+  });
+
+const createFile = (project, uploader, values = {}) => {
+  const filename = `${unique('file')}.txt`;
+  return insert('files', {
+    filename,
+    original_filename: filename,
+    file_path: `uploads/${filename}`,
+    file_size: 1,
+    mime_type: 'text/plain',
+    uploaded_by: uploader.id,
+    project_id: project.id,
+    ...values
+  });
+};
+
+const addMember = (project, user, values = {}) =>
+  insert('project_members', { project_id: project.id, user_id: user.id, ...values });
+
+const addClient = (company, user) =>
+  insert('client_users', { company_id: company.id, user_id: user.id });
+
+/**
+ * Signs in through POST /api/auth/login and returns the bearer token
+ */
+const login = async (app, user) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password: PASSWORD });
+  if (!res.body.token) {
+    throw new Error(`Login failed for ${user.email}: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body.token;
+};
+
+module.exports = {
+  PASSWORD,
+  insert,
+  createOrganisation,
+  createUser,
+  createCompany,
+  createProject,
+  createTask,
+  createInvoice,
+  createFile,
+  addMember,
+  addClient,
+  login
+};
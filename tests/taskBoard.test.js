@@ -0,0 +1,105 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+const { ORDER_GAP, placeInColumn, reorderColumn } = require('../services/taskBoard');
+
+describe('task board', () => {
+  let organisation;
+  let manager;
+  let token;
+
+  // A project with one card per order_index in the 'new' column, in the given order
+  const createBoard = async (orderIndexes) => {
+    const company = await fixtures.createCompany(organisation);
+    const project = await fixtures.createProject(company, { project_manager_id: manager.id });
+    const cards = [];
+    for (const order_index of orderIndexes) {
+      cards.push(await fixtures.createTask(project, manager, { order_index }));
+    }
+    return { project, cards };
+  };
+
+  const columnOrder = async (project, status = 'new') => {
+    const result = await db.query(
+      `SELECT id, order_index FROM tasks
+       WHERE project_id = $1 AND COALESCE(workflow_status, status::text) = $2
+       ORDER BY order_index, created_at`,
+      [project.id, status]
+    );
+    return result.rows;
+  };
+
+  const place = (project, taskId, options) =>
+    db.transaction(query => placeInColumn(query, project.id, 'new', taskId, options));
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+  });
+
+  afterAll(() => db.close());
+
+  test('a card goes to the midpoint of its neighbours without touching them', async () => {
+    const { project, cards: [a, b] } = await createBoard([1024, 2048]);
+    const moved = await fixtures.createTask(project, manager, { status: 'in_progress' });
+
+    expect(await place(project, moved.id, { afterTaskId: a.id })).toEqual({ order_index: 1536, rebalanced: [] });
+    expect(await place(project, moved.id, { beforeTaskId: a.id })).toEqual({ order_index: 1024 - ORDER_GAP, rebalanced: [] });
+    expect(await place(project, moved.id, { afterTaskId: b.id })).toEqual({ order_index: 2048 + ORDER_GAP, rebalanced: [] });
+    expect(await place(project, moved.id)).toEqual({ order_index: 2048 + ORDER_GAP, rebalanced: [] });
+  });
+
+  test('a card between adjacent positions renumbers the column around it', async () => {
+    const { project, cards: [a, b, c, d] } = await createBoard([1024, 1025, 3072, 4096]);
+    const moved = await fixtures.createTask(project, manager, { status: 'in_progress' });
+
+    const placement = await place(project, moved.id, { afterTaskId: a.id });
+
+    expect(placement.order_index).toBe(2 * ORDER_GAP);
+    expect(placement.rebalanced).toEqual(expect.arrayContaining([
+      { id: b.id, order_index: 3 * ORDER_GAP },
+      { id: c.id, order_index: 4 * ORDER_GAP },
+      { id: d.id, order_index: 5 * ORDER_GAP }
+    ]));
+    expect(placement.rebalanced).toHaveLength(3);
+  });
+
+  test('moving a card into a full gap keeps it between its neighbours', async () => {
+    const { project, cards: [a, b, c, d] } = await createBoard([1024, 1025, 3072, 4096]);
+    const moved = await fixtures.createTask(project, manager, { status: 'in_progress' });
+
+    const res = await request(app)
+      .put(`/api/tasks/${moved.id}/move`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'new', after_task_id: a.id });
+
+    expect(res.status).toBe(200);
+    expect(res.body.rebalanced.map(card => card.id).sort()).toEqual([b.id, c.id, d.id].sort());
+
+    const order = await columnOrder(project);
+    expect(order.map(card => card.id)).toEqual([a.id, moved.id, b.id, c.id, d.id]);
+    expect(new Set(order.map(card => card.order_index)).size).toBe(order.length);
+  });
+
+  test('a neighbour outside the column is refused', async () => {
+    const { project } = await createBoard([1024]);
+    const elsewhere = await fixtures.createTask(project, manager, { status: 'completed' });
+    const moved = await fixtures.createTask(project, manager, { status: 'in_progress' });
+
+    expect(await place(project, moved.id, { afterTaskId: elsewhere.id }))
+      .toEqual({ error: 'The neighbouring task is not in that column' });
+  });
+
+  test('reordering a column puts unlisted cards after the listed ones', async () => {
+    const { project, cards: [a, b, c] } = await createBoard([1024, 2048, 3072]);
+
+    const result = await db.transaction(query => reorderColumn(query, project.id, 'new', [c.id, a.id]));
+
+    expect(result.order.map(card => card.id)).toEqual([c.id, a.id, b.id]);
+    expect((await columnOrder(project)).map(card => card.id)).toEqual([c.id, a.id, b.id]);
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+const { addDependency, findDependencyCycle } = require('../services/taskDependencies');
+
+describe('task dependencies', () => {
+  let organisation;
+  let manager;
+  let token;
+
+  const createProject = async (values = {}) => {
+    const company = await fixtures.createCompany(organisation);
+    return fixtures.createProject(company, { project_manager_id: manager.id, ...values });
+  };
+
+  // Tasks of a new project where each task depends on the one before it
+  const createChain = async (length, projectValues) => {
+    const project = await createProject(projectValues);
+    const tasks = [];
+    for (let index = 0; index < length; index++) {
+      tasks.push(await fixtures.createTask(project, manager));
+      if (index > 0) {
+        await fixtures.insert('task_dependencies', { task_id: tasks[index].id, depends_on_task_id: tasks[index - 1].id });
+      }
+    }
+    return { project, tasks };
+  };
+
+  const send = (method, path, body) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`).send(body);
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+  });
+
+  afterAll(() => db.close());
+
+  test('a dependency closing a cycle is refused with the tasks along it', async () => {
+    const { project, tasks: [a, b, c] } = await createChain(3);
+
+    expect(await addDependency(project.id, a.id, c.id)).toEqual({ cycle: [a.title, c.title, b.title, a.title] });
+
+    const res = await send('post', `/api/tasks/${a.id}/dependencies`, { depends_on_task_id: c.id });
+    expect(res.status).toBe(400);
+    expect(res.body.cycle).toEqual([a.title, c.title, b.title, a.title]);
+
+    const result = await db.query('SELECT 1 FROM task_dependencies WHERE task_id = $1', [a.id]);
+    expect(result.rows).toHaveLength(0);
+  });
+
+  test('a dependency that does not close a cycle is added', async () => {
+    const { project, tasks: [a, b, c] } = await createChain(3);
+
+    expect(await db.transaction(query => findDependencyCycle(query, c.id, a.id))).toBeNull();
+    const { dependency } = await addDependency(project.id, c.id, a.id);
+    expect(dependency).toMatchObject({ task_id: c.id, depends_on_task_id: a.id });
+
+    const res = await send('post', `/api/tasks/${b.id}/dependencies`, { depends_on_task_id: a.id });
+    expect(res.status).toBe(409);
+  });
+
+  test('the shortest chain is reported when several close the cycle', async () => {
+    const { tasks: [first, second, , , last] } = await createChain(5);
+    await fixtures.insert('task_dependencies', { task_id: last.id, depends_on_task_id: second.id });
+
+    const cycle = await db.transaction(query => findDependencyCycle(query, first.id, last.id));
+    expect(cycle).toEqual([last.id, second.id, first.id]);
+  });
+
+  test('each task is visited once however many paths lead to it', async () => {
+    // Twelve layers of four tasks, each depending on every task of the layer before: 4^11 paths
+    const project = await createProject();
+    const layers = [];
+    for (let layer = 0; layer < 12; layer++) {
+      const tasks = [];
+      for (let index = 0; index < 4; index++) {
+        const task = await fixtures.createTask(project, manager);
+        for (const prerequisite of layers[layer - 1] || []) {
+          await fixtures.insert('task_dependencies', { task_id: task.id, depends_on_task_id: prerequisite.id });
+        }
+        tasks.push(task);
+      }
+      layers.push(tasks);
+    }
+    const first = layers[0][0];
+    const last = layers[layers.length - 1][0];
+
+    const cycle = await db.transaction(query => findDependencyCycle(query, first.id, last.id));
+    expect(cycle).toHaveLength(layers.length);
+    expect(cycle[0]).toBe(last.id);
+    expect(cycle[cycle.length - 1]).toBe(first.id);
+
+    expect(await db.transaction(query => findDependencyCycle(query, last.id, first.id))).toBeNull();
+  });
+
+  test('projects that enforce dependencies keep blocked tasks from starting', async () => {
+    const { tasks: [a, b] } = await createChain(2, { enforce_dependencies: true });
+
+    const blocked = await send('put', `/api/tasks/${b.id}`, { status: 'in_progress' });
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.blockers.map(blocker => blocker.id)).toEqual([a.id]);
+
+    await db.query(`UPDATE tasks SET status = 'completed' WHERE id = $1`, [a.id]);
+    const started = await send('put', `/api/tasks/${b.id}`, { status: 'in_progress' });
+    expect(started.status).toBe(200);
+  });
+
+  test('projects that do not enforce dependencies only flag blocked tasks', async () => {
+    const { tasks: [, b] } = await createChain(2);
+
+    const task = await send('get', `/api/tasks/${b.id}`);
+    expect(task.body.task.blocked).toBe(true);
+
+    const started = await send('put', `/api/tasks/${b.id}`, { status: 'in_progress' });
+    expect(started.status).toBe(200);
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+
+describe('task hierarchy', () => {
+  let organisation;
+  let manager;
+  let token;
+  let project;
+
+  const send = (method, path, body) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`).send(body);
+
+  const statusOf = async (task) => {
+    const result = await db.query('SELECT status FROM tasks WHERE id = $1', [task.id]);
+    return result.rows[0].status;
+  };
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+    const company = await fixtures.createCompany(organisation);
+    project = await fixtures.createProject(company, { project_manager_id: manager.id });
+  });
+
+  afterAll(() => db.close());
+
+  test('a parent is only completed once every subtask at any depth is finished', async () => {
+    const parent = await fixtures.createTask(project, manager);
+    const child = await fixtures.createTask(project, manager, { parent_task_id: parent.id, status: 'completed' });
+    const grandchild = await fixtures.createTask(project, manager, { parent_task_id: child.id, status: 'in_progress' });
+
+    const refused = await send('put', `/api/tasks/${parent.id}`, { status: 'completed' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.subtasks.map(subtask => subtask.id)).toEqual([grandchild.id]);
+
+    await db.query(`UPDATE tasks SET status = 'canceled' WHERE id = $1`, [grandchild.id]);
+    const completed = await send('put', `/api/tasks/${parent.id}`, { status: 'completed' });
+    expect(completed.status).toBe(200);
+    expect(await statusOf(parent)).toBe('completed');
+  });
+
+  test('subtasks cannot be added under a completed task', async () => {
+    const parent = await fixtures.createTask(project, manager, { status: 'completed' });
+
+    const res = await send('post', '/api/tasks', {
+      title: 'Late subtask',
+      project_id: project.id,
+      parent_task_id: parent.id
+    });
+    expect(res.status).toBe(409);
+  });
+
+  test('a task cannot be moved under a completed task', async () => {
+    const parent = await fixtures.createTask(project, manager, { status: 'completed' });
+    const task = await fixtures.createTask(project, manager);
+
+    const res = await send('put', `/api/tasks/${task.id}`, { parent_task_id: parent.id });
+    expect(res.status).toBe(409);
+
+    const result = await db.query('SELECT parent_task_id FROM tasks WHERE id = $1', [task.id]);
+    expect(result.rows[0].parent_task_id).toBeNull();
+  });
+
+  test('a finished subtask cannot be reopened under a completed parent', async () => {
+    const parent = await fixtures.createTask(project, manager, { status: 'completed' });
+    const child = await fixtures.createTask(project, manager, { parent_task_id: parent.id, status: 'completed' });
+
+    const edited = await send('put', `/api/tasks/${child.id}`, { status: 'in_progress' });
+    expect(edited.status).toBe(409);
+
+    const moved = await send('put', `/api/tasks/${child.id}/move`, { status: 'new' });
+    expect(moved.status).toBe(409);
+
+    expect(await statusOf(child)).toBe('completed');
+  });
+
+  test('a task cannot be moved under itself or one of its subtasks', async () => {
+    const task = await fixtures.createTask(project, manager);
+    const child = await fixtures.createTask(project, manager, { parent_task_id: task.id });
+    const grandchild = await fixtures.createTask(project, manager, { parent_task_id: child.id });
+
+    for (const parent of [task, grandchild]) {
+      const res = await send('put', `/api/tasks/${task.id}`, { parent_task_id: parent.id });
+      expect(res.status).toBe(400);
+    }
+  });
+
+  test('a task cannot depend on its own parent or subtask', async () => {
+    const parent = await fixtures.createTask(project, manager);
+    const child = await fixtures.createTask(project, manager, { parent_task_id: parent.id });
+    const grandchild = await fixtures.createTask(project, manager, { parent_task_id: child.id });
+
+    for (const [task, dependsOn] of [[grandchild, parent], [parent, grandchild]]) {
+      const res = await send('post', `/api/tasks/${task.id}/dependencies`, { depends_on_task_id: dependsOn.id });
+      expect(res.status).toBe(400);
+    }
+
+    const result = await db.query('SELECT 1 FROM task_dependencies WHERE task_id = ANY($1::uuid[])', [[parent.id, grandchild.id]]);
+    expect(result.rows).toHaveLength(0);
+  });
+
+  test('a task cannot be moved under a task its subtree has a dependency with', async () => {
+    const grandparent = await fixtures.createTask(project, manager);
+    const parent = await fixtures.createTask(project, manager, { parent_task_id: grandparent.id });
+    const task = await fixtures.createTask(project, manager);
+    const child = await fixtures.createTask(project, manager, { parent_task_id: task.id });
+    const other = await fixtures.createTask(project, manager);
+    await fixtures.insert('task_dependencies', { task_id: grandparent.id, depends_on_task_id: child.id });
+
+    const refused = await send('put', `/api/tasks/${task.id}`, { parent_task_id: parent.id });
+    expect(refused.status).toBe(400);
+
+    const moved = await send('put', `/api/tasks/${task.id}`, { parent_task_id: other.id });
+    expect(moved.status).toBe(200);
+  });
+});
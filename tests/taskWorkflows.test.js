@@ -0,0 +1,167 @@
+jest.mock('../config/database', () => require('./support/database'));
+
+const request = require('supertest');
+const db = require('./support/database');
+const fixtures = require('./support/fixtures');
+const app = require('../server');
+
+const WORKFLOW = {
+  name: 'Reviewed',
+  statuses: [
+    { key: 'backlog', name: 'Backlog', category: 'todo' },
+    { key: 'doing', name: 'Doing', category: 'doing' },
+    { key: 'review', name: 'Review', category: 'doing' },
+    { key: 'done', name: 'Done', category: 'done' },
+    { key: 'wont_do', name: "Won't do", category: 'done', task_status: 'canceled' }
+  ],
+  transitions: [
+    { from_status: 'backlog', to_status: 'doing' },
+    { from_status: 'doing', to_status: 'review', required_fields: ['assigned_to'] },
+    { from_status: 'review', to_status: 'doing' },
+    { from_status: 'review', to_status: 'done', required_fields: ['comment'] },
+    { from_status: null, to_status: 'wont_do' }
+  ]
+};
+
+describe('task workflows', () => {
+  let organisation;
+  let manager;
+  let token;
+
+  const send = (method, path, body) =>
+    request(app)[method](path).set('Authorization', `Bearer ${token}`).send(body);
+
+  const createProject = async () => {
+    const company = await fixtures.createCompany(organisation);
+    return fixtures.createProject(company, { project_manager_id: manager.id });
+  };
+
+  const createWorkflowProject = async () => {
+    const project = await createProject();
+    const res = await send('put', `/api/projects/${project.id}/workflow`, WORKFLOW);
+    expect(res.status).toBe(200);
+    return project;
+  };
+
+  const taskRow = async (task) => {
+    const result = await db.query(
+      'SELECT status, workflow_status, started_at, completed_at FROM tasks WHERE id = $1',
+      [task.id]
+    );
+    return result.rows[0];
+  };
+
+  beforeAll(async () => {
+    organisation = await fixtures.createOrganisation();
+    manager = await fixtures.createUser(organisation, 'administrator');
+    token = await fixtures.login(app, manager);
+  });
+
+  afterAll(() => db.close());
+
+  test('saving a workflow maps existing tasks to the first status storing theirs', async () => {
+    const project = await createProject();
+    const fresh = await fixtures.createTask(project, manager);
+    const started = await fixtures.createTask(project, manager, { status: 'in_progress' });
+
+    const res = await send('put', `/api/projects/${project.id}/workflow`, WORKFLOW);
+
+    expect(res.status).toBe(200);
+    expect(res.body.mapped_tasks).toBe(2);
+    expect(await taskRow(fresh)).toMatchObject({ status: 'new', workflow_status: 'backlog' });
+    expect(await taskRow(started)).toMatchObject({ status: 'in_progress', workflow_status: 'doing' });
+  });
+
+  test('a workflow leaving tasks without a status is refused', async () => {
+    const project = await createProject();
+    await fixtures.createTask(project, manager, { status: 'canceled' });
+
+    const res = await send('put', `/api/projects/${project.id}/workflow`, {
+      statuses: WORKFLOW.statuses.filter(status => status.key !== 'wont_do')
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.task_statuses).toEqual(['canceled']);
+  });
+
+  test('malformed workflows are refused', async () => {
+    const project = await createProject();
+
+    for (const workflow of [
+      { statuses: [{ key: 'doing', name: 'Doing', category: 'doing' }] },
+      { statuses: [{ key: 'Backlog', name: 'Backlog', category: 'todo' }] },
+      { statuses: WORKFLOW.statuses, transitions: [{ to_status: 'shipped' }] },
+      { statuses: WORKFLOW.statuses, transitions: [{ to_status: 'done', required_fields: ['mood'] }] }
+    ]) {
+      const res = await send('put', `/api/projects/${project.id}/workflow`, workflow);
+      expect(res.status).toBe(400);
+    }
+  });
+
+  test('new tasks start in the first todo status', async () => {
+    const project = await createWorkflowProject();
+
+    const res = await send('post', '/api/tasks', { title: 'Fresh task', project_id: project.id });
+
+    expect(res.status).toBe(201);
+    expect(await taskRow(res.body.task)).toMatchObject({ status: 'new', workflow_status: 'backlog' });
+  });
+
+  test('only the transitions of the workflow are allowed', async () => {
+    const project = await createWorkflowProject();
+    const task = await fixtures.createTask(project, manager, { workflow_status: 'backlog' });
+
+    const refused = await send('put', `/api/tasks/${task.id}`, { status: 'done' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.allowed_statuses.sort()).toEqual(['doing', 'wont_do']);
+
+    const unknown = await send('put', `/api/tasks/${task.id}`, { status: 'completed' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.statuses).toEqual(WORKFLOW.statuses.map(status => status.key));
+
+    const started = await send('put', `/api/tasks/${task.id}`, { status: 'doing' });
+    expect(started.status).toBe(200);
+    expect(await taskRow(task)).toMatchObject({ status: 'in_progress', workflow_status: 'doing' });
+    expect((await taskRow(task)).started_at).not.toBeNull();
+
+    const dropped = await send('put', `/api/tasks/${task.id}`, { status: 'wont_do' });
+    expect(dropped.status).toBe(200);
+    expect(await taskRow(task)).toMatchObject({ status: 'canceled', workflow_status: 'wont_do' });
+  });
+
+  test('transitions need their required fields, from the task, the update or the comment', async () => {
+    const project = await createWorkflowProject();
+    const task = await fixtures.createTask(project, manager, { status: 'in_progress', workflow_status: 'doing' });
+
+    const unassigned = await send('put', `/api/tasks/${task.id}`, { status: 'review' });
+    expect(unassigned.status).toBe(400);
+    expect(unassigned.body.missing_fields).toEqual(['assigned_to']);
+
+    const assigned = await send('put', `/api/tasks/${task.id}`, { status: 'review', assigned_to: manager.id });
+    expect(assigned.status).toBe(200);
+
+    const silent = await send('put', `/api/tasks/${task.id}`, { status: 'done' });
+    expect(silent.status).toBe(400);
+    expect(silent.body.missing_fields).toEqual(['comment']);
+
+    const approved = await send('put', `/api/tasks/${task.id}`, { status: 'done', comment: 'Looks good' });
+    expect(approved.status).toBe(200);
+    expect(await taskRow(task)).toMatchObject({ status: 'completed', workflow_status: 'done' });
+    expect((await taskRow(task)).completed_at).not.toBeNull();
+
+    const comments = await db.query('SELECT content FROM comments WHERE task_id = $1', [task.id]);
+    expect(comments.rows.map(row => row.content)).toEqual(['Looks good']);
+  });
+
+  test('deleting the workflow returns tasks to the built-in statuses', async () => {
+    const project = await createWorkflowProject();
+    const task = await fixtures.createTask(project, manager, { status: 'in_progress', workflow_status: 'review' });
+
+    const res = await send('delete', `/api/projects/${project.id}/workflow`);
+    expect(res.status).toBe(200);
+    expect(await taskRow(task)).toMatchObject({ status: 'in_progress', workflow_status: null });
+
+    const completed = await send('put', `/api/tasks/${task.id}`, { status: 'completed' });
+    expect(completed.status).toBe(200);
+  });
+});